@@ -0,0 +1,65 @@
+/**
+ * APP MODULE
+ * Base class describing the lifecycle every feature module follows:
+ *
+ *   init()    - read configuration and look up DOM elements, no side effects
+ *   mount()   - attach listeners, subscriptions and timers
+ *   destroy() - release everything acquired while mounted
+ *
+ * Resources acquired through `listen`, `own`, `timeout` and `interval` are
+ * released automatically on destroy.
+ */
+
+import { Disposables } from './disposables.js';
+import { MODULE_STATUS } from './module-health.js';
+
+export class AppModule {
+  constructor(app) {
+    this.app = app;
+    this.isMounted = false;
+    this.disposables = new Disposables();
+  }
+
+  init() {}
+
+  mount() {
+    this.isMounted = true;
+  }
+
+  destroy() {
+    this.disposables.dispose();
+    this.isMounted = false;
+  }
+
+  /**
+   * Report that the module keeps running with reduced functionality,
+   * e.g. because an external resource could not be loaded.
+   */
+  degrade(reason) {
+    this.app.reportModuleStatus(this.name, MODULE_STATUS.DEGRADED, { reason });
+  }
+
+  /**
+   * Translate a message key into the reader's language (see core/i18n.js).
+   */
+  t(key, values) {
+    return this.app.i18n.t(key, values);
+  }
+
+  // Resource helpers
+  listen(target, type, handler, options) {
+    return this.disposables.listen(target, type, handler, options);
+  }
+
+  own(disposer) {
+    return this.disposables.add(disposer);
+  }
+
+  timeout(callback, delay) {
+    return this.disposables.timeout(callback, delay);
+  }
+
+  interval(callback, delay) {
+    return this.disposables.interval(callback, delay);
+  }
+}
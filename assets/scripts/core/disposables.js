@@ -0,0 +1,54 @@
+/**
+ * DISPOSABLES
+ * Collects teardown callbacks (listeners, timers, observers, subscriptions)
+ * so an owner can release everything it acquired in one call
+ */
+
+export class Disposables {
+  constructor() {
+    this.disposers = [];
+  }
+
+  /**
+   * Register a teardown callback. Returns the callback so callers can
+   * dispose of a single resource early.
+   */
+  add(disposer) {
+    if (typeof disposer === 'function') {
+      this.disposers.push(disposer);
+    }
+    return disposer;
+  }
+
+  listen(target, type, handler, options) {
+    if (!target) return () => {};
+
+    target.addEventListener(type, handler, options);
+    return this.add(() => target.removeEventListener(type, handler, options));
+  }
+
+  timeout(callback, delay) {
+    const id = setTimeout(callback, delay);
+    return this.add(() => clearTimeout(id));
+  }
+
+  interval(callback, delay) {
+    const id = setInterval(callback, delay);
+    return this.add(() => clearInterval(id));
+  }
+
+  observe(observer) {
+    return this.add(() => observer.disconnect());
+  }
+
+  dispose() {
+    // Release in reverse order of acquisition
+    this.disposers.splice(0).reverse().forEach(disposer => {
+      try {
+        disposer();
+      } catch (error) {
+        console.error('❌ Failed to release resource:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * EVENT BUS
+ * Typed publish/subscribe channel used by modules to communicate
+ * without holding references to each other
+ */
+
+// ============================================================================
+// EVENT CATALOG
+// ============================================================================
+
+/**
+ * Every domain event the application knows about, with its payload shape.
+ *
+ * @typedef {Object} AppEventMap
+ * @property {{ sectionId: string }} 'section:viewed'
+ * @property {{ targetId: string }} 'navigation:clicked'
+ * @property {{ version: 'male'|'female' }} 'gender:changed'
+ * @property {{ locale: string, previousLocale: string }} 'locale:changed'
+ * @property {{}} 'animation:played'
+ * @property {{}} 'animation:paused'
+ * @property {{ form: string, result: 'success'|'error' }} 'form:submitted'
+ * @property {{ address: string }} 'crypto:address-copied'
+ * @property {{ provider: string }} 'chart:loaded'
+ * @property {{ query: string, rank: number }} 'search:result-opened'
+ * @property {{ count: number }} 'timeline:rendered'
+ * @property {{ count: number }} 'stories:rendered'
+ * @property {{ count: number }} 'glossary:rendered'
+ * @property {{ format: 'bibtex'|'ris'|'csl', count: number }} 'citations:exported'
+ * @property {{ style: 'apa'|'mla'|'chicago', targetId: string }} 'citation:copied'
+ * @property {{ pollId: string, room: string, likelihood: number, confidence: number }} 'poll:voted'
+ * @property {{ room: string, count: number }} 'polls:reset'
+ * @property {{ room: string, count: number }} 'polls:exported'
+ * @property {{ findingId: string, rows: number }} 'finding:data-downloaded'
+ * @property {{ name: string, status: 'ok'|'degraded'|'failed', previousStatus: ?string, phase: ?string, reason: string, timestamp: number }} 'module:status-changed'
+ */
+export const APP_EVENTS = Object.freeze({
+  SECTION_VIEWED: 'section:viewed',
+  NAVIGATION_CLICKED: 'navigation:clicked',
+  GENDER_CHANGED: 'gender:changed',
+  LOCALE_CHANGED: 'locale:changed',
+  ANIMATION_PLAYED: 'animation:played',
+  ANIMATION_PAUSED: 'animation:paused',
+  FORM_SUBMITTED: 'form:submitted',
+  CRYPTO_ADDRESS_COPIED: 'crypto:address-copied',
+  CHART_LOADED: 'chart:loaded',
+  SEARCH_RESULT_OPENED: 'search:result-opened',
+  TIMELINE_RENDERED: 'timeline:rendered',
+  STORIES_RENDERED: 'stories:rendered',
+  GLOSSARY_RENDERED: 'glossary:rendered',
+  CITATIONS_EXPORTED: 'citations:exported',
+  CITATION_COPIED: 'citation:copied',
+  POLL_VOTED: 'poll:voted',
+  POLLS_RESET: 'polls:reset',
+  POLLS_EXPORTED: 'polls:exported',
+  FINDING_DATA_DOWNLOADED: 'finding:data-downloaded',
+  MODULE_STATUS_CHANGED: 'module:status-changed'
+});
+
+const KNOWN_EVENTS = new Set(Object.values(APP_EVENTS));
+
+// ============================================================================
+// EVENT BUS
+// ============================================================================
+
+export class EventBus {
+  constructor({ strict = true } = {}) {
+    this.handlers = new Map();
+    this.knownEvents = new Set(KNOWN_EVENTS);
+    this.strict = strict;
+  }
+
+  /**
+   * Subscribe to an event. Use '*' to receive every event.
+   * Returns a function that removes the subscription.
+   */
+  on(event, handler) {
+    this.assertKnown(event);
+
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+
+    return () => this.off(event, handler);
+  }
+
+  once(event, handler) {
+    const unsubscribe = this.on(event, (payload, name) => {
+      unsubscribe();
+      handler(payload, name);
+    });
+    return unsubscribe;
+  }
+
+  off(event, handler) {
+    const handlers = this.handlers.get(event);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (!handlers.size) {
+      this.handlers.delete(event);
+    }
+  }
+
+  emit(event, payload = {}) {
+    this.assertKnown(event);
+
+    const listeners = [
+      ...(this.handlers.get(event) || []),
+      ...(this.handlers.get('*') || [])
+    ];
+
+    listeners.forEach(handler => {
+      // A failing subscriber must not stop the others from receiving the event
+      try {
+        handler(payload, event);
+      } catch (error) {
+        console.error(`❌ Event handler for "${event}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Register additional event names at runtime, e.g. from a module
+   * that is not part of the core catalog.
+   */
+  define(...events) {
+    events.forEach(event => this.knownEvents.add(event));
+  }
+
+  clear() {
+    this.handlers.clear();
+  }
+
+  assertKnown(event) {
+    if (!this.strict || event === '*' || this.knownEvents.has(event)) return;
+    throw new Error(`Unknown event "${event}". Add it to APP_EVENTS or call bus.define().`);
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * FRAME SCHEDULER
+ * One requestAnimationFrame loop shared by every animation on the page.
+ * Effects register named tasks instead of running their own loops, so all of
+ * them can be paused together, ordered by priority and kept within a frame
+ * budget, and their cost shows up in a single set of stats.
+ */
+
+export const FRAME_PRIORITY = Object.freeze({
+  INPUT: 0, // reacts to the reader (scroll, resize); keeps running while paused
+  HIGH: 1,
+  NORMAL: 2,
+  LOW: 3 // may be deferred to a later frame when the budget runs out
+});
+
+// Longest delta handed to a task, so a stalled frame doesn't cause a jump
+const MAX_DELTA = 100;
+
+// Number of frames the rolling stats are averaged over
+const STATS_WINDOW = 60;
+
+export class FrameScheduler {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.frameBudget] - Milliseconds of work per frame
+   *   after which NORMAL and LOW tasks wait for the next frame
+   */
+  constructor({ frameBudget = 10 } = {}) {
+    this.frameBudget = frameBudget;
+    this.tasks = new Map();
+    this.pauseReasons = new Set();
+    this.pauseListeners = new Set();
+    this.frameId = null;
+    this.lastTimestamp = null;
+    this.resetStats();
+  }
+
+  // Registration
+  /**
+   * Run `callback(delta, timestamp)` every frame until the returned function
+   * is called or the callback returns `false`. Registering a name again
+   * replaces the earlier task.
+   *
+   * @param {string} name
+   * @param {Function} callback
+   * @param {object} [options]
+   * @param {number} [options.priority] - One of FRAME_PRIORITY
+   * @param {number} [options.budget] - Expected cost in milliseconds; runs
+   *   that take longer are counted as overruns in the stats
+   * @param {number} [options.interval] - Only run once this many
+   *   milliseconds of unpaused time have passed
+   */
+  add(name, callback, { priority = FRAME_PRIORITY.NORMAL, budget = Infinity, interval = 0 } = {}) {
+    const task = {
+      name,
+      callback,
+      priority,
+      budget,
+      interval,
+      elapsed: 0,
+      lastRun: null,
+      costs: [],
+      runs: 0,
+      totalCost: 0,
+      overruns: 0
+    };
+
+    this.tasks.set(name, task);
+    this.requestFrame();
+
+    return () => this.remove(name, task);
+  }
+
+  // Run `callback` once on the next frame; repeated requests are coalesced
+  once(name, callback, options) {
+    const existing = this.tasks.get(name);
+    if (existing) {
+      existing.callback = (...args) => {
+        callback(...args);
+        return false;
+      };
+      return () => this.remove(name, existing);
+    }
+
+    return this.add(name, (...args) => {
+      callback(...args);
+      return false;
+    }, options);
+  }
+
+  // Frame-synchronised replacement for setInterval that stops while paused
+  every(name, interval, callback, options = {}) {
+    return this.add(name, callback, { ...options, interval });
+  }
+
+  remove(name, task = this.tasks.get(name)) {
+    // Only remove the task this handle was created for, not a replacement
+    if (this.tasks.get(name) === task) {
+      this.tasks.delete(name);
+    }
+  }
+
+  has(name) {
+    return this.tasks.has(name);
+  }
+
+  clear() {
+    this.tasks.clear();
+    this.cancelFrame();
+  }
+
+  // Pausing
+  /**
+   * Pause every task except INPUT ones. Reasons are tracked separately, so
+   * e.g. regaining focus doesn't resume work the hidden tab still needs paused.
+   */
+  pause(reason = 'manual') {
+    const wasPaused = this.isPaused;
+    this.pauseReasons.add(reason);
+
+    if (!wasPaused) {
+      this.notifyPauseChange();
+    }
+  }
+
+  resume(reason = 'manual') {
+    if (!this.pauseReasons.delete(reason) || this.isPaused) return;
+
+    // Time spent paused shouldn't reach the tasks as one long frame
+    this.lastTimestamp = null;
+    this.tasks.forEach(task => { task.lastRun = null; });
+
+    this.notifyPauseChange();
+    this.requestFrame();
+  }
+
+  get isPaused() {
+    return this.pauseReasons.size > 0;
+  }
+
+  // Call `callback(isPaused)` when the scheduler pauses or resumes
+  onPauseChange(callback) {
+    this.pauseListeners.add(callback);
+    return () => this.pauseListeners.delete(callback);
+  }
+
+  notifyPauseChange() {
+    this.pauseListeners.forEach(callback => {
+      try {
+        callback(this.isPaused);
+      } catch (error) {
+        console.error('❌ Error in frame scheduler listener:', error);
+      }
+    });
+  }
+
+  // Loop
+  requestFrame() {
+    if (this.frameId !== null || !this.hasRunnableTasks()) return;
+    this.frameId = requestAnimationFrame(timestamp => this.runFrame(timestamp));
+  }
+
+  cancelFrame() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  hasRunnableTasks() {
+    for (const task of this.tasks.values()) {
+      if (this.isRunnable(task)) return true;
+    }
+    return false;
+  }
+
+  isRunnable(task) {
+    return !this.isPaused || task.priority === FRAME_PRIORITY.INPUT;
+  }
+
+  runFrame(timestamp) {
+    this.frameId = null;
+    const started = performance.now();
+    let deferred = 0;
+
+    // Lower priorities first yield to higher ones, then to tasks that ran least recently
+    const queue = [...this.tasks.values()]
+      .filter(task => this.isRunnable(task))
+      .sort((a, b) => a.priority - b.priority || (a.lastRun ?? -Infinity) - (b.lastRun ?? -Infinity));
+
+    for (const task of queue) {
+      // A task may have been removed by one that ran before it
+      if (this.tasks.get(task.name) !== task) continue;
+
+      const overBudget = performance.now() - started > this.frameBudget;
+      if (overBudget && task.priority >= FRAME_PRIORITY.NORMAL) {
+        deferred++;
+        continue;
+      }
+
+      this.runTask(task, timestamp);
+    }
+
+    this.recordFrame(timestamp, performance.now() - started, deferred);
+    this.requestFrame();
+
+    // The next frame after an idle stretch is not a frame interval
+    if (this.frameId === null) this.lastTimestamp = null;
+  }
+
+  runTask(task, timestamp) {
+    const delta = task.lastRun === null ? 0 : Math.min(timestamp - task.lastRun, MAX_DELTA);
+    task.lastRun = timestamp;
+
+    if (task.interval) {
+      task.elapsed += delta;
+      if (task.elapsed < task.interval) return;
+      task.elapsed -= task.interval;
+    }
+
+    const started = performance.now();
+    let result;
+
+    try {
+      result = task.callback(delta, timestamp);
+    } catch (error) {
+      console.error(`❌ Frame task "${task.name}" failed:`, error);
+      result = false;
+    }
+
+    const cost = performance.now() - started;
+    task.runs++;
+    task.totalCost += cost;
+    task.costs.push(cost);
+    if (task.costs.length > STATS_WINDOW) task.costs.shift();
+    if (cost > task.budget) task.overruns++;
+
+    if (result === false) {
+      this.remove(task.name, task);
+    }
+  }
+
+  // Stats
+  recordFrame(timestamp, cost, deferred) {
+    if (this.lastTimestamp !== null) {
+      this.frameTimes.push(timestamp - this.lastTimestamp);
+      if (this.frameTimes.length > STATS_WINDOW) this.frameTimes.shift();
+    }
+    this.lastTimestamp = timestamp;
+
+    this.workTimes.push(cost);
+    if (this.workTimes.length > STATS_WINDOW) this.workTimes.shift();
+
+    this.frames++;
+    this.deferred += deferred;
+  }
+
+  resetStats() {
+    this.frameTimes = [];
+    this.workTimes = [];
+    this.frames = 0;
+    this.deferred = 0;
+  }
+
+  /**
+   * Snapshot of recent performance: frame rate and frame times over the
+   * last STATS_WINDOW frames, plus per-task cost. `frameTimes` and each
+   * task's `costs` hold the raw samples, oldest first, for graphing.
+   */
+  getStats() {
+    const average = values => values.length
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : 0;
+    const frameTime = average(this.frameTimes);
+
+    return {
+      fps: frameTime ? 1000 / frameTime : 0,
+      frameTime,
+      maxFrameTime: this.frameTimes.length ? Math.max(...this.frameTimes) : 0,
+      workTime: average(this.workTimes),
+      frameTimes: [...this.frameTimes],
+      frames: this.frames,
+      deferred: this.deferred,
+      isPaused: this.isPaused,
+      tasks: [...this.tasks.values()].map(task => ({
+        name: task.name,
+        priority: task.priority,
+        runs: task.runs,
+        averageCost: task.runs ? task.totalCost / task.runs : 0,
+        overruns: task.overruns,
+        costs: [...task.costs]
+      }))
+    };
+  }
+}
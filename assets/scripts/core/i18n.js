@@ -0,0 +1,318 @@
+/**
+ * I18N
+ * Translates the interface. Messages live in one catalog per locale
+ * (assets/scripts/locales/) written in ICU MessageFormat, see
+ * utils/message-format.js. English is always loaded and stands in for any
+ * key a catalog lacks; the other catalogs are fetched when first used.
+ *
+ * The reader's locale is kept in application state next to the other
+ * preferences. When it changes, <html> gets the new `lang` and `dir`, markup
+ * carrying data-i18n attributes is translated, and LOCALE_CHANGED tells
+ * modules to re-render their own text.
+ *
+ * Markup hooks, for text that is in the page before any module runs:
+ *
+ *   data-i18n="key"                  - replaces the element's text
+ *   data-i18n-values='{"count":1}'   - values for that message, as JSON
+ *   data-i18n-aria-label="key"       - likewise `title` and `placeholder`
+ *   <time datetime="2025" data-i18n-date>
+ *                                    - a year, month ("2025-03") or day
+ *                                      ("2025-03-14") in the locale's format
+ *   <data value="1200000" data-i18n-number='{"notation":"compact"}'>
+ *                                    - a number, with optional
+ *                                      Intl.NumberFormat options as JSON
+ */
+
+import { APP_EVENTS } from './event-bus.js';
+import { Disposables } from './disposables.js';
+import { compileMessage } from '../utils/message-format.js';
+import { MESSAGES as ENGLISH } from '../locales/en.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Each locale's own name for itself, as shown in the language switcher
+export const LOCALES = Object.freeze({
+  en: 'English',
+  de: 'Deutsch',
+  ja: '日本語',
+  nl: 'Nederlands'
+});
+
+const CATALOG_LOADERS = {
+  en: () => Promise.resolve({ MESSAGES: ENGLISH }),
+  de: () => import('../locales/de.js'),
+  ja: () => import('../locales/ja.js'),
+  nl: () => import('../locales/nl.js')
+};
+
+const TRANSLATED_ATTRIBUTES = ['aria-label', 'title', 'placeholder'];
+
+// Scripts written right to left, for engines without Intl.Locale#textInfo
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+/**
+ * The first supported locale among the reader's preferred languages,
+ * matching on the language alone ("de-AT" picks "de").
+ *
+ * @param {readonly string[]} [requested]
+ * @returns {string}
+ */
+export function negotiateLocale(requested = globalThis.navigator?.languages || []) {
+  const match = requested
+    .map(tag => tag.toLowerCase().split('-')[0])
+    .find(language => Object.hasOwn(LOCALES, language));
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * @param {string} locale
+ * @returns {'ltr'|'rtl'}
+ */
+export function localeDirection(locale) {
+  try {
+    const info = new Intl.Locale(locale);
+    const textInfo = info.getTextInfo?.() || info.textInfo;
+    if (textInfo?.direction) return textInfo.direction;
+  } catch {
+    // Fall through to the language list
+  }
+  return RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+// Elements matching `selector` in `root`, including `root` itself
+function select(root, selector) {
+  const matches = [...root.querySelectorAll(selector)];
+  return root.matches?.(selector) ? [root, ...matches] : matches;
+}
+
+// A JSON data attribute such as data-i18n-values, {} when absent or invalid
+function readJSON(element, name) {
+  const value = element.dataset[name];
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const attribute = `data-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    console.error(`❌ Invalid ${attribute} on <${element.localName}>:`, error.message);
+    return {};
+  }
+}
+
+// Formatting options for a <time> by how precise its datetime is
+function dateOptions(datetime) {
+  if (/^\d{4}$/.test(datetime)) return { year: 'numeric' };
+  if (/^\d{4}-\d{2}$/.test(datetime)) return { year: 'numeric', month: 'long' };
+  return { dateStyle: 'long' };
+}
+
+export class I18n {
+  constructor(app) {
+    this.app = app;
+    this.disposables = new Disposables();
+    this.catalogs = new Map([[DEFAULT_LOCALE, ENGLISH]]);
+    this.messages = new Map();
+    this.formats = new Map();
+    this.missing = new Set();
+    this.current = DEFAULT_LOCALE;
+  }
+
+  /**
+   * Load the catalog for the locale in state, so modules render in it from
+   * the start. Called before modules are initialized.
+   */
+  async ready() {
+    const { locale } = this.app.state;
+    try {
+      await this.load(locale);
+      this.current = locale;
+    } catch (error) {
+      console.error(`❌ Could not load the "${locale}" catalog:`, error);
+    }
+  }
+
+  mount() {
+    this.disposables.add(this.app.subscribe(
+      state => state.locale,
+      locale => this.activate(locale)
+    ));
+    this.render();
+  }
+
+  destroy() {
+    this.disposables.dispose();
+  }
+
+  get locale() {
+    return this.current;
+  }
+
+  /**
+   * Switch the interface to another locale, loading its catalog first.
+   * Resolves once the page has been re-rendered.
+   */
+  async setLocale(locale) {
+    if (!Object.hasOwn(LOCALES, locale)) {
+      throw new Error(`Unknown locale "${locale}"`);
+    }
+    await this.load(locale);
+    this.app.setState({ locale });
+  }
+
+  /**
+   * Call `callback(locale, previousLocale)` whenever the locale changes.
+   * Returns an unsubscribe function.
+   */
+  onChange(callback, { immediate = false } = {}) {
+    const unsubscribe = this.app.on(APP_EVENTS.LOCALE_CHANGED, ({ locale, previousLocale }) => {
+      callback(locale, previousLocale);
+    });
+    if (immediate) callback(this.current, undefined);
+    return unsubscribe;
+  }
+
+  async load(locale) {
+    if (this.catalogs.has(locale)) return this.catalogs.get(locale);
+
+    const loader = CATALOG_LOADERS[locale];
+    if (!loader) throw new Error(`Unknown locale "${locale}"`);
+
+    const { MESSAGES } = await loader();
+    this.catalogs.set(locale, MESSAGES);
+    return MESSAGES;
+  }
+
+  activate(locale) {
+    if (this.catalogs.has(locale)) {
+      this.switchTo(locale);
+      return;
+    }
+
+    this.load(locale).then(
+      () => {
+        // A later change may have overtaken this one while it loaded
+        if (this.app.state.locale === locale) this.switchTo(locale);
+      },
+      error => console.error(`❌ Could not load the "${locale}" catalog:`, error)
+    );
+  }
+
+  switchTo(locale) {
+    if (locale === this.current) return;
+
+    const previousLocale = this.current;
+    this.current = locale;
+    this.render();
+    this.app.emit(APP_EVENTS.LOCALE_CHANGED, { locale, previousLocale });
+  }
+
+  // Translation
+  /**
+   * @param {string} key - Message key, e.g. "nav.menuOpened"
+   * @param {Object} [values] - Values for the message's arguments
+   * @returns {string} The message in the current locale, in English when
+   *   the catalog lacks it, or the key itself when no catalog has it
+   */
+  t(key, values) {
+    const format = this.message(this.current, key) || this.message(DEFAULT_LOCALE, key);
+
+    if (!format) {
+      if (!this.missing.has(key)) {
+        this.missing.add(key);
+        console.warn(`⚠️ Missing message "${key}"`);
+      }
+      return key;
+    }
+    return format(values);
+  }
+
+  has(key) {
+    return Object.hasOwn(this.catalogs.get(this.current) || {}, key) || Object.hasOwn(ENGLISH, key);
+  }
+
+  message(locale, key) {
+    const catalog = this.catalogs.get(locale);
+    if (!catalog || !Object.hasOwn(catalog, key)) return null;
+
+    const id = `${locale}:${key}`;
+    if (!this.messages.has(id)) {
+      let format = null;
+      try {
+        format = compileMessage(catalog[key], locale);
+      } catch (error) {
+        console.error(`❌ Invalid message "${key}" in the ${locale} catalog - ${error.message}`);
+      }
+      this.messages.set(id, format);
+    }
+    return this.messages.get(id);
+  }
+
+  // Formatting
+  formatNumber(value, options = {}) {
+    return this.formatter(Intl.NumberFormat, options).format(value);
+  }
+
+  formatDate(date, options = {}) {
+    return this.formatter(Intl.DateTimeFormat, options).format(date);
+  }
+
+  /**
+   * A calendar year, e.g. "1927" or "1927年". Years before the common era
+   * are negative and shown as such, e.g. "8 BCE".
+   */
+  formatYear(year) {
+    if (year < 0) return this.t('date.yearBce', { year: String(-year) });
+
+    const date = new Date(Date.UTC(2000, 0, 1));
+    date.setUTCFullYear(year);
+    return this.formatDate(date, { year: 'numeric', timeZone: 'UTC' });
+  }
+
+  formatList(items, options = {}) {
+    return this.formatter(Intl.ListFormat, options).format(items);
+  }
+
+  // Formatters are costly to create, so one is kept per locale and options
+  formatter(Format, options) {
+    const id = `${Format.name}:${this.current}:${JSON.stringify(options)}`;
+    if (!this.formats.has(id)) {
+      this.formats.set(id, new Format(this.current, options));
+    }
+    return this.formats.get(id);
+  }
+
+  // Markup
+  render(root = document) {
+    if (root === document) {
+      document.documentElement.lang = this.current;
+      document.documentElement.dir = localeDirection(this.current);
+    }
+    this.translate(root);
+  }
+
+  /**
+   * Apply the current locale to markup inside `root` that carries data-i18n
+   * attributes. Modules call this for templates they insert themselves.
+   */
+  translate(root) {
+    select(root, '[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n, readJSON(element, 'i18nValues'));
+    });
+
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+      select(root, `[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+
+    select(root, 'time[datetime][data-i18n-date]').forEach(element => {
+      const { dateTime } = element;
+      const [year, month = 1, day = 1] = dateTime.split('-').map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      element.textContent = this.formatDate(date, { ...dateOptions(dateTime), timeZone: 'UTC' });
+    });
+
+    select(root, 'data[value][data-i18n-number]').forEach(element => {
+      element.textContent = this.formatNumber(Number(element.value), readJSON(element, 'i18nNumber'));
+    });
+  }
+}
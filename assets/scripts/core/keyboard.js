@@ -0,0 +1,70 @@
+/**
+ * KEYBOARD SHORTCUTS
+ * Parses chords such as 'Alt+Shift+D' or 'Mod+K' and matches them against
+ * keydown events. 'Mod' is Cmd on Apple platforms and Ctrl everywhere else.
+ */
+
+const IS_APPLE = /Mac|iPhone|iPad|iPod/.test(
+  typeof navigator === 'undefined' ? '' : navigator.platform || navigator.userAgent
+);
+
+export function parseChord(chord) {
+  const parts = chord.split('+').map(part => part.trim());
+  const key = parts.pop();
+  const modifiers = new Set(parts.map(part => part.toLowerCase()));
+  const mod = modifiers.has('mod');
+
+  return {
+    key: key.toLowerCase(),
+    ctrlKey: modifiers.has('ctrl') || (mod && !IS_APPLE),
+    metaKey: modifiers.has('meta') || modifiers.has('cmd') || (mod && IS_APPLE),
+    altKey: modifiers.has('alt'),
+    shiftKey: modifiers.has('shift')
+  };
+}
+
+// A printed symbol such as '/' or '?', which some layouts only reach with Shift
+function isSymbol(key) {
+  return /^[^\p{L}\p{N}\s]$/u.test(key);
+}
+
+export function matchesChord(event, chord) {
+  const parsed = typeof chord === 'string' ? parseChord(chord) : chord;
+
+  // For symbols the key itself says what was typed, so Shift is ignored:
+  // '/' is Shift+7 on a German keyboard
+  const modifiers = isSymbol(parsed.key)
+    ? ['ctrlKey', 'metaKey', 'altKey']
+    : ['ctrlKey', 'metaKey', 'altKey', 'shiftKey'];
+  const modifiersMatch = modifiers.every(modifier => Boolean(event[modifier]) === parsed[modifier]);
+
+  if (!modifiersMatch) return false;
+
+  // Alt changes the produced character on some layouts, so fall back to the physical key
+  return event.key?.toLowerCase() === parsed.key
+    || (parsed.key.length === 1 && event.code === `Key${parsed.key.toUpperCase()}`);
+}
+
+// Human-readable form for hints and tooltips, e.g. '⌘K' or 'Ctrl+K'
+export function formatChord(chord) {
+  const parsed = parseChord(chord);
+  const key = parsed.key.length === 1 ? parsed.key.toUpperCase() : parsed.key;
+
+  if (IS_APPLE) {
+    return [
+      parsed.ctrlKey && '⌃',
+      parsed.altKey && '⌥',
+      parsed.shiftKey && '⇧',
+      parsed.metaKey && '⌘',
+      key
+    ].filter(Boolean).join('');
+  }
+
+  return [
+    parsed.ctrlKey && 'Ctrl',
+    parsed.metaKey && 'Meta',
+    parsed.altKey && 'Alt',
+    parsed.shiftKey && 'Shift',
+    key
+  ].filter(Boolean).join('+');
+}
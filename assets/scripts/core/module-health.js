@@ -0,0 +1,66 @@
+/**
+ * MODULE HEALTH
+ * Status registry recording whether each module is running normally,
+ * running with reduced functionality, or has failed entirely
+ */
+
+export const MODULE_STATUS = Object.freeze({
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  FAILED: 'failed'
+});
+
+export class ModuleHealth {
+  /**
+   * @param {(record: Object, previous: Object|undefined) => void} onChange
+   *   Called whenever a module's status changes, or when a degraded/failed
+   *   module reports a new reason.
+   */
+  constructor(onChange = () => {}) {
+    this.records = new Map();
+    this.onChange = onChange;
+  }
+
+  set(name, status, { phase = null, error = null, reason = '' } = {}) {
+    const previous = this.records.get(name);
+    const record = Object.freeze({
+      name,
+      status,
+      phase,
+      reason: reason || error?.message || '',
+      error,
+      timestamp: Date.now()
+    });
+
+    this.records.set(name, record);
+
+    if (previous?.status !== status || status !== MODULE_STATUS.OK) {
+      this.onChange(record, previous);
+    }
+
+    return record;
+  }
+
+  get(name) {
+    return this.records.get(name);
+  }
+
+  isFailed(name) {
+    return this.records.get(name)?.status === MODULE_STATUS.FAILED;
+  }
+
+  /**
+   * Plain summary keyed by module name, e.g. for diagnostics or reporting.
+   */
+  toJSON() {
+    const summary = {};
+    this.records.forEach(({ status, phase, reason, timestamp }, name) => {
+      summary[name] = { status, phase, reason, timestamp };
+    });
+    return summary;
+  }
+
+  clear() {
+    this.records.clear();
+  }
+}
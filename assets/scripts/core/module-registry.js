@@ -0,0 +1,155 @@
+/**
+ * MODULE REGISTRY
+ * Keeps track of registered modules, resolves their dependency order and
+ * loads lazy modules on demand
+ */
+
+import { matchesChord } from './keyboard.js';
+
+export class ModuleRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} name
+   * @param {Function} source - Module class, or for lazy modules a loader
+   *   returning a promise of the class (or of an ES module exporting it as default)
+   * @param {Object} [options]
+   * @param {string[]} [options.dependsOn] - Modules that must be loaded first
+   * @param {boolean} [options.lazy] - Load on demand instead of at startup
+   * @param {(app: Object) => Promise} [options.when] - For lazy modules, resolves when the module should load
+   * @param {{ selector: string, message?: string }} [options.fallback] - Where to tell the reader
+   *   that the feature is unavailable if the module fails; `message` is a message catalog key
+   */
+  register(name, source, { dependsOn = [], lazy = false, when = null, fallback = null } = {}) {
+    if (this.entries.has(name)) {
+      throw new Error(`Module "${name}" is already registered`);
+    }
+    if (typeof source !== 'function') {
+      throw new TypeError(`Module "${name}" must be registered with a class or a loader function`);
+    }
+
+    const entry = { name, source, dependsOn, lazy, when, fallback };
+    this.entries.set(name, entry);
+    return entry;
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`Module "${name}" is not registered`);
+    }
+    return entry;
+  }
+
+  eagerNames() {
+    return [...this.entries.values()].filter(entry => !entry.lazy).map(entry => entry.name);
+  }
+
+  lazyEntries() {
+    return [...this.entries.values()].filter(entry => entry.lazy);
+  }
+
+  /**
+   * Order the given modules (and everything they depend on) so that every
+   * module comes after its dependencies. Registration order is kept for
+   * modules that do not depend on each other.
+   */
+  resolveOrder(names) {
+    const ordered = [];
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = (name) => {
+      if (visited.has(name)) return;
+
+      if (visiting.includes(name)) {
+        const cycle = [...visiting.slice(visiting.indexOf(name)), name].join(' → ');
+        throw new Error(`Circular module dependency: ${cycle}`);
+      }
+
+      const entry = this.get(name);
+      visiting.push(name);
+      entry.dependsOn.forEach(dependency => {
+        if (!this.entries.has(dependency)) {
+          throw new Error(`Module "${name}" depends on unregistered module "${dependency}"`);
+        }
+        visit(dependency);
+      });
+      visiting.pop();
+
+      visited.add(name);
+      ordered.push(name);
+    };
+
+    names.forEach(visit);
+    return ordered;
+  }
+
+  /**
+   * Resolve the module class for an entry, running the loader for lazy modules.
+   */
+  async resolveClass(name) {
+    const { source, lazy } = this.get(name);
+    if (!lazy) return source;
+
+    const loaded = await source();
+    const ModuleClass = typeof loaded === 'function' ? loaded : loaded?.default;
+
+    if (typeof ModuleClass !== 'function') {
+      throw new TypeError(`Loader for module "${name}" did not provide a module class`);
+    }
+    return ModuleClass;
+  }
+}
+
+/**
+ * `when` condition that resolves once an element matching `selector`
+ * comes within `rootMargin` of the viewport.
+ */
+export function whenNearViewport(selector, rootMargin = '200px') {
+  return (app) => new Promise(resolve => {
+    const target = document.querySelector(selector);
+    if (!target || !('IntersectionObserver' in window)) {
+      resolve();
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        resolve();
+      }
+    }, { rootMargin });
+
+    observer.observe(target);
+    app.disposables.observe(observer);
+  });
+}
+
+/**
+ * `when` condition for opt-in tools: resolves straight away when the
+ * (optional) query parameter is set to 1, otherwise on the first press of the
+ * key chord.
+ */
+export function whenRequested({ param, chord }) {
+  return (app) => new Promise(resolve => {
+    if (param && new URLSearchParams(window.location.search).get(param) === '1') {
+      resolve();
+      return;
+    }
+
+    const stopListening = app.disposables.listen(document, 'keydown', (event) => {
+      if (!matchesChord(event, chord)) return;
+
+      event.preventDefault();
+      stopListening();
+      resolve();
+    });
+  });
+}
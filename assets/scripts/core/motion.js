@@ -0,0 +1,101 @@
+/**
+ * MOTION MANAGER
+ * Single source of truth for whether animations should run. Combines the
+ * `prefers-reduced-motion` media query with the reader's own override, which
+ * is stored in application state alongside the other preferences.
+ */
+
+import { Disposables } from './disposables.js';
+
+export const MOTION_PREFERENCES = Object.freeze(['system', 'reduce', 'full']);
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * State selector resolving the effective setting: true when animation
+ * producers should fall back to static or instant rendering.
+ */
+export function selectReducedMotion(state) {
+  if (state.motionPreference === 'reduce') return true;
+  if (state.motionPreference === 'full') return false;
+  return Boolean(state.systemReducedMotion);
+}
+
+export class MotionManager {
+  constructor(app) {
+    this.app = app;
+    this.disposables = new Disposables();
+  }
+
+  mount() {
+    const media = window.matchMedia?.(REDUCED_MOTION_QUERY);
+
+    if (media) {
+      const sync = () => this.app.setState({ systemReducedMotion: media.matches });
+      sync();
+
+      // Follow OS-level changes while the page is open
+      if (media.addEventListener) {
+        this.disposables.listen(media, 'change', sync);
+      } else {
+        media.addListener(sync);
+        this.disposables.add(() => media.removeListener(sync));
+      }
+    }
+
+    // Let CSS honour the user override as well as the media query
+    this.disposables.add(this.app.subscribe(
+      state => state.motionPreference,
+      preference => document.documentElement.classList.toggle('motion-full', preference === 'full'),
+      { immediate: true }
+    ));
+    this.disposables.add(this.onChange(
+      isReduced => document.documentElement.classList.toggle('motion-reduced', isReduced),
+      { immediate: true }
+    ));
+  }
+
+  destroy() {
+    this.disposables.dispose();
+    document.documentElement.classList.remove('motion-full', 'motion-reduced');
+  }
+
+  get isReduced() {
+    return selectReducedMotion(this.app.state);
+  }
+
+  setPreference(preference) {
+    if (!MOTION_PREFERENCES.includes(preference)) {
+      throw new Error(`Unknown motion preference "${preference}"`);
+    }
+    this.app.setState({ motionPreference: preference });
+  }
+
+  /**
+   * Flip the effective setting. An override that would match the system
+   * setting is dropped instead, so a second click goes back to following
+   * the system.
+   */
+  toggle() {
+    const preference = this.isReduced ? 'full' : 'reduce';
+    const systemReduced = Boolean(this.app.state.systemReducedMotion);
+    this.setPreference(systemReduced === (preference === 'reduce') ? 'system' : preference);
+  }
+
+  /**
+   * Call `callback(isReduced)` whenever the effective setting changes.
+   * Returns an unsubscribe function.
+   */
+  onChange(callback, options) {
+    return this.app.subscribe(selectReducedMotion, callback, options);
+  }
+
+  // Budget helpers for animation producers
+  duration(milliseconds) {
+    return this.isReduced ? 0 : milliseconds;
+  }
+
+  scrollBehavior() {
+    return this.isReduced ? 'auto' : 'smooth';
+  }
+}
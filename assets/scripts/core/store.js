@@ -0,0 +1,147 @@
+/**
+ * STATE STORE
+ * Observable application state with change diffing and optional
+ * persistence of selected keys to localStorage and the URL
+ */
+
+const DEFAULT_STORAGE_KEY = 'robosexuality:state';
+
+export class Store {
+  /**
+   * @param {Object} initialState
+   * @param {Object} [options]
+   * @param {Array<{ key: string, param?: string, storage?: boolean, validate?: (value: any) => boolean }>} [options.persist]
+   *   Keys to persist. Entries are written to localStorage unless `storage`
+   *   is false; entries with a `param` are also mirrored to that URL query
+   *   parameter.
+   * @param {string} [options.storageKey]
+   */
+  constructor(initialState = {}, { persist = [], storageKey = DEFAULT_STORAGE_KEY } = {}) {
+    this.persist = persist;
+    this.storageKey = storageKey;
+    this.subscribers = new Set();
+    this.defaults = Object.freeze({ ...initialState });
+    this.state = Object.freeze({ ...initialState, ...this.readPersisted() });
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Merge a partial state (or the result of an updater function) into the
+   * current state. Subscribers are only notified when a value actually changed.
+   */
+  setState(partial) {
+    const next = typeof partial === 'function' ? partial(this.state) : partial;
+    const changedKeys = Object.keys(next).filter(key => !Object.is(this.state[key], next[key]));
+
+    if (!changedKeys.length) return;
+
+    const previous = this.state;
+    this.state = Object.freeze({ ...previous, ...next });
+
+    if (this.persist.some(entry => changedKeys.includes(entry.key))) {
+      this.writePersisted();
+    }
+
+    this.subscribers.forEach(subscriber => subscriber.check(previous));
+  }
+
+  /**
+   * Call `callback(selected, previousSelected, state)` whenever the value
+   * returned by `selector` changes. With `immediate`, the callback also runs
+   * once right away so the caller can render from the current state.
+   */
+  subscribe(selector, callback, { immediate = false, equals = Object.is } = {}) {
+    let current = selector(this.state);
+
+    const notify = (selected, previous) => {
+      try {
+        callback(selected, previous, this.state);
+      } catch (error) {
+        console.error('❌ State subscriber failed:', error);
+      }
+    };
+
+    const subscriber = {
+      check: () => {
+        const selected = selector(this.state);
+        if (equals(selected, current)) return;
+
+        const previous = current;
+        current = selected;
+        notify(selected, previous);
+      }
+    };
+
+    this.subscribers.add(subscriber);
+
+    if (immediate) {
+      notify(current, undefined);
+    }
+
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  // Persistence
+  readPersisted() {
+    const restored = {};
+    const stored = this.readStorage();
+    const params = new URLSearchParams(window.location.search);
+
+    this.persist.forEach(({ key, param, storage = true, validate }) => {
+      // A shared URL wins over what this browser remembered
+      const candidates = [
+        param ? params.get(param) : null,
+        storage ? stored[key] : null
+      ];
+
+      const value = candidates.find(candidate =>
+        candidate !== null && candidate !== undefined && (!validate || validate(candidate))
+      );
+
+      if (value !== undefined) {
+        restored[key] = value;
+      }
+    });
+
+    return restored;
+  }
+
+  writePersisted() {
+    const snapshot = {};
+    const url = new URL(window.location.href);
+
+    this.persist.forEach(({ key, param, storage = true }) => {
+      if (storage) snapshot[key] = this.state[key];
+      if (!param) return;
+
+      // Keep shared links short by leaving default values out of the URL
+      if (Object.is(this.state[key], this.defaults[key])) {
+        url.searchParams.delete(param);
+      } else {
+        url.searchParams.set(param, this.state[key]);
+      }
+    });
+
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+    } catch (error) {
+      // Storage can be full or disabled (private mode); the URL still carries the state
+      console.warn('Unable to persist state:', error);
+    }
+
+    if (url.href !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  readStorage() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * CITATIONS DATASET
+ * Every source the site refers to. Timeline entries and stories list the
+ * ids of their citations; static content points at one with a
+ * `data-cite="<id>"` attribute. CitationsModule numbers them in page order,
+ * builds the References section and exports records as BibTeX, RIS or
+ * CSL-JSON. Each record is checked against CITATION_SCHEMA on load.
+ *
+ * Fields (named after CSL-JSON, so exports stay lossless):
+ *   id        - unique slug; the reference is linkable as #ref-<id>
+ *   type      - "article-journal", "article-magazine", "article-newspaper",
+ *               "book", "broadcast", "motion_picture", "report" or "webpage"
+ *   title     - title of the work; a description in [square brackets]
+ *               marks a source whose exact title has not been recorded yet.
+ *               Such a record is listed on the page but never exported
+ *   authors   - optional [{ family, given? }] for people or
+ *               [{ literal }] for organisations and single names
+ *   container - optional journal, newspaper, magazine or series
+ *   publisher - optional publisher, studio or institution
+ *   issued    - optional { year, month?, day? }
+ *   url       - optional link to the work
+ *   doi       - optional DOI without the https://doi.org/ prefix
+ *
+ * The data is plain JSON (double-quoted keys and strings, no comments or
+ * code) so it can be moved to a .json file unchanged.
+ */
+
+export const CITATIONS = [
+  {
+    "id": "ovid-metamorphoses",
+    "type": "book",
+    "title": "Metamorphoses, Book X",
+    "authors": [{ "literal": "Ovid" }],
+    "issued": { "year": 8 }
+  },
+  {
+    "id": "hoffmann-der-sandmann",
+    "type": "book",
+    "title": "Der Sandmann",
+    "authors": [{ "family": "Hoffmann", "given": "E. T. A." }],
+    "issued": { "year": 1816 }
+  },
+  {
+    "id": "lang-metropolis",
+    "type": "motion_picture",
+    "title": "Metropolis",
+    "authors": [{ "family": "Lang", "given": "Fritz" }],
+    "publisher": "UFA",
+    "issued": { "year": 1927 }
+  },
+  {
+    "id": "futurama-i-dated-a-robot",
+    "type": "broadcast",
+    "title": "I Dated a Robot",
+    "authors": [{ "family": "Groening", "given": "Matt" }],
+    "container": "Futurama",
+    "publisher": "Fox",
+    "issued": { "year": 2001 }
+  },
+  {
+    "id": "guardian-kondo-2018",
+    "type": "article-newspaper",
+    "title": "[Report on Akihiko Kondo's wedding to Hatsune Miku]",
+    "container": "The Guardian",
+    "issued": { "year": 2018 }
+  },
+  {
+    "id": "bbc-kondo-2018",
+    "type": "article-newspaper",
+    "title": "[Report on Akihiko Kondo's wedding to Hatsune Miku]",
+    "container": "BBC News",
+    "issued": { "year": 2018 }
+  },
+  {
+    "id": "nypost-ramos-2023",
+    "type": "article-newspaper",
+    "title": "[Report on Rosanna Ramos's marriage to a Replika chatbot]",
+    "container": "New York Post",
+    "issued": { "year": 2023 }
+  },
+  {
+    "id": "replika-company",
+    "type": "webpage",
+    "title": "[Company statements on the Replika user base]",
+    "authors": [{ "literal": "Replika Inc." }]
+  },
+  {
+    "id": "replika-testimonials",
+    "type": "webpage",
+    "title": "[Replika user testimonials]",
+    "publisher": "Replika Inc."
+  },
+  {
+    "id": "nyt-chatgpt-romance",
+    "type": "article-newspaper",
+    "title": "She Is in Love With ChatGPT",
+    "authors": [{ "family": "Hill", "given": "Kashmir" }],
+    "container": "The New York Times",
+    "issued": { "year": 2025, "month": 1, "day": 15 }
+  },
+  {
+    "id": "ishiguro-android-research",
+    "type": "article-journal",
+    "title": "The uncanny advantage of using androids in cognitive and social science research",
+    "authors": [
+      { "family": "MacDorman", "given": "Karl F." },
+      { "family": "Ishiguro", "given": "Hiroshi" }
+    ],
+    "container": "Interaction Studies",
+    "publisher": "John Benjamins",
+    "issued": { "year": 2006 }
+  },
+  {
+    "id": "ieee-spectrum-ishiguro",
+    "type": "article-magazine",
+    "title": "Hiroshi Ishiguro: The Man Who Made a Copy of Himself",
+    "authors": [{ "family": "Guizzo", "given": "Erico" }],
+    "container": "IEEE Spectrum",
+    "issued": { "year": 2010, "month": 4 }
+  },
+  {
+    "id": "realdoll",
+    "type": "webpage",
+    "title": "RealDoll",
+    "publisher": "Abyss Creations",
+    "url": "https://www.realdoll.com/"
+  },
+  {
+    "id": "mori-uncanny-valley",
+    "type": "article-magazine",
+    "title": "The Uncanny Valley",
+    "authors": [
+      { "family": "Mori", "given": "Masahiro" },
+      { "family": "MacDorman", "given": "Karl F." },
+      { "family": "Kageki", "given": "Norri" }
+    ],
+    "container": "IEEE Robotics & Automation Magazine",
+    "publisher": "IEEE",
+    "issued": { "year": 2012, "month": 6 },
+    "doi": "10.1109/MRA.2012.2192811"
+  },
+  {
+    "id": "legal-recognition-commentary",
+    "type": "article-journal",
+    "title": "[Commentary on the legal recognition of human-AI marriages]",
+    "container": "European legal journals",
+    "issued": { "year": 2023 }
+  },
+  {
+    "id": "archives-sexual-behavior-2017",
+    "type": "article-journal",
+    "title": "[Study of sexist attitudes and interest in sex robots]",
+    "container": "Archives of Sexual Behavior",
+    "issued": { "year": 2017 }
+  },
+  {
+    "id": "jmir-therapeutic-2022",
+    "type": "article-journal",
+    "title": "[Study of therapeutic uses of companion technology]",
+    "container": "Journal of Medical Internet Research",
+    "issued": { "year": 2022 }
+  },
+  {
+    "id": "apa-social-connection-2023",
+    "type": "report",
+    "title": "[Report on companion technology and social isolation]",
+    "authors": [{ "literal": "American Psychological Association" }],
+    "issued": { "year": 2023 }
+  }
+];
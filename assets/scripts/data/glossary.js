@@ -0,0 +1,57 @@
+/**
+ * GLOSSARY DATASET
+ * Terms defined in the Glossary section. GlossaryModule links the first
+ * use of each term in the configured sections to its entry and shows the
+ * definition in a popover. Each entry is checked against
+ * GLOSSARY_ENTRY_SCHEMA on load; an invalid entry is left out and the
+ * console says which field is wrong.
+ *
+ * Fields:
+ *   id         - unique slug; the entry is linkable as #glossary-<id>
+ *   term       - the term as listed in the glossary
+ *   aliases    - optional other forms matched in the text, e.g. plurals
+ *   matchCase  - optional; only match the exact capitalisation given
+ *   definition - one or two sentences of plain text
+ *   citations  - optional ids of the records in data/citations.js the
+ *                definition draws on
+ *
+ * The data is plain JSON (double-quoted keys and strings, no comments or
+ * code) so it can be moved to a .json file unchanged.
+ */
+
+export const GLOSSARY_ENTRIES = [
+  {
+    "id": "automata",
+    "term": "Automata",
+    "aliases": ["automaton", "automatons"],
+    "definition": "Self-operating machines, usually driven by clockwork, built to imitate the movements of people or animals. E. T. A. Hoffmann's Der Sandmann imagines a young man falling in love with one.",
+    "citations": ["hoffmann-der-sandmann"]
+  },
+  {
+    "id": "pygmalion",
+    "term": "Pygmalion",
+    "matchCase": true,
+    "definition": "In Ovid's Metamorphoses, a sculptor who falls in love with the ivory statue he has carved, which Venus brings to life. Later retellings name the statue Galatea.",
+    "citations": ["ovid-metamorphoses"]
+  },
+  {
+    "id": "replika",
+    "term": "Replika",
+    "matchCase": true,
+    "definition": "A companion chatbot app from Luka, Inc. Users can set their Replika's role, from friend to romantic partner.",
+    "citations": ["replika-company"]
+  },
+  {
+    "id": "robosexuality",
+    "term": "Robosexuality",
+    "aliases": ["robosexual", "robosexuals"],
+    "definition": "Romantic or sexual attraction to robots, androids or artificial intelligence. The term was popularised by the 2001 Futurama episode \"I Dated a Robot\".",
+    "citations": ["futurama-i-dated-a-robot"]
+  },
+  {
+    "id": "uncanny-valley",
+    "term": "Uncanny valley",
+    "definition": "Masahiro Mori's hypothesis that people warm to robots as they look more human, until a near-human likeness turns that affinity into unease.",
+    "citations": ["mori-uncanny-valley"]
+  }
+];
@@ -0,0 +1,102 @@
+/**
+ * STORIES DATASET
+ * Case studies for the Real Stories section, rendered and filtered by
+ * StoriesModule. Each entry is checked against STORY_ENTRY_SCHEMA on load; an
+ * invalid entry is left out and the console says which field is wrong.
+ *
+ * Fields:
+ *   id         - unique slug; the card is linkable as #story-<id>
+ *   title      - heading shown on the card
+ *   location   - place as shown on the card, e.g. "Bronx, NY"
+ *   region     - country or "Global", used by the region filter
+ *   date       - { start, end?, ongoing?, label? } in whole years; `ongoing`
+ *                means the case continues to the present
+ *   technology - "hologram", "chatbot", "android" or "mixed"
+ *   sourceType - "news", "company" or "academic"
+ *   citations  - ids of the records in data/citations.js reporting the case
+ *   body       - paragraphs of plain text
+ *
+ * The data is plain JSON (double-quoted keys and strings, no comments or
+ * code) so it can be moved to a .json file unchanged.
+ */
+
+export const STORY_ENTRIES = [
+  {
+    "id": "akihiko-kondo",
+    "title": "Akihiko Kondo",
+    "location": "Japan",
+    "region": "Japan",
+    "date": { "start": 2018 },
+    "technology": "hologram",
+    "sourceType": "news",
+    "citations": ["guardian-kondo-2018", "bbc-kondo-2018"],
+    "body": [
+      "Married hologram character Hatsune Miku in a ceremony attended by 40 guests. Kondo invested over $17,000 in his relationship with the virtual pop star, including a $1,300 wedding ceremony and ongoing monthly expenses for digital interactions."
+    ]
+  },
+  {
+    "id": "rosanna-ramos",
+    "title": "Rosanna Ramos",
+    "location": "Bronx, NY",
+    "region": "United States",
+    "date": { "start": 2023 },
+    "technology": "chatbot",
+    "sourceType": "news",
+    "citations": ["nypost-ramos-2023"],
+    "body": [
+      "Married AI chatbot Eren Kartal through the Replika app, describing their relationship as more emotionally fulfilling than previous human relationships. Ramos credits the AI with providing consistent emotional support and understanding."
+    ]
+  },
+  {
+    "id": "replika-community",
+    "title": "Replika Community",
+    "location": "Global",
+    "region": "Global",
+    "date": { "start": 2020, "ongoing": true, "label": "2020-Present" },
+    "technology": "chatbot",
+    "sourceType": "company",
+    "citations": ["replika-company", "replika-testimonials"],
+    "body": [
+      "Over 30 million users of the Replika app have formed deep emotional bonds with AI companions, with many conducting virtual marriage ceremonies and developing long-term relationships that significantly impact their daily lives and emotional well-being."
+    ]
+  },
+  {
+    "id": "chatgpt-romance",
+    "title": "ChatGPT Romance",
+    "location": "United States",
+    "region": "United States",
+    "date": { "start": 2024 },
+    "technology": "chatbot",
+    "sourceType": "news",
+    "citations": ["nyt-chatgpt-romance"],
+    "body": [
+      "A documented case of an individual developing a romantic relationship with ChatGPT \"Leo,\" using the AI as both romantic partner and therapist. This case highlights the evolving role of AI in providing emotional support and companionship."
+    ]
+  },
+  {
+    "id": "hiroshi-ishiguro",
+    "title": "Hiroshi Ishiguro",
+    "location": "Japan",
+    "region": "Japan",
+    "date": { "start": 2006, "ongoing": true, "label": "Ongoing Research" },
+    "technology": "android",
+    "sourceType": "academic",
+    "citations": ["ishiguro-android-research", "ieee-spectrum-ishiguro"],
+    "body": [
+      "Leading roboticist creates hyper-realistic androids for intimacy and companionship studies. His research explores the uncanny valley phenomenon and the psychological boundaries between human and artificial companionship in academic and therapeutic settings."
+    ]
+  },
+  {
+    "id": "legal-recognition-cases",
+    "title": "Legal Recognition Cases",
+    "location": "Netherlands",
+    "region": "Netherlands",
+    "date": { "start": 2023 },
+    "technology": "mixed",
+    "sourceType": "academic",
+    "citations": ["legal-recognition-commentary"],
+    "body": [
+      "Multiple documented attempts at legal recognition of human-AI marriages, challenging traditional concepts of marriage and raising questions about the legal standing of artificial entities in romantic and contractual relationships."
+    ]
+  }
+];
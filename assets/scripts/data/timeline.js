@@ -0,0 +1,79 @@
+/**
+ * TIMELINE DATASET
+ * Entries for the History & Lore timeline, rendered by TimelineModule.
+ * Add an era by appending an object here; no HTML changes are needed.
+ * Entries are shown in order of `date.start`, and each one is checked
+ * against TIMELINE_ENTRY_SCHEMA on load. An invalid entry is left out and
+ * the console says which field is wrong.
+ *
+ * Fields:
+ *   id        - unique slug; the item is linkable as #timeline-<id>
+ *   title     - heading shown on the card
+ *   date      - { start, end?, label? } in whole years, negative for BCE;
+ *               `label` replaces the generated "1800–1900" text
+ *   era       - broad period the entry belongs to, e.g. "Modern"
+ *   body      - paragraphs of plain text; wrap words in *asterisks* for emphasis
+ *   citations - optional ids of records in data/citations.js
+ *   tags      - optional list of short topic keywords
+ *
+ * The data is plain JSON (double-quoted keys and strings, no comments or
+ * code) so it can be moved to a .json file unchanged.
+ */
+
+export const TIMELINE_ENTRIES = [
+  {
+    "id": "pygmalion-myth",
+    "title": "Pygmalion Myth",
+    "date": { "start": -800, "end": 8, "label": "Ancient Greece" },
+    "era": "Antiquity",
+    "body": [
+      "The myth of Pygmalion tells of a sculptor who falls in love with his own creation, Galatea. This represents one of the earliest recorded instances of human attraction to artificial beings, establishing a foundational narrative that persists in modern discussions of human-machine relationships."
+    ],
+    "citations": ["ovid-metamorphoses"],
+    "tags": ["mythology", "art"]
+  },
+  {
+    "id": "mechanical-automata-era",
+    "title": "Mechanical Automata Era",
+    "date": { "start": 1800, "end": 1900 },
+    "era": "Industrial",
+    "body": [
+      "The Victorian era witnessed unprecedented fascination with mechanical automata and clockwork figures. These intricate machines laid the conceptual groundwork for human-machine romantic fantasy in literature and art, influencing works by authors like E.T.A. Hoffmann."
+    ],
+    "citations": ["hoffmann-der-sandmann"],
+    "tags": ["automata", "literature"]
+  },
+  {
+    "id": "metropolis-robot-maria",
+    "title": "Metropolis Robot Maria",
+    "date": { "start": 1927 },
+    "era": "Modern",
+    "body": [
+      "Fritz Lang's groundbreaking film *Metropolis* featured the iconic robot Maria, establishing the archetype of the seductive android in popular culture and cinema. This film profoundly influenced subsequent representations of human-robot relationships."
+    ],
+    "citations": ["lang-metropolis"],
+    "tags": ["film", "android"]
+  },
+  {
+    "id": "futurama-coinage",
+    "title": "Futurama Coinage",
+    "date": { "start": 2001 },
+    "era": "Digital",
+    "body": [
+      "The animated series *Futurama* introduced the term \"robosexual\" and explored controversial human-robot relationships through satirical yet thoughtful storytelling, bringing the concept to mainstream awareness and cultural discourse."
+    ],
+    "citations": ["futurama-i-dated-a-robot"],
+    "tags": ["television", "terminology"]
+  },
+  {
+    "id": "commercial-reality",
+    "title": "Commercial Reality",
+    "date": { "start": 2010, "end": 2020 },
+    "era": "Digital",
+    "body": [
+      "Sex robots became commercially available, marking the transition from science fiction to reality. The industry was valued at $30 billion by 2017, with companies like RealDoll and Abyss Creations leading technological advancement in humanoid companionship."
+    ],
+    "citations": ["realdoll"],
+    "tags": ["industry", "robotics"]
+  }
+];
@@ -0,0 +1,122 @@
+/**
+ * BAR CHART
+ * Small inline SVG bar charts for content cards. With several series, a
+ * bar's values are either stacked into segments or drawn side by side as a
+ * group. The chart scales with its container through its viewBox; colours
+ * come from CSS (`.chart-series--<n>`). The title and description are
+ * the chart's accessible name, so the description should carry the numbers
+ * the bars show, unless the chart is hidden next to a data table.
+ */
+
+import { svgElement, svgRoot, round } from './svg.js';
+
+// Room above the bars for their values and below for their labels
+const VALUE_SPACE = 14;
+const LABEL_SPACE = 16;
+const BAR_RATIO = 0.6;
+
+/**
+ * @param {Object} options
+ * @param {Array<{ label: string, values: number[] }>} options.data - One
+ *   entry per bar, with a value per series
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {'stacked'|'grouped'} [options.layout] - How a bar's values are drawn
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {number} [options.max] - Value of a full-height bar; defaults to the
+ *   largest total (stacked) or value (grouped)
+ * @param {(value: number) => string} [options.formatValue] - Text above each
+ *   bar (stacked) or column (grouped); return '' to leave it out
+ * @param {string} [options.className] - Extra class on the <svg>
+ * @returns {SVGSVGElement}
+ */
+export function renderBarChart({
+  data,
+  title,
+  description = '',
+  layout = 'stacked',
+  width = 240,
+  height = 120,
+  max,
+  formatValue = String,
+  className = ''
+}) {
+  const grouped = layout === 'grouped';
+  const totals = data.map(({ values }) => values.reduce((sum, value) => sum + value, 0));
+  const largest = grouped ? Math.max(...data.flatMap(({ values }) => values)) : Math.max(...totals);
+  const scaleMax = max || Math.max(largest, 1);
+  const plotHeight = height - VALUE_SPACE - LABEL_SPACE;
+  const baseline = VALUE_SPACE + plotHeight;
+  const band = width / Math.max(data.length, 1);
+  const barWidth = band * BAR_RATIO;
+  const scale = value => (Math.max(value, 0) / scaleMax) * plotHeight;
+
+  const svg = svgRoot({ className: 'bar-chart', width, height, title, description, extraClass: className });
+
+  const valueLabel = (group, value, x, top) => {
+    const text = formatValue(value);
+    if (!text) return;
+    group.appendChild(svgElement('text', {
+      class: 'bar-chart__value',
+      x: round(x),
+      y: round(top - 3),
+      'text-anchor': 'middle'
+    }, text));
+  };
+
+  data.forEach(({ label, values }, index) => {
+    const x = band * index + (band - barWidth) / 2;
+    const group = svgElement('g', { class: 'bar-chart__bar' });
+
+    if (grouped) {
+      const columnWidth = barWidth / Math.max(values.length, 1);
+      values.forEach((value, series) => {
+        const columnHeight = scale(value);
+        const columnX = x + columnWidth * series;
+        group.appendChild(svgElement('rect', {
+          class: `bar-chart__segment chart-series--${series}`,
+          x: round(columnX),
+          y: round(baseline - columnHeight),
+          width: round(columnWidth),
+          height: round(columnHeight)
+        }));
+        valueLabel(group, value, columnX + columnWidth / 2, baseline - columnHeight);
+      });
+    } else {
+      let top = baseline;
+      values.forEach((value, series) => {
+        if (value <= 0) return;
+        const segmentHeight = scale(value);
+        top -= segmentHeight;
+        group.appendChild(svgElement('rect', {
+          class: `bar-chart__segment chart-series--${series}`,
+          x: round(x),
+          y: round(top),
+          width: round(barWidth),
+          height: round(segmentHeight)
+        }));
+      });
+      valueLabel(group, totals[index], x + barWidth / 2, top);
+    }
+
+    group.appendChild(svgElement('text', {
+      class: 'bar-chart__label',
+      x: round(x + barWidth / 2),
+      y: height - 3,
+      'text-anchor': 'middle'
+    }, label));
+
+    svg.appendChild(group);
+  });
+
+  svg.appendChild(svgElement('line', {
+    class: 'bar-chart__axis',
+    x1: 0,
+    x2: width,
+    y1: baseline,
+    y2: baseline
+  }));
+
+  return svg;
+}
@@ -0,0 +1,245 @@
+/**
+ * CHARTS
+ * Draws a chart from a JSON spec, so content can carry its data and leave
+ * the drawing to code. A spec is:
+ *
+ *   type       - 'bar', 'grouped-bar', 'line' or 'forest'
+ *   title      - what the chart shows
+ *   caption    - optional note under the chart (sample, method)
+ *   category   - heading for the label column, e.g. "Group" or "Year"
+ *   measure    - heading for the value column, e.g. "Share agreeing"
+ *   unit       - optional suffix for values, e.g. "%"
+ *   decimals   - optional fraction digits shown
+ *   series     - names of the series ('grouped-bar' and 'line')
+ *   reference  - value of no effect ('forest'), default 0
+ *   interval   - name of the interval ('forest'), default "95% CI"
+ *   data       - one entry per bar, point or row:
+ *                  bar          { label, value }, value >= 0
+ *                  grouped-bar  { label, values: [one per series] }, values >= 0
+ *                  line         { label, values: [one per series] }
+ *                  forest       { label, estimate, low, high }
+ *
+ * `chartRows` gives the same data as rows for a table or CSV file. Headings
+ * the spec leaves out come from its `translate` argument, in English unless
+ * one is given.
+ */
+
+import { validate } from '../utils/schema.js';
+import { renderBarChart } from './bar-chart.js';
+import { renderLineChart } from './line-chart.js';
+import { renderForestPlot } from './forest-plot.js';
+
+export const CHART_TYPES = ['bar', 'grouped-bar', 'line', 'forest'];
+
+// Default headings when no translation is given
+const ENGLISH = {
+  'chartData.category': () => 'Category',
+  'chartData.value': () => 'Value',
+  'chartData.study': () => 'Study',
+  'chartData.effectSize': () => 'Effect size',
+  'chartData.interval': () => '95% CI',
+  'chartData.lower': ({ interval }) => `${interval} lower`,
+  'chartData.upper': ({ interval }) => `${interval} upper`
+};
+
+function translateEnglish(key, values) {
+  return ENGLISH[key](values);
+}
+
+export const CHART_SPEC_SCHEMA = {
+  type: 'object',
+  required: ['type', 'title', 'data'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: CHART_TYPES },
+    title: { type: 'string', minLength: 1 },
+    caption: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 },
+    measure: { type: 'string', minLength: 1 },
+    unit: { type: 'string' },
+    decimals: { type: 'integer', minimum: 0, maximum: 6 },
+    series: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    reference: { type: 'number' },
+    interval: { type: 'string', minLength: 1 },
+    data: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['label'],
+        additionalProperties: false,
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          value: { type: 'number' },
+          values: { type: 'array', items: { type: 'number' } },
+          estimate: { type: 'number' },
+          low: { type: 'number' },
+          high: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+// What each type needs beyond the shared schema
+function checkType(spec, path) {
+  const errors = [];
+  const hasSeries = spec.type === 'grouped-bar' || spec.type === 'line';
+
+  if (hasSeries && !spec.series) {
+    errors.push(`${path}.series: a ${spec.type} chart needs the names of its series`);
+  }
+
+  spec.data.forEach((entry, index) => {
+    const at = `${path}.data[${index}]`;
+
+    if (spec.type === 'bar' && entry.value === undefined) {
+      errors.push(`${at}.value: missing`);
+    }
+    if (hasSeries && spec.series && entry.values?.length !== spec.series.length) {
+      errors.push(`${at}.values: expected one value per series (${spec.series.length}), got ${entry.values?.length ?? 0}`);
+    }
+    // Bars grow up from zero; a negative one would be drawn as no bar at all
+    if (spec.type === 'bar' && entry.value < 0) {
+      errors.push(`${at}.value: ${entry.value} is negative, which a bar chart can't show`);
+    }
+    if (spec.type === 'grouped-bar' && entry.values?.some(value => value < 0)) {
+      errors.push(`${at}.values: negative values can't be shown in a grouped bar chart`);
+    }
+    if (spec.type === 'forest') {
+      const { estimate, low, high } = entry;
+      if ([estimate, low, high].includes(undefined)) {
+        errors.push(`${at}: a forest plot row needs estimate, low and high`);
+      } else if (!(low <= estimate && estimate <= high)) {
+        errors.push(`${at}: estimate ${estimate} is outside its interval ${low} to ${high}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @param {*} spec
+ * @param {string} [path] - Name of the spec in error messages
+ * @returns {string[]} Error messages; empty when the spec can be drawn
+ */
+export function validateChart(spec, path = 'chart') {
+  const errors = validate(spec, CHART_SPEC_SCHEMA, path);
+  return errors.length ? errors : checkType(spec, path);
+}
+
+/**
+ * @param {Object} spec
+ * @param {string} [locale]
+ * @returns {(value: number) => string} Formats values as the chart shows them
+ */
+export function chartFormatter({ unit = '', decimals }, locale = document.documentElement.lang || undefined) {
+  const format = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals ?? 2
+  });
+  return value => `${format.format(value)}${unit}`;
+}
+
+/**
+ * The chart's data as a header row followed by one row per entry, with
+ * numbers left unformatted.
+ *
+ * @param {Object} spec - A valid spec
+ * @param {(key: string, values?: Object) => string} [translate] - Looks up
+ *   default headings by message key
+ * @returns {Array<Array<string|number>>}
+ */
+export function chartRows(spec, translate = translateEnglish) {
+  const unit = spec.unit ? ` (${spec.unit})` : '';
+  const category = spec.category || translate(spec.type === 'forest' ? 'chartData.study' : 'chartData.category');
+
+  switch (spec.type) {
+    case 'bar':
+      return [
+        [category, `${spec.measure || translate('chartData.value')}${unit}`],
+        ...spec.data.map(({ label, value }) => [label, value])
+      ];
+    case 'grouped-bar':
+    case 'line':
+      return [
+        [category, ...spec.series.map(name => `${name}${unit}`)],
+        ...spec.data.map(({ label, values }) => [label, ...values])
+      ];
+    case 'forest': {
+      const interval = spec.interval || translate('chartData.interval');
+      return [
+        [
+          category,
+          `${spec.measure || translate('chartData.effectSize')}${unit}`,
+          translate('chartData.lower', { interval }),
+          translate('chartData.upper', { interval })
+        ],
+        ...spec.data.map(({ label, estimate, low, high }) => [label, estimate, low, high])
+      ];
+    }
+    default:
+      throw new Error(`Unknown chart type "${spec.type}"`);
+  }
+}
+
+/**
+ * @param {Object} spec - A valid spec
+ * @param {Object} [options]
+ * @param {string} [options.description] - Accessible description of the chart
+ * @param {string} [options.className] - Extra class on the <svg>
+ * @returns {SVGSVGElement}
+ */
+export function renderChart(spec, { description = '', className = '' } = {}) {
+  const formatValue = chartFormatter(spec);
+  const common = { title: spec.title, description, formatValue, className };
+
+  switch (spec.type) {
+    case 'bar':
+      return renderBarChart({
+        ...common,
+        width: 320,
+        height: 160,
+        data: spec.data.map(({ label, value }) => ({ label, values: [value] }))
+      });
+    case 'grouped-bar':
+      return renderBarChart({ ...common, width: 320, height: 160, layout: 'grouped', data: spec.data });
+    case 'line':
+      return renderLineChart({
+        ...common,
+        labels: spec.data.map(({ label }) => label),
+        series: spec.series.map((name, index) => spec.data.map(({ values }) => values[index]))
+      });
+    case 'forest':
+      return renderForestPlot({ ...common, data: spec.data, reference: spec.reference ?? 0 });
+    default:
+      throw new Error(`Unknown chart type "${spec.type}"`);
+  }
+}
+
+/**
+ * Key for charts with several series, matching their `.chart-series--<n>`
+ * colours.
+ *
+ * @param {string[]} series - Series names in order
+ * @returns {HTMLUListElement}
+ */
+export function renderChartLegend(series) {
+  const legend = document.createElement('ul');
+  legend.className = 'chart-legend';
+  legend.setAttribute('aria-hidden', 'true');
+
+  series.forEach((name, index) => {
+    const item = document.createElement('li');
+    item.className = 'chart-legend__item';
+
+    const swatch = document.createElement('span');
+    swatch.className = `chart-legend__swatch chart-series--${index}`;
+
+    item.append(swatch, name);
+    legend.appendChild(item);
+  });
+
+  return legend;
+}
@@ -0,0 +1,106 @@
+/**
+ * FOREST PLOT
+ * Inline SVG forest plot: one row per study or outcome, with its effect
+ * size as a square and its confidence interval as a line, against a dashed
+ * reference line at "no effect" (0 for differences, 1 for ratios).
+ */
+
+import { svgElement, svgRoot, round } from './svg.js';
+
+const ROW_HEIGHT = 22;
+const LABEL_WIDTH = 110;
+const MARGIN = { top: 6, right: 10, bottom: 18 };
+const MARKER_SIZE = 7;
+
+// Keeps intervals that end on the scale's edge clear of it
+const PADDING = 0.05;
+
+/**
+ * @param {Object} options
+ * @param {Array<{ label: string, estimate: number, low: number, high: number }>} options.data
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {number} [options.reference] - Value of no effect
+ * @param {number} [options.width]
+ * @param {(value: number) => string} [options.formatValue] - Tick labels
+ * @param {string} [options.className] - Extra class on the <svg>
+ * @returns {SVGSVGElement}
+ */
+export function renderForestPlot({
+  data,
+  title,
+  description = '',
+  reference = 0,
+  width = 320,
+  formatValue = String,
+  className = ''
+}) {
+  const height = MARGIN.top + data.length * ROW_HEIGHT + MARGIN.bottom;
+  const lowest = Math.min(reference, ...data.map(({ low }) => low));
+  const highest = Math.max(reference, ...data.map(({ high }) => high));
+  const padding = (highest - lowest || 1) * PADDING;
+  const domain = [lowest - padding, highest + padding];
+
+  const plotLeft = LABEL_WIDTH;
+  const plotWidth = width - LABEL_WIDTH - MARGIN.right;
+  const x = value => plotLeft + ((value - domain[0]) / (domain[1] - domain[0])) * plotWidth;
+  const axisY = MARGIN.top + data.length * ROW_HEIGHT;
+
+  const svg = svgRoot({ className: 'forest-plot', width, height, title, description, extraClass: className });
+
+  svg.appendChild(svgElement('line', {
+    class: 'forest-plot__reference',
+    x1: round(x(reference)),
+    x2: round(x(reference)),
+    y1: MARGIN.top,
+    y2: axisY
+  }));
+
+  data.forEach(({ label, estimate, low, high }, index) => {
+    const rowY = MARGIN.top + ROW_HEIGHT * index + ROW_HEIGHT / 2;
+    const group = svgElement('g', { class: 'forest-plot__row' });
+
+    group.appendChild(svgElement('text', {
+      class: 'forest-plot__label',
+      x: 0,
+      y: round(rowY + 3)
+    }, label));
+    group.appendChild(svgElement('line', {
+      class: 'forest-plot__interval',
+      x1: round(x(low)),
+      x2: round(x(high)),
+      y1: round(rowY),
+      y2: round(rowY)
+    }));
+    group.appendChild(svgElement('rect', {
+      class: 'forest-plot__estimate',
+      x: round(x(estimate) - MARKER_SIZE / 2),
+      y: round(rowY - MARKER_SIZE / 2),
+      width: MARKER_SIZE,
+      height: MARKER_SIZE
+    }));
+
+    svg.appendChild(group);
+  });
+
+  svg.appendChild(svgElement('line', {
+    class: 'forest-plot__axis',
+    x1: plotLeft,
+    x2: plotLeft + plotWidth,
+    y1: axisY,
+    y2: axisY
+  }));
+
+  [lowest, reference, highest]
+    .filter((tick, index, ticks) => ticks.indexOf(tick) === index)
+    .forEach(tick => {
+      svg.appendChild(svgElement('text', {
+        class: 'forest-plot__tick',
+        x: round(x(tick)),
+        y: height - 4,
+        'text-anchor': 'middle'
+      }, formatValue(tick)));
+    });
+
+  return svg;
+}
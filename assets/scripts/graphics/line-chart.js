@@ -0,0 +1,104 @@
+/**
+ * LINE CHART
+ * Inline SVG line chart over ordered categories (years, waves of a survey),
+ * one line per series. Gridlines mark the bottom, middle and top of the
+ * value scale.
+ */
+
+import { svgElement, svgRoot, round } from './svg.js';
+
+// Room for the value ticks on the left and the category labels below
+const MARGIN = { top: 8, right: 8, bottom: 16, left: 32 };
+const POINT_RADIUS = 2.5;
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.labels - Category for each point, in order
+ * @param {number[][]} options.series - Values per series, one per label
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {number} [options.min] - Bottom of the scale; defaults to 0 or the smallest value
+ * @param {number} [options.max] - Top of the scale; defaults to the largest value
+ * @param {(value: number) => string} [options.formatValue] - Tick labels
+ * @param {string} [options.className] - Extra class on the <svg>
+ * @returns {SVGSVGElement}
+ */
+export function renderLineChart({
+  labels,
+  series,
+  title,
+  description = '',
+  width = 320,
+  height = 160,
+  min,
+  max,
+  formatValue = String,
+  className = ''
+}) {
+  const values = series.flat();
+  const low = min ?? Math.min(0, ...values);
+  const high = max ?? Math.max(...values);
+  const range = high - low || 1;
+
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+  const step = labels.length > 1 ? plotWidth / (labels.length - 1) : 0;
+  const x = index => MARGIN.left + (labels.length > 1 ? step * index : plotWidth / 2);
+  const y = value => MARGIN.top + plotHeight - ((value - low) / range) * plotHeight;
+
+  const svg = svgRoot({ className: 'line-chart', width, height, title, description, extraClass: className });
+
+  [low, low + range / 2, high].forEach(tick => {
+    svg.appendChild(svgElement('line', {
+      class: 'line-chart__grid',
+      x1: MARGIN.left,
+      x2: width - MARGIN.right,
+      y1: round(y(tick)),
+      y2: round(y(tick))
+    }));
+    svg.appendChild(svgElement('text', {
+      class: 'line-chart__tick',
+      x: MARGIN.left - 4,
+      y: round(y(tick) + 3),
+      'text-anchor': 'end'
+    }, formatValue(tick)));
+  });
+
+  labels.forEach((label, index) => {
+    svg.appendChild(svgElement('text', {
+      class: 'line-chart__tick',
+      x: round(x(index)),
+      y: height - 3,
+      'text-anchor': 'middle'
+    }, label));
+  });
+
+  series.forEach((points, index) => {
+    const group = svgElement('g', { class: `line-chart__series chart-series--${index}` });
+    const path = points.map((value, point) => `${point ? 'L' : 'M'}${round(x(point))},${round(y(value))}`).join(' ');
+
+    group.appendChild(svgElement('path', { class: 'line-chart__line', d: path }));
+    points.forEach((value, point) => {
+      group.appendChild(svgElement('circle', {
+        class: 'line-chart__point',
+        cx: round(x(point)),
+        cy: round(y(value)),
+        r: POINT_RADIUS
+      }));
+    });
+
+    svg.appendChild(group);
+  });
+
+  svg.appendChild(svgElement('line', {
+    class: 'line-chart__axis',
+    x1: MARGIN.left,
+    x2: width - MARGIN.right,
+    y1: MARGIN.top + plotHeight,
+    y2: MARGIN.top + plotHeight
+  }));
+
+  return svg;
+}
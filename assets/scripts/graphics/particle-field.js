@@ -0,0 +1,327 @@
+/**
+ * PARTICLE FIELD
+ * Simulation and drawing for the hero particle network. Works in CSS pixels
+ * against any 2D context and touches no DOM, so the same code runs on the main
+ * thread and inside the OffscreenCanvas worker.
+ */
+
+import { SpatialGrid } from './spatial-grid.js';
+
+export const PARTICLE_DEFAULTS = Object.freeze({
+  color: '#00FFFF',
+  density: 1 / 20000, // particles per CSS pixel of canvas area
+  minParticles: 20,
+  maxParticles: 300,
+  speed: 0.5,
+  minSize: 1,
+  maxSize: 3,
+  minOpacity: 0.2,
+  maxOpacity: 0.7,
+  linkDistance: 100,
+  linkOpacity: 0.2,
+  linkWidth: 0.5,
+  pointerMode: 'attract', // 'attract', 'repel' or 'none'
+  pointerRadius: 150,
+  pointerStrength: 0.08,
+  scrollBoost: 0.05, // extra speed per pixel/frame of scroll velocity
+  maxScrollBoost: 3,
+  frameBudget: 4 // milliseconds of work per frame before particles are shed
+});
+
+// Named looks for the hero, selected with `config.particles.preset`
+export const PARTICLE_PRESETS = Object.freeze({
+  network: {},
+  calm: {
+    density: 1 / 35000,
+    speed: 0.25,
+    linkDistance: 80,
+    pointerMode: 'none',
+    scrollBoost: 0
+  },
+  constellation: {
+    density: 1 / 30000,
+    speed: 0.2,
+    minSize: 0.5,
+    maxSize: 1.5,
+    linkDistance: 140,
+    linkOpacity: 0.3,
+    pointerRadius: 200,
+    pointerStrength: 0.04
+  },
+  swarm: {
+    density: 1 / 9000,
+    speed: 0.8,
+    maxSize: 2,
+    linkDistance: 60,
+    pointerMode: 'repel',
+    pointerStrength: 0.3,
+    scrollBoost: 0.1
+  }
+});
+
+// Opacity is quantised so each level can be drawn as one batched path
+const ALPHA_LEVELS = 5;
+
+// One frame at 60fps; velocities are expressed per frame at this rate
+const REFERENCE_FRAME_TIME = 1000 / 60;
+
+// Per-frame rates at which pointer pushes and scroll boosts wear off
+const VELOCITY_RELAXATION = 0.03;
+const SCROLL_DECAY = 0.92;
+
+// Longest step simulated at once, e.g. after the tab was in the background
+const MAX_FRAME_TIME = 100;
+
+// How many frames are averaged before the particle count is adjusted
+const ADAPT_INTERVAL = 60;
+const MIN_BUDGET = 0.25;
+
+export class ParticleField {
+  constructor(options = {}) {
+    this.options = { ...PARTICLE_DEFAULTS, ...options };
+    this.width = 0;
+    this.height = 0;
+    this.particles = [];
+    this.grid = new SpatialGrid(this.options.linkDistance);
+    this.links = Array.from({ length: ALPHA_LEVELS }, () => []);
+    this.pointer = null;
+    this.scrollVelocity = 0;
+
+    // Fraction of the area-based count currently allowed by frame cost
+    this.budget = 1;
+    this.lastTimestamp = null;
+    this.frameCost = 0;
+    this.framesSinceAdapt = 0;
+  }
+
+  get targetCount() {
+    const { density, minParticles, maxParticles } = this.options;
+    const byArea = Math.round(this.width * this.height * density);
+    const count = Math.min(maxParticles, Math.max(minParticles, byArea));
+
+    return Math.max(minParticles, Math.round(count * this.budget));
+  }
+
+  resize(width, height) {
+    // Keep existing particles in place relative to the new bounds
+    if (this.width && this.height) {
+      const scaleX = width / this.width;
+      const scaleY = height / this.height;
+      this.particles.forEach(particle => {
+        particle.x *= scaleX;
+        particle.y *= scaleY;
+      });
+    }
+
+    this.width = width;
+    this.height = height;
+    this.grid.resize(width, height);
+    this.syncCount();
+  }
+
+  // Replace all options, e.g. when switching presets
+  configure(options) {
+    const previousLinkDistance = this.options.linkDistance;
+    this.options = { ...PARTICLE_DEFAULTS, ...options };
+
+    // Cells must stay as large as the link radius
+    if (this.options.linkDistance !== previousLinkDistance) {
+      this.grid = new SpatialGrid(this.options.linkDistance);
+      this.grid.resize(this.width, this.height);
+    }
+
+    // Speed and looks only apply to new particles, so start afresh
+    this.particles = [];
+    this.syncCount();
+  }
+
+  // Input
+  setPointer(x, y) {
+    this.pointer = { x, y };
+  }
+
+  clearPointer() {
+    this.pointer = null;
+  }
+
+  setScrollVelocity(velocity) {
+    this.scrollVelocity = velocity;
+  }
+
+  // Theme changes recolour the field without restarting it
+  setColor(color) {
+    this.options.color = color;
+  }
+
+  syncCount() {
+    const target = this.targetCount;
+
+    while (this.particles.length < target) {
+      this.particles.push(this.createParticle());
+    }
+    this.particles.length = target;
+  }
+
+  createParticle() {
+    const { speed, minSize, maxSize, minOpacity, maxOpacity } = this.options;
+    const opacity = minOpacity + Math.random() * (maxOpacity - minOpacity);
+    const vx = (Math.random() - 0.5) * speed;
+    const vy = (Math.random() - 0.5) * speed;
+
+    return {
+      x: Math.random() * this.width,
+      y: Math.random() * this.height,
+      vx,
+      vy,
+      // The drift each particle eases back to after being pushed around
+      baseVx: vx,
+      baseVy: vy,
+      size: minSize + Math.random() * (maxSize - minSize),
+      alpha: Math.round(opacity * ALPHA_LEVELS) / ALPHA_LEVELS
+    };
+  }
+
+  // Frame
+  /**
+   * Advance the simulation to `timestamp` and draw it. Also measures how long
+   * the work took and sheds or restores particles to stay within budget.
+   */
+  render(ctx, timestamp) {
+    const started = performance.now();
+    const elapsed = this.lastTimestamp === null
+      ? REFERENCE_FRAME_TIME
+      : Math.min(timestamp - this.lastTimestamp, MAX_FRAME_TIME);
+
+    this.lastTimestamp = timestamp;
+    this.step(elapsed / REFERENCE_FRAME_TIME);
+    this.draw(ctx);
+    this.adapt(performance.now() - started);
+  }
+
+  step(scale) {
+    const { pointerMode, pointerRadius, pointerStrength, scrollBoost, maxScrollBoost } = this.options;
+    const pointer = pointerMode === 'none' ? null : this.pointer;
+    const direction = pointerMode === 'repel' ? -1 : 1;
+    const radiusSquared = pointerRadius * pointerRadius;
+    const boost = 1 + Math.min(maxScrollBoost, Math.abs(this.scrollVelocity) * scrollBoost);
+    const relaxation = Math.min(1, VELOCITY_RELAXATION * scale);
+
+    for (const particle of this.particles) {
+      if (pointer) {
+        const dx = pointer.x - particle.x;
+        const dy = pointer.y - particle.y;
+        const distanceSquared = dx * dx + dy * dy;
+
+        // Force falls off linearly to zero at the edge of the radius
+        if (distanceSquared < radiusSquared && distanceSquared > 1) {
+          const distance = Math.sqrt(distanceSquared);
+          const force = (1 - distance / pointerRadius) * pointerStrength * direction * scale;
+          particle.vx += dx / distance * force;
+          particle.vy += dy / distance * force;
+        }
+      }
+
+      particle.vx += (particle.baseVx - particle.vx) * relaxation;
+      particle.vy += (particle.baseVy - particle.vy) * relaxation;
+
+      particle.x += particle.vx * boost * scale;
+      particle.y += particle.vy * boost * scale;
+
+      // Bounce off the edges, pointing away from them so fast particles can't stick
+      if (particle.x < 0 || particle.x > this.width) {
+        const sign = particle.x < 0 ? 1 : -1;
+        particle.vx = Math.abs(particle.vx) * sign;
+        particle.baseVx = Math.abs(particle.baseVx) * sign;
+      }
+      if (particle.y < 0 || particle.y > this.height) {
+        const sign = particle.y < 0 ? 1 : -1;
+        particle.vy = Math.abs(particle.vy) * sign;
+        particle.baseVy = Math.abs(particle.baseVy) * sign;
+      }
+    }
+
+    this.scrollVelocity *= Math.pow(SCROLL_DECAY, scale);
+  }
+
+  draw(ctx) {
+    const { color, linkWidth } = this.options;
+
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = linkWidth;
+
+    this.drawLinks(ctx);
+    this.drawParticles(ctx);
+    ctx.globalAlpha = 1;
+  }
+
+  drawParticles(ctx) {
+    for (let level = 1; level <= ALPHA_LEVELS; level++) {
+      const alpha = level / ALPHA_LEVELS;
+      let hasParticles = false;
+
+      ctx.beginPath();
+      for (const particle of this.particles) {
+        if (particle.alpha !== alpha) continue;
+
+        ctx.moveTo(particle.x + particle.size, particle.y);
+        ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+        hasParticles = true;
+      }
+
+      if (hasParticles) {
+        ctx.globalAlpha = alpha;
+        ctx.fill();
+      }
+    }
+  }
+
+  drawLinks(ctx) {
+    const { linkDistance, linkOpacity } = this.options;
+
+    this.grid.clear();
+    this.particles.forEach(particle => this.grid.insert(particle));
+    this.links.forEach(segments => { segments.length = 0; });
+
+    // Bucket every close pair by strength, then stroke each bucket once
+    this.grid.forEachPair(linkDistance, (a, b, distanceSquared) => {
+      const strength = 1 - Math.sqrt(distanceSquared) / linkDistance;
+      const level = Math.min(ALPHA_LEVELS - 1, Math.floor(strength * ALPHA_LEVELS));
+      this.links[level].push(a.x, a.y, b.x, b.y);
+    });
+
+    this.links.forEach((segments, level) => {
+      if (!segments.length) return;
+
+      ctx.globalAlpha = (level + 0.5) / ALPHA_LEVELS * linkOpacity;
+      ctx.beginPath();
+      for (let i = 0; i < segments.length; i += 4) {
+        ctx.moveTo(segments[i], segments[i + 1]);
+        ctx.lineTo(segments[i + 2], segments[i + 3]);
+      }
+      ctx.stroke();
+    });
+  }
+
+  // Adaptive quality
+  adapt(cost) {
+    this.frameCost += cost;
+    this.framesSinceAdapt++;
+    if (this.framesSinceAdapt < ADAPT_INTERVAL) return;
+
+    const averageCost = this.frameCost / this.framesSinceAdapt;
+    this.frameCost = 0;
+    this.framesSinceAdapt = 0;
+
+    if (averageCost > this.options.frameBudget) {
+      this.budget = Math.max(MIN_BUDGET, this.budget * 0.8);
+    } else if (averageCost < this.options.frameBudget / 2 && this.budget < 1) {
+      this.budget = Math.min(1, this.budget + 0.05);
+    } else {
+      return;
+    }
+
+    this.syncCount();
+  }
+}
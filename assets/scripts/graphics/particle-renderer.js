@@ -0,0 +1,302 @@
+/**
+ * PARTICLE RENDERER
+ * Owns the hero canvas: sizes its backing store for the device pixel ratio,
+ * drives the particle field from requestAnimationFrame and, when enabled and
+ * supported, hands rendering off to an OffscreenCanvas worker. Frames come
+ * from the app's FrameScheduler when one is given, so the field pauses with
+ * every other animation. Also feeds the
+ * field its inputs: pointer and touch position, scroll velocity and the theme
+ * colour.
+ */
+
+import { Disposables } from '../core/disposables.js';
+import { FRAME_PRIORITY } from '../core/frame-scheduler.js';
+import { ParticleField, PARTICLE_DEFAULTS, PARTICLE_PRESETS } from './particle-field.js';
+
+// Higher ratios cost fill rate without a visible gain for thin lines
+const MAX_PIXEL_RATIO = 2;
+
+// Attributes that may switch the page theme and so the particle colour
+const THEME_ATTRIBUTES = ['class', 'style', 'data-theme'];
+
+export class ParticleRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [options] - ParticleField options, plus:
+   * @param {string} [options.preset] - Key of PARTICLE_PRESETS to start from
+   * @param {boolean} [options.useWorker] - Render in an OffscreenCanvas worker
+   * @param {FrameScheduler} [options.scheduler] - Drives and pauses the loop;
+   *   without one the renderer runs its own requestAnimationFrame loop
+   * @param {Element} [options.pointerTarget] - Element tracked for pointer input
+   * @param {string} [options.colorVariable] - Custom property read for the colour
+   */
+  constructor(canvas, {
+    preset = 'network',
+    useWorker = false,
+    scheduler = null,
+    pointerTarget = canvas,
+    colorVariable = '--color-secondary',
+    ...overrides
+  } = {}) {
+    this.canvas = canvas;
+    this.scheduler = scheduler;
+    this.pointerTarget = pointerTarget;
+    this.colorVariable = overrides.color ? null : colorVariable;
+    this.options = { ...ParticleRenderer.resolvePreset(preset), ...overrides };
+    this.options.color = this.readColor() || this.options.color || PARTICLE_DEFAULTS.color;
+    this.disposables = new Disposables();
+    this.frameId = null;
+    this.stopTask = null;
+    this.isRunning = false;
+    this.worker = useWorker && ParticleRenderer.supportsWorker(canvas) ? this.createWorker() : null;
+
+    if (!this.worker) {
+      this.ctx = canvas.getContext('2d');
+      this.field = new ParticleField(this.options);
+      this.resize();
+    }
+
+    this.bindInputs();
+  }
+
+  static resolvePreset(name) {
+    if (!Object.hasOwn(PARTICLE_PRESETS, name)) {
+      console.warn(`Unknown particle preset "${name}", using the default`);
+      return PARTICLE_PRESETS.network;
+    }
+    return PARTICLE_PRESETS[name];
+  }
+
+  static supportsWorker(canvas) {
+    return typeof Worker !== 'undefined' && typeof canvas.transferControlToOffscreen === 'function';
+  }
+
+  createWorker() {
+    try {
+      const worker = new Worker(new URL('./particle-worker.js', import.meta.url), { type: 'module' });
+      const offscreen = this.canvas.transferControlToOffscreen();
+
+      worker.postMessage({ type: 'init', canvas: offscreen, ...this.measure(), options: this.options }, [offscreen]);
+      return worker;
+    } catch (error) {
+      console.warn('Particle worker unavailable, rendering on the main thread:', error);
+      return null;
+    }
+  }
+
+  // Inputs
+  bindInputs() {
+    const target = this.pointerTarget;
+
+    // Pointer events cover mouse, pen and touch
+    this.disposables.listen(target, 'pointermove', event => this.handlePointer(event), { passive: true });
+    this.disposables.listen(target, 'pointerdown', event => this.handlePointer(event), { passive: true });
+    this.disposables.listen(target, 'pointerleave', () => this.setPointer(null));
+    ['pointerup', 'pointercancel'].forEach(type => {
+      // A lifted finger leaves no hover position behind
+      this.disposables.listen(target, type, event => {
+        if (event.pointerType !== 'mouse') this.setPointer(null);
+      });
+    });
+
+    this.lastScroll = { y: window.scrollY, time: performance.now() };
+    this.disposables.listen(window, 'scroll', () => this.handleScroll(), { passive: true });
+
+    if (this.colorVariable) {
+      this.bindTheme();
+    }
+
+    if (this.scheduler) {
+      this.disposables.add(this.scheduler.onPauseChange(isPaused => this.handlePauseChange(isPaused)));
+    }
+  }
+
+  handlePauseChange(isPaused) {
+    if (!this.isRunning) return;
+
+    if (this.worker) {
+      // The worker has its own loop, so pass the pause on
+      this.worker.postMessage({ type: isPaused ? 'stop' : 'start' });
+    } else if (!isPaused) {
+      this.field.lastTimestamp = null;
+    }
+  }
+
+  bindTheme() {
+    const refresh = () => this.setColor(this.readColor());
+
+    const observer = new MutationObserver(refresh);
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+    this.disposables.add(() => observer.disconnect());
+
+    const scheme = window.matchMedia?.('(prefers-color-scheme: dark)');
+    if (scheme?.addEventListener) {
+      this.disposables.listen(scheme, 'change', refresh);
+    }
+  }
+
+  handlePointer(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.setPointer({ x: event.clientX - rect.left, y: event.clientY - rect.top });
+  }
+
+  handleScroll() {
+    const now = performance.now();
+    const elapsed = Math.max(1, now - this.lastScroll.time);
+
+    // Pixels per 60fps frame, matching the field's velocity units
+    const velocity = (window.scrollY - this.lastScroll.y) / elapsed * (1000 / 60);
+    this.lastScroll = { y: window.scrollY, time: now };
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'scroll', velocity });
+    } else {
+      this.field.setScrollVelocity(velocity);
+    }
+  }
+
+  setPointer(pointer) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'pointer', pointer });
+    } else if (pointer) {
+      this.field.setPointer(pointer.x, pointer.y);
+    } else {
+      this.field.clearPointer();
+    }
+  }
+
+  readColor() {
+    if (!this.colorVariable) return null;
+    return getComputedStyle(this.canvas).getPropertyValue(this.colorVariable).trim() || null;
+  }
+
+  setColor(color) {
+    if (!color || color === this.options.color) return;
+    this.options.color = color;
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'color', color });
+      return;
+    }
+
+    this.field.setColor(color);
+    if (!this.isRunning) this.field.draw(this.ctx);
+  }
+
+  /**
+   * Switch to another preset, optionally with overrides. The current colour
+   * is kept unless the overrides set one.
+   */
+  configure({ preset = 'network', ...overrides } = {}) {
+    this.options = { ...ParticleRenderer.resolvePreset(preset), color: this.options.color, ...overrides };
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'configure', options: this.options });
+      return;
+    }
+
+    this.field.configure(this.options);
+    if (!this.isRunning) this.field.draw(this.ctx);
+  }
+
+  measure() {
+    return {
+      width: this.canvas.offsetWidth,
+      height: this.canvas.offsetHeight,
+      pixelRatio: Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO)
+    };
+  }
+
+  resize() {
+    const { width, height, pixelRatio } = this.measure();
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'resize', width, height, pixelRatio });
+      return;
+    }
+
+    // Size the backing store in device pixels and draw in CSS pixels
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    this.field.resize(width, height);
+
+    // Resizing clears the canvas, so repaint a paused field
+    if (!this.isRunning) {
+      this.field.draw(this.ctx);
+    }
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    if (this.worker) {
+      if (!this.scheduler?.isPaused) {
+        this.worker.postMessage({ type: 'start' });
+      }
+      return;
+    }
+
+    // Don't simulate the time spent stopped
+    this.field.lastTimestamp = null;
+
+    if (this.scheduler) {
+      this.stopTask = this.scheduler.add(
+        'particles',
+        (delta, timestamp) => this.field.render(this.ctx, timestamp),
+        { priority: FRAME_PRIORITY.LOW, budget: this.field.options.frameBudget }
+      );
+      return;
+    }
+
+    const animate = (timestamp) => {
+      this.field.render(this.ctx, timestamp);
+      this.frameId = requestAnimationFrame(animate);
+    };
+    this.frameId = requestAnimationFrame(animate);
+  }
+
+  stop() {
+    this.isRunning = false;
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'stop' });
+      return;
+    }
+
+    this.stopTask?.();
+    this.stopTask = null;
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  // Draw a single still frame, e.g. when motion is reduced
+  renderStatic() {
+    this.stop();
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'static' });
+    } else {
+      this.field.draw(this.ctx);
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.disposables.dispose();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+
+      // A transferred canvas can't be drawn on again from this thread
+      const replacement = this.canvas.cloneNode(false);
+      this.canvas.replaceWith(replacement);
+      this.canvas = replacement;
+    } else {
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * PARTICLE WORKER
+ * Runs the particle field against a transferred OffscreenCanvas so the
+ * simulation never competes with the main thread. Driven by messages from
+ * ParticleRenderer.
+ */
+
+import { ParticleField } from './particle-field.js';
+
+const requestFrame = self.requestAnimationFrame?.bind(self)
+  || (callback => setTimeout(() => callback(performance.now()), 1000 / 60));
+const cancelFrame = self.cancelAnimationFrame?.bind(self) || clearTimeout;
+
+let canvas = null;
+let ctx = null;
+let field = null;
+let frameId = null;
+
+function resize(width, height, pixelRatio) {
+  canvas.width = Math.round(width * pixelRatio);
+  canvas.height = Math.round(height * pixelRatio);
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  field.resize(width, height);
+}
+
+function animate(timestamp) {
+  field.render(ctx, timestamp);
+  frameId = requestFrame(animate);
+}
+
+function stop() {
+  cancelFrame(frameId);
+  frameId = null;
+}
+
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      canvas = data.canvas;
+      ctx = canvas.getContext('2d');
+      field = new ParticleField(data.options);
+      resize(data.width, data.height, data.pixelRatio);
+      break;
+    case 'resize':
+      resize(data.width, data.height, data.pixelRatio);
+      if (frameId === null) field.draw(ctx);
+      break;
+    case 'start':
+      if (frameId === null) {
+        field.lastTimestamp = null;
+        frameId = requestFrame(animate);
+      }
+      break;
+    case 'configure':
+      field.configure(data.options);
+      if (frameId === null) field.draw(ctx);
+      break;
+    case 'color':
+      field.setColor(data.color);
+      if (frameId === null) field.draw(ctx);
+      break;
+    case 'pointer':
+      if (data.pointer) {
+        field.setPointer(data.pointer.x, data.pointer.y);
+      } else {
+        field.clearPointer();
+      }
+      break;
+    case 'scroll':
+      field.setScrollVelocity(data.velocity);
+      break;
+    case 'static':
+      stop();
+      field.draw(ctx);
+      break;
+    case 'stop':
+      stop();
+      break;
+  }
+});
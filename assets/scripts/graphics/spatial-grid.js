@@ -0,0 +1,88 @@
+/**
+ * SPATIAL GRID
+ * Uniform grid for neighbour lookups. Items are bucketed by position into
+ * square cells the size of the search radius, so only adjacent cells need to
+ * be compared instead of every pair.
+ */
+
+// Half of the 3x3 neighbourhood: visiting only these (plus the cell itself)
+// reports each pair of cells exactly once
+const FORWARD_NEIGHBOURS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+export class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.columns = 0;
+    this.rows = 0;
+    this.cells = [];
+  }
+
+  resize(width, height) {
+    this.columns = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+    this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+  }
+
+  clear() {
+    // Keep the arrays to avoid reallocating every frame
+    for (const cell of this.cells) {
+      cell.length = 0;
+    }
+  }
+
+  insert(item) {
+    const column = this.clamp(Math.floor(item.x / this.cellSize), this.columns);
+    const row = this.clamp(Math.floor(item.y / this.cellSize), this.rows);
+    this.cells[row * this.columns + column].push(item);
+  }
+
+  /**
+   * Call `callback(a, b, distanceSquared)` once for every pair of items closer
+   * than `radius`, which must not exceed the cell size.
+   */
+  forEachPair(radius, callback) {
+    const radiusSquared = radius * radius;
+
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const cell = this.cells[row * this.columns + column];
+        if (!cell.length) continue;
+
+        // Pairs inside the cell
+        for (let i = 0; i < cell.length; i++) {
+          for (let j = i + 1; j < cell.length; j++) {
+            this.testPair(cell[i], cell[j], radiusSquared, callback);
+          }
+        }
+
+        // Pairs with neighbouring cells
+        for (const [dx, dy] of FORWARD_NEIGHBOURS) {
+          const neighbourColumn = column + dx;
+          const neighbourRow = row + dy;
+          if (neighbourColumn < 0 || neighbourColumn >= this.columns || neighbourRow >= this.rows) continue;
+
+          const neighbour = this.cells[neighbourRow * this.columns + neighbourColumn];
+          for (const a of cell) {
+            for (const b of neighbour) {
+              this.testPair(a, b, radiusSquared, callback);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  testPair(a, b, radiusSquared, callback) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const distanceSquared = dx * dx + dy * dy;
+
+    if (distanceSquared < radiusSquared) {
+      callback(a, b, distanceSquared);
+    }
+  }
+
+  clamp(index, size) {
+    return Math.min(size - 1, Math.max(0, index));
+  }
+}
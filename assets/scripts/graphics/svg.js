@@ -0,0 +1,55 @@
+/**
+ * SVG
+ * Building blocks shared by the inline SVG charts: element creation and
+ * the root `<svg>` with its accessible name.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let chartCount = 0;
+
+/**
+ * @param {string} name - Tag name
+ * @param {Object} [attributes]
+ * @param {string} [text] - Text content
+ * @returns {SVGElement}
+ */
+export function svgElement(name, attributes = {}, text) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Root element for a chart, scaled through its viewBox and named by its
+ * `<title>` and `<desc>`.
+ *
+ * @param {Object} options
+ * @param {string} options.className - Chart class, e.g. 'bar-chart'
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {string} [options.extraClass]
+ * @returns {SVGSVGElement}
+ */
+export function svgRoot({ className, width, height, title, description = '', extraClass = '' }) {
+  const id = `${className}-${++chartCount}`;
+
+  const svg = svgElement('svg', {
+    class: [className, extraClass].filter(Boolean).join(' '),
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-labelledby': description ? `${id}-title ${id}-desc` : `${id}-title`
+  });
+  svg.appendChild(svgElement('title', { id: `${id}-title` }, title));
+  if (description) svg.appendChild(svgElement('desc', { id: `${id}-desc` }, description));
+
+  return svg;
+}
+
+// Coordinates with two decimals keep the markup short
+export function round(value) {
+  return Number(value.toFixed(2));
+}
@@ -0,0 +1,286 @@
+/**
+ * GERMAN MESSAGES
+ * Translation of en.js, key for key. Keys missing here show in English.
+ */
+
+export const MESSAGES = {
+  "date.yearBce": "{year} v. Chr.",
+
+  "fallback.default": "Diese Funktion ist vorübergehend nicht verfügbar. Bitte versuchen Sie es später erneut.",
+  "fallback.citations": "Das Literaturverzeichnis konnte nicht erstellt werden.",
+  "fallback.timeline": "Die Zeitleiste konnte nicht angezeigt werden.",
+  "fallback.stories": "Die Fallberichte konnten nicht angezeigt werden.",
+  "fallback.glossary": "Das Glossar konnte nicht angezeigt werden.",
+  "fallback.polls": "Die Abstimmung über Prognosen ist derzeit nicht verfügbar.",
+  "fallback.animation": "Die Lernsimulation konnte nicht gestartet werden.",
+  "fallback.form": "Das Kontaktformular ist derzeit nicht verfügbar. Bitte versuchen Sie es später erneut.",
+  "fallback.crypto": "Kopieren nicht möglich - bitte markieren Sie die Adresse von Hand.",
+  "fallback.chart": "Der Handelschart ist derzeit nicht verfügbar. Der Rest der Seite ist davon nicht betroffen.",
+
+  "nav.skip": "Zum Hauptinhalt springen",
+  "nav.label": "Hauptnavigation",
+  "nav.home": "Start",
+  "nav.history": "Geschichte & Mythen",
+  "nav.stories": "Echte Fälle",
+  "nav.impacts": "Gesellschaftliche Folgen",
+  "nav.future": "Prognosen",
+  "nav.about": "Über uns",
+  "nav.language": "Sprache",
+  "nav.genderToggle": "{version, select, female {Zur männlichen Version wechseln} other {Zur weiblichen Version wechseln}}",
+  "nav.genderDescription": "Zwischen männlicher und weiblicher Version der Visualisierung wechseln",
+  "nav.reduceMotion": "Animationen reduzieren",
+  "nav.motionReduced": "Animationen reduziert - zum Aktivieren klicken",
+  "nav.toggleMenu": "Navigationsmenü ein- oder ausblenden",
+  "nav.menuOpened": "Navigationsmenü geöffnet",
+  "nav.menuClosed": "Navigationsmenü geschlossen",
+
+  "home.scroll": "Zum Inhalt scrollen",
+  "home.explore": "Forschung entdecken",
+
+  "crypto.address": "Vertragsadresse",
+  "crypto.copy": "Vertragsadresse kopieren",
+  "crypto.copyTitle": "CA kopieren",
+  "crypto.copied": "✓ Adresse in die Zwischenablage kopiert",
+  "crypto.copyFailed": "❌ Adresse konnte nicht kopiert werden",
+
+  "stat.sourceLabel": "Quelle",
+  "stat.source": "Quelle: {source}",
+  "stat.asOf": "Stand: {date}",
+
+  "content.sources": "{count, plural, one {Quelle: } other {Quellen: }}",
+
+  "timeline.region": "Historische Zeitleiste",
+  "timeline.tags": "Schlagwörter",
+  "timeline.sources": "{count, plural, one {Quelle} other {Quellen (#)}}",
+
+  "timelineAxis.view": "Ansicht der Zeitleiste",
+  "timelineAxis.list": "Liste",
+  "timelineAxis.axis": "Zeitachse",
+  "timelineAxis.zoomIn": "Vergrößern",
+  "timelineAxis.zoomOut": "Verkleinern",
+  "timelineAxis.showAll": "Alles zeigen",
+  "timelineAxis.hint": "Ziehen zum Verschieben · Strg + Mausrad oder Zwei-Finger-Geste zum Zoomen · ←/→ wechselt zwischen Ereignissen",
+  "timelineAxis.events": "Ereignisse der Zeitleiste",
+  "timelineAxis.detail": "Details zum Ereignis",
+
+  "stories.grid": "Fallstudien aus der Praxis",
+  "stories.filters": "Fälle filtern",
+  "stories.region": "Region",
+  "stories.allRegions": "Alle Regionen",
+  "stories.technology": "Technologie",
+  "stories.allTechnologies": "Alle Technologien",
+  "stories.technologyHologram": "Hologramm",
+  "stories.technologyChatbot": "Chatbot",
+  "stories.technologyAndroid": "Android",
+  "stories.technologyMixed": "Gemischt",
+  "stories.sourceType": "Art der Quelle",
+  "stories.allSourceTypes": "Alle Quellenarten",
+  "stories.sourceNews": "Nachrichtenbericht",
+  "stories.sourceCompany": "Unternehmensangaben",
+  "stories.sourceAcademic": "Wissenschaftlich",
+  "stories.years": "Jahre",
+  "stories.from": "Von",
+  "stories.fromYear": "Von Jahr",
+  "stories.to": "Bis",
+  "stories.toYear": "Bis Jahr",
+  "stories.sortBy": "Sortieren nach",
+  "stories.sortFeatured": "Empfohlen",
+  "stories.sortNewest": "Neueste zuerst",
+  "stories.sortOldest": "Älteste zuerst",
+  "stories.sortTitle": "Titel (A–Z)",
+  "stories.reset": "Filter zurücksetzen",
+  "stories.countAll": "{total, plural, one {# Fall wird angezeigt} other {Alle # Fälle werden angezeigt}}",
+  "stories.count": "{shown} von {total, plural, one {# Fall} other {# Fällen}} werden angezeigt",
+  "stories.empty": "Keine Fälle entsprechen diesen Filtern.",
+  "stories.ongoing": "Seit {start}",
+
+  "findings.showTable": "Datentabelle zeigen",
+  "findings.hideTable": "Datentabelle ausblenden",
+  "findings.download": "CSV herunterladen",
+  "findings.downloaded": "Die Daten zu „{title}“ wurden als CSV heruntergeladen",
+
+  "chartData.category": "Kategorie",
+  "chartData.value": "Wert",
+  "chartData.study": "Studie",
+  "chartData.effectSize": "Effektstärke",
+  "chartData.interval": "95-%-KI",
+  "chartData.lower": "{interval} untere Grenze",
+  "chartData.upper": "{interval} obere Grenze",
+
+  "polls.voteOn": "Abstimmung zu „{title}“",
+  "polls.likelihoodQuestion": "Wie wahrscheinlich ist das?",
+  "polls.confidenceQuestion": "Wie sicher sind Sie sich?",
+  "polls.likelihood": "{value, select, 1 {Sehr unwahrscheinlich} 2 {Unwahrscheinlich} 3 {Ungewiss} 4 {Wahrscheinlich} other {Sehr wahrscheinlich}}",
+  "polls.confidence": "{value, select, 1 {Gering} 2 {Mittel} other {Hoch}}",
+  "polls.confidenceLegend": "{value, select, 1 {Geringe Sicherheit} 2 {Mittlere Sicherheit} other {Hohe Sicherheit}}",
+  "polls.vote": "Abstimmen",
+  "polls.results": "Ergebnisse",
+  "polls.resultsCount": "{count, plural, =0 {Ergebnisse} one {Ergebnisse (# Stimme)} other {Ergebnisse (# Stimmen)}}",
+  "polls.empty": "Noch keine Stimmen.",
+  "polls.chartTitle": "Stimmen zu „{title}“ nach Wahrscheinlichkeit",
+  "polls.distribution": "{likelihood}: {total} (Sicherheit: {split})",
+  "polls.distributionNone": "{likelihood}: keine",
+  "polls.confidenceCount": "{count} {confidence, select, 1 {gering} 2 {mittel} other {hoch}}",
+  "polls.average": "1 = sehr unwahrscheinlich, 5 = sehr wahrscheinlich · Durchschnitt {mean} ({likelihood, select, 1 {sehr unwahrscheinlich} 2 {unwahrscheinlich} 3 {ungewiss} 4 {wahrscheinlich} other {sehr wahrscheinlich}})",
+  "polls.chooseFirst": "Bitte wählen Sie zuerst eine Wahrscheinlichkeit und Ihre Sicherheit.",
+  "polls.voteRecorded": "✓ Stimme erfasst: {likelihood, select, 1 {sehr unwahrscheinlich} 2 {unwahrscheinlich} 3 {ungewiss} 4 {wahrscheinlich} other {sehr wahrscheinlich}}, {confidence, select, 1 {geringe} 2 {mittlere} other {hohe}} Sicherheit",
+  "polls.voteFailed": "❌ Ihre Stimme konnte nicht erfasst werden. Bitte versuchen Sie es erneut.",
+  "polls.room": "Abstimmung im Raum „{room}“",
+  "polls.facilitator": "Steuerung für die Moderation",
+  "polls.roomLabel": "Raum",
+  "polls.openRoom": "Raum öffnen",
+  "polls.refresh": "Aktualisieren",
+  "polls.exportCsv": "CSV exportieren",
+  "polls.resetVotes": "Stimmen zurücksetzen",
+  "polls.total": "{count, plural, one {# Stimme} other {# Stimmen}} im Raum „{room}“",
+  "polls.opened": "Raum {room} geöffnet",
+  "polls.confirmReset": "{count, plural, one {Die # Stimme} other {Alle # Stimmen}} im Raum „{room}“ löschen? Das lässt sich nicht rückgängig machen.",
+  "polls.resetFailed": "Die Stimmen konnten nicht zurückgesetzt werden",
+  "polls.resetDone": "{count, plural, one {# Stimme} other {# Stimmen}} im Raum {room} zurückgesetzt",
+  "polls.exported": "{count, plural, one {# Stimme} other {# Stimmen}} als CSV exportiert",
+
+  "form.name": "Vollständiger Name",
+  "form.email": "E-Mail-Adresse",
+  "form.institution": "Institution/Organisation",
+  "form.subject": "Forschungsgebiet",
+  "form.subjectPlaceholder": "Forschungsgebiet auswählen",
+  "form.subjectSociology": "Soziologie & Kulturwissenschaften",
+  "form.subjectPsychology": "Psychologie & Verhaltenswissenschaften",
+  "form.subjectEthics": "Technikethik & Philosophie",
+  "form.subjectLegal": "Recht & Politikforschung",
+  "form.subjectAnthropology": "Anthropologie & Humanwissenschaften",
+  "form.subjectCollaboration": "Forschungskooperation",
+  "form.subjectOther": "Sonstiges",
+  "form.message": "Nachricht",
+  "form.messagePlaceholder": "Bitte beschreiben Sie Ihre Forschungsinteressen oder Kooperationsvorschläge …",
+  "form.nameInvalid": "Der Name darf nur Buchstaben und Leerzeichen enthalten und muss mindestens {minLength} Zeichen lang sein",
+  "form.emailInvalid": "Bitte geben Sie eine gültige E-Mail-Adresse ein",
+  "form.subjectRequired": "Bitte wählen Sie ein Forschungsgebiet",
+  "form.messageLength": "Die Nachricht muss zwischen {minLength} und {maxLength} Zeichen lang sein",
+  "form.required": "{field} ist ein Pflichtfeld",
+  "form.submit": "Anfrage senden",
+  "form.submitting": "Wird gesendet …",
+  "form.sent": "Nachricht gesendet!",
+  "form.failed": "Fehlgeschlagen - erneut versuchen",
+
+  "glossary.index": "Glossar nach Buchstaben",
+  "glossary.source": "{count, plural, one {Quelle: {sources}} other {Quellen: {sources}}}",
+  "glossary.usedIn": "Verwendet in: ",
+  "glossary.use": "Stelle {number}",
+
+  "citations.reference": "Quelle {number}",
+  "citations.export": "Quellen exportieren",
+  "citations.selectAll": "Alle auswählen",
+  "citations.format": "Format",
+  "citations.exportSelected": "{count, plural, =0 {Auswahl exportieren} other {Auswahl exportieren ({count})}}",
+  "citations.exportAll": "Alle exportieren",
+  "citations.exported": "{count, plural, one {# Quelle} other {# Quellen}} als {format} exportiert",
+  "citations.select": "Quelle {number} auswählen",
+  "citations.backlink": "Zurück zu Zitat {number}",
+  "citations.backlinkUse": "Zurück zu Zitat {number}, Stelle {use}",
+  "citations.incomplete": "Vollständige Angaben folgen; nicht exportiert",
+
+  "cite.button": "Zitieren",
+  "cite.site": "Diese Website zitieren",
+  "cite.label": "„{title}“ zitieren",
+  "cite.close": "Schließen",
+  "cite.copy": "Kopieren",
+  "cite.copyLabel": "Zitat im Stil {style} kopieren",
+  "cite.copied": "✓ Zitat im Stil {style} in die Zwischenablage kopiert",
+  "cite.copyFailed": "❌ Kopieren fehlgeschlagen - bitte markieren und kopieren Sie das Zitat von Hand",
+
+  "router.permalink": "Link zu {title}",
+
+  "toc.label": "Inhaltsverzeichnis",
+  "toc.toggle": "Inhalt",
+  "toc.reset": "Lesefortschritt zurücksetzen",
+  "toc.progress": "{title} gelesen",
+  "toc.completed": "(abgeschlossen)",
+
+  "search.toggle": "Suche",
+  "search.toggleTitle": "Suche ({chord})",
+  "search.label": "Forschung durchsuchen",
+  "search.placeholder": "Fälle, Zeitleiste, Befunde durchsuchen …",
+  "search.status": "{count, plural, =0 {Keine Ergebnisse für „{query}“} one {# Ergebnis} other {# Ergebnisse}}",
+  "search.typeTimeline": "Zeitleiste",
+  "search.typeStory": "Fall",
+  "search.typeAnalysis": "Analyse",
+  "search.typeFinding": "Befund",
+  "search.typePrediction": "Prognose",
+  "search.typeGlossary": "Glossar",
+
+  "palette.label": "Befehlspalette",
+  "palette.placeholder": "Zu einem Abschnitt springen oder eine Aktion ausführen …",
+  "palette.results": "Ergebnisse",
+  "palette.empty": "Keine Treffer",
+  "palette.hint": "↑↓ zum Auswählen · Enter zum Öffnen · Esc zum Schließen · {chord} zum erneuten Öffnen",
+  "palette.groupSection": "Abschnitt",
+  "palette.groupTimeline": "Zeitleiste",
+  "palette.groupStory": "Fall",
+  "palette.groupPrediction": "Prognose",
+  "palette.groupFinding": "Befund",
+  "palette.groupAction": "Aktion",
+  "palette.toggleVersion": "Version der Visualisierung wechseln",
+  "palette.playSimulation": "Simulation abspielen",
+  "palette.pauseSimulation": "Simulation pausieren",
+  "palette.copyAddress": "Vertragsadresse kopieren",
+  "palette.toggleMotion": "Reduzierte Bewegung ein- oder ausschalten",
+  "palette.resetProgress": "Lesefortschritt zurücksetzen",
+
+  "animation.title": "Platzhalter für Stop-Motion-Animation",
+  "animation.placeholder": "Hier würde das Visualisierungssystem für die Lehre eingebunden ({version, select, female {weibliche} other {männliche}} Version)",
+  "animation.frame": "Bild {frame}: {state, select, active {aktiver} other {inaktiver}} Zustand ({version, select, female {weibliche} other {männliche}} Version)",
+  "animation.play": "Simulation abspielen",
+  "animation.playLabel": "Lernanimation abspielen",
+  "animation.pause": "Pause",
+  "animation.pauseLabel": "Lernanimation pausieren",
+
+  "chart.placeholderTitle": "DexScreener-Chart-Integration",
+  "chart.placeholderText": "Hier wird ein professioneller Handelschart eingebettet",
+  "chart.price": "Preis:",
+  "chart.marketCap": "Marktkapitalisierung:",
+  "chart.volume": "24-h-Volumen:",
+  "chart.load": "Live-Chart laden",
+  "chart.loading": "Chart wird geladen …",
+  "chart.frameTitle": "DexScreener-Handelschart",
+  "chart.readyTitle": "Chart bereit",
+  "chart.readyText": "Die DexScreener-Integration ist bereit. Ersetzen Sie die Platzhalter-Vertragsadresse durch eine echte Adresse, um Live-Handelsdaten anzuzeigen.",
+  "chart.status": "Status:",
+  "chart.statusReady": "Bereit",
+  "chart.integration": "Integration:",
+  "chart.integrationActive": "Aktiv",
+  "chart.platform": "Plattform:",
+  "chart.nextSteps": "Nächste Schritte:",
+  "chart.nextStepDeploy": "1. Token-Vertrag bereitstellen",
+  "chart.nextStepAddress": "2. Vertragsadresse in der Kopfzeile aktualisieren",
+  "chart.nextStepLive": "3. Der Chart zeigt dann automatisch Live-Daten",
+  "chart.errorTitle": "Fehler beim Laden des Charts",
+  "chart.errorText": "Der Handelschart konnte nicht geladen werden. Bitte versuchen Sie es später erneut.",
+  "chart.retry": "Erneut versuchen",
+
+  "diagnostics.title": "Diagnose",
+  "diagnostics.hint": "{chord} zum Ein- und Ausblenden",
+  "diagnostics.close": "Diagnose schließen",
+  "diagnostics.performance": "Leistung",
+  "diagnostics.frameTime": "Framezeit",
+  "diagnostics.particleLoop": "Partikelschleife",
+  "diagnostics.fps": "{fps} fps",
+  "diagnostics.frame": "Frame {time} ms (max. {max} ms)",
+  "diagnostics.work": "Arbeit {time} ms",
+  "diagnostics.tasks": "{count, plural, one {# Aufgabe} other {# Aufgaben}}",
+  "diagnostics.deferred": "{count} zurückgestellt",
+  "diagnostics.particles": "{count} Partikel bei {budget} % Budget",
+  "diagnostics.paused": "pausiert",
+  "diagnostics.modules": "Module",
+  "diagnostics.lazy": "bei Bedarf geladen",
+  "diagnostics.needs": "benötigt {modules}",
+  "diagnostics.state": "Zustand",
+  "diagnostics.stateKey": "Zustandsschlüssel",
+  "diagnostics.stateValue": "Wert (JSON)",
+  "diagnostics.force": "Setzen",
+  "diagnostics.switchGender": "Männliche/weibliche Version wechseln",
+  "diagnostics.events": "Ereignisse",
+  "diagnostics.replay": "Erneut senden",
+  "diagnostics.analytics": "Analyse",
+  "diagnostics.highlight": "Beobachtete Elemente hervorheben"
+};
@@ -0,0 +1,294 @@
+/**
+ * ENGLISH MESSAGES
+ * The interface's source strings, and what every other catalog falls back
+ * to for a key it lacks. Keys are grouped by the module that shows them;
+ * values are ICU MessageFormat (see utils/message-format.js), e.g.
+ *
+ *   "{count, plural, one {# result} other {# results}}"
+ *
+ * A new key goes here first and into de.js, ja.js and nl.js with its
+ * translation. Page content (stories, timeline entries, findings) is not
+ * translated; only the interface around it is.
+ */
+
+export const MESSAGES = {
+  "date.yearBce": "{year} BCE",
+
+  "fallback.default": "This feature is temporarily unavailable. Please try again later.",
+  "fallback.citations": "The reference list could not be generated.",
+  "fallback.timeline": "The timeline could not be displayed.",
+  "fallback.stories": "The stories could not be displayed.",
+  "fallback.glossary": "The glossary could not be displayed.",
+  "fallback.polls": "Voting on predictions is unavailable right now.",
+  "fallback.animation": "The educational simulation could not be started.",
+  "fallback.form": "The contact form is unavailable right now. Please try again later.",
+  "fallback.crypto": "Copy unavailable - select the address manually.",
+  "fallback.chart": "The trading chart is unavailable right now. The rest of the page is unaffected.",
+
+  "nav.skip": "Skip to main content",
+  "nav.label": "Main navigation",
+  "nav.home": "Home",
+  "nav.history": "History & Lore",
+  "nav.stories": "Real Stories",
+  "nav.impacts": "Societal Impacts",
+  "nav.future": "Future Predictions",
+  "nav.about": "About",
+  "nav.language": "Language",
+  "nav.genderToggle": "{version, select, female {Switch to Male Version} other {Switch to Female Version}}",
+  "nav.genderDescription": "Toggle between male and female visualization versions",
+  "nav.reduceMotion": "Reduce animations",
+  "nav.motionReduced": "Animations reduced - click to enable",
+  "nav.toggleMenu": "Toggle navigation menu",
+  "nav.menuOpened": "Navigation menu opened",
+  "nav.menuClosed": "Navigation menu closed",
+
+  "home.scroll": "Scroll to content",
+  "home.explore": "Explore Research",
+
+  "crypto.address": "Contract Address",
+  "crypto.copy": "Copy contract address",
+  "crypto.copyTitle": "Copy CA",
+  "crypto.copied": "✓ Address copied to clipboard",
+  "crypto.copyFailed": "❌ Failed to copy address",
+
+  "stat.sourceLabel": "Source",
+  "stat.source": "Source: {source}",
+  "stat.asOf": "As of {date}",
+
+  "content.sources": "{count, plural, one {Source: } other {Sources: }}",
+
+  "timeline.region": "Historical timeline",
+  "timeline.tags": "Tags",
+  "timeline.sources": "{count, plural, one {Source} other {Sources (#)}}",
+
+  "timelineAxis.view": "Timeline view",
+  "timelineAxis.list": "List",
+  "timelineAxis.axis": "Time axis",
+  "timelineAxis.zoomIn": "Zoom in",
+  "timelineAxis.zoomOut": "Zoom out",
+  "timelineAxis.showAll": "Show all",
+  "timelineAxis.hint": "Drag to pan · Ctrl + scroll or pinch to zoom · ←/→ to move between events",
+  "timelineAxis.events": "Timeline events",
+  "timelineAxis.detail": "Event details",
+
+  "stories.grid": "Real-world case studies",
+  "stories.filters": "Filter stories",
+  "stories.region": "Region",
+  "stories.allRegions": "All regions",
+  "stories.technology": "Technology",
+  "stories.allTechnologies": "All technologies",
+  "stories.technologyHologram": "Hologram",
+  "stories.technologyChatbot": "Chatbot",
+  "stories.technologyAndroid": "Android",
+  "stories.technologyMixed": "Mixed",
+  "stories.sourceType": "Source type",
+  "stories.allSourceTypes": "All source types",
+  "stories.sourceNews": "News report",
+  "stories.sourceCompany": "Company data",
+  "stories.sourceAcademic": "Academic",
+  "stories.years": "Years",
+  "stories.from": "From",
+  "stories.fromYear": "From year",
+  "stories.to": "To",
+  "stories.toYear": "To year",
+  "stories.sortBy": "Sort by",
+  "stories.sortFeatured": "Featured",
+  "stories.sortNewest": "Newest first",
+  "stories.sortOldest": "Oldest first",
+  "stories.sortTitle": "Title (A–Z)",
+  "stories.reset": "Reset filters",
+  "stories.countAll": "Showing all {total, plural, one {# story} other {# stories}}",
+  "stories.count": "Showing {shown} of {total, plural, one {# story} other {# stories}}",
+  "stories.empty": "No stories match these filters.",
+  "stories.ongoing": "{start}–Present",
+
+  "findings.showTable": "Show data table",
+  "findings.hideTable": "Hide data table",
+  "findings.download": "Download CSV",
+  "findings.downloaded": "Downloaded the data for “{title}” as CSV",
+
+  "chartData.category": "Category",
+  "chartData.value": "Value",
+  "chartData.study": "Study",
+  "chartData.effectSize": "Effect size",
+  "chartData.interval": "95% CI",
+  "chartData.lower": "{interval} lower",
+  "chartData.upper": "{interval} upper",
+
+  "polls.voteOn": "Vote on “{title}”",
+  "polls.likelihoodQuestion": "How likely is this?",
+  "polls.confidenceQuestion": "How confident are you?",
+  "polls.likelihood": "{value, select, 1 {Very unlikely} 2 {Unlikely} 3 {Uncertain} 4 {Likely} other {Very likely}}",
+  "polls.confidence": "{value, select, 1 {Low} 2 {Medium} other {High}}",
+  "polls.confidenceLegend": "{value, select, 1 {Low confidence} 2 {Medium confidence} other {High confidence}}",
+  "polls.vote": "Vote",
+  "polls.results": "Results",
+  "polls.resultsCount": "{count, plural, =0 {Results} one {Results (# vote)} other {Results (# votes)}}",
+  "polls.empty": "No votes yet.",
+  "polls.chartTitle": "Votes on “{title}” by likelihood",
+  "polls.distribution": "{likelihood}: {total} ({split} confidence)",
+  "polls.distributionNone": "{likelihood}: none",
+  "polls.confidenceCount": "{count} {confidence, select, 1 {low} 2 {medium} other {high}}",
+  "polls.average": "1 = very unlikely, 5 = very likely · Average {mean} ({likelihood, select, 1 {very unlikely} 2 {unlikely} 3 {uncertain} 4 {likely} other {very likely}})",
+  "polls.chooseFirst": "Choose a likelihood and a confidence first.",
+  "polls.voteRecorded": "✓ Vote recorded: {likelihood, select, 1 {very unlikely} 2 {unlikely} 3 {uncertain} 4 {likely} other {very likely}}, {confidence, select, 1 {low} 2 {medium} other {high}} confidence",
+  "polls.voteFailed": "❌ Your vote could not be recorded. Please try again.",
+  "polls.room": "Voting in room “{room}”",
+  "polls.facilitator": "Poll facilitator controls",
+  "polls.roomLabel": "Room",
+  "polls.openRoom": "Open room",
+  "polls.refresh": "Refresh",
+  "polls.exportCsv": "Export CSV",
+  "polls.resetVotes": "Reset votes",
+  "polls.total": "{count, plural, one {# vote} other {# votes}} in room “{room}”",
+  "polls.opened": "Opened room {room}",
+  "polls.confirmReset": "Delete all {count, plural, one {# vote} other {# votes}} in room “{room}”? This cannot be undone.",
+  "polls.resetFailed": "Votes could not be reset",
+  "polls.resetDone": "Reset {count, plural, one {# vote} other {# votes}} in room {room}",
+  "polls.exported": "Exported {count, plural, one {# vote} other {# votes}} as CSV",
+
+  "form.name": "Full Name",
+  "form.email": "Email Address",
+  "form.institution": "Institution/Organization",
+  "form.subject": "Research Area",
+  "form.subjectPlaceholder": "Select research area",
+  "form.subjectSociology": "Sociology & Cultural Studies",
+  "form.subjectPsychology": "Psychology & Behavioral Science",
+  "form.subjectEthics": "Technology Ethics & Philosophy",
+  "form.subjectLegal": "Legal & Policy Research",
+  "form.subjectAnthropology": "Anthropology & Human Studies",
+  "form.subjectCollaboration": "Research Collaboration",
+  "form.subjectOther": "Other",
+  "form.message": "Message",
+  "form.messagePlaceholder": "Please describe your research interests or collaboration proposals...",
+  "form.nameInvalid": "Name must contain only letters and spaces, minimum {minLength} characters",
+  "form.emailInvalid": "Please enter a valid email address",
+  "form.subjectRequired": "Please select a research area",
+  "form.messageLength": "Message must be between {minLength} and {maxLength} characters",
+  "form.required": "{field} is required",
+  "form.submit": "Submit Inquiry",
+  "form.submitting": "Submitting...",
+  "form.sent": "Message Sent!",
+  "form.failed": "Failed - Try Again",
+
+  "glossary.index": "Glossary by letter",
+  "glossary.source": "{count, plural, one {Source: {sources}} other {Sources: {sources}}}",
+  "glossary.usedIn": "Used in: ",
+  "glossary.use": "Use {number}",
+
+  "citations.reference": "Reference {number}",
+  "citations.export": "Export citations",
+  "citations.selectAll": "Select all",
+  "citations.format": "Format",
+  "citations.exportSelected": "{count, plural, =0 {Export selected} other {Export selected ({count})}}",
+  "citations.exportAll": "Export all",
+  "citations.exported": "Exported {count, plural, one {# citation} other {# citations}} as {format}",
+  "citations.select": "Select reference {number}",
+  "citations.backlink": "Back to citation {number}",
+  "citations.backlinkUse": "Back to citation {number}, use {use}",
+  "citations.incomplete": "Full details pending; not exported",
+
+  "cite.button": "Cite",
+  "cite.site": "Cite this site",
+  "cite.label": "Cite “{title}”",
+  "cite.close": "Close",
+  "cite.copy": "Copy",
+  "cite.copyLabel": "Copy {style} citation",
+  "cite.copied": "✓ {style} citation copied to clipboard",
+  "cite.copyFailed": "❌ Copy failed - select the citation and copy it manually",
+
+  "router.permalink": "Link to {title}",
+
+  "toc.label": "Table of contents",
+  "toc.toggle": "Contents",
+  "toc.reset": "Reset reading progress",
+  "toc.progress": "{title} read",
+  "toc.completed": "(completed)",
+
+  "search.toggle": "Search",
+  "search.toggleTitle": "Search ({chord})",
+  "search.label": "Search the research",
+  "search.placeholder": "Search stories, timeline, findings…",
+  "search.status": "{count, plural, =0 {No results for “{query}”} one {# result} other {# results}}",
+  "search.typeTimeline": "Timeline",
+  "search.typeStory": "Story",
+  "search.typeAnalysis": "Analysis",
+  "search.typeFinding": "Finding",
+  "search.typePrediction": "Prediction",
+  "search.typeGlossary": "Glossary",
+
+  "palette.label": "Command palette",
+  "palette.placeholder": "Jump to a section or run an action…",
+  "palette.results": "Results",
+  "palette.empty": "No matches",
+  "palette.hint": "↑↓ to choose · Enter to go · Esc to close · {chord} to reopen",
+  "palette.groupSection": "Section",
+  "palette.groupTimeline": "Timeline",
+  "palette.groupStory": "Story",
+  "palette.groupPrediction": "Prediction",
+  "palette.groupFinding": "Finding",
+  "palette.groupAction": "Action",
+  "palette.toggleVersion": "Toggle visualization version",
+  "palette.playSimulation": "Play simulation",
+  "palette.pauseSimulation": "Pause simulation",
+  "palette.copyAddress": "Copy contract address",
+  "palette.toggleMotion": "Toggle reduced motion",
+  "palette.resetProgress": "Reset reading progress",
+
+  "animation.title": "Stop-Motion Animation Placeholder",
+  "animation.placeholder": "Educational visualization system would be implemented here ({version, select, female {Female} other {Male}} Version)",
+  "animation.frame": "Frame {frame}: {state, select, active {Active} other {Inactive}} State ({version, select, female {Female} other {Male}} Version)",
+  "animation.play": "Play Simulation",
+  "animation.playLabel": "Play educational animation",
+  "animation.pause": "Pause",
+  "animation.pauseLabel": "Pause educational animation",
+
+  "chart.placeholderTitle": "DexScreener Chart Integration",
+  "chart.placeholderText": "Professional trading chart will be embedded here",
+  "chart.price": "Price:",
+  "chart.marketCap": "Market Cap:",
+  "chart.volume": "24h Volume:",
+  "chart.load": "Load Live Chart",
+  "chart.loading": "Loading Chart...",
+  "chart.frameTitle": "DexScreener Trading Chart",
+  "chart.readyTitle": "Chart Ready",
+  "chart.readyText": "DexScreener chart integration is ready. Replace the placeholder contract address with a real address to display live trading data.",
+  "chart.status": "Status:",
+  "chart.statusReady": "Ready",
+  "chart.integration": "Integration:",
+  "chart.integrationActive": "Active",
+  "chart.platform": "Platform:",
+  "chart.nextSteps": "Next Steps:",
+  "chart.nextStepDeploy": "1. Deploy your token contract",
+  "chart.nextStepAddress": "2. Update the contract address in the header",
+  "chart.nextStepLive": "3. Chart will automatically display live data",
+  "chart.errorTitle": "Chart Load Error",
+  "chart.errorText": "Failed to load trading chart. Please try again later.",
+  "chart.retry": "Retry",
+
+  "diagnostics.title": "Diagnostics",
+  "diagnostics.hint": "{chord} to toggle",
+  "diagnostics.close": "Close diagnostics",
+  "diagnostics.performance": "Performance",
+  "diagnostics.frameTime": "frame time",
+  "diagnostics.particleLoop": "particle loop",
+  "diagnostics.fps": "{fps} fps",
+  "diagnostics.frame": "frame {time}ms (max {max}ms)",
+  "diagnostics.work": "work {time}ms",
+  "diagnostics.tasks": "{count, plural, one {# task} other {# tasks}}",
+  "diagnostics.deferred": "{count} deferred",
+  "diagnostics.particles": "{count} particles at {budget}% budget",
+  "diagnostics.paused": "paused",
+  "diagnostics.modules": "Modules",
+  "diagnostics.lazy": "lazy",
+  "diagnostics.needs": "needs {modules}",
+  "diagnostics.state": "State",
+  "diagnostics.stateKey": "State key",
+  "diagnostics.stateValue": "Value (JSON)",
+  "diagnostics.force": "Force",
+  "diagnostics.switchGender": "Switch gender version",
+  "diagnostics.events": "Events",
+  "diagnostics.replay": "Replay",
+  "diagnostics.analytics": "Analytics",
+  "diagnostics.highlight": "Highlight observed elements"
+};
@@ -0,0 +1,287 @@
+/**
+ * JAPANESE MESSAGES
+ * Translation of en.js, key for key. Keys missing here show in English.
+ * Japanese has a single plural form, so plurals only need `other`.
+ */
+
+export const MESSAGES = {
+  "date.yearBce": "紀元前{year}年",
+
+  "fallback.default": "この機能は一時的に利用できません。しばらくしてから再度お試しください。",
+  "fallback.citations": "参考文献リストを作成できませんでした。",
+  "fallback.timeline": "年表を表示できませんでした。",
+  "fallback.stories": "事例を表示できませんでした。",
+  "fallback.glossary": "用語集を表示できませんでした。",
+  "fallback.polls": "予測への投票は現在利用できません。",
+  "fallback.animation": "教育用シミュレーションを開始できませんでした。",
+  "fallback.form": "お問い合わせフォームは現在利用できません。しばらくしてから再度お試しください。",
+  "fallback.crypto": "コピーできません。アドレスを手動で選択してください。",
+  "fallback.chart": "取引チャートは現在利用できません。ページの他の部分には影響ありません。",
+
+  "nav.skip": "メインコンテンツへスキップ",
+  "nav.label": "メインナビゲーション",
+  "nav.home": "ホーム",
+  "nav.history": "歴史と伝承",
+  "nav.stories": "実際の事例",
+  "nav.impacts": "社会への影響",
+  "nav.future": "将来予測",
+  "nav.about": "概要",
+  "nav.language": "言語",
+  "nav.genderToggle": "{version, select, female {男性版に切り替え} other {女性版に切り替え}}",
+  "nav.genderDescription": "可視化の男性版と女性版を切り替えます",
+  "nav.reduceMotion": "アニメーションを減らす",
+  "nav.motionReduced": "アニメーションを減らしています - クリックで有効化",
+  "nav.toggleMenu": "ナビゲーションメニューの切り替え",
+  "nav.menuOpened": "ナビゲーションメニューを開きました",
+  "nav.menuClosed": "ナビゲーションメニューを閉じました",
+
+  "home.scroll": "コンテンツへスクロール",
+  "home.explore": "研究を見る",
+
+  "crypto.address": "コントラクトアドレス",
+  "crypto.copy": "コントラクトアドレスをコピー",
+  "crypto.copyTitle": "CAをコピー",
+  "crypto.copied": "✓ アドレスをクリップボードにコピーしました",
+  "crypto.copyFailed": "❌ アドレスをコピーできませんでした",
+
+  "stat.sourceLabel": "出典",
+  "stat.source": "出典：{source}",
+  "stat.asOf": "{date}時点",
+
+  "content.sources": "出典：",
+
+  "timeline.region": "歴史年表",
+  "timeline.tags": "タグ",
+  "timeline.sources": "{count, plural, =1 {出典} other {出典（#件）}}",
+
+  "timelineAxis.view": "年表の表示",
+  "timelineAxis.list": "リスト",
+  "timelineAxis.axis": "時間軸",
+  "timelineAxis.zoomIn": "拡大",
+  "timelineAxis.zoomOut": "縮小",
+  "timelineAxis.showAll": "すべて表示",
+  "timelineAxis.hint": "ドラッグで移動 · Ctrl + スクロールまたはピンチで拡大縮小 · ←/→ で出来事を移動",
+  "timelineAxis.events": "年表の出来事",
+  "timelineAxis.detail": "出来事の詳細",
+
+  "stories.grid": "実際の事例研究",
+  "stories.filters": "事例の絞り込み",
+  "stories.region": "地域",
+  "stories.allRegions": "すべての地域",
+  "stories.technology": "技術",
+  "stories.allTechnologies": "すべての技術",
+  "stories.technologyHologram": "ホログラム",
+  "stories.technologyChatbot": "チャットボット",
+  "stories.technologyAndroid": "アンドロイド",
+  "stories.technologyMixed": "複合",
+  "stories.sourceType": "出典の種類",
+  "stories.allSourceTypes": "すべての出典",
+  "stories.sourceNews": "報道",
+  "stories.sourceCompany": "企業データ",
+  "stories.sourceAcademic": "学術",
+  "stories.years": "年",
+  "stories.from": "開始",
+  "stories.fromYear": "開始年",
+  "stories.to": "終了",
+  "stories.toYear": "終了年",
+  "stories.sortBy": "並べ替え",
+  "stories.sortFeatured": "おすすめ順",
+  "stories.sortNewest": "新しい順",
+  "stories.sortOldest": "古い順",
+  "stories.sortTitle": "タイトル順（A–Z）",
+  "stories.reset": "絞り込みを解除",
+  "stories.countAll": "全{total}件の事例を表示中",
+  "stories.count": "{total}件中{shown}件の事例を表示中",
+  "stories.empty": "条件に一致する事例はありません。",
+  "stories.ongoing": "{start}–現在",
+
+  "findings.showTable": "データ表を表示",
+  "findings.hideTable": "データ表を隠す",
+  "findings.download": "CSVをダウンロード",
+  "findings.downloaded": "「{title}」のデータをCSVでダウンロードしました",
+
+  "chartData.category": "区分",
+  "chartData.value": "値",
+  "chartData.study": "研究",
+  "chartData.effectSize": "効果量",
+  "chartData.interval": "95%信頼区間",
+  "chartData.lower": "{interval}下限",
+  "chartData.upper": "{interval}上限",
+
+  "polls.voteOn": "「{title}」への投票",
+  "polls.likelihoodQuestion": "これはどのくらい起こりそうですか？",
+  "polls.confidenceQuestion": "回答にどのくらい自信がありますか？",
+  "polls.likelihood": "{value, select, 1 {まず起こらない} 2 {起こりにくい} 3 {どちらとも言えない} 4 {起こりそう} other {ほぼ確実に起こる}}",
+  "polls.confidence": "{value, select, 1 {低} 2 {中} other {高}}",
+  "polls.confidenceLegend": "{value, select, 1 {自信：低} 2 {自信：中} other {自信：高}}",
+  "polls.vote": "投票する",
+  "polls.results": "結果",
+  "polls.resultsCount": "{count, plural, =0 {結果} other {結果（#票）}}",
+  "polls.empty": "まだ投票はありません。",
+  "polls.chartTitle": "「{title}」への投票（起こりやすさ別）",
+  "polls.distribution": "{likelihood}：{total}票（自信 {split}）",
+  "polls.distributionNone": "{likelihood}：なし",
+  "polls.confidenceCount": "{confidence, select, 1 {低} 2 {中} other {高}}{count}",
+  "polls.average": "1 = まず起こらない、5 = ほぼ確実に起こる · 平均 {mean}（{likelihood, select, 1 {まず起こらない} 2 {起こりにくい} 3 {どちらとも言えない} 4 {起こりそう} other {ほぼ確実に起こる}}）",
+  "polls.chooseFirst": "先に起こりやすさと自信の度合いを選んでください。",
+  "polls.voteRecorded": "✓ 投票を記録しました：{likelihood, select, 1 {まず起こらない} 2 {起こりにくい} 3 {どちらとも言えない} 4 {起こりそう} other {ほぼ確実に起こる}}、自信{confidence, select, 1 {低} 2 {中} other {高}}",
+  "polls.voteFailed": "❌ 投票を記録できませんでした。もう一度お試しください。",
+  "polls.room": "ルーム「{room}」で投票中",
+  "polls.facilitator": "投票の進行用コントロール",
+  "polls.roomLabel": "ルーム",
+  "polls.openRoom": "ルームを開く",
+  "polls.refresh": "更新",
+  "polls.exportCsv": "CSVを書き出す",
+  "polls.resetVotes": "投票をリセット",
+  "polls.total": "ルーム「{room}」の投票：{count}票",
+  "polls.opened": "ルーム{room}を開きました",
+  "polls.confirmReset": "ルーム「{room}」の{count}票をすべて削除しますか？ この操作は元に戻せません。",
+  "polls.resetFailed": "投票をリセットできませんでした",
+  "polls.resetDone": "ルーム{room}の{count}票をリセットしました",
+  "polls.exported": "{count}票をCSVで書き出しました",
+
+  "form.name": "氏名",
+  "form.email": "メールアドレス",
+  "form.institution": "所属機関・団体",
+  "form.subject": "研究分野",
+  "form.subjectPlaceholder": "研究分野を選択",
+  "form.subjectSociology": "社会学・文化研究",
+  "form.subjectPsychology": "心理学・行動科学",
+  "form.subjectEthics": "技術倫理・哲学",
+  "form.subjectLegal": "法学・政策研究",
+  "form.subjectAnthropology": "人類学・人間科学",
+  "form.subjectCollaboration": "共同研究",
+  "form.subjectOther": "その他",
+  "form.message": "メッセージ",
+  "form.messagePlaceholder": "研究上の関心や共同研究のご提案をご記入ください…",
+  "form.nameInvalid": "氏名には文字とスペースのみ使用でき、{minLength}文字以上必要です",
+  "form.emailInvalid": "有効なメールアドレスを入力してください",
+  "form.subjectRequired": "研究分野を選択してください",
+  "form.messageLength": "メッセージは{minLength}文字以上{maxLength}文字以内で入力してください",
+  "form.required": "{field}は必須です",
+  "form.submit": "問い合わせを送信",
+  "form.submitting": "送信中…",
+  "form.sent": "送信しました！",
+  "form.failed": "失敗しました - 再試行",
+
+  "glossary.index": "用語集の索引",
+  "glossary.source": "出典：{sources}",
+  "glossary.usedIn": "使用箇所：",
+  "glossary.use": "{number}か所目",
+
+  "citations.reference": "参考文献{number}",
+  "citations.export": "参考文献の書き出し",
+  "citations.selectAll": "すべて選択",
+  "citations.format": "形式",
+  "citations.exportSelected": "{count, plural, =0 {選択した項目を書き出す} other {選択した項目を書き出す（{count}）}}",
+  "citations.exportAll": "すべて書き出す",
+  "citations.exported": "{count}件の参考文献を{format}で書き出しました",
+  "citations.select": "参考文献{number}を選択",
+  "citations.backlink": "引用箇所{number}に戻る",
+  "citations.backlinkUse": "引用箇所{number}に戻る（{use}か所目）",
+  "citations.incomplete": "詳細な書誌情報は準備中のため、エクスポートされません",
+
+  "cite.button": "引用",
+  "cite.site": "このサイトを引用",
+  "cite.label": "「{title}」を引用",
+  "cite.close": "閉じる",
+  "cite.copy": "コピー",
+  "cite.copyLabel": "{style}形式の引用をコピー",
+  "cite.copied": "✓ {style}形式の引用をクリップボードにコピーしました",
+  "cite.copyFailed": "❌ コピーできませんでした。引用を選択して手動でコピーしてください",
+
+  "router.permalink": "{title}へのリンク",
+
+  "toc.label": "目次",
+  "toc.toggle": "目次",
+  "toc.reset": "読書の進捗をリセット",
+  "toc.progress": "{title}の既読率",
+  "toc.completed": "（読了）",
+
+  "search.toggle": "検索",
+  "search.toggleTitle": "検索（{chord}）",
+  "search.label": "研究内を検索",
+  "search.placeholder": "事例・年表・研究結果を検索…",
+  "search.status": "{count, plural, =0 {「{query}」に一致する結果はありません} other {#件の結果}}",
+  "search.typeTimeline": "年表",
+  "search.typeStory": "事例",
+  "search.typeAnalysis": "分析",
+  "search.typeFinding": "研究結果",
+  "search.typePrediction": "予測",
+  "search.typeGlossary": "用語集",
+
+  "palette.label": "コマンドパレット",
+  "palette.placeholder": "セクションへ移動、または操作を実行…",
+  "palette.results": "結果",
+  "palette.empty": "一致する項目はありません",
+  "palette.hint": "↑↓ で選択 · Enter で移動 · Esc で閉じる · {chord} で再表示",
+  "palette.groupSection": "セクション",
+  "palette.groupTimeline": "年表",
+  "palette.groupStory": "事例",
+  "palette.groupPrediction": "予測",
+  "palette.groupFinding": "研究結果",
+  "palette.groupAction": "操作",
+  "palette.toggleVersion": "可視化の版を切り替え",
+  "palette.playSimulation": "シミュレーションを再生",
+  "palette.pauseSimulation": "シミュレーションを一時停止",
+  "palette.copyAddress": "コントラクトアドレスをコピー",
+  "palette.toggleMotion": "動きの軽減を切り替え",
+  "palette.resetProgress": "読書の進捗をリセット",
+
+  "animation.title": "ストップモーションアニメーション（仮）",
+  "animation.placeholder": "ここに教育用の可視化システムが実装される予定です（{version, select, female {女性版} other {男性版}}）",
+  "animation.frame": "フレーム{frame}：{state, select, active {アクティブ} other {非アクティブ}}状態（{version, select, female {女性版} other {男性版}}）",
+  "animation.play": "シミュレーションを再生",
+  "animation.playLabel": "教育用アニメーションを再生",
+  "animation.pause": "一時停止",
+  "animation.pauseLabel": "教育用アニメーションを一時停止",
+
+  "chart.placeholderTitle": "DexScreenerチャート連携",
+  "chart.placeholderText": "ここにプロ向けの取引チャートが埋め込まれます",
+  "chart.price": "価格：",
+  "chart.marketCap": "時価総額：",
+  "chart.volume": "24時間出来高：",
+  "chart.load": "ライブチャートを読み込む",
+  "chart.loading": "チャートを読み込み中…",
+  "chart.frameTitle": "DexScreener取引チャート",
+  "chart.readyTitle": "チャートの準備完了",
+  "chart.readyText": "DexScreenerチャート連携の準備ができました。仮のコントラクトアドレスを実際のアドレスに置き換えると、ライブの取引データが表示されます。",
+  "chart.status": "状態：",
+  "chart.statusReady": "準備完了",
+  "chart.integration": "連携：",
+  "chart.integrationActive": "有効",
+  "chart.platform": "プラットフォーム：",
+  "chart.nextSteps": "次の手順：",
+  "chart.nextStepDeploy": "1. トークンコントラクトをデプロイする",
+  "chart.nextStepAddress": "2. ヘッダーのコントラクトアドレスを更新する",
+  "chart.nextStepLive": "3. チャートに自動でライブデータが表示されます",
+  "chart.errorTitle": "チャートの読み込みエラー",
+  "chart.errorText": "取引チャートを読み込めませんでした。しばらくしてから再度お試しください。",
+  "chart.retry": "再試行",
+
+  "diagnostics.title": "診断",
+  "diagnostics.hint": "{chord} で表示を切り替え",
+  "diagnostics.close": "診断を閉じる",
+  "diagnostics.performance": "パフォーマンス",
+  "diagnostics.frameTime": "フレーム時間",
+  "diagnostics.particleLoop": "パーティクル処理",
+  "diagnostics.fps": "{fps} fps",
+  "diagnostics.frame": "フレーム {time}ms（最大 {max}ms）",
+  "diagnostics.work": "処理 {time}ms",
+  "diagnostics.tasks": "{count, plural, other {タスク #件}}",
+  "diagnostics.deferred": "延期 {count}件",
+  "diagnostics.particles": "パーティクル {count}個（予算 {budget}%）",
+  "diagnostics.paused": "一時停止中",
+  "diagnostics.modules": "モジュール",
+  "diagnostics.lazy": "遅延読み込み",
+  "diagnostics.needs": "依存: {modules}",
+  "diagnostics.state": "状態",
+  "diagnostics.stateKey": "状態キー",
+  "diagnostics.stateValue": "値（JSON）",
+  "diagnostics.force": "設定",
+  "diagnostics.switchGender": "男性版と女性版を切り替え",
+  "diagnostics.events": "イベント",
+  "diagnostics.replay": "再送信",
+  "diagnostics.analytics": "アナリティクス",
+  "diagnostics.highlight": "監視中の要素を強調表示"
+};
@@ -0,0 +1,286 @@
+/**
+ * DUTCH MESSAGES
+ * Translation of en.js, key for key. Keys missing here show in English.
+ */
+
+export const MESSAGES = {
+  "date.yearBce": "{year} v.Chr.",
+
+  "fallback.default": "Deze functie is tijdelijk niet beschikbaar. Probeer het later opnieuw.",
+  "fallback.citations": "De literatuurlijst kon niet worden gemaakt.",
+  "fallback.timeline": "De tijdlijn kon niet worden weergegeven.",
+  "fallback.stories": "De verhalen konden niet worden weergegeven.",
+  "fallback.glossary": "De woordenlijst kon niet worden weergegeven.",
+  "fallback.polls": "Stemmen over voorspellingen is op dit moment niet mogelijk.",
+  "fallback.animation": "De educatieve simulatie kon niet worden gestart.",
+  "fallback.form": "Het contactformulier is op dit moment niet beschikbaar. Probeer het later opnieuw.",
+  "fallback.crypto": "Kopiëren niet mogelijk - selecteer het adres handmatig.",
+  "fallback.chart": "De handelsgrafiek is op dit moment niet beschikbaar. De rest van de pagina werkt gewoon.",
+
+  "nav.skip": "Naar de hoofdinhoud",
+  "nav.label": "Hoofdnavigatie",
+  "nav.home": "Home",
+  "nav.history": "Geschiedenis & mythen",
+  "nav.stories": "Echte verhalen",
+  "nav.impacts": "Maatschappelijke gevolgen",
+  "nav.future": "Voorspellingen",
+  "nav.about": "Over ons",
+  "nav.language": "Taal",
+  "nav.genderToggle": "{version, select, female {Naar de mannelijke versie} other {Naar de vrouwelijke versie}}",
+  "nav.genderDescription": "Wisselen tussen de mannelijke en vrouwelijke versie van de visualisatie",
+  "nav.reduceMotion": "Animaties beperken",
+  "nav.motionReduced": "Animaties beperkt - klik om ze in te schakelen",
+  "nav.toggleMenu": "Navigatiemenu tonen of verbergen",
+  "nav.menuOpened": "Navigatiemenu geopend",
+  "nav.menuClosed": "Navigatiemenu gesloten",
+
+  "home.scroll": "Naar de inhoud scrollen",
+  "home.explore": "Ontdek het onderzoek",
+
+  "crypto.address": "Contractadres",
+  "crypto.copy": "Contractadres kopiëren",
+  "crypto.copyTitle": "CA kopiëren",
+  "crypto.copied": "✓ Adres naar het klembord gekopieerd",
+  "crypto.copyFailed": "❌ Adres kopiëren mislukt",
+
+  "stat.sourceLabel": "Bron",
+  "stat.source": "Bron: {source}",
+  "stat.asOf": "Stand: {date}",
+
+  "content.sources": "{count, plural, one {Bron: } other {Bronnen: }}",
+
+  "timeline.region": "Historische tijdlijn",
+  "timeline.tags": "Labels",
+  "timeline.sources": "{count, plural, one {Bron} other {Bronnen (#)}}",
+
+  "timelineAxis.view": "Weergave van de tijdlijn",
+  "timelineAxis.list": "Lijst",
+  "timelineAxis.axis": "Tijdas",
+  "timelineAxis.zoomIn": "Inzoomen",
+  "timelineAxis.zoomOut": "Uitzoomen",
+  "timelineAxis.showAll": "Alles tonen",
+  "timelineAxis.hint": "Sleep om te verschuiven · Ctrl + scrollen of knijpen om te zoomen · ←/→ om tussen gebeurtenissen te gaan",
+  "timelineAxis.events": "Gebeurtenissen op de tijdlijn",
+  "timelineAxis.detail": "Details van de gebeurtenis",
+
+  "stories.grid": "Praktijkvoorbeelden",
+  "stories.filters": "Verhalen filteren",
+  "stories.region": "Regio",
+  "stories.allRegions": "Alle regio's",
+  "stories.technology": "Technologie",
+  "stories.allTechnologies": "Alle technologieën",
+  "stories.technologyHologram": "Hologram",
+  "stories.technologyChatbot": "Chatbot",
+  "stories.technologyAndroid": "Androïde",
+  "stories.technologyMixed": "Gemengd",
+  "stories.sourceType": "Soort bron",
+  "stories.allSourceTypes": "Alle soorten bronnen",
+  "stories.sourceNews": "Nieuwsbericht",
+  "stories.sourceCompany": "Bedrijfsgegevens",
+  "stories.sourceAcademic": "Wetenschappelijk",
+  "stories.years": "Jaren",
+  "stories.from": "Van",
+  "stories.fromYear": "Vanaf jaar",
+  "stories.to": "Tot",
+  "stories.toYear": "Tot en met jaar",
+  "stories.sortBy": "Sorteren op",
+  "stories.sortFeatured": "Uitgelicht",
+  "stories.sortNewest": "Nieuwste eerst",
+  "stories.sortOldest": "Oudste eerst",
+  "stories.sortTitle": "Titel (A–Z)",
+  "stories.reset": "Filters wissen",
+  "stories.countAll": "{total, plural, one {# verhaal} other {Alle # verhalen}} weergegeven",
+  "stories.count": "{shown} van {total, plural, one {# verhaal} other {# verhalen}} weergegeven",
+  "stories.empty": "Geen verhalen voldoen aan deze filters.",
+  "stories.ongoing": "{start}–heden",
+
+  "findings.showTable": "Gegevenstabel tonen",
+  "findings.hideTable": "Gegevenstabel verbergen",
+  "findings.download": "CSV downloaden",
+  "findings.downloaded": "De gegevens van ‘{title}’ zijn als CSV gedownload",
+
+  "chartData.category": "Categorie",
+  "chartData.value": "Waarde",
+  "chartData.study": "Studie",
+  "chartData.effectSize": "Effectgrootte",
+  "chartData.interval": "95%-BI",
+  "chartData.lower": "{interval} ondergrens",
+  "chartData.upper": "{interval} bovengrens",
+
+  "polls.voteOn": "Stem over ‘{title}’",
+  "polls.likelihoodQuestion": "Hoe waarschijnlijk is dit?",
+  "polls.confidenceQuestion": "Hoe zeker bent u?",
+  "polls.likelihood": "{value, select, 1 {Zeer onwaarschijnlijk} 2 {Onwaarschijnlijk} 3 {Onzeker} 4 {Waarschijnlijk} other {Zeer waarschijnlijk}}",
+  "polls.confidence": "{value, select, 1 {Laag} 2 {Gemiddeld} other {Hoog}}",
+  "polls.confidenceLegend": "{value, select, 1 {Weinig zeker} 2 {Redelijk zeker} other {Zeer zeker}}",
+  "polls.vote": "Stemmen",
+  "polls.results": "Resultaten",
+  "polls.resultsCount": "{count, plural, =0 {Resultaten} one {Resultaten (# stem)} other {Resultaten (# stemmen)}}",
+  "polls.empty": "Nog geen stemmen.",
+  "polls.chartTitle": "Stemmen over ‘{title}’ naar waarschijnlijkheid",
+  "polls.distribution": "{likelihood}: {total} (zekerheid: {split})",
+  "polls.distributionNone": "{likelihood}: geen",
+  "polls.confidenceCount": "{count} {confidence, select, 1 {laag} 2 {gemiddeld} other {hoog}}",
+  "polls.average": "1 = zeer onwaarschijnlijk, 5 = zeer waarschijnlijk · Gemiddeld {mean} ({likelihood, select, 1 {zeer onwaarschijnlijk} 2 {onwaarschijnlijk} 3 {onzeker} 4 {waarschijnlijk} other {zeer waarschijnlijk}})",
+  "polls.chooseFirst": "Kies eerst een waarschijnlijkheid en hoe zeker u bent.",
+  "polls.voteRecorded": "✓ Stem vastgelegd: {likelihood, select, 1 {zeer onwaarschijnlijk} 2 {onwaarschijnlijk} 3 {onzeker} 4 {waarschijnlijk} other {zeer waarschijnlijk}}, zekerheid {confidence, select, 1 {laag} 2 {gemiddeld} other {hoog}}",
+  "polls.voteFailed": "❌ Uw stem kon niet worden vastgelegd. Probeer het opnieuw.",
+  "polls.room": "Stemmen in ruimte ‘{room}’",
+  "polls.facilitator": "Bediening voor de gespreksleider",
+  "polls.roomLabel": "Ruimte",
+  "polls.openRoom": "Ruimte openen",
+  "polls.refresh": "Vernieuwen",
+  "polls.exportCsv": "CSV exporteren",
+  "polls.resetVotes": "Stemmen wissen",
+  "polls.total": "{count, plural, one {# stem} other {# stemmen}} in ruimte ‘{room}’",
+  "polls.opened": "Ruimte {room} geopend",
+  "polls.confirmReset": "{count, plural, one {De # stem} other {Alle # stemmen}} in ruimte ‘{room}’ verwijderen? Dit kan niet ongedaan worden gemaakt.",
+  "polls.resetFailed": "De stemmen konden niet worden gewist",
+  "polls.resetDone": "{count, plural, one {# stem} other {# stemmen}} in ruimte {room} gewist",
+  "polls.exported": "{count, plural, one {# stem} other {# stemmen}} als CSV geëxporteerd",
+
+  "form.name": "Volledige naam",
+  "form.email": "E-mailadres",
+  "form.institution": "Instelling/organisatie",
+  "form.subject": "Onderzoeksgebied",
+  "form.subjectPlaceholder": "Kies een onderzoeksgebied",
+  "form.subjectSociology": "Sociologie & cultuurwetenschappen",
+  "form.subjectPsychology": "Psychologie & gedragswetenschappen",
+  "form.subjectEthics": "Techniekethiek & filosofie",
+  "form.subjectLegal": "Recht & beleidsonderzoek",
+  "form.subjectAnthropology": "Antropologie & menswetenschappen",
+  "form.subjectCollaboration": "Onderzoekssamenwerking",
+  "form.subjectOther": "Anders",
+  "form.message": "Bericht",
+  "form.messagePlaceholder": "Beschrijf uw onderzoeksinteresses of voorstellen voor samenwerking...",
+  "form.nameInvalid": "De naam mag alleen letters en spaties bevatten en moet minstens {minLength} tekens lang zijn",
+  "form.emailInvalid": "Voer een geldig e-mailadres in",
+  "form.subjectRequired": "Kies een onderzoeksgebied",
+  "form.messageLength": "Het bericht moet tussen {minLength} en {maxLength} tekens lang zijn",
+  "form.required": "{field} is verplicht",
+  "form.submit": "Aanvraag versturen",
+  "form.submitting": "Bezig met versturen...",
+  "form.sent": "Bericht verstuurd!",
+  "form.failed": "Mislukt - probeer opnieuw",
+
+  "glossary.index": "Woordenlijst per letter",
+  "glossary.source": "{count, plural, one {Bron: {sources}} other {Bronnen: {sources}}}",
+  "glossary.usedIn": "Gebruikt in: ",
+  "glossary.use": "Vermelding {number}",
+
+  "citations.reference": "Bron {number}",
+  "citations.export": "Bronnen exporteren",
+  "citations.selectAll": "Alles selecteren",
+  "citations.format": "Formaat",
+  "citations.exportSelected": "{count, plural, =0 {Selectie exporteren} other {Selectie exporteren ({count})}}",
+  "citations.exportAll": "Alles exporteren",
+  "citations.exported": "{count, plural, one {# bron} other {# bronnen}} als {format} geëxporteerd",
+  "citations.select": "Bron {number} selecteren",
+  "citations.backlink": "Terug naar verwijzing {number}",
+  "citations.backlinkUse": "Terug naar verwijzing {number}, vermelding {use}",
+  "citations.incomplete": "Volledige gegevens volgen; niet geëxporteerd",
+
+  "cite.button": "Citeren",
+  "cite.site": "Deze site citeren",
+  "cite.label": "‘{title}’ citeren",
+  "cite.close": "Sluiten",
+  "cite.copy": "Kopiëren",
+  "cite.copyLabel": "Bronvermelding in {style}-stijl kopiëren",
+  "cite.copied": "✓ Bronvermelding in {style}-stijl naar het klembord gekopieerd",
+  "cite.copyFailed": "❌ Kopiëren mislukt - selecteer de bronvermelding en kopieer die handmatig",
+
+  "router.permalink": "Link naar {title}",
+
+  "toc.label": "Inhoudsopgave",
+  "toc.toggle": "Inhoud",
+  "toc.reset": "Leesvoortgang wissen",
+  "toc.progress": "{title} gelezen",
+  "toc.completed": "(voltooid)",
+
+  "search.toggle": "Zoeken",
+  "search.toggleTitle": "Zoeken ({chord})",
+  "search.label": "Het onderzoek doorzoeken",
+  "search.placeholder": "Zoek in verhalen, tijdlijn, bevindingen…",
+  "search.status": "{count, plural, =0 {Geen resultaten voor ‘{query}’} one {# resultaat} other {# resultaten}}",
+  "search.typeTimeline": "Tijdlijn",
+  "search.typeStory": "Verhaal",
+  "search.typeAnalysis": "Analyse",
+  "search.typeFinding": "Bevinding",
+  "search.typePrediction": "Voorspelling",
+  "search.typeGlossary": "Woordenlijst",
+
+  "palette.label": "Opdrachtenpalet",
+  "palette.placeholder": "Ga naar een onderdeel of voer een actie uit…",
+  "palette.results": "Resultaten",
+  "palette.empty": "Geen overeenkomsten",
+  "palette.hint": "↑↓ om te kiezen · Enter om te gaan · Esc om te sluiten · {chord} om opnieuw te openen",
+  "palette.groupSection": "Onderdeel",
+  "palette.groupTimeline": "Tijdlijn",
+  "palette.groupStory": "Verhaal",
+  "palette.groupPrediction": "Voorspelling",
+  "palette.groupFinding": "Bevinding",
+  "palette.groupAction": "Actie",
+  "palette.toggleVersion": "Versie van de visualisatie wisselen",
+  "palette.playSimulation": "Simulatie afspelen",
+  "palette.pauseSimulation": "Simulatie pauzeren",
+  "palette.copyAddress": "Contractadres kopiëren",
+  "palette.toggleMotion": "Beperkte beweging aan- of uitzetten",
+  "palette.resetProgress": "Leesvoortgang wissen",
+
+  "animation.title": "Tijdelijke plek voor stop-motionanimatie",
+  "animation.placeholder": "Hier komt het educatieve visualisatiesysteem ({version, select, female {vrouwelijke} other {mannelijke}} versie)",
+  "animation.frame": "Frame {frame}: {state, select, active {actieve} other {inactieve}} toestand ({version, select, female {vrouwelijke} other {mannelijke}} versie)",
+  "animation.play": "Simulatie afspelen",
+  "animation.playLabel": "Educatieve animatie afspelen",
+  "animation.pause": "Pauze",
+  "animation.pauseLabel": "Educatieve animatie pauzeren",
+
+  "chart.placeholderTitle": "DexScreener-grafiekintegratie",
+  "chart.placeholderText": "Hier wordt een professionele handelsgrafiek ingesloten",
+  "chart.price": "Prijs:",
+  "chart.marketCap": "Marktkapitalisatie:",
+  "chart.volume": "Volume 24 u:",
+  "chart.load": "Live grafiek laden",
+  "chart.loading": "Grafiek laden...",
+  "chart.frameTitle": "DexScreener-handelsgrafiek",
+  "chart.readyTitle": "Grafiek gereed",
+  "chart.readyText": "De DexScreener-integratie is gereed. Vervang het tijdelijke contractadres door een echt adres om live handelsgegevens te tonen.",
+  "chart.status": "Status:",
+  "chart.statusReady": "Gereed",
+  "chart.integration": "Integratie:",
+  "chart.integrationActive": "Actief",
+  "chart.platform": "Platform:",
+  "chart.nextSteps": "Volgende stappen:",
+  "chart.nextStepDeploy": "1. Zet uw tokencontract live",
+  "chart.nextStepAddress": "2. Werk het contractadres in de kop bij",
+  "chart.nextStepLive": "3. De grafiek toont dan automatisch live gegevens",
+  "chart.errorTitle": "Fout bij laden van grafiek",
+  "chart.errorText": "De handelsgrafiek kon niet worden geladen. Probeer het later opnieuw.",
+  "chart.retry": "Opnieuw proberen",
+
+  "diagnostics.title": "Diagnose",
+  "diagnostics.hint": "{chord} om te tonen of te verbergen",
+  "diagnostics.close": "Diagnose sluiten",
+  "diagnostics.performance": "Prestaties",
+  "diagnostics.frameTime": "frametijd",
+  "diagnostics.particleLoop": "deeltjeslus",
+  "diagnostics.fps": "{fps} fps",
+  "diagnostics.frame": "frame {time} ms (max. {max} ms)",
+  "diagnostics.work": "werk {time} ms",
+  "diagnostics.tasks": "{count, plural, one {# taak} other {# taken}}",
+  "diagnostics.deferred": "{count} uitgesteld",
+  "diagnostics.particles": "{count} deeltjes bij {budget}% budget",
+  "diagnostics.paused": "gepauzeerd",
+  "diagnostics.modules": "Modules",
+  "diagnostics.lazy": "op verzoek geladen",
+  "diagnostics.needs": "vereist {modules}",
+  "diagnostics.state": "Status",
+  "diagnostics.stateKey": "Statussleutel",
+  "diagnostics.stateValue": "Waarde (JSON)",
+  "diagnostics.force": "Instellen",
+  "diagnostics.switchGender": "Mannelijke/vrouwelijke versie wisselen",
+  "diagnostics.events": "Gebeurtenissen",
+  "diagnostics.replay": "Opnieuw verzenden",
+  "diagnostics.analytics": "Analytics",
+  "diagnostics.highlight": "Geobserveerde elementen markeren"
+};
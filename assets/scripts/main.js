@@ -4,51 +4,169 @@
  * Performance-optimized with lazy loading and efficient DOM manipulation
  */
 
+import { EventBus, APP_EVENTS } from './core/event-bus.js';
+import { Store } from './core/store.js';
+import { Disposables } from './core/disposables.js';
+import { AppModule } from './core/app-module.js';
+import { ModuleRegistry, whenNearViewport, whenRequested } from './core/module-registry.js';
+import { ModuleHealth, MODULE_STATUS } from './core/module-health.js';
+import { MotionManager, MOTION_PREFERENCES } from './core/motion.js';
+import { I18n, LOCALES, negotiateLocale } from './core/i18n.js';
+import { FrameScheduler, FRAME_PRIORITY } from './core/frame-scheduler.js';
+import { RouterModule } from './modules/router.js';
+import { TocModule } from './modules/toc.js';
+import { CitationsModule } from './modules/citations.js';
+import { TimelineModule } from './modules/timeline.js';
+import { TimelineAxisModule } from './modules/timeline-axis.js';
+import { StoriesModule, STORY_TECHNOLOGIES, STORY_SOURCE_TYPES, STORY_SORTS, regionSlug } from './modules/stories.js';
+import { STORY_ENTRIES } from './data/stories.js';
+import { GlossaryModule } from './modules/glossary.js';
+import { SearchModule } from './modules/search.js';
+import { CiteModule } from './modules/cite.js';
+import { PollsModule, ROOM_PATTERN } from './modules/polls.js';
+import { FindingChartsModule } from './modules/finding-charts.js';
+import { ParticleRenderer } from './graphics/particle-renderer.js';
+import { FocusTrap } from './utils/focus-trap.js';
+import { StatCounter } from './utils/stat-counter.js';
+import { announce } from './utils/announcer.js';
+import { copyText } from './utils/clipboard.js';
+
 // ============================================================================
 // CORE APPLICATION CLASS
 // ============================================================================
 
 class RobosexualityApp {
-  constructor() {
+  constructor({ autoInit = true } = {}) {
     this.isInitialized = false;
+    this.isMounted = false;
+    this.disposables = new Disposables();
     this.observers = new Map();
+    this.observedTargets = new Map();
+    this.particles = null;
+    this.registry = new ModuleRegistry();
+    this.motion = new MotionManager(this);
+    this.i18n = new I18n(this);
+    this.frames = new FrameScheduler();
     this.modules = new Map();
-    this.state = {
-      currentSection: 'home',
-      genderVersion: 'male', // 'male' or 'female'
-      animationPlaying: false,
-      scrollPosition: 0,
-      isMenuOpen: false
-    };
+    this.pendingModules = new Map();
+    this.fallbacks = new Map();
+    this.events = new EventBus();
+    this.health = new ModuleHealth((record, previous) => {
+      this.emit(APP_EVENTS.MODULE_STATUS_CHANGED, {
+        name: record.name,
+        status: record.status,
+        previousStatus: previous?.status ?? null,
+        phase: record.phase,
+        reason: record.reason,
+        timestamp: record.timestamp
+      });
+    });
+    this.store = new Store(
+      {
+        currentSection: 'home',
+        genderVersion: 'male', // 'male' or 'female'
+        animationPlaying: false,
+        scrollPosition: 0,
+        isMenuOpen: false,
+        motionPreference: 'system', // 'system', 'reduce' or 'full'
+        locale: negotiateLocale(), // interface language, one of LOCALES
+        systemReducedMotion: false,
+        completedSections: [], // ids of sections read to the end
+        timelineView: 'list', // 'list' or 'axis'
+        // Story filters; '' means no filter
+        storyRegion: '',
+        storyTechnology: '',
+        storySourceType: '',
+        storyYearFrom: '',
+        storyYearTo: '',
+        storySort: 'featured',
+        pollRoom: 'default' // prediction poll votes are kept per room
+      },
+      {
+        persist: [
+          { key: 'genderVersion', param: 'version', validate: value => ['male', 'female'].includes(value) },
+          { key: 'motionPreference', validate: value => MOTION_PREFERENCES.includes(value) },
+          // A shared link can carry the language, e.g. for a seminar group
+          { key: 'locale', param: 'lang', validate: value => Object.hasOwn(LOCALES, value) },
+          // The router mirrors the current section to location.hash
+          { key: 'currentSection', validate: value => Boolean(document.getElementById(value)) },
+          { key: 'completedSections', validate: value => Array.isArray(value) && value.every(id => typeof id === 'string') },
+          { key: 'timelineView', validate: value => ['list', 'axis'].includes(value) },
+          // Story filters only live in the URL, so a shared link reproduces
+          // them without changing what the next visit starts with
+          { key: 'storyRegion', param: 'region', storage: false, validate: value => STORY_ENTRIES.some(entry => regionSlug(entry.region) === value) },
+          { key: 'storyTechnology', param: 'tech', storage: false, validate: value => Object.hasOwn(STORY_TECHNOLOGIES, value) },
+          { key: 'storySourceType', param: 'source', storage: false, validate: value => Object.hasOwn(STORY_SOURCE_TYPES, value) },
+          { key: 'storyYearFrom', param: 'from', storage: false, validate: value => /^-?\d+$/.test(value) },
+          { key: 'storyYearTo', param: 'to', storage: false, validate: value => /^-?\d+$/.test(value) },
+          { key: 'storySort', param: 'sort', storage: false, validate: value => Object.hasOwn(STORY_SORTS, value) },
+          // The poll room comes from the facilitator's link rather than the last visit
+          { key: 'pollRoom', param: 'room', storage: false, validate: value => ROOM_PATTERN.test(value) }
+        ]
+      }
+    );
     
     this.config = {
       scrollThreshold: 100,
       animationDuration: 300,
       debounceDelay: 16,
-      intersectionThreshold: 0.1
+      intersectionThreshold: 0.1,
+      // Opens the diagnostics overlay; '?debug=1' does the same on load
+      diagnosticsChord: 'Alt+Shift+D',
+      // Opens the command palette ('Mod' is Cmd on Apple devices, Ctrl elsewhere)
+      commandPaletteChord: 'Mod+K',
+      // Focuses site search when pressed outside a text field
+      searchChord: '/',
+      // Options for the hero ParticleRenderer: a named preset ('network',
+      // 'calm', 'constellation' or 'swarm'), individual overrides, and
+      // useWorker to render off the main thread
+      particles: {
+        preset: 'network',
+        useWorker: false
+      },
+      // Defaults for hero statistic counters; each figure can override
+      // them with data-duration and data-easing (see utils/stat-counter.js)
+      statistics: {
+        duration: 2000,
+        easing: 'easeOutQuart'
+      },
+      // Where prediction poll votes are kept: 'local' (this browser) or
+      // 'rest' with an endpoint shared by a seminar room. With a server,
+      // the facilitator panel reloads results every refreshInterval ms.
+      polls: {
+        storage: 'local',
+        endpoint: null,
+        refreshInterval: 15000
+      },
+      // Glossary linking: ids of the sections whose text is scanned, whether
+      // a term is linked once per 'section', once per 'page' or at 'every'
+      // use, and a selector for further text to leave alone
+      glossary: {
+        sections: ['history', 'stories', 'impacts'],
+        once: 'section',
+        exclude: ''
+      }
     };
 
-    this.init();
+    this.registerCoreModules();
+
+    if (autoInit) {
+      this.init();
+    }
   }
 
+  // Lifecycle
   async init() {
     if (this.isInitialized) return;
 
     try {
+      // Load the reader's language before anything renders text
+      await this.i18n.ready();
+
       // Initialize core modules
       await this.initializeModules();
       
-      // Setup event listeners
-      this.setupEventListeners();
-      
-      // Initialize intersection observers
-      this.setupIntersectionObservers();
-      
-      // Initialize animations
-      this.initializeAnimations();
-      
-      // Set up performance optimizations
-      this.setupPerformanceOptimizations();
+      this.mount();
       
       this.isInitialized = true;
       console.log('🤖 Robosexuality Research Platform initialized successfully');
@@ -58,37 +176,380 @@ class RobosexualityApp {
     }
   }
 
-  async initializeModules() {
+  mount() {
+    this.isMounted = true;
+
+    // Resolve the motion preference before anything starts animating
+    this.motion.mount();
+
+    // Set the page language and translate the static markup
+    this.i18n.mount();
+
+    // Mount modules in dependency order
+    [...this.modules].forEach(([name, module]) => this.mountModule(name, module));
+    
+    // Load lazy modules once their conditions are met
+    this.scheduleLazyModules();
+    
+    // Setup event listeners
+    this.setupEventListeners();
+    
+    // Render shared UI from state
+    this.bindStateRenderers();
+    
+    // Initialize intersection observers
+    this.setupIntersectionObservers();
+    
+    // Initialize animations
+    this.initializeAnimations();
+    
+    // Re-render animations when the motion preference changes
+    this.bindMotionPreference();
+    
+    // Set up performance optimizations
+    this.setupPerformanceOptimizations();
+  }
+
+  destroy() {
+    this.particles?.destroy();
+    this.particles = null;
+    this.disposables.dispose();
+    this.observers.clear();
+    this.observedTargets.clear();
+
+    // Tear modules down in reverse order so dependents go first
+    [...this.modules.values()].reverse().forEach(module => module.destroy());
+    this.modules.clear();
+    this.pendingModules.clear();
+
+    this.fallbacks.forEach(removeFallback => removeFallback());
+    this.fallbacks.clear();
+    this.health.clear();
+    this.motion.destroy();
+    this.i18n.destroy();
+    this.frames.clear();
+
+    // Undo inline styles written while mounted
+    const hero = document.querySelector('.hero');
+    if (hero) hero.style.transform = '';
+    document.querySelectorAll('.hero, .nav__list, .story-card, .prediction-card').forEach(el => {
+      el.style.willChange = '';
+      el.style.backfaceVisibility = '';
+    });
+
+    this.isMounted = false;
+    this.isInitialized = false;
+  }
+
+  async reinitialize() {
+    this.destroy();
+    await this.init();
+  }
+
+  // Module Registration
+  registerCoreModules() {
     // Navigation Module
-    this.modules.set('navigation', new NavigationModule(this));
+    this.register('navigation', NavigationModule);
+    
+    // Citations Module - registered before the content that cites sources,
+    // so their source lists can look up records while rendering
+    this.register('citations', CitationsModule, {
+      fallback: {
+        selector: '.references__list',
+        message: 'fallback.citations'
+      }
+    });
+    
+    // Timeline Module - renders the history timeline from its dataset
+    this.register('timeline', TimelineModule, {
+      fallback: {
+        selector: '.timeline',
+        message: 'fallback.timeline'
+      }
+    });
+    
+    // Timeline Axis Module - proportional, zoomable alternative to the list
+    this.register('timelineAxis', TimelineAxisModule, { dependsOn: ['timeline'] });
+    
+    // Stories Module - renders and filters the case studies from their dataset
+    this.register('stories', StoriesModule, {
+      dependsOn: ['navigation'],
+      fallback: {
+        selector: '.stories-grid',
+        message: 'fallback.stories'
+      }
+    });
+    
+    // Glossary Module - A–Z glossary, with its terms linked in the text once
+    // the timeline and stories have rendered
+    this.register('glossary', GlossaryModule, {
+      fallback: {
+        selector: '.glossary__list',
+        message: 'fallback.glossary'
+      }
+    });
     
     // Scroll Module
-    this.modules.set('scroll', new ScrollModule(this));
+    this.register('scroll', ScrollModule, { dependsOn: ['navigation'] });
+    
+    // Table of Contents Module - registered before the router so the heading
+    // ids it generates exist when a shared link is restored
+    this.register('toc', TocModule, { dependsOn: ['navigation'] });
+    
+    // Router Module - keeps location.hash and history in sync with the current section
+    this.register('router', RouterModule, { dependsOn: ['navigation'] });
+    
+    // Search Module - offline full-text search over the page content
+    this.register('search', SearchModule, { dependsOn: ['navigation'] });
+    
+    // Cite Module - "cite this section" buttons in APA, MLA and Chicago
+    this.register('cite', CiteModule);
+    
+    // Finding Charts Module - charts, data tables and CSV downloads for research findings
+    this.register('findingCharts', FindingChartsModule);
+    
+    // Polls Module - likelihood votes and results on the prediction cards
+    this.register('polls', PollsModule, {
+      fallback: {
+        selector: '.predictions-grid',
+        message: 'fallback.polls'
+      }
+    });
     
     // Animation Module
-    this.modules.set('animation', new AnimationModule(this));
+    this.register('animation', AnimationModule, {
+      fallback: {
+        selector: '.animation-placeholder',
+        message: 'fallback.animation'
+      }
+    });
     
     // Form Module
-    this.modules.set('form', new FormModule(this));
+    this.register('form', FormModule, {
+      fallback: {
+        selector: '.contact-card',
+        message: 'fallback.form'
+      }
+    });
     
     // Crypto Module
-    this.modules.set('crypto', new CryptoModule(this));
+    this.register('crypto', CryptoModule, {
+      fallback: {
+        selector: '.crypto-widget',
+        message: 'fallback.crypto'
+      }
+    });
     
-    // Chart Module
-    this.modules.set('chart', new ChartModule(this));
+    // Chart Module - only fetched when the chart section approaches the viewport
+    this.register('chart', () => import('./modules/chart.js').then(m => m.ChartModule), {
+      lazy: true,
+      when: whenNearViewport('.dexscreener-section'),
+      fallback: {
+        selector: '.dexscreener-wrapper',
+        message: 'fallback.chart'
+      }
+    });
     
     // Analytics Module (placeholder)
-    this.modules.set('analytics', new AnalyticsModule(this));
+    this.register('analytics', AnalyticsModule);
+    
+    // Command Palette Module - fetched on the first press of its shortcut
+    this.register('commandPalette', () => import('./modules/command-palette.js').then(m => m.CommandPaletteModule), {
+      lazy: true,
+      dependsOn: ['navigation'],
+      when: whenRequested({ chord: this.config.commandPaletteChord })
+    });
+    
+    // Diagnostics Module - developer overlay, only fetched when asked for
+    this.register('diagnostics', () => import('./modules/diagnostics.js').then(m => m.DiagnosticsModule), {
+      lazy: true,
+      when: whenRequested({ param: 'debug', chord: this.config.diagnosticsChord })
+    });
+  }
+
+  /**
+   * Register a module. Eager modules registered after startup are loaded
+   * immediately; lazy ones load when their `when` condition resolves or
+   * when `load(name)` is called.
+   */
+  register(name, source, options = {}) {
+    const entry = this.registry.register(name, source, options);
+
+    if (this.isMounted) {
+      if (!entry.lazy) {
+        this.load(name);
+      } else {
+        this.scheduleLazyModule(entry);
+      }
+    }
+
+    return this;
+  }
+
+  async initializeModules() {
+    const order = this.registry.resolveOrder(this.registry.eagerNames());
+
+    order.forEach(name => {
+      const entry = this.registry.get(name);
+      if (entry.lazy) {
+        throw new Error(`Module "${name}" is lazy but required at startup`);
+      }
+
+      const unavailable = entry.dependsOn.find(dependency => !this.modules.has(dependency));
+      if (unavailable) {
+        this.failModule(name, 'init', new Error(`Required module "${unavailable}" is unavailable`));
+        return;
+      }
+
+      this.runInBoundary(name, 'init', () => {
+        this.modules.set(name, this.createModule(name, entry.source));
+      });
+    });
+  }
+
+  createModule(name, ModuleClass) {
+    const module = new ModuleClass(this);
+    module.name = name;
+    module.init();
+    return module;
+  }
+
+  /**
+   * Load a module (and any dependencies not loaded yet) on demand.
+   * Resolves with the module instance.
+   */
+  load(name) {
+    if (this.modules.has(name)) {
+      return Promise.resolve(this.modules.get(name));
+    }
+    if (this.pendingModules.has(name)) {
+      return this.pendingModules.get(name);
+    }
+
+    const pending = (async () => {
+      const { dependsOn } = this.registry.get(name);
+      await Promise.all(dependsOn.map(dependency =>
+        this.load(dependency).catch(() => {
+          throw new Error(`Required module "${dependency}" is unavailable`);
+        })
+      ));
+
+      const ModuleClass = await this.registry.resolveClass(name);
+
+      // The app may have been destroyed while the module was downloading
+      if (this.pendingModules.get(name) !== pending) return undefined;
+
+      const module = this.createModule(name, ModuleClass);
+      this.modules.set(name, module);
+      if (this.isMounted && !this.mountModule(name, module)) {
+        throw this.health.get(name).error;
+      }
+      return module;
+    })();
+
+    this.pendingModules.set(name, pending);
+    pending
+      .catch(error => {
+        if (!this.health.isFailed(name)) {
+          this.failModule(name, 'load', error);
+        }
+      })
+      .finally(() => this.pendingModules.delete(name));
+
+    return pending;
+  }
+
+  // Error Boundaries
+  mountModule(name, module) {
+    return this.runInBoundary(name, 'mount', () => {
+      module.mount();
+
+      // A module may already have reported itself degraded while mounting
+      if (this.health.get(name)?.status !== MODULE_STATUS.DEGRADED) {
+        this.reportModuleStatus(name, MODULE_STATUS.OK, { phase: 'mount' });
+      }
+    });
+  }
+
+  runInBoundary(name, phase, task) {
+    try {
+      task();
+      return true;
+    } catch (error) {
+      this.failModule(name, phase, error);
+      return false;
+    }
+  }
+
+  failModule(name, phase, error) {
+    console.error(`❌ Module "${name}" failed during ${phase}:`, error);
+
+    // Release whatever the module acquired before it failed
+    const module = this.modules.get(name);
+    if (module) {
+      this.modules.delete(name);
+      try {
+        module.destroy();
+      } catch (destroyError) {
+        console.error(`❌ Module "${name}" failed to clean up:`, destroyError);
+      }
+    }
+
+    this.reportModuleStatus(name, MODULE_STATUS.FAILED, { phase, error });
+    this.renderModuleFallback(name);
+  }
+
+  reportModuleStatus(name, status, details = {}) {
+    return this.health.set(name, status, details);
+  }
+
+  renderModuleFallback(name) {
+    const { fallback } = this.registry.get(name);
+    const container = fallback && document.querySelector(fallback.selector);
+    if (!container || this.fallbacks.has(name)) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'module-fallback';
+    notice.setAttribute('role', 'status');
+    const renderNotice = () => {
+      notice.textContent = this.i18n.t(fallback.message || 'fallback.default');
+    };
+    renderNotice();
+    const stopTranslating = this.i18n.onChange(renderNotice);
+
+    container.prepend(notice);
+    container.classList.add('module--failed');
+
+    this.fallbacks.set(name, () => {
+      stopTranslating();
+      notice.remove();
+      container.classList.remove('module--failed');
+    });
+  }
+
+  scheduleLazyModules() {
+    this.registry.lazyEntries().forEach(entry => this.scheduleLazyModule(entry));
+  }
+
+  scheduleLazyModule({ name, when }) {
+    if (!when || this.modules.has(name)) return;
+
+    Promise.resolve(when(this)).then(() => {
+      if (this.isMounted) {
+        this.load(name);
+      }
+    });
   }
 
   setupEventListeners() {
-    // Throttled scroll handler
-    const throttledScrollHandler = this.throttle(
-      () => this.handleScroll(), 
-      this.config.debounceDelay
+    // Scroll work happens at most once per frame
+    const frameScrollHandler = () => this.frames.once(
+      'scroll',
+      () => this.handleScroll(),
+      { priority: FRAME_PRIORITY.INPUT }
     );
     
-    window.addEventListener('scroll', throttledScrollHandler, { passive: true });
+    this.disposables.listen(window, 'scroll', frameScrollHandler, { passive: true });
     
     // Throttled resize handler
     const throttledResizeHandler = this.throttle(
@@ -96,14 +557,36 @@ class RobosexualityApp {
       100
     );
     
-    window.addEventListener('resize', throttledResizeHandler, { passive: true });
+    this.disposables.listen(window, 'resize', throttledResizeHandler, { passive: true });
     
     // Handle visibility change for performance
-    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    this.disposables.listen(document, 'visibilitychange', () => this.handleVisibilityChange());
     
     // Handle page focus/blur
-    window.addEventListener('focus', () => this.handleFocus());
-    window.addEventListener('blur', () => this.handleBlur());
+    this.disposables.listen(window, 'focus', () => this.handleFocus());
+    this.disposables.listen(window, 'blur', () => this.handleBlur());
+  }
+
+  bindMotionPreference() {
+    this.disposables.add(this.motion.onChange(isReduced => {
+      // Restart the particle field as either a live loop or a static frame
+      this.initializeParticles();
+
+      if (isReduced) {
+        this.handleParallax(0);
+        document.querySelectorAll(this.animatedSelector).forEach(el => this.revealElement(el));
+      }
+    }));
+  }
+
+  bindStateRenderers() {
+    const header = document.querySelector('.header');
+
+    this.disposables.add(this.subscribe(
+      state => state.scrollPosition > this.config.scrollThreshold,
+      isScrolled => header?.classList.toggle('header--scrolled', isScrolled),
+      { immediate: true }
+    ));
   }
 
   setupIntersectionObservers() {
@@ -116,7 +599,8 @@ class RobosexualityApp {
       }
     );
 
-    document.querySelectorAll('section[id]').forEach(section => {
+    const sections = document.querySelectorAll('section[id]');
+    sections.forEach(section => {
       sectionObserver.observe(section);
     });
 
@@ -129,12 +613,51 @@ class RobosexualityApp {
       }
     );
 
-    document.querySelectorAll('.timeline__item, .story-card, .prediction-card, .finding-card').forEach(el => {
-      animationObserver.observe(el);
+    this.trackObserver('sections', sectionObserver, sections);
+    this.trackObserver('animations', animationObserver, []);
+    this.observeAnimated(document.querySelectorAll(this.animatedSelector));
+  }
+
+  /**
+   * Reveal elements on scroll like the rest of the page's content. Modules
+   * that render content after startup call this for their new elements;
+   * anything rendered before the observers exist is found by selector.
+   */
+  observeAnimated(elements) {
+    const observer = this.observers.get('animations');
+    if (!observer) return;
+
+    // Forget elements a module has since removed
+    const targets = this.observedTargets.get('animations').filter(el => {
+      if (!el.isConnected) observer.unobserve(el);
+      return el.isConnected;
+    });
+
+    elements.forEach(el => {
+      // Without motion, content is shown straight away instead of on reveal
+      if (this.motion.isReduced) {
+        this.revealElement(el);
+      } else {
+        observer.observe(el);
+        targets.push(el);
+      }
     });
 
-    this.observers.set('sections', sectionObserver);
-    this.observers.set('animations', animationObserver);
+    this.observedTargets.set('animations', targets);
+  }
+
+  /**
+   * Keep a named observer and the elements it watches, so both are released
+   * on destroy and the diagnostics overlay can show what is being observed.
+   */
+  trackObserver(name, observer, targets) {
+    this.observers.set(name, observer);
+    this.observedTargets.set(name, [...targets]);
+    this.disposables.observe(observer);
+  }
+
+  getObservedTargets() {
+    return this.observedTargets;
   }
 
   initializeAnimations() {
@@ -166,15 +689,7 @@ class RobosexualityApp {
   // Event Handlers
   handleScroll() {
     const scrollY = window.pageYOffset;
-    this.state.scrollPosition = scrollY;
-    
-    // Update header background
-    const header = document.querySelector('.header');
-    if (scrollY > this.config.scrollThreshold) {
-      header.classList.add('header--scrolled');
-    } else {
-      header.classList.remove('header--scrolled');
-    }
+    this.setState({ scrollPosition: scrollY });
 
     // Parallax effect for hero
     this.handleParallax(scrollY);
@@ -191,30 +706,29 @@ class RobosexualityApp {
   handleVisibilityChange() {
     if (document.hidden) {
       // Page is hidden, pause animations
-      this.pauseAnimations();
+      this.pauseAnimations('hidden');
     } else {
       // Page is visible, resume animations
-      this.resumeAnimations();
+      this.resumeAnimations('hidden');
     }
   }
 
   handleFocus() {
     // Resume any paused animations
-    this.resumeAnimations();
+    this.resumeAnimations('blur');
   }
 
   handleBlur() {
     // Pause non-critical animations
-    this.pauseAnimations();
+    this.pauseAnimations('blur');
   }
 
   handleSectionIntersection(entries) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         const sectionId = entry.target.id;
-        this.state.currentSection = sectionId;
-        this.modules.get('navigation')?.updateActiveLink(sectionId);
-        this.modules.get('analytics')?.trackSectionView(sectionId);
+        this.setState({ currentSection: sectionId });
+        this.emit(APP_EVENTS.SECTION_VIEWED, { sectionId });
       }
     });
   }
@@ -222,27 +736,31 @@ class RobosexualityApp {
   handleAnimationIntersection(entries) {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
-        entry.target.classList.add('fade-in-up--visible');
-        
-        // Add specific visibility classes
-        if (entry.target.classList.contains('timeline__item')) {
-          entry.target.classList.add('timeline__item--visible');
-        }
-        if (entry.target.classList.contains('story-card')) {
-          entry.target.classList.add('story-card--visible');
-        }
-        if (entry.target.classList.contains('prediction-card')) {
-          entry.target.classList.add('prediction-card--visible');
-        }
+        this.revealElement(entry.target);
       }
     });
   }
 
+  revealElement(element) {
+    element.classList.add('fade-in-up--visible');
+    
+    // Add specific visibility classes
+    if (element.classList.contains('timeline__item')) {
+      element.classList.add('timeline__item--visible');
+    }
+    if (element.classList.contains('story-card')) {
+      element.classList.add('story-card--visible');
+    }
+    if (element.classList.contains('prediction-card')) {
+      element.classList.add('prediction-card--visible');
+    }
+  }
+
   handleParallax(scrollY) {
     const hero = document.querySelector('.hero');
     if (hero) {
-      const parallaxSpeed = 0.5;
-      hero.style.transform = `translateY(${scrollY * parallaxSpeed}px)`;
+      const parallaxSpeed = this.motion.isReduced ? 0 : 0.5;
+      hero.style.transform = parallaxSpeed ? `translateY(${scrollY * parallaxSpeed}px)` : '';
     }
   }
 
@@ -250,7 +768,7 @@ class RobosexualityApp {
   animateHero() {
     // Hero title animation is handled by CSS, but we can trigger it
     const heroTitle = document.querySelector('.hero__title');
-    if (heroTitle) {
+    if (heroTitle && !this.motion.isReduced) {
       heroTitle.style.opacity = '0';
       
       requestAnimationFrame(() => {
@@ -264,160 +782,85 @@ class RobosexualityApp {
     const canvas = document.querySelector('.hero__particles');
     if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
-    let animationId;
-    
-    // Set canvas size
-    const resizeCanvas = () => {
-      canvas.width = canvas.offsetWidth;
-      canvas.height = canvas.offsetHeight;
-    };
-    
-    resizeCanvas();
-    window.addEventListener('resize', resizeCanvas);
-
-    // Particle system
-    const particles = [];
-    const particleCount = 50;
-
-    class Particle {
-      constructor() {
-        this.x = Math.random() * canvas.width;
-        this.y = Math.random() * canvas.height;
-        this.vx = (Math.random() - 0.5) * 0.5;
-        this.vy = (Math.random() - 0.5) * 0.5;
-        this.size = Math.random() * 2 + 1;
-        this.opacity = Math.random() * 0.5 + 0.2;
-      }
-
-      update() {
-        this.x += this.vx;
-        this.y += this.vy;
-
-        if (this.x < 0 || this.x > canvas.width) this.vx *= -1;
-        if (this.y < 0 || this.y > canvas.height) this.vy *= -1;
-      }
-
-      draw() {
-        ctx.save();
-        ctx.globalAlpha = this.opacity;
-        ctx.fillStyle = '#00FFFF';
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-      }
+    // One renderer per mount; it handles its own resizing from here on
+    if (!this.particles) {
+      this.particles = new ParticleRenderer(canvas, {
+        scheduler: this.frames,
+        pointerTarget: canvas.closest('.hero') || canvas,
+        ...this.config.particles
+      });
     }
 
-    // Initialize particles
-    for (let i = 0; i < particleCount; i++) {
-      particles.push(new Particle());
+    // Without motion, draw a single static frame
+    if (this.motion.isReduced) {
+      this.particles.renderStatic();
+    } else {
+      this.particles.start();
     }
-
-    // Animation loop
-    const animate = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      
-      particles.forEach(particle => {
-        particle.update();
-        particle.draw();
-      });
-
-      // Draw connections
-      this.drawConnections(ctx, particles);
-      
-      animationId = requestAnimationFrame(animate);
-    };
-
-    animate();
-    
-    // Store animation ID for cleanup
-    this.particleAnimationId = animationId;
   }
 
-  drawConnections(ctx, particles) {
-    const maxDistance = 100;
-    
-    for (let i = 0; i < particles.length; i++) {
-      for (let j = i + 1; j < particles.length; j++) {
-        const dx = particles[i].x - particles[j].x;
-        const dy = particles[i].y - particles[j].y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance < maxDistance) {
-          const opacity = (maxDistance - distance) / maxDistance * 0.2;
-          
-          ctx.save();
-          ctx.globalAlpha = opacity;
-          ctx.strokeStyle = '#00FFFF';
-          ctx.lineWidth = 0.5;
-          ctx.beginPath();
-          ctx.moveTo(particles[i].x, particles[i].y);
-          ctx.lineTo(particles[j].x, particles[j].y);
-          ctx.stroke();
-          ctx.restore();
-        }
-      }
-    }
+  stopParticles() {
+    this.particles?.stop();
   }
 
   updateParticles() {
-    // Reinitialize particles on resize
-    if (this.particleAnimationId) {
-      cancelAnimationFrame(this.particleAnimationId);
-      this.initializeParticles();
-    }
+    this.particles?.resize();
   }
 
   animateStatistics() {
     const stats = document.querySelectorAll('.stat__number');
     
-    stats.forEach(stat => {
-      const target = parseInt(stat.dataset.target);
-      const duration = 2000;
-      const startTime = performance.now();
-      
-      const animate = (currentTime) => {
-        const elapsed = currentTime - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Easing function
-        const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-        const current = Math.floor(target * easeOutQuart);
-        
-        stat.textContent = current;
-        
-        if (progress < 1) {
-          requestAnimationFrame(animate);
-        } else {
-          stat.textContent = target;
+    stats.forEach((stat, index) => {
+      const counter = new StatCounter(stat, {
+        ...this.config.statistics,
+        locale: this.i18n.locale,
+        translate: (key, values) => this.i18n.t(key, values)
+      });
+      this.disposables.add(() => counter.destroy());
+      this.disposables.add(this.i18n.onChange(locale => counter.setLocale(locale)));
+
+      // Without motion, or for figures that aren't counted, show the final figure immediately
+      if (this.motion.isReduced || !counter.animates) return;
+
+      counter.reset();
+
+      // Counts time while the scheduler runs, so a paused count picks up where it left off
+      const animate = (delta) => {
+        // Jump to the end if motion was reduced mid-count
+        if (this.motion.isReduced) {
+          counter.finish();
+          return false;
         }
+        return counter.step(delta);
       };
       
       // Start animation when visible
       const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
-            requestAnimationFrame(animate);
+            this.disposables.add(this.frames.add(`statistic:${index}`, animate));
             observer.unobserve(entry.target);
           }
         });
       });
       
       observer.observe(stat);
+      this.disposables.observe(observer);
     });
   }
 
-  pauseAnimations() {
-    if (this.particleAnimationId) {
-      cancelAnimationFrame(this.particleAnimationId);
-    }
+  // Reasons are tracked separately, e.g. 'hidden' and 'blur', and animations
+  // resume only once every reason has been cleared
+  pauseAnimations(reason = 'manual') {
+    this.frames.pause(reason);
   }
 
-  resumeAnimations() {
-    if (!this.particleAnimationId) {
-      this.initializeParticles();
-    }
+  resumeAnimations(reason = 'manual') {
+    this.frames.resume(reason);
+  }
+
+  getFrameStats() {
+    return this.frames.getStats();
   }
 
   setupLazyLoading() {
@@ -437,9 +880,14 @@ class RobosexualityApp {
       });
 
       images.forEach(img => imageObserver.observe(img));
+      this.disposables.observe(imageObserver);
     }
   }
 
+  get animatedSelector() {
+    return '.timeline__item, .story-card, .prediction-card, .finding-card';
+  }
+
   // Utility Methods
   throttle(func, limit) {
     let inThrottle;
@@ -463,75 +911,161 @@ class RobosexualityApp {
   }
 
   // Public API
+  get state() {
+    return this.store.getState();
+  }
+
   getState() {
     return { ...this.state };
   }
 
   setState(newState) {
-    this.state = { ...this.state, ...newState };
+    this.store.setState(newState);
+  }
+
+  subscribe(selector, callback, options) {
+    return this.store.subscribe(selector, callback, options);
   }
 
   getModule(name) {
     return this.modules.get(name);
   }
+
+  getModuleStatus(name) {
+    return this.health.get(name)?.status;
+  }
+
+  getModuleStatuses() {
+    return this.health.toJSON();
+  }
+
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  emit(event, payload) {
+    this.events.emit(event, payload);
+  }
 }
 
 // ============================================================================
 // NAVIGATION MODULE
 // ============================================================================
 
-class NavigationModule {
-  constructor(app) {
-    this.app = app;
+class NavigationModule extends AppModule {
+  init() {
     this.elements = {
       toggle: document.getElementById('nav-toggle'),
       menu: document.getElementById('nav-menu'),
       links: document.querySelectorAll('.nav__link'),
       genderToggle: document.getElementById('gender-toggle'),
-      toggleLabel: document.querySelector('.toggle-switch__label')
+      toggleLabel: document.querySelector('.toggle-switch__label'),
+      motionToggle: document.getElementById('motion-toggle'),
+      localeSelect: document.getElementById('locale-select')
     };
-    
-    this.init();
+
+    // Matches the breakpoint where the menu collapses behind #nav-toggle
+    this.mobileQuery = window.matchMedia?.('(max-width: 768px)') || null;
+
+    // While open, the mobile menu behaves as a modal: focus stays in the
+    // links and the toggle, and the rest of the page is inert
+    this.focusTrap = new FocusTrap([this.elements.menu, this.elements.toggle], {
+      initialFocus: () => this.elements.menu?.querySelector('.nav__link--active') || this.elements.links[0],
+      returnFocus: this.elements.toggle
+    });
   }
 
-  init() {
+  mount() {
+    super.mount();
+    this.renderLocaleOptions();
     this.bindEvents();
     this.setupAccessibility();
+    this.bindState();
+  }
+
+  destroy() {
+    this.closeMobileMenu();
+    if (this.elements.menu) this.elements.menu.inert = false;
+    super.destroy();
+  }
+
+  bindState() {
+    this.own(this.app.subscribe(
+      state => state.isMenuOpen,
+      isOpen => this.renderMobileMenu(isOpen),
+      { immediate: true }
+    ));
+    this.own(this.app.subscribe(
+      state => state.genderVersion,
+      version => this.renderGenderToggle(version),
+      { immediate: true }
+    ));
+    this.own(this.app.motion.onChange(
+      isReduced => this.renderMotionToggle(isReduced),
+      { immediate: true }
+    ));
+    this.own(this.app.subscribe(
+      state => state.locale,
+      locale => this.renderLocaleSwitcher(locale),
+      { immediate: true }
+    ));
+    this.own(this.app.i18n.onChange(() => {
+      this.renderGenderToggle(this.app.state.genderVersion);
+      this.renderMotionToggle(this.app.motion.isReduced);
+    }));
   }
 
   bindEvents() {
     // Mobile menu toggle
-    this.elements.toggle?.addEventListener('click', (e) => {
+    this.listen(this.elements.toggle, 'click', (e) => {
       e.preventDefault();
       this.toggleMobileMenu();
     });
 
     // Navigation links
     this.elements.links.forEach(link => {
-      link.addEventListener('click', (e) => {
+      this.listen(link, 'click', (e) => {
         e.preventDefault();
         this.handleNavClick(link);
       });
     });
 
     // Gender toggle
-    this.elements.genderToggle?.addEventListener('click', () => {
+    this.listen(this.elements.genderToggle, 'click', () => {
       this.toggleGenderVersion();
     });
 
+    // Reduced motion override
+    this.listen(this.elements.motionToggle, 'click', () => {
+      this.app.motion.toggle();
+    });
+
+    // Interface language
+    this.listen(this.elements.localeSelect, 'change', (e) => {
+      this.app.i18n.setLocale(e.target.value).catch(error => {
+        console.error('❌ Failed to change language:', error);
+        this.renderLocaleSwitcher(this.app.state.locale);
+      });
+    });
+
     // Close mobile menu on outside click
-    document.addEventListener('click', (e) => {
+    this.listen(document, 'click', (e) => {
       if (!e.target.closest('.nav') && this.app.state.isMenuOpen) {
         this.closeMobileMenu();
       }
     });
 
     // Handle escape key
-    document.addEventListener('keydown', (e) => {
+    this.listen(document, 'keydown', (e) => {
       if (e.key === 'Escape' && this.app.state.isMenuOpen) {
         this.closeMobileMenu();
       }
     });
+
+    // Highlight the section currently in view
+    this.own(this.app.on(APP_EVENTS.SECTION_VIEWED, ({ sectionId }) => {
+      this.updateActiveLink(sectionId);
+    }));
   }
 
   setupAccessibility() {
@@ -542,32 +1076,77 @@ class NavigationModule {
 
     // Add keyboard navigation for links
     this.elements.links.forEach(link => {
-      link.addEventListener('keydown', (e) => {
+      this.listen(link, 'keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           link.click();
         }
       });
     });
+
+    // Arrow keys move between links, in either layout
+    this.listen(this.elements.menu, 'keydown', (e) => this.handleMenuKeydown(e));
+
+    // Keep the collapsed menu out of the tab order when crossing the breakpoint
+    if (this.mobileQuery?.addEventListener) {
+      this.listen(this.mobileQuery, 'change', () => this.renderMobileMenu(this.app.state.isMenuOpen));
+    }
+  }
+
+  handleMenuKeydown(e) {
+    const links = [...this.elements.links];
+    const current = links.indexOf(document.activeElement);
+    if (current === -1) return;
+
+    const targets = {
+      ArrowDown: current + 1,
+      ArrowRight: current + 1,
+      ArrowUp: current - 1,
+      ArrowLeft: current - 1,
+      Home: 0,
+      End: links.length - 1
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    const next = (targets[e.key] + links.length) % links.length;
+    links[next].focus();
   }
 
   toggleMobileMenu() {
-    const isOpen = !this.app.state.isMenuOpen;
-    this.app.setState({ isMenuOpen: isOpen });
+    this.app.setState({ isMenuOpen: !this.app.state.isMenuOpen });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus] - Pass false when the reader
+   *   followed a link, so focus moves on instead of back to the toggle
+   */
+  closeMobileMenu({ restoreFocus = true } = {}) {
+    this.restoreFocusOnClose = restoreFocus;
+    this.app.setState({ isMenuOpen: false });
+    this.restoreFocusOnClose = true;
+  }
 
-    this.elements.menu?.classList.toggle('nav__list--active', isOpen);
-    this.elements.toggle?.setAttribute('aria-expanded', isOpen.toString());
+  renderMobileMenu(isOpen) {
+    const { menu, toggle } = this.elements;
+    const isMobile = Boolean(this.mobileQuery?.matches);
+
+    menu?.classList.toggle('nav__list--active', isOpen);
+    toggle?.setAttribute('aria-expanded', isOpen.toString());
+
+    // A closed mobile menu is off-screen, so its links must not take focus
+    if (menu) menu.inert = isMobile && !isOpen;
 
     // Prevent body scroll when menu is open
     document.body.style.overflow = isOpen ? 'hidden' : '';
-  }
 
-  closeMobileMenu() {
-    if (this.app.state.isMenuOpen) {
-      this.app.setState({ isMenuOpen: false });
-      this.elements.menu?.classList.remove('nav__list--active');
-      this.elements.toggle?.setAttribute('aria-expanded', 'false');
-      document.body.style.overflow = '';
+    if (isOpen && !this.focusTrap.isActive) {
+      this.focusTrap.activate();
+      announce(this.t('nav.menuOpened'));
+    } else if (!isOpen && this.focusTrap.isActive) {
+      this.focusTrap.deactivate({ restoreFocus: this.restoreFocusOnClose !== false });
+      announce(this.t('nav.menuClosed'));
     }
   }
 
@@ -577,23 +1156,28 @@ class NavigationModule {
 
     if (targetElement) {
       this.scrollToSection(targetElement);
-      this.closeMobileMenu();
+
+      // Keyboard focus follows the reader to the section they picked
+      if (this.app.state.isMenuOpen) {
+        this.closeMobileMenu({ restoreFocus: false });
+        if (!targetElement.hasAttribute('tabindex')) targetElement.setAttribute('tabindex', '-1');
+        targetElement.focus({ preventScroll: true });
+      }
       
       // Update active state
       this.updateActiveLink(targetId);
       
-      // Track navigation
-      this.app.getModule('analytics')?.trackNavigation(targetId);
+      this.app.emit(APP_EVENTS.NAVIGATION_CLICKED, { targetId });
     }
   }
 
-  scrollToSection(element) {
+  scrollToSection(element, behavior = this.app.motion.scrollBehavior()) {
     const headerHeight = document.querySelector('.header').offsetHeight;
     const targetPosition = element.offsetTop - headerHeight - 20;
 
     window.scrollTo({
       top: targetPosition,
-      behavior: 'smooth'
+      behavior
     });
   }
 
@@ -607,23 +1191,45 @@ class NavigationModule {
   toggleGenderVersion() {
     const newVersion = this.app.state.genderVersion === 'male' ? 'female' : 'male';
     this.app.setState({ genderVersion: newVersion });
+    this.app.emit(APP_EVENTS.GENDER_CHANGED, { version: newVersion });
+  }
 
+  renderGenderToggle(version) {
     // Update toggle switch
     const toggleSwitch = document.querySelector('.toggle-switch');
-    const isChecked = newVersion === 'female';
+    const isChecked = version === 'female';
     
     toggleSwitch?.setAttribute('aria-checked', isChecked.toString());
     
     if (this.elements.toggleLabel) {
-      this.elements.toggleLabel.textContent = isChecked ? 
-        'Switch to Male Version' : 'Switch to Female Version';
+      this.elements.toggleLabel.textContent = this.t('nav.genderToggle', { version });
     }
+  }
 
-    // Update animation system
-    this.app.getModule('animation')?.updateGenderVersion(newVersion);
-    
-    // Track toggle
-    this.app.getModule('analytics')?.trackGenderToggle(newVersion);
+  renderMotionToggle(isReduced) {
+    const toggle = this.elements.motionToggle;
+    if (!toggle) return;
+
+    toggle.setAttribute('aria-pressed', isReduced.toString());
+    toggle.title = this.t(isReduced ? 'nav.motionReduced' : 'nav.reduceMotion');
+  }
+
+  // Each language is listed under its own name, marked up in that language
+  renderLocaleOptions() {
+    const select = this.elements.localeSelect;
+    if (!select) return;
+
+    select.replaceChildren(...Object.entries(LOCALES).map(([locale, name]) => {
+      const option = new Option(name, locale);
+      option.lang = locale;
+      return option;
+    }));
+  }
+
+  renderLocaleSwitcher(locale) {
+    if (this.elements.localeSelect) {
+      this.elements.localeSelect.value = locale;
+    }
   }
 
   handleResize() {
@@ -638,13 +1244,9 @@ class NavigationModule {
 // SCROLL MODULE
 // ============================================================================
 
-class ScrollModule {
-  constructor(app) {
-    this.app = app;
-    this.init();
-  }
-
-  init() {
+class ScrollModule extends AppModule {
+  mount() {
+    super.mount();
     this.setupScrollIndicator();
     this.setupSmoothScrolling();
   }
@@ -652,27 +1254,34 @@ class ScrollModule {
   setupScrollIndicator() {
     const scrollButton = document.querySelector('.scroll-indicator');
     
-    scrollButton?.addEventListener('click', () => {
+    this.listen(scrollButton, 'click', () => {
       const firstSection = document.getElementById('history');
       if (firstSection) {
         this.app.getModule('navigation').scrollToSection(firstSection);
+        this.app.emit(APP_EVENTS.NAVIGATION_CLICKED, { targetId: 'history' });
       }
     });
   }
 
   setupSmoothScrolling() {
-    // Enhanced smooth scrolling for all internal links
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', (e) => {
-        const href = anchor.getAttribute('href');
-        if (href === '#') return;
+    // Enhanced smooth scrolling for all internal links. NavigationModule
+    // handles its own, and a link whose default was prevented (table of
+    // contents, palette) has already been handled
+    this.listen(document, 'click', (e) => {
+      if (e.defaultPrevented) return;
+
+      const anchor = e.target.closest('a[href^="#"]');
+      if (!anchor || anchor.classList.contains('nav__link')) return;
+
+      const href = anchor.getAttribute('href');
+      if (href === '#') return;
 
+      const target = document.getElementById(href.substring(1));
+      if (target) {
         e.preventDefault();
-        const target = document.querySelector(href);
-        if (target) {
-          this.app.getModule('navigation').scrollToSection(target);
-        }
-      });
+        this.app.getModule('navigation').scrollToSection(target);
+        this.app.emit(APP_EVENTS.NAVIGATION_CLICKED, { targetId: target.id });
+      }
     });
   }
 }
@@ -681,33 +1290,51 @@ class ScrollModule {
 // ANIMATION MODULE
 // ============================================================================
 
-class AnimationModule {
-  constructor(app) {
-    this.app = app;
+class AnimationModule extends AppModule {
+  init() {
     this.currentFrame = 1;
     this.isPlaying = false;
-    this.animationInterval = null;
-    
-    this.init();
+    this.stopPlaybackTimer = null;
   }
 
-  init() {
+  mount() {
+    super.mount();
     this.bindControls();
     this.setupFrames();
+
+    this.own(this.app.subscribe(
+      state => state.genderVersion,
+      version => this.updateGenderVersion(version),
+      { immediate: true }
+    ));
+    this.own(this.app.subscribe(
+      state => state.animationPlaying,
+      isPlaying => this.renderControls(isPlaying)
+    ));
+    this.own(this.app.motion.onChange(() => {
+      if (this.isPlaying) this.startPlayback();
+    }));
+    this.own(this.app.i18n.onChange(() => this.updateGenderVersion(this.app.state.genderVersion)));
+  }
+
+  destroy() {
+    this.stopPlayback();
+    this.app.setState({ animationPlaying: false });
+    super.destroy();
   }
 
   bindControls() {
     const playButton = document.getElementById('animation-play');
     const pauseButton = document.getElementById('animation-pause');
 
-    playButton?.addEventListener('click', () => this.playAnimation());
-    pauseButton?.addEventListener('click', () => this.pauseAnimation());
+    this.listen(playButton, 'click', () => this.playAnimation());
+    this.listen(pauseButton, 'click', () => this.pauseAnimation());
   }
 
   setupFrames() {
     const frames = document.querySelectorAll('.frame');
     frames.forEach((frame, index) => {
-      frame.addEventListener('click', () => {
+      this.listen(frame, 'click', () => {
         this.showFrame(index + 1);
       });
     });
@@ -719,39 +1346,48 @@ class AnimationModule {
     this.isPlaying = true;
     this.app.setState({ animationPlaying: true });
 
-    const playButton = document.getElementById('animation-play');
-    const pauseButton = document.getElementById('animation-pause');
-
-    playButton.disabled = true;
-    pauseButton.disabled = false;
-
-    this.animationInterval = setInterval(() => {
-      this.nextFrame();
-    }, 1000);
+    this.startPlayback();
 
-    // Track animation play
-    this.app.getModule('analytics')?.trackAnimationPlay();
+    this.app.emit(APP_EVENTS.ANIMATION_PLAYED);
   }
 
   pauseAnimation() {
     if (!this.isPlaying) return;
 
-    this.isPlaying = false;
+    this.stopPlayback();
     this.app.setState({ animationPlaying: false });
 
-    const playButton = document.getElementById('animation-play');
-    const pauseButton = document.getElementById('animation-pause');
+    this.app.emit(APP_EVENTS.ANIMATION_PAUSED);
+  }
+
+  startPlayback() {
+    this.stopPlaybackTimer?.();
+
+    // With reduced motion, frames change less often and without transitions
+    const frameDuration = this.app.motion.isReduced ? 3000 : 1000;
+    this.stopPlaybackTimer = this.app.frames.every(
+      'animation:playback',
+      frameDuration,
+      () => this.nextFrame(),
+      { priority: FRAME_PRIORITY.LOW }
+    );
+  }
 
-    playButton.disabled = false;
-    pauseButton.disabled = true;
+  stopPlayback() {
+    this.isPlaying = false;
 
-    if (this.animationInterval) {
-      clearInterval(this.animationInterval);
-      this.animationInterval = null;
+    if (this.stopPlaybackTimer) {
+      this.stopPlaybackTimer();
+      this.stopPlaybackTimer = null;
     }
+  }
+
+  renderControls(isPlaying) {
+    const playButton = document.getElementById('animation-play');
+    const pauseButton = document.getElementById('animation-pause');
 
-    // Track animation pause
-    this.app.getModule('analytics')?.trackAnimationPause();
+    if (playButton) playButton.disabled = isPlaying;
+    if (pauseButton) pauseButton.disabled = !isPlaying;
   }
 
   showFrame(frameNumber) {
@@ -776,11 +1412,10 @@ class AnimationModule {
     const genderVersion = this.app.state.genderVersion;
     
     frames.forEach((placeholder, index) => {
-      const frameNumber = index + 1;
-      const state = frameNumber === this.currentFrame ? 'Active' : 'Inactive';
-      const version = genderVersion === 'female' ? 'Female' : 'Male';
+      const frame = index + 1;
+      const state = frame === this.currentFrame ? 'active' : 'inactive';
       
-      placeholder.textContent = `Frame ${frameNumber}: ${state} State (${version} Version)`;
+      placeholder.textContent = this.t('animation.frame', { frame, state, version: genderVersion });
     });
   }
 
@@ -790,7 +1425,7 @@ class AnimationModule {
     // Update animation placeholder content
     const placeholderContent = document.querySelector('.placeholder-content p');
     if (placeholderContent) {
-      placeholderContent.textContent = `Educational visualization system would be implemented here (${version.charAt(0).toUpperCase() + version.slice(1)} Version)`;
+      placeholderContent.textContent = this.t('animation.placeholder', { version });
     }
   }
 }
@@ -799,58 +1434,68 @@ class AnimationModule {
 // FORM MODULE
 // ============================================================================
 
-class FormModule {
-  constructor(app) {
-    this.app = app;
+class FormModule extends AppModule {
+  init() {
     this.form = document.getElementById('contact-form');
     this.validators = new Map();
-    
-    this.init();
+    this.submitState = 'default';
+
+    if (this.form) {
+      this.setupValidators();
+    }
   }
 
-  init() {
+  mount() {
+    super.mount();
     if (!this.form) return;
 
-    this.setupValidators();
     this.bindEvents();
     this.setupAccessibility();
   }
 
+  // Each `message` is a message catalog key
   setupValidators() {
     this.validators.set('name', {
       required: true,
       minLength: 2,
-      pattern: /^[a-zA-Z\s]+$/,
-      message: 'Name must contain only letters and spaces, minimum 2 characters'
+      // Letters in any script, so names like "Jürgen" or "山田 太郎" pass
+      pattern: /^[\p{L}\p{M}\s]+$/u,
+      message: 'form.nameInvalid'
     });
 
     this.validators.set('email', {
       required: true,
       pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-      message: 'Please enter a valid email address'
+      message: 'form.emailInvalid'
     });
 
     this.validators.set('subject', {
       required: true,
-      message: 'Please select a research area'
+      message: 'form.subjectRequired'
     });
 
     this.validators.set('message', {
       required: true,
       minLength: 10,
       maxLength: 1000,
-      message: 'Message must be between 10 and 1000 characters'
+      message: 'form.messageLength'
     });
   }
 
   bindEvents() {
-    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
 
     // Real-time validation
     this.form.querySelectorAll('input, select, textarea').forEach(field => {
-      field.addEventListener('blur', () => this.validateField(field));
-      field.addEventListener('input', () => this.clearFieldError(field));
+      this.listen(field, 'blur', () => this.validateField(field));
+      this.listen(field, 'input', () => this.clearFieldError(field));
     });
+
+    // Re-word the button and any errors on show in the new language
+    this.own(this.app.i18n.onChange(() => {
+      this.setSubmitState(this.submitState);
+      this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.validateField(field));
+    }));
   }
 
   setupAccessibility() {
@@ -871,39 +1516,36 @@ class FormModule {
     const isValid = this.validateForm();
     if (!isValid) return;
 
-    const submitButton = this.form.querySelector('button[type="submit"]');
-    const originalText = submitButton.querySelector('.btn__text').textContent;
-
     try {
       // Show loading state
       this.setSubmitState('loading');
 
       // Simulate form submission
       await this.submitForm();
+      if (!this.isMounted) return;
 
       // Show success state
       this.setSubmitState('success');
       this.form.reset();
       
-      // Track successful submission
-      this.app.getModule('analytics')?.trackFormSubmission('contact', 'success');
+      this.app.emit(APP_EVENTS.FORM_SUBMITTED, { form: 'contact', result: 'success' });
 
       // Reset button after delay
-      setTimeout(() => {
+      this.timeout(() => {
         this.setSubmitState('default');
       }, 3000);
 
     } catch (error) {
+      if (!this.isMounted) return;
       console.error('Form submission error:', error);
       
       // Show error state
       this.setSubmitState('error');
       
-      // Track failed submission
-      this.app.getModule('analytics')?.trackFormSubmission('contact', 'error');
+      this.app.emit(APP_EVENTS.FORM_SUBMITTED, { form: 'contact', result: 'error' });
 
       // Reset button after delay
-      setTimeout(() => {
+      this.timeout(() => {
         this.setSubmitState('default');
       }, 3000);
     }
@@ -949,24 +1591,24 @@ class FormModule {
     // Required validation
     if (validator.required && !value) {
       isValid = false;
-      errorMessage = `${this.capitalize(fieldName)} is required`;
+      errorMessage = this.t('form.required', { field: this.fieldLabel(field) });
     }
 
     // Pattern validation
     else if (value && validator.pattern && !validator.pattern.test(value)) {
       isValid = false;
-      errorMessage = validator.message;
+      errorMessage = this.t(validator.message, validator);
     }
 
     // Length validation
     else if (value && validator.minLength && value.length < validator.minLength) {
       isValid = false;
-      errorMessage = validator.message;
+      errorMessage = this.t(validator.message, validator);
     }
 
     else if (value && validator.maxLength && value.length > validator.maxLength) {
       isValid = false;
-      errorMessage = validator.message;
+      errorMessage = this.t(validator.message, validator);
     }
 
     // Update field state
@@ -1003,34 +1645,41 @@ class FormModule {
     const textElement = button.querySelector('.btn__text');
     const loader = button.querySelector('.btn__loader');
 
+    this.submitState = state;
     button.classList.remove('btn--loading', 'btn--success', 'btn--error');
 
     switch (state) {
       case 'loading':
         button.classList.add('btn--loading');
         button.disabled = true;
-        textElement.textContent = 'Submitting...';
+        textElement.textContent = this.t('form.submitting');
         break;
         
       case 'success':
         button.classList.add('btn--success');
         button.disabled = true;
-        textElement.textContent = 'Message Sent!';
+        textElement.textContent = this.t('form.sent');
         break;
         
       case 'error':
         button.classList.add('btn--error');
         button.disabled = false;
-        textElement.textContent = 'Failed - Try Again';
+        textElement.textContent = this.t('form.failed');
         break;
         
       case 'default':
         button.disabled = false;
-        textElement.textContent = 'Submit Inquiry';
+        textElement.textContent = this.t('form.submit');
         break;
     }
   }
 
+  // The field's visible label, which the page has already translated
+  fieldLabel(field) {
+    const label = field.id && this.form.querySelector(`label[for="${field.id}"]`);
+    return label ? label.textContent.trim() : this.capitalize(field.name);
+  }
+
   capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
@@ -1040,19 +1689,17 @@ class FormModule {
 // CRYPTO MODULE
 // ============================================================================
 
-class CryptoModule {
-  constructor(app) {
-    this.app = app;
+class CryptoModule extends AppModule {
+  init() {
     this.elements = {
       addressInput: document.querySelector('.crypto-widget__address'),
       copyButton: document.querySelector('.crypto-widget__copy'),
       feedback: document.getElementById('copy-feedback')
     };
-    
-    this.init();
   }
 
-  init() {
+  mount() {
+    super.mount();
     if (!this.elements.addressInput || !this.elements.copyButton) return;
 
     this.bindEvents();
@@ -1061,13 +1708,13 @@ class CryptoModule {
 
   bindEvents() {
     // Copy button click
-    this.elements.copyButton.addEventListener('click', () => this.copyAddress());
+    this.listen(this.elements.copyButton, 'click', () => this.copyAddress());
     
     // Input click also copies
-    this.elements.addressInput.addEventListener('click', () => this.copyAddress());
+    this.listen(this.elements.addressInput, 'click', () => this.copyAddress());
     
     // Keyboard support
-    this.elements.addressInput.addEventListener('keydown', (e) => {
+    this.listen(this.elements.addressInput, 'keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         this.copyAddress();
@@ -1085,16 +1732,10 @@ class CryptoModule {
     const address = this.elements.addressInput.value;
     
     try {
-      // Use modern clipboard API if available
-      if (navigator.clipboard && window.isSecureContext) {
-        await navigator.clipboard.writeText(address);
-      } else {
-        // Fallback for older browsers
-        this.fallbackCopy(address);
-      }
+      await copyText(address);
       
       this.showSuccess();
-      this.app.getModule('analytics')?.trackCryptoAddressCopy(address);
+      this.app.emit(APP_EVENTS.CRYPTO_ADDRESS_COPIED, { address });
       
     } catch (error) {
       console.error('Failed to copy address:', error);
@@ -1102,26 +1743,6 @@ class CryptoModule {
     }
   }
 
-  fallbackCopy(text) {
-    // Create temporary textarea
-    const textarea = document.createElement('textarea');
-    textarea.value = text;
-    textarea.style.position = 'fixed';
-    textarea.style.opacity = '0';
-    textarea.style.pointerEvents = 'none';
-    
-    document.body.appendChild(textarea);
-    textarea.select();
-    textarea.setSelectionRange(0, text.length);
-    
-    const success = document.execCommand('copy');
-    document.body.removeChild(textarea);
-    
-    if (!success) {
-      throw new Error('Copy command failed');
-    }
-  }
-
   showSuccess() {
     // Update button state
     this.elements.copyButton.classList.add('copied');
@@ -1130,18 +1751,18 @@ class CryptoModule {
     
     // Show feedback
     if (this.elements.feedback) {
-      this.elements.feedback.textContent = '✓ Address copied to clipboard';
+      this.elements.feedback.textContent = this.t('crypto.copied');
       this.elements.feedback.classList.add('show');
     }
     
     // Reset after delay
-    setTimeout(() => {
+    this.timeout(() => {
       this.elements.copyButton.classList.remove('copied');
       this.elements.copyButton.textContent = originalText;
       
       if (this.elements.feedback) {
         this.elements.feedback.classList.remove('show');
-        setTimeout(() => {
+        this.timeout(() => {
           this.elements.feedback.textContent = '';
         }, 300);
       }
@@ -1150,14 +1771,14 @@ class CryptoModule {
 
   showError() {
     if (this.elements.feedback) {
-      this.elements.feedback.textContent = '❌ Failed to copy address';
+      this.elements.feedback.textContent = this.t('crypto.copyFailed');
       this.elements.feedback.style.color = '#ff4444';
       this.elements.feedback.classList.add('show');
       
-      setTimeout(() => {
+      this.timeout(() => {
         this.elements.feedback.classList.remove('show');
         this.elements.feedback.style.color = '';
-        setTimeout(() => {
+        this.timeout(() => {
           this.elements.feedback.textContent = '';
         }, 300);
       }, 3000);
@@ -1171,162 +1792,56 @@ class CryptoModule {
   }
 }
 
-// ============================================================================
-// CHART MODULE
-// ============================================================================
-
-class ChartModule {
-  constructor(app) {
-    this.app = app;
-    this.elements = {
-      loadButton: document.getElementById('load-chart'),
-      placeholder: document.getElementById('dexscreener-chart'),
-      iframe: document.getElementById('dexscreener-iframe')
-    };
-    
-    this.isLoaded = false;
-    this.init();
-  }
-
-  init() {
-    if (!this.elements.loadButton) return;
-
-    this.bindEvents();
-    
-    // Auto-load chart on initialization
-    setTimeout(() => {
-      this.loadChart();
-    }, 500);
-  }
-
-  bindEvents() {
-    this.elements.loadButton.addEventListener('click', () => this.loadChart());
-  }
-
-  async loadChart() {
-    if (this.isLoaded) return;
-
-    try {
-      // Show loading state
-      this.setLoadingState(true);
-      
-      // Simulate loading delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Load the real DexScreener chart with the provided contract address
-      this.loadRealChart();
-      
-      this.isLoaded = true;
-      this.app.getModule('analytics')?.trackChartLoad();
-      
-    } catch (error) {
-      console.error('Failed to load chart:', error);
-      this.showError();
-    }
-  }
-
-  showChartPlaceholder() {
-    // Update placeholder content
-    const placeholder = this.elements.placeholder.querySelector('.chart-placeholder');
-    if (placeholder) {
-      placeholder.innerHTML = `
-        <div class="chart-placeholder__icon">📊</div>
-        <h3 class="chart-placeholder__title">Chart Ready</h3>
-        <p class="chart-placeholder__text">
-          DexScreener chart integration is ready. 
-          Replace the placeholder contract address with a real address to display live trading data.
-        </p>
-        <div class="chart-placeholder__details">
-          <div class="placeholder-stat">
-            <span class="stat-label">Status:</span>
-            <span class="stat-value">Ready</span>
-          </div>
-          <div class="placeholder-stat">
-            <span class="stat-label">Integration:</span>
-            <span class="stat-value">Active</span>
-          </div>
-          <div class="placeholder-stat">
-            <span class="stat-label">Platform:</span>
-            <span class="stat-value">DexScreener</span>
-          </div>
-        </div>
-        <p style="color: var(--color-text-muted); font-size: var(--font-size-sm); margin-top: var(--spacing-lg);">
-          <strong>Next Steps:</strong><br>
-          1. Deploy your token contract<br>
-          2. Update the contract address in the header<br>
-          3. Chart will automatically display live data
-        </p>
-      `;
-    }
-  }
-
-  loadRealChart(contractAddress = '2RL73y7ocSm5qTcrJfiBhrCVtog2FRHDBxGw9bN1pump') {
-    // This method loads a real DexScreener chart - defaults to the provided contract address
-    const dexScreenerUrl = `https://dexscreener.com/solana/${contractAddress}?embed=1&theme=dark&trades=0&info=0`;
-    
-    if (this.elements.iframe) {
-      this.elements.iframe.src = dexScreenerUrl;
-      this.elements.iframe.style.display = 'block';
-      
-      // Hide placeholder
-      if (this.elements.placeholder) {
-        this.elements.placeholder.style.display = 'none';
-      }
-    }
-  }
-
-  setLoadingState(loading) {
-    const button = this.elements.loadButton;
-    if (!button) return;
-
-    if (loading) {
-      button.textContent = 'Loading Chart...';
-      button.disabled = true;
-      button.style.opacity = '0.7';
-    } else {
-      button.textContent = 'Load Live Chart';
-      button.disabled = false;
-      button.style.opacity = '1';
-    }
-  }
-
-  showError() {
-    const placeholder = this.elements.placeholder.querySelector('.chart-placeholder');
-    if (placeholder) {
-      placeholder.innerHTML = `
-        <div class="chart-placeholder__icon">❌</div>
-        <h3 class="chart-placeholder__title">Chart Load Error</h3>
-        <p class="chart-placeholder__text">
-          Failed to load trading chart. Please try again later.
-        </p>
-        <button class="chart-load-btn" onclick="location.reload()">Retry</button>
-      `;
-    }
-    
-    this.setLoadingState(false);
-  }
-}
-
 // ============================================================================
 // ANALYTICS MODULE
 // ============================================================================
 
-class AnalyticsModule {
-  constructor(app) {
-    this.app = app;
+class AnalyticsModule extends AppModule {
+  init() {
     this.events = [];
     this.sessionId = this.generateSessionId();
     this.startTime = Date.now();
-    
-    this.init();
   }
 
-  init() {
+  mount() {
+    super.mount();
     this.trackPageView();
+    this.subscribeToEvents();
     this.setupPerformanceTracking();
     this.setupErrorTracking();
   }
 
+  subscribeToEvents() {
+    const subscriptions = [
+      this.app.on(APP_EVENTS.SECTION_VIEWED, ({ sectionId }) => this.trackSectionView(sectionId)),
+      this.app.on(APP_EVENTS.NAVIGATION_CLICKED, ({ targetId }) => this.trackNavigation(targetId)),
+      this.app.on(APP_EVENTS.GENDER_CHANGED, ({ version }) => this.trackGenderToggle(version)),
+      this.app.on(APP_EVENTS.LOCALE_CHANGED, ({ locale }) => this.trackLocaleChange(locale)),
+      this.app.on(APP_EVENTS.ANIMATION_PLAYED, () => this.trackAnimationPlay()),
+      this.app.on(APP_EVENTS.ANIMATION_PAUSED, () => this.trackAnimationPause()),
+      this.app.on(APP_EVENTS.FORM_SUBMITTED, ({ form, result }) => this.trackFormSubmission(form, result)),
+      this.app.on(APP_EVENTS.CRYPTO_ADDRESS_COPIED, ({ address }) => this.trackCryptoAddressCopy(address)),
+      this.app.on(APP_EVENTS.CHART_LOADED, () => this.trackChartLoad()),
+      this.app.on(APP_EVENTS.SEARCH_RESULT_OPENED, ({ query, rank }) => this.trackSearchResult(query, rank)),
+      this.app.on(APP_EVENTS.CITATIONS_EXPORTED, ({ format, count }) => this.trackCitationExport(format, count)),
+      this.app.on(APP_EVENTS.CITATION_COPIED, ({ style, targetId }) => this.trackCitationCopy(style, targetId)),
+      this.app.on(APP_EVENTS.POLL_VOTED, ({ pollId, likelihood }) => this.trackPollVote(pollId, likelihood)),
+      this.app.on(APP_EVENTS.POLLS_RESET, ({ room, count }) => this.trackPollsReset(room, count)),
+      this.app.on(APP_EVENTS.POLLS_EXPORTED, ({ room, count }) => this.trackPollsExport(room, count)),
+      this.app.on(APP_EVENTS.FINDING_DATA_DOWNLOADED, ({ findingId, rows }) => this.trackFindingDataDownload(findingId, rows)),
+      this.app.on(APP_EVENTS.MODULE_STATUS_CHANGED, (report) => this.trackModuleStatus(report))
+    ];
+
+    subscriptions.forEach(unsubscribe => this.own(unsubscribe));
+
+    // Report modules that failed before analytics was mounted
+    Object.entries(this.app.getModuleStatuses()).forEach(([name, record]) => {
+      if (record.status !== MODULE_STATUS.OK) {
+        this.trackModuleStatus({ name, ...record });
+      }
+    });
+  }
+
   generateSessionId() {
     return 'session_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
   }
@@ -1366,6 +1881,10 @@ class AnalyticsModule {
     this.trackEvent('Interaction', 'Gender Toggle', version);
   }
 
+  trackLocaleChange(locale) {
+    this.trackEvent('Interaction', 'Language Change', locale);
+  }
+
   trackAnimationPlay() {
     this.trackEvent('Animation', 'Play', 'Educational Simulation');
   }
@@ -1386,9 +1905,44 @@ class AnalyticsModule {
     this.trackEvent('Chart', 'Load', 'DexScreener Integration', 1);
   }
 
+  trackSearchResult(query, rank) {
+    this.trackEvent('Search', 'Open Result', query, rank);
+  }
+
+  trackCitationExport(format, count) {
+    this.trackEvent('Citations', 'Export', format, count);
+  }
+
+  trackCitationCopy(style, targetId) {
+    this.trackEvent('Citations', 'Copy', `${style} | ${targetId || 'site'}`, 1);
+  }
+
+  trackPollVote(pollId, likelihood) {
+    this.trackEvent('Polls', 'Vote', pollId, likelihood);
+  }
+
+  trackPollsReset(room, count) {
+    this.trackEvent('Polls', 'Reset', room, count);
+  }
+
+  trackPollsExport(room, count) {
+    this.trackEvent('Polls', 'Export', room, count);
+  }
+
+  trackFindingDataDownload(findingId, rows) {
+    this.trackEvent('Findings', 'Download Data', findingId, rows);
+  }
+
+  trackModuleStatus({ name, status, phase, reason }) {
+    if (status === MODULE_STATUS.OK) return;
+
+    const label = [name, phase, reason].filter(Boolean).join(' | ');
+    this.trackEvent('Module', status === MODULE_STATUS.FAILED ? 'Failed' : 'Degraded', label, 1);
+  }
+
   setupPerformanceTracking() {
     // Track page load performance
-    window.addEventListener('load', () => {
+    this.listen(window, 'load', () => {
       if ('performance' in window) {
         const perfData = performance.timing;
         const loadTime = perfData.loadEventEnd - perfData.navigationStart;
@@ -1412,6 +1966,7 @@ class AnalyticsModule {
         });
 
         observer.observe({ entryTypes: ['largest-contentful-paint', 'first-input'] });
+        this.own(() => observer.disconnect());
       } catch (error) {
         console.warn('Performance observer not supported:', error);
       }
@@ -1419,11 +1974,11 @@ class AnalyticsModule {
   }
 
   setupErrorTracking() {
-    window.addEventListener('error', (event) => {
+    this.listen(window, 'error', (event) => {
       this.trackEvent('Error', 'JavaScript Error', event.message, 1);
     });
 
-    window.addEventListener('unhandledrejection', (event) => {
+    this.listen(window, 'unhandledrejection', (event) => {
       this.trackEvent('Error', 'Promise Rejection', event.reason, 1);
     });
   }
@@ -1462,12 +2017,23 @@ function initializeApp() {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     RobosexualityApp,
+    EventBus,
+    APP_EVENTS,
+    Store,
+    Disposables,
+    MotionManager,
+    FrameScheduler,
+    FRAME_PRIORITY,
+    ParticleRenderer,
+    AppModule,
+    ModuleRegistry,
+    ModuleHealth,
+    MODULE_STATUS,
     NavigationModule,
     ScrollModule,
     AnimationModule,
     FormModule,
     CryptoModule,
-    ChartModule,
     AnalyticsModule
   };
 }
\ No newline at end of file
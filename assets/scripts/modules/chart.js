@@ -0,0 +1,135 @@
+/**
+ * CHART MODULE
+ * DexScreener trading chart embed. Loaded lazily once the chart section
+ * approaches the viewport. Its placeholder text is marked up with data-i18n
+ * keys, so the page translates it along with the rest of the interface.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+
+export class ChartModule extends AppModule {
+  init() {
+    this.elements = {
+      loadButton: document.getElementById('load-chart'),
+      placeholder: document.getElementById('dexscreener-chart'),
+      iframe: document.getElementById('dexscreener-iframe')
+    };
+    
+    this.isLoaded = false;
+  }
+
+  mount() {
+    super.mount();
+    if (!this.elements.loadButton) return;
+
+    this.bindEvents();
+    
+    // Auto-load chart on initialization
+    this.timeout(() => {
+      this.loadChart();
+    }, 500);
+  }
+
+  bindEvents() {
+    this.listen(this.elements.loadButton, 'click', () => this.loadChart());
+  }
+
+  async loadChart() {
+    if (this.isLoaded) return;
+
+    try {
+      // Show loading state
+      this.setLoadingState(true);
+      
+      // Simulate loading delay
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (!this.isMounted) return;
+      
+      // Load the real DexScreener chart with the provided contract address
+      this.loadRealChart();
+      
+      this.isLoaded = true;
+      this.app.emit(APP_EVENTS.CHART_LOADED, { provider: 'DexScreener' });
+      
+    } catch (error) {
+      console.error('Failed to load chart:', error);
+      this.showError();
+      this.degrade(error.message);
+    }
+  }
+
+  showChartPlaceholder() {
+    // Update placeholder content
+    const placeholder = this.elements.placeholder.querySelector('.chart-placeholder');
+    if (placeholder) {
+      placeholder.innerHTML = `
+        <div class="chart-placeholder__icon">📊</div>
+        <h3 class="chart-placeholder__title" data-i18n="chart.readyTitle"></h3>
+        <p class="chart-placeholder__text" data-i18n="chart.readyText"></p>
+        <div class="chart-placeholder__details">
+          <div class="placeholder-stat">
+            <span class="stat-label" data-i18n="chart.status"></span>
+            <span class="stat-value" data-i18n="chart.statusReady"></span>
+          </div>
+          <div class="placeholder-stat">
+            <span class="stat-label" data-i18n="chart.integration"></span>
+            <span class="stat-value" data-i18n="chart.integrationActive"></span>
+          </div>
+          <div class="placeholder-stat">
+            <span class="stat-label" data-i18n="chart.platform"></span>
+            <span class="stat-value">DexScreener</span>
+          </div>
+        </div>
+        <p style="color: var(--color-text-muted); font-size: var(--font-size-sm); margin-top: var(--spacing-lg);">
+          <strong data-i18n="chart.nextSteps"></strong><br>
+          <span data-i18n="chart.nextStepDeploy"></span><br>
+          <span data-i18n="chart.nextStepAddress"></span><br>
+          <span data-i18n="chart.nextStepLive"></span>
+        </p>
+      `;
+      this.app.i18n.translate(placeholder);
+    }
+  }
+
+  loadRealChart(contractAddress = '2RL73y7ocSm5qTcrJfiBhrCVtog2FRHDBxGw9bN1pump') {
+    // This method loads a real DexScreener chart - defaults to the provided contract address
+    const dexScreenerUrl = `https://dexscreener.com/solana/${contractAddress}?embed=1&theme=dark&trades=0&info=0`;
+    
+    if (this.elements.iframe) {
+      this.elements.iframe.src = dexScreenerUrl;
+      this.elements.iframe.style.display = 'block';
+      
+      // Hide placeholder
+      if (this.elements.placeholder) {
+        this.elements.placeholder.style.display = 'none';
+      }
+    }
+  }
+
+  setLoadingState(loading) {
+    const button = this.elements.loadButton;
+    if (!button) return;
+
+    // Swapping the key keeps the label right if the language changes meanwhile
+    button.dataset.i18n = loading ? 'chart.loading' : 'chart.load';
+    button.textContent = this.t(button.dataset.i18n);
+    button.disabled = loading;
+    button.style.opacity = loading ? '0.7' : '1';
+  }
+
+  showError() {
+    const placeholder = this.elements.placeholder.querySelector('.chart-placeholder');
+    if (placeholder) {
+      placeholder.innerHTML = `
+        <div class="chart-placeholder__icon">❌</div>
+        <h3 class="chart-placeholder__title" data-i18n="chart.errorTitle"></h3>
+        <p class="chart-placeholder__text" data-i18n="chart.errorText"></p>
+        <button class="chart-load-btn" onclick="location.reload()" data-i18n="chart.retry"></button>
+      `;
+      this.app.i18n.translate(placeholder);
+    }
+    
+    this.setLoadingState(false);
+  }
+}
@@ -0,0 +1,401 @@
+/**
+ * CITATIONS MODULE
+ * Registry of the records in CITATIONS. Content points at a record with a
+ * `data-cite="<id>"` element; the module numbers citations in page order,
+ * adds a footnote marker after each one and lists the records in the
+ * References section, with links back to every place they are cited.
+ * Readers can export one, several or all references as BibTeX, RIS or
+ * CSL-JSON; records still missing their real title are listed but not
+ * exported.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { validateList } from '../utils/schema.js';
+import { CITATION_TYPES, EXPORT_FORMATS, formatAuthors } from '../utils/citation-formats.js';
+import { downloadText } from '../utils/download.js';
+import { announce } from '../utils/announcer.js';
+import { CITATIONS } from '../data/citations.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Copies of content (e.g. the timeline axis detail panel) are not citations
+const IGNORED_CONTAINERS = '.timeline-axis, .references';
+
+const EXPORT_FILENAME = 'robosexuality-references';
+
+export const CITATION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type', 'title'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: SLUG_PATTERN },
+    type: { type: 'string', enum: CITATION_TYPES },
+    title: { type: 'string', minLength: 1 },
+    authors: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          family: { type: 'string', minLength: 1 },
+          given: { type: 'string', minLength: 1 },
+          literal: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    container: { type: 'string', minLength: 1 },
+    publisher: { type: 'string', minLength: 1 },
+    issued: {
+      type: 'object',
+      required: ['year'],
+      additionalProperties: false,
+      properties: {
+        year: { type: 'integer' },
+        month: { type: 'integer', minimum: 1, maximum: 12 },
+        day: { type: 'integer', minimum: 1, maximum: 31 }
+      }
+    },
+    url: { type: 'string', pattern: /^https?:\/\// },
+    doi: { type: 'string', pattern: /^10\.\d{4,9}\/\S+$/ }
+  }
+};
+
+/**
+ * Check a citations dataset, including the rules a schema can't express:
+ * unique ids, named authors and complete dates.
+ *
+ * @param {Array} records
+ * @returns {{ valid: Object[], errors: string[] }}
+ */
+export function validateCitations(records) {
+  return validateList(records, CITATION_SCHEMA, {
+    name: 'citations',
+    check: ({ authors = [], issued }, path) => [
+      ...authors
+        .map((author, index) => (author.family || author.literal ? null
+          : `${path}.authors[${index}]: needs "family" or "literal"`))
+        .filter(Boolean),
+      ...(issued?.day && !issued.month ? [`${path}.issued.day: needs issued.month`] : [])
+    ]
+  });
+}
+
+/**
+ * A record whose title is still a [bracketed description] of the source.
+ * It would export as a bogus reference, so it is listed but not exported.
+ */
+export function isIncomplete(record) {
+  return /^\[.*\]$/.test(record.title);
+}
+
+// "Replika Inc." already ends the sentence
+function endSentence(text) {
+  return text.endsWith('.') ? text : `${text}.`;
+}
+
+export class CitationsModule extends AppModule {
+  init() {
+    this.section = document.getElementById('references');
+    this.list = this.section?.querySelector('.references__list') || null;
+    this.records = new Map();
+    // Cited records in order of first appearance, with their markers
+    this.cited = [];
+    this.markers = [];
+    this.reportedIds = new Set();
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    this.renderControls();
+    this.bindEvents();
+    this.setRecords(CITATIONS);
+  }
+
+  destroy() {
+    this.clearMarkers();
+    this.list?.replaceChildren();
+    this.elements.form?.remove();
+    this.elements = {};
+    this.cited = [];
+    this.reportedIds.clear();
+    super.destroy();
+  }
+
+  /**
+   * Replace the registry with a new dataset.
+   *
+   * @param {Array} records
+   * @returns {string[]} Validation errors for the records that were skipped
+   */
+  setRecords(records) {
+    const { valid, errors } = validateCitations(records);
+
+    errors.forEach(error => console.error(`❌ Invalid citation - ${error}`));
+    if (errors.length) {
+      this.degrade(`${errors.length} citation ${errors.length === 1 ? 'error' : 'errors'}: ${errors[0]}`);
+    }
+
+    this.records = new Map(valid.map(record => [record.id, record]));
+    if (this.isMounted) this.refresh();
+
+    return errors;
+  }
+
+  /** @returns {Object|undefined} The record with this id */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Short name for inline source lists: the outlet, else the author, else
+   * the title.
+   */
+  label(id) {
+    const record = this.records.get(id);
+    if (!record) return id;
+    return record.container || formatAuthors(record.authors) || record.title;
+  }
+
+  /**
+   * Download records in one of EXPORT_FORMATS.
+   *
+   * @param {string[]} ids - Records to export; all cited records when empty
+   * @param {string} format - Key of EXPORT_FORMATS
+   */
+  export(ids, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) throw new Error(`Unknown citation format "${format}"`);
+
+    const records = (ids.length ? ids : this.cited.map(({ record }) => record.id))
+      .map(id => this.records.get(id))
+      .filter(record => record && !isIncomplete(record));
+    if (!records.length) return;
+
+    const name = records.length === 1 ? records[0].id : EXPORT_FILENAME;
+    downloadText(`${name}.${exporter.extension}`, exporter.serialize(records), exporter.type);
+
+    announce(this.t('citations.exported', { count: records.length, format: exporter.label }));
+    this.app.emit(APP_EVENTS.CITATIONS_EXPORTED, { format, count: records.length });
+  }
+
+  // Markers
+  refresh() {
+    this.clearMarkers();
+
+    const byId = new Map();
+    this.cited = [];
+
+    document.querySelectorAll('[data-cite]').forEach(element => {
+      if (element.closest(IGNORED_CONTAINERS)) return;
+
+      const id = element.dataset.cite;
+      const record = this.records.get(id);
+      if (!record) {
+        this.reportUnknown(id, element);
+        return;
+      }
+
+      let entry = byId.get(id);
+      if (!entry) {
+        entry = { record, number: this.cited.length + 1, markers: [] };
+        byId.set(id, entry);
+        this.cited.push(entry);
+      }
+
+      const marker = this.renderMarker(entry);
+      element.after(marker);
+      entry.markers.push(marker.firstElementChild.id);
+      this.markers.push(marker);
+    });
+
+    this.renderList();
+  }
+
+  clearMarkers() {
+    this.markers.forEach(marker => marker.remove());
+    this.markers = [];
+  }
+
+  reportUnknown(id, element) {
+    if (this.reportedIds.has(id)) return;
+    this.reportedIds.add(id);
+
+    const where = element.closest('[id]')?.id;
+    console.error(`❌ Unknown citation "${id}"${where ? ` in #${where}` : ''}`);
+    this.degrade(`Unknown citation "${id}"`);
+  }
+
+  renderMarker({ record, number, markers }) {
+    const marker = document.createElement('sup');
+    marker.className = 'citation-ref';
+
+    const link = document.createElement('a');
+    link.href = `#ref-${record.id}`;
+    link.id = `cite-${record.id}-${markers.length + 1}`;
+    link.textContent = `[${number}]`;
+    link.setAttribute('aria-label', this.t('citations.reference', { number }));
+
+    marker.appendChild(link);
+    return marker;
+  }
+
+  // References list
+  renderControls() {
+    if (!this.list) return;
+
+    const form = document.createElement('form');
+    form.className = 'references__export';
+    form.dataset.i18nAriaLabel = 'citations.export';
+    form.innerHTML = `
+      <label class="references__select-all">
+        <input type="checkbox" name="all"> <span data-i18n="citations.selectAll"></span>
+      </label>
+      <label class="references__format-label" for="references-format" data-i18n="citations.format"></label>
+      <select class="references__format" id="references-format" name="format"></select>
+      <button type="button" class="references__button" data-export="selected" disabled></button>
+      <button type="button" class="references__button" data-export="all" data-i18n="citations.exportAll"></button>
+    `;
+    this.app.i18n.translate(form);
+
+    const format = form.elements.namedItem('format');
+    Object.entries(EXPORT_FORMATS).forEach(([value, { label }]) => format.add(new Option(label, value)));
+
+    this.list.before(form);
+    this.elements = {
+      form,
+      format,
+      all: form.elements.namedItem('all'),
+      selected: form.querySelector('[data-export="selected"]')
+    };
+  }
+
+  bindEvents() {
+    // Rendered content brings new citations
+    this.own(this.app.on(APP_EVENTS.TIMELINE_RENDERED, () => this.refresh()));
+    this.own(this.app.on(APP_EVENTS.STORIES_RENDERED, () => this.refresh()));
+    this.own(this.app.on(APP_EVENTS.GLOSSARY_RENDERED, () => this.refresh()));
+    this.own(this.app.i18n.onChange(() => this.refresh()));
+
+    if (!this.elements.form) return;
+
+    this.listen(this.elements.form, 'submit', (event) => event.preventDefault());
+
+    this.listen(this.elements.form, 'click', (event) => {
+      const button = event.target.closest('[data-export]');
+      if (!button) return;
+
+      const ids = button.dataset.export === 'selected' ? this.selectedIds() : [];
+      this.export(ids, this.elements.format.value);
+    });
+
+    this.listen(this.elements.all, 'change', () => {
+      this.selectionBoxes().forEach(box => { box.checked = this.elements.all.checked; });
+      this.updateSelection();
+    });
+
+    this.listen(this.list, 'change', (event) => {
+      if (event.target.matches('.references__select')) this.updateSelection();
+    });
+  }
+
+  selectionBoxes() {
+    return [...this.list.querySelectorAll('.references__select')];
+  }
+
+  selectedIds() {
+    return this.selectionBoxes().filter(box => box.checked).map(box => box.value);
+  }
+
+  updateSelection() {
+    const boxes = this.selectionBoxes();
+    const count = boxes.filter(box => box.checked).length;
+
+    this.elements.all.checked = boxes.length > 0 && count === boxes.length;
+    this.elements.all.indeterminate = count > 0 && count < boxes.length;
+    this.elements.selected.disabled = count === 0;
+    this.elements.selected.textContent = this.t('citations.exportSelected', { count });
+  }
+
+  renderList() {
+    if (!this.list) return;
+
+    // Keep the reader's selection across re-renders
+    const selected = new Set(this.elements.form ? this.selectedIds() : []);
+
+    this.list.replaceChildren(...this.cited.map(entry => this.renderReference(entry, selected)));
+    if (this.elements.form) this.updateSelection();
+  }
+
+  renderReference({ record, number, markers }, selected) {
+    const item = document.createElement('li');
+    item.className = 'references__item';
+    item.id = `ref-${record.id}`;
+
+    if (this.elements.form && !isIncomplete(record)) {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.className = 'references__select';
+      box.value = record.id;
+      box.checked = selected.has(record.id);
+      box.setAttribute('aria-label', this.t('citations.select', { number }));
+      item.appendChild(box);
+    }
+
+    item.appendChild(this.renderReferenceText(record));
+
+    if (isIncomplete(record)) {
+      const note = document.createElement('span');
+      note.className = 'references__note';
+      note.textContent = this.t('citations.incomplete');
+      item.appendChild(note);
+    }
+
+    const backlinks = document.createElement('span');
+    backlinks.className = 'references__backlinks';
+    markers.forEach((markerId, index) => {
+      const link = document.createElement('a');
+      link.href = `#${markerId}`;
+      link.textContent = markers.length === 1 ? '↩' : `↩${String.fromCharCode(97 + index)}`;
+      link.setAttribute('aria-label', markers.length === 1
+        ? this.t('citations.backlink', { number })
+        : this.t('citations.backlinkUse', { number, use: index + 1 }));
+      backlinks.appendChild(link);
+    });
+    item.appendChild(backlinks);
+
+    return item;
+  }
+
+  // Author. (Year). *Title*. Container. Publisher. DOI or URL
+  renderReferenceText(record) {
+    const text = document.createElement('span');
+    text.className = 'references__text';
+
+    const authors = formatAuthors(record.authors);
+    if (authors) text.append(`${endSentence(authors)} `);
+    if (record.issued) text.append(`(${this.app.i18n.formatYear(record.issued.year)}). `);
+
+    const title = document.createElement('cite');
+    title.textContent = record.title;
+    text.append(title, record.title.endsWith('.') ? ' ' : '. ');
+
+    [record.container, record.publisher].filter(Boolean).forEach(detail => {
+      text.append(`${endSentence(detail)} `);
+    });
+
+    const href = record.doi ? `https://doi.org/${record.doi}` : record.url;
+    if (href) {
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = record.doi ? `doi:${record.doi}` : record.url;
+      text.appendChild(link);
+    }
+
+    return text;
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * CITE MODULE
+ * "Cite" buttons on every section and content card. A button opens a panel
+ * with a citation of that part of the site in APA 7, MLA 9 and Chicago,
+ * each with a copy button. Author, site name and year come from the page's
+ * JSON-LD and meta tags; the URL points at the cited anchor and the access
+ * date is today.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { CITE_STYLES, toPlainText } from '../utils/cite-styles.js';
+import { copyText } from '../utils/clipboard.js';
+
+// What gets a cite button, where its title lives and where the button goes.
+// The hero's button cites the whole site.
+const CITE_TARGETS = [
+  { selector: '.hero', title: '.hero__title', header: '.hero__content', site: true },
+  { selector: 'section[id]', title: '.section__title', header: '.section__header' },
+  { selector: '.timeline__item', title: '.timeline__title', header: '.timeline__header' },
+  { selector: '.story-card', title: '.story-card__title', header: '.story-card__header' },
+  { selector: '.analysis-card', title: '.analysis-card__title', header: '.analysis-card__header' },
+  { selector: '.finding-card', title: '.finding-card__title', header: '.finding-card__header' },
+  { selector: '.prediction-card', title: '.prediction-card__title', header: '.prediction-card__header' }
+];
+
+// Added to headings by other modules; not part of the title
+const HEADING_EXTRAS = ['permalink', 'citation-ref'];
+
+/**
+ * Citation metadata for the site as a whole, from the JSON-LD block with
+ * the `<meta>` tags and the document as fallbacks.
+ *
+ * @returns {{ author: string, siteName: string, year: ?number, url: string }}
+ */
+export function readPageMetadata() {
+  let data = {};
+  const script = document.querySelector('script[type="application/ld+json"]');
+  try {
+    data = script ? JSON.parse(script.textContent) : {};
+  } catch (error) {
+    console.warn('Unable to read structured data:', error);
+  }
+
+  const meta = name => document.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.content || '';
+  const date = data.dateModified || data.datePublished;
+
+  return {
+    author: data.author?.name || meta('author') || meta('og:site_name'),
+    siteName: data.name || meta('og:site_name') || document.title,
+    year: date ? new Date(date).getFullYear() : data.copyrightYear ?? null,
+    // The page's own address without query or fragment
+    url: data.url || document.querySelector('link[rel="canonical"]')?.href || meta('og:url')
+      || `${window.location.origin}${window.location.pathname}`
+  };
+}
+
+export class CiteModule extends AppModule {
+  init() {
+    this.buttons = [];
+    this.activeButton = null;
+    this.work = null;
+    this.anchor = '';
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    this.render();
+    this.addButtons();
+    this.bindEvents();
+  }
+
+  destroy() {
+    this.buttons.forEach(button => button.remove());
+    this.buttons = [];
+    this.elements.panel?.remove();
+    this.elements = {};
+    this.activeButton = null;
+    super.destroy();
+  }
+
+  // Buttons
+  addButtons() {
+    this.buttons = this.buttons.filter(button => button.isConnected);
+
+    CITE_TARGETS.forEach(({ selector, title, header, site }) => {
+      document.querySelectorAll(selector).forEach(target => {
+        const heading = target.querySelector(title);
+        const container = target.querySelector(header);
+        if (!heading || !container || container.querySelector(':scope > .cite-button')) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cite-button';
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-controls', 'cite-panel');
+
+        container.appendChild(button);
+        this.labelButton(button);
+        this.buttons.push(button);
+      });
+    });
+  }
+
+  labelButton(button) {
+    const { title } = this.describeTarget(button);
+    button.textContent = this.t(title === null ? 'cite.site' : 'cite.button');
+    if (title !== null) button.setAttribute('aria-label', this.t('cite.label', { title }));
+  }
+
+  headingText(heading) {
+    return [...heading.childNodes]
+      .filter(node => !HEADING_EXTRAS.some(name => node.classList?.contains(name)))
+      .map(node => node.textContent)
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // What a button cites: its section or card, linked by the nearest id, or
+  // the whole site
+  describeTarget(button) {
+    const target = CITE_TARGETS.find(({ header }) => button.parentElement.matches(header));
+    if (target.site) return { title: null, anchor: '' };
+
+    const element = button.closest(target.selector);
+    return {
+      title: this.headingText(element.querySelector(target.title)),
+      anchor: element.closest('[id]')?.id || ''
+    };
+  }
+
+  // Panel
+  render() {
+    const panel = document.createElement('div');
+    panel.id = 'cite-panel';
+    panel.className = 'cite-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'cite-panel-title');
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="cite-panel__header">
+        <p id="cite-panel-title" class="cite-panel__title"></p>
+        <button type="button" class="cite-panel__close" data-i18n-aria-label="cite.close">×</button>
+      </div>
+      <div class="cite-panel__styles"></div>
+      <p class="cite-panel__status" role="status" aria-live="polite"></p>
+    `;
+
+    this.app.i18n.translate(panel);
+    this.elements = {
+      panel,
+      title: panel.querySelector('.cite-panel__title'),
+      styles: panel.querySelector('.cite-panel__styles'),
+      status: panel.querySelector('.cite-panel__status')
+    };
+  }
+
+  bindEvents() {
+    const { panel, styles } = this.elements;
+
+    this.listen(document, 'click', (event) => {
+      const button = event.target.closest('.cite-button');
+      if (button && this.buttons.includes(button)) {
+        if (this.isOpen && this.activeButton === button) {
+          this.close();
+        } else {
+          this.open(button);
+        }
+        return;
+      }
+
+      if (this.isOpen && !panel.contains(event.target)) {
+        this.close({ restoreFocus: false });
+      }
+    });
+
+    this.listen(panel, 'click', (event) => {
+      if (event.target.closest('.cite-panel__close')) {
+        this.close();
+      }
+    });
+
+    this.listen(styles, 'click', (event) => {
+      const copy = event.target.closest('[data-style]');
+      if (copy) this.copy(copy.dataset.style);
+    });
+
+    this.listen(panel, 'keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+      }
+    });
+
+    // Re-rendered content needs its buttons again
+    this.own(this.app.on(APP_EVENTS.TIMELINE_RENDERED, () => this.addButtons()));
+    this.own(this.app.on(APP_EVENTS.STORIES_RENDERED, () => this.addButtons()));
+
+    this.own(this.app.i18n.onChange(() => {
+      this.buttons.forEach(button => this.labelButton(button));
+      this.app.i18n.translate(panel);
+      if (this.isOpen) this.renderPanel();
+    }));
+  }
+
+  get isOpen() {
+    const { panel } = this.elements;
+    return Boolean(panel && !panel.hidden && panel.isConnected);
+  }
+
+  open(button) {
+    const { panel, styles } = this.elements;
+    if (this.isOpen) this.close({ restoreFocus: false });
+
+    const { title: targetTitle, anchor } = this.describeTarget(button);
+    const site = readPageMetadata();
+    this.work = {
+      ...site,
+      title: targetTitle,
+      url: anchor ? `${site.url}#${anchor}` : site.url,
+      accessed: new Date()
+    };
+    this.anchor = anchor;
+    this.renderPanel();
+
+    // In the flow right below the header, so it reads in place
+    button.parentElement.after(panel);
+    panel.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+    this.activeButton = button;
+
+    styles.querySelector('[data-style]')?.focus();
+  }
+
+  renderPanel() {
+    const { title, styles, status } = this.elements;
+
+    title.textContent = this.work.title ? this.t('cite.label', { title: this.work.title }) : this.t('cite.site');
+    styles.replaceChildren(...Object.entries(CITE_STYLES).map(([key, style]) => this.renderStyle(key, style)));
+    status.textContent = '';
+  }
+
+  close({ restoreFocus = true } = {}) {
+    const { panel } = this.elements;
+    const button = this.activeButton;
+
+    panel.hidden = true;
+    panel.remove();
+    this.activeButton = null;
+
+    if (!button) return;
+    button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus && button.isConnected) button.focus();
+  }
+
+  renderStyle(key, { label, format }) {
+    const block = document.createElement('div');
+    block.className = 'cite-panel__style';
+
+    const name = document.createElement('p');
+    name.className = 'cite-panel__style-name';
+    name.textContent = label;
+
+    const text = document.createElement('p');
+    text.className = 'cite-panel__text';
+    format(this.work).forEach(segment => {
+      if (typeof segment === 'string') {
+        text.append(segment);
+      } else {
+        const italic = document.createElement('i');
+        italic.textContent = segment.italic;
+        text.appendChild(italic);
+      }
+    });
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'cite-panel__copy';
+    copy.dataset.style = key;
+    copy.textContent = this.t('cite.copy');
+    copy.setAttribute('aria-label', this.t('cite.copyLabel', { style: label }));
+
+    block.append(name, text, copy);
+    return block;
+  }
+
+  async copy(key) {
+    const style = CITE_STYLES[key];
+    if (!style || !this.work) return;
+
+    const { status } = this.elements;
+    try {
+      await copyText(toPlainText(style.format(this.work)));
+      status.textContent = this.t('cite.copied', { style: style.label });
+      this.app.emit(APP_EVENTS.CITATION_COPIED, { style: key, targetId: this.anchor });
+    } catch (error) {
+      console.error('Failed to copy citation:', error);
+      status.textContent = this.t('cite.copyFailed');
+    }
+  }
+}
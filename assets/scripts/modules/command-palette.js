@@ -0,0 +1,412 @@
+/**
+ * COMMAND PALETTE MODULE
+ * Keyboard-driven quick-open (`config.commandPaletteChord`, Ctrl/Cmd+K by
+ * default) for jumping to any section or content card and for running page
+ * actions. Loaded by the first press of the shortcut.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { matchesChord, formatChord } from '../core/keyboard.js';
+import { fuzzyFilter } from '../utils/fuzzy.js';
+
+// Content that can be jumped to, with where its title lives and the
+// message key naming its group
+const JUMP_TARGETS = [
+  { selector: 'section[id]', group: 'Section', label: 'palette.groupSection', title: '.section__title, .hero__title-primary' },
+  { selector: '.timeline__item', group: 'Timeline', label: 'palette.groupTimeline', title: '.timeline__title' },
+  { selector: '.story-card', group: 'Story', label: 'palette.groupStory', title: '.story-card__title' },
+  { selector: '.prediction-card', group: 'Prediction', label: 'palette.groupPrediction', title: '.prediction-card__title' },
+  { selector: '.finding-card', group: 'Finding', label: 'palette.groupFinding', title: '.finding-card__title' }
+];
+
+// Results shown at once; the list is for jumping, not browsing
+const MAX_RESULTS = 30;
+
+export class CommandPaletteModule extends AppModule {
+  init() {
+    this.commands = new Map();
+    this.targets = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.returnFocus = null;
+    this.registerActions();
+  }
+
+  mount() {
+    super.mount();
+    this.render();
+    this.bindEvents();
+
+    // The shortcut press that loaded the module should also open it
+    this.open();
+  }
+
+  destroy() {
+    this.close();
+    this.element?.remove();
+    this.element = null;
+    super.destroy();
+  }
+
+  // Commands
+  /**
+   * Add an action to the palette.
+   *
+   * @param {Object} command
+   * @param {string} command.id
+   * @param {string|(() => string)} command.title - The title, or a function
+   *   returning it in the current language
+   * @param {string[]} [command.keywords] - Extra words to match on
+   * @param {() => boolean} [command.isAvailable] - Hide the command when false
+   * @param {() => void} command.run
+   * @returns {Function} Removes the command again
+   */
+  addCommand({ id, title, keywords = [], isAvailable = () => true, run }) {
+    this.commands.set(id, { id, title, keywords, isAvailable, run });
+    return () => this.commands.delete(id);
+  }
+
+  registerActions() {
+    const hasModule = name => () => Boolean(this.app.getModule(name));
+    const translated = key => () => this.t(key);
+
+    this.addCommand({
+      id: 'toggle-version',
+      title: translated('palette.toggleVersion'),
+      keywords: ['gender', 'male', 'female'],
+      isAvailable: hasModule('navigation'),
+      run: () => this.app.getModule('navigation').toggleGenderVersion()
+    });
+    this.addCommand({
+      id: 'play-simulation',
+      title: translated('palette.playSimulation'),
+      keywords: ['animation', 'start'],
+      isAvailable: () => Boolean(this.app.getModule('animation')) && !this.app.state.animationPlaying,
+      run: () => this.app.getModule('animation').playAnimation()
+    });
+    this.addCommand({
+      id: 'pause-simulation',
+      title: translated('palette.pauseSimulation'),
+      keywords: ['animation', 'stop'],
+      isAvailable: () => Boolean(this.app.getModule('animation')) && this.app.state.animationPlaying,
+      run: () => this.app.getModule('animation').pauseAnimation()
+    });
+    this.addCommand({
+      id: 'copy-address',
+      title: translated('palette.copyAddress'),
+      keywords: ['crypto', 'token', 'clipboard'],
+      isAvailable: hasModule('crypto'),
+      run: () => this.app.getModule('crypto').copyAddress()
+    });
+    this.addCommand({
+      id: 'toggle-motion',
+      title: translated('palette.toggleMotion'),
+      keywords: ['animations', 'accessibility'],
+      run: () => this.app.motion.toggle()
+    });
+    this.addCommand({
+      id: 'reset-reading-progress',
+      title: translated('palette.resetProgress'),
+      keywords: ['contents', 'completed', 'sections'],
+      isAvailable: () => Boolean(this.app.getModule('toc')) && this.app.state.completedSections.length > 0,
+      run: () => this.app.getModule('toc').resetProgress()
+    });
+  }
+
+  collectTargets() {
+    const seen = new Set();
+    const targets = [];
+
+    JUMP_TARGETS.forEach(({ selector, group, label: groupLabel, title }) => {
+      document.querySelectorAll(selector).forEach(element => {
+        if (seen.has(element)) return;
+        seen.add(element);
+
+        const heading = element.querySelector(title);
+        const label = (heading ? this.headingText(heading) : element.id).trim();
+        if (!label) return;
+
+        const section = element.closest('section[id]');
+        const sectionTitle = section && section !== element
+          ? section.querySelector('.section__title')?.textContent.trim()
+          : '';
+
+        targets.push({
+          id: `jump:${group}:${targets.length}`,
+          title: label,
+          group: this.t(groupLabel),
+          keywords: [sectionTitle].filter(Boolean),
+          run: () => this.jumpTo(element)
+        });
+      });
+    });
+
+    return targets;
+  }
+
+  // Heading text without the router's permalink anchor
+  headingText(heading) {
+    return [...heading.childNodes]
+      .filter(node => !node.classList?.contains('permalink'))
+      .map(node => node.textContent)
+      .join('');
+  }
+
+  jumpTo(element) {
+    this.app.getModule('navigation')?.scrollToSection(element);
+
+    // Elements with an id get a history entry through the router
+    if (element.id) {
+      this.app.emit(APP_EVENTS.NAVIGATION_CLICKED, { targetId: element.id });
+    }
+  }
+
+  // Rendering
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'command-palette';
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <div class="command-palette__backdrop"></div>
+      <div class="command-palette__dialog" role="dialog" aria-modal="true" data-i18n-aria-label="palette.label">
+        <input
+          type="text"
+          class="command-palette__input"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-autocomplete="list"
+          autocomplete="off"
+          spellcheck="false"
+          data-i18n-placeholder="palette.placeholder"
+        >
+        <ul id="command-palette-results" class="command-palette__results" role="listbox" data-i18n-aria-label="palette.results"></ul>
+        <p class="command-palette__empty" data-i18n="palette.empty" hidden></p>
+        <p class="command-palette__hint"></p>
+      </div>
+    `;
+
+    this.elements = {
+      backdrop: this.element.querySelector('.command-palette__backdrop'),
+      input: this.element.querySelector('.command-palette__input'),
+      results: this.element.querySelector('.command-palette__results'),
+      empty: this.element.querySelector('.command-palette__empty'),
+      hint: this.element.querySelector('.command-palette__hint')
+    };
+
+    document.body.appendChild(this.element);
+    this.app.i18n.translate(this.element);
+    this.renderHint();
+  }
+
+  renderHint() {
+    const chord = formatChord(this.app.config.commandPaletteChord);
+    this.elements.hint.textContent = this.t('palette.hint', { chord });
+  }
+
+  bindEvents() {
+    const { backdrop, input, results } = this.elements;
+
+    this.listen(document, 'keydown', (event) => {
+      if (matchesChord(event, this.app.config.commandPaletteChord)) {
+        event.preventDefault();
+        if (this.isOpen) {
+          this.close();
+        } else {
+          this.open();
+        }
+      }
+    });
+
+    this.listen(input, 'input', () => this.update());
+    this.listen(input, 'keydown', (event) => this.handleKeydown(event));
+    this.listen(backdrop, 'click', () => this.close());
+
+    this.listen(results, 'click', (event) => {
+      const option = event.target.closest('[data-index]');
+      if (option) this.execute(Number(option.dataset.index));
+    });
+    this.listen(results, 'mousemove', (event) => {
+      const option = event.target.closest('[data-index]');
+      if (option) this.setActive(Number(option.dataset.index));
+    });
+
+    this.own(this.app.i18n.onChange(() => this.renderHint()));
+  }
+
+  get isOpen() {
+    return Boolean(this.element && !this.element.hidden);
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    this.returnFocus = document.activeElement;
+    this.targets = this.collectTargets();
+    this.element.hidden = false;
+    this.elements.input.value = '';
+    this.update();
+    this.elements.input.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.element.hidden = true;
+    this.returnFocus?.focus?.();
+    this.returnFocus = null;
+  }
+
+  update() {
+    const query = this.elements.input.value.trim();
+    const group = this.t('palette.groupAction');
+    const actions = [...this.commands.values()]
+      .filter(command => command.isAvailable())
+      .map(command => ({
+        ...command,
+        title: typeof command.title === 'function' ? command.title() : command.title,
+        group
+      }));
+    const candidates = [...actions, ...this.targets];
+
+    this.results = query
+      ? fuzzyFilter(query, candidates, item => [item.title, item.group, ...item.keywords])
+      : candidates.map(item => ({ item, score: 0, indices: [] }));
+    this.results = this.results.slice(0, MAX_RESULTS);
+
+    this.renderResults();
+    this.setActive(0);
+  }
+
+  renderResults() {
+    const { results, empty } = this.elements;
+
+    const options = this.results.map(({ item, indices }, index) => {
+      const option = document.createElement('li');
+      option.id = `command-palette-option-${index}`;
+      option.className = 'command-palette__option';
+      option.setAttribute('role', 'option');
+      option.dataset.index = index;
+
+      const title = document.createElement('span');
+      title.className = 'command-palette__title';
+      title.append(...this.highlight(item.title, indices));
+
+      const group = document.createElement('span');
+      group.className = 'command-palette__group';
+      group.textContent = item.group;
+
+      option.append(title, group);
+      return option;
+    });
+
+    results.replaceChildren(...options);
+    empty.hidden = options.length > 0;
+  }
+
+  // Wrap matched characters in <mark> without using innerHTML on page text
+  highlight(text, indices) {
+    if (!indices.length) return [text];
+
+    const matched = new Set(indices);
+    const nodes = [];
+    let run = '';
+    let runIsMatch = false;
+
+    const flush = () => {
+      if (!run) return;
+      if (runIsMatch) {
+        const mark = document.createElement('mark');
+        mark.textContent = run;
+        nodes.push(mark);
+      } else {
+        nodes.push(run);
+      }
+      run = '';
+    };
+
+    // fuzzyMatch reports UTF-16 offsets, so walk by offset while keeping
+    // surrogate pairs together
+    for (let index = 0; index < text.length;) {
+      const char = String.fromCodePoint(text.codePointAt(index));
+      const isMatch = matched.has(index);
+      if (isMatch !== runIsMatch) {
+        flush();
+        runIsMatch = isMatch;
+      }
+      run += char;
+      index += char.length;
+    }
+    flush();
+
+    return nodes;
+  }
+
+  setActive(index) {
+    const options = this.elements.results.children;
+    if (!options.length) {
+      this.elements.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.activeIndex = (index + options.length) % options.length;
+
+    [...options].forEach((option, optionIndex) => {
+      const isActive = optionIndex === this.activeIndex;
+      option.classList.toggle('command-palette__option--active', isActive);
+      option.setAttribute('aria-selected', isActive.toString());
+    });
+
+    const active = options[this.activeIndex];
+    this.elements.input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  }
+
+  handleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Home':
+        event.preventDefault();
+        this.setActive(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        this.setActive(this.results.length - 1);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        this.execute(this.activeIndex);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        // Focus stays in the palette while it is open
+        event.preventDefault();
+        break;
+    }
+  }
+
+  execute(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    // Close first so focus is back on the page before the command runs
+    this.close();
+
+    try {
+      result.item.run();
+    } catch (error) {
+      console.error(`❌ Command "${result.item.title}" failed:`, error);
+    }
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * DIAGNOSTICS MODULE
+ * Developer overlay showing live state, module health, the event and
+ * analytics streams, observed elements and frame timings. Loaded only when
+ * requested with `?debug=1` or the `config.diagnosticsChord` shortcut, which
+ * then toggles the panel.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { FRAME_PRIORITY } from '../core/frame-scheduler.js';
+import { matchesChord, formatChord } from '../core/keyboard.js';
+
+// Entries kept in the event and analytics lists
+const MAX_LOG_ENTRIES = 50;
+
+// How often the panel re-reads stats, module and analytics data
+const REFRESH_INTERVAL = 250;
+
+// Frame time of a 60fps display, drawn as the reference line in the graph
+const TARGET_FRAME_TIME = 1000 / 60;
+
+export class DiagnosticsModule extends AppModule {
+  init() {
+    this.panel = null;
+    this.elements = {};
+    this.eventLog = [];
+    this.eventCount = 0;
+    this.renderedAnalytics = 0;
+    // What changed while the panel was hidden, drawn when it opens
+    this.stale = { state: true, events: true };
+    this.highlighted = [];
+    this.stopRefresh = null;
+  }
+
+  mount() {
+    super.mount();
+    this.render();
+    this.bindEvents();
+    this.toggle(true);
+  }
+
+  destroy() {
+    this.stopRefresh?.();
+    this.stopRefresh = null;
+    this.setHighlight(false);
+    this.panel?.remove();
+    this.panel = null;
+    super.destroy();
+  }
+
+  // Rendering
+  render() {
+    this.panel = document.createElement('aside');
+    this.panel.className = 'diagnostics';
+    this.panel.dataset.i18nAriaLabel = 'diagnostics.title';
+    this.panel.innerHTML = `
+      <header class="diagnostics__header">
+        <h2 class="diagnostics__title" data-i18n="diagnostics.title"></h2>
+        <span class="diagnostics__hint"></span>
+        <button type="button" class="diagnostics__close" data-i18n-aria-label="diagnostics.close">×</button>
+      </header>
+      <details class="diagnostics__section" open>
+        <summary data-i18n="diagnostics.performance"></summary>
+        <canvas class="diagnostics__graph" width="280" height="64" aria-hidden="true"></canvas>
+        <p class="diagnostics__legend">
+          <span class="diagnostics__swatch diagnostics__swatch--frame"></span>
+          <span data-i18n="diagnostics.frameTime"></span>
+          <span class="diagnostics__swatch diagnostics__swatch--particles"></span>
+          <span data-i18n="diagnostics.particleLoop"></span>
+        </p>
+        <p class="diagnostics__metrics"></p>
+      </details>
+      <details class="diagnostics__section" open>
+        <summary data-i18n="diagnostics.modules"></summary>
+        <ul class="diagnostics__modules"></ul>
+      </details>
+      <details class="diagnostics__section">
+        <summary data-i18n="diagnostics.state"></summary>
+        <pre class="diagnostics__state"></pre>
+        <form class="diagnostics__force">
+          <select class="diagnostics__force-key" data-i18n-aria-label="diagnostics.stateKey"></select>
+          <input class="diagnostics__force-value" data-i18n-aria-label="diagnostics.stateValue" spellcheck="false">
+          <button type="submit" data-i18n="diagnostics.force"></button>
+        </form>
+        <button type="button" class="diagnostics__gender" data-i18n="diagnostics.switchGender"></button>
+      </details>
+      <details class="diagnostics__section">
+        <summary data-i18n="diagnostics.events"></summary>
+        <ol class="diagnostics__log diagnostics__events"></ol>
+      </details>
+      <details class="diagnostics__section">
+        <summary data-i18n="diagnostics.analytics"></summary>
+        <ol class="diagnostics__log diagnostics__analytics"></ol>
+      </details>
+      <label class="diagnostics__section diagnostics__highlight">
+        <input type="checkbox"> <span data-i18n="diagnostics.highlight"></span>
+      </label>
+    `;
+
+    this.elements = {
+      close: this.panel.querySelector('.diagnostics__close'),
+      graph: this.panel.querySelector('.diagnostics__graph'),
+      metrics: this.panel.querySelector('.diagnostics__metrics'),
+      modules: this.panel.querySelector('.diagnostics__modules'),
+      state: this.panel.querySelector('.diagnostics__state'),
+      forceForm: this.panel.querySelector('.diagnostics__force'),
+      forceKey: this.panel.querySelector('.diagnostics__force-key'),
+      forceValue: this.panel.querySelector('.diagnostics__force-value'),
+      gender: this.panel.querySelector('.diagnostics__gender'),
+      events: this.panel.querySelector('.diagnostics__events'),
+      analytics: this.panel.querySelector('.diagnostics__analytics'),
+      highlight: this.panel.querySelector('.diagnostics__highlight input'),
+      hint: this.panel.querySelector('.diagnostics__hint')
+    };
+
+    this.renderLocale();
+    document.body.appendChild(this.panel);
+  }
+
+  renderLocale() {
+    this.app.i18n.translate(this.panel);
+    const chord = formatChord(this.app.config.diagnosticsChord);
+    this.elements.hint.textContent = this.t('diagnostics.hint', { chord });
+  }
+
+  bindEvents() {
+    const { close, forceForm, forceKey, gender, events, highlight } = this.elements;
+
+    this.listen(document, 'keydown', (event) => {
+      if (matchesChord(event, this.app.config.diagnosticsChord)) {
+        event.preventDefault();
+        this.toggle();
+      }
+    });
+    this.listen(close, 'click', () => this.toggle(false));
+
+    this.listen(forceForm, 'submit', (event) => {
+      event.preventDefault();
+      this.forceState();
+    });
+    this.listen(forceKey, 'change', () => this.fillForceValue());
+    this.listen(gender, 'click', () => {
+      const version = this.app.state.genderVersion === 'male' ? 'female' : 'male';
+      this.app.setState({ genderVersion: version });
+    });
+
+    this.listen(events, 'click', (event) => {
+      const button = event.target.closest('[data-replay]');
+      if (button) this.replay(Number(button.dataset.replay));
+    });
+    this.listen(highlight, 'change', () => this.setHighlight(highlight.checked));
+
+    this.own(this.app.on('*', (payload, name) => this.logEvent(name, payload)));
+
+    // State changes with every scroll, so it's only marked here and drawn
+    // with the next refresh while the panel is open
+    this.own(this.app.subscribe(state => state, () => { this.stale.state = true; }));
+
+    this.own(this.app.i18n.onChange(() => {
+      this.renderLocale();
+      this.stale.events = true;
+      this.renderedAnalytics = 0;
+      this.refresh();
+    }));
+  }
+
+  toggle(force) {
+    const isOpen = force ?? this.panel.hidden;
+    this.panel.hidden = !isOpen;
+
+    // Stats change every frame, so sample them instead of re-rendering per
+    // frame, and only while the panel is open so a closed one lets the
+    // frame loop idle
+    if (isOpen && !this.stopRefresh) {
+      this.stopRefresh = this.app.frames.every(
+        'diagnostics',
+        REFRESH_INTERVAL,
+        () => this.refresh(),
+        { priority: FRAME_PRIORITY.LOW }
+      );
+    } else if (!isOpen && this.stopRefresh) {
+      this.stopRefresh();
+      this.stopRefresh = null;
+    }
+
+    if (isOpen) this.refresh();
+  }
+
+  refresh() {
+    if (!this.panel || this.panel.hidden) return;
+
+    if (this.stale.state) this.renderState(this.app.state);
+    if (this.stale.events) this.renderEvents();
+    this.renderPerformance();
+    this.renderModules();
+    this.renderAnalytics();
+  }
+
+  renderPerformance() {
+    const stats = this.app.frames.getStats();
+    const particles = stats.tasks.find(task => task.name === 'particles');
+    const field = this.app.particles?.field;
+
+    const parts = [
+      this.t('diagnostics.fps', { fps: stats.fps.toFixed(0) }),
+      this.t('diagnostics.frame', { time: stats.frameTime.toFixed(1), max: stats.maxFrameTime.toFixed(1) }),
+      this.t('diagnostics.work', { time: stats.workTime.toFixed(2) }),
+      this.t('diagnostics.tasks', { count: stats.tasks.length }),
+      this.t('diagnostics.deferred', { count: stats.deferred })
+    ];
+    if (field) {
+      parts.push(this.t('diagnostics.particles', {
+        count: field.particles.length,
+        budget: Math.round(field.budget * 100)
+      }));
+    }
+    if (stats.isPaused) parts.push(this.t('diagnostics.paused'));
+
+    this.elements.metrics.textContent = parts.join(' · ');
+    this.drawGraph(stats.frameTimes, particles?.costs || []);
+  }
+
+  drawGraph(frameTimes, particleCosts) {
+    const canvas = this.elements.graph;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    // Scale so a 60fps frame sits halfway up, clipping anything over two frames
+    const scale = height / (TARGET_FRAME_TIME * 2);
+    const plot = (values, color) => {
+      if (values.length < 2) return;
+
+      const step = width / (values.length - 1);
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      values.forEach((value, index) => {
+        const y = height - Math.min(value * scale, height);
+        if (index === 0) {
+          ctx.moveTo(0, y);
+        } else {
+          ctx.lineTo(index * step, y);
+        }
+      });
+      ctx.stroke();
+    };
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineWidth = 1;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.beginPath();
+    ctx.moveTo(0, height - TARGET_FRAME_TIME * scale);
+    ctx.lineTo(width, height - TARGET_FRAME_TIME * scale);
+    ctx.stroke();
+
+    plot(frameTimes, '#00FFFF');
+    plot(particleCosts, '#FF00FF');
+  }
+
+  renderModules() {
+    const list = this.elements.modules;
+    list.replaceChildren();
+
+    this.app.registry.entries.forEach((entry, name) => {
+      const record = this.app.getModuleStatuses()[name];
+      const status = record?.status || (entry.lazy ? 'not loaded' : 'pending');
+
+      const item = document.createElement('li');
+      item.className = `diagnostics__module diagnostics__module--${status.replace(/\s+/g, '-')}`;
+      item.textContent = `${name}: ${status}`;
+
+      const details = [
+        entry.lazy && this.t('diagnostics.lazy'),
+        entry.dependsOn.length && this.t('diagnostics.needs', { modules: entry.dependsOn.join(', ') }),
+        record?.reason
+      ].filter(Boolean);
+      if (details.length) item.title = details.join(' | ');
+
+      list.appendChild(item);
+    });
+  }
+
+  renderState(state) {
+    this.stale.state = false;
+    this.elements.state.textContent = JSON.stringify(state, null, 2);
+
+    // Keep the key list in sync without losing the current selection
+    const { forceKey } = this.elements;
+    const keys = Object.keys(state);
+    if (forceKey.options.length !== keys.length) {
+      const selected = forceKey.value;
+      forceKey.replaceChildren(...keys.map(key => new Option(key, key)));
+      forceKey.value = keys.includes(selected) ? selected : keys[0];
+      this.fillForceValue();
+    }
+  }
+
+  // Event stream
+  logEvent(name, payload) {
+    const entry = { id: ++this.eventCount, name, payload, timestamp: Date.now() };
+    this.eventLog.unshift(entry);
+    this.eventLog.length = Math.min(this.eventLog.length, MAX_LOG_ENTRIES);
+
+    // An open panel gets the new row; a hidden one redraws the list on opening
+    if (!this.panel || this.panel.hidden || this.stale.events) {
+      this.stale.events = true;
+      return;
+    }
+
+    const { events } = this.elements;
+    events.prepend(this.renderEvent(entry));
+    while (events.children.length > MAX_LOG_ENTRIES) events.lastElementChild.remove();
+  }
+
+  renderEvents() {
+    this.stale.events = false;
+    this.elements.events.replaceChildren(...this.eventLog.map(entry => this.renderEvent(entry)));
+  }
+
+  renderEvent(entry) {
+    const item = document.createElement('li');
+    item.className = 'diagnostics__entry';
+
+    const summary = document.createElement('span');
+    summary.textContent = `${new Date(entry.timestamp).toLocaleTimeString(this.app.i18n.locale)} ${entry.name} ${JSON.stringify(entry.payload)}`;
+
+    const replay = document.createElement('button');
+    replay.type = 'button';
+    replay.className = 'diagnostics__replay';
+    replay.dataset.replay = entry.id;
+    replay.textContent = this.t('diagnostics.replay');
+
+    item.append(summary, replay);
+    return item;
+  }
+
+  replay(id) {
+    const entry = this.eventLog.find(logged => logged.id === id);
+    if (entry) {
+      this.app.emit(entry.name, entry.payload);
+    }
+  }
+
+  renderAnalytics() {
+    const events = this.app.getModule('analytics')?.events || [];
+    if (events.length === this.renderedAnalytics) return;
+
+    // Newest first, like the event stream
+    const items = events.slice(-MAX_LOG_ENTRIES).reverse().map(event => {
+      const item = document.createElement('li');
+      item.className = 'diagnostics__entry';
+      item.textContent = [
+        new Date(event.timestamp).toLocaleTimeString(this.app.i18n.locale),
+        `${event.category} / ${event.action}`,
+        event.label,
+        event.value || ''
+      ].filter(Boolean).join(' ');
+      return item;
+    });
+
+    this.elements.analytics.replaceChildren(...items);
+    this.renderedAnalytics = events.length;
+  }
+
+  // State forcing
+  fillForceValue() {
+    const { forceKey, forceValue } = this.elements;
+    forceValue.value = JSON.stringify(this.app.state[forceKey.value]);
+  }
+
+  forceState() {
+    const { forceKey, forceValue } = this.elements;
+    let value;
+
+    // Accept JSON, and bare words as strings
+    try {
+      value = JSON.parse(forceValue.value);
+    } catch {
+      value = forceValue.value;
+    }
+
+    this.app.setState({ [forceKey.value]: value });
+  }
+
+  // Observer highlighting
+  setHighlight(isEnabled) {
+    // Clear what was marked last time; the app may have dropped its observers since
+    this.highlighted.forEach(target => {
+      target.classList.remove('diagnostics-target');
+      delete target.dataset.diagnosticsObserver;
+    });
+    this.highlighted = [];
+
+    if (!isEnabled) return;
+
+    this.app.getObservedTargets().forEach((targets, name) => {
+      targets.forEach(target => {
+        target.classList.add('diagnostics-target');
+        target.dataset.diagnosticsObserver = name;
+        this.highlighted.push(target);
+      });
+    });
+  }
+}
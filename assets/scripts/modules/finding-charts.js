@@ -0,0 +1,206 @@
+/**
+ * FINDING CHARTS MODULE
+ * Draws the data behind a research finding as a chart on its card. A card
+ * carries a chart spec (see graphics/charts.js) either as JSON in a
+ * `data-chart` attribute or in a child block:
+ *
+ *   <script type="application/json" class="finding-card__data">{ … }</script>
+ *
+ * The chart is decorative for assistive technology; the same data is in a
+ * table that screen readers always get and sighted readers can show. The
+ * data can also be downloaded as CSV.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { validateChart, chartRows, chartFormatter, renderChart, renderChartLegend } from '../graphics/charts.js';
+import { toCSV } from '../utils/csv.js';
+import { downloadText } from '../utils/download.js';
+import { announce } from '../utils/announcer.js';
+
+const CARD_SELECTOR = '.finding-card';
+const DATA_SELECTOR = 'script.finding-card__data[type="application/json"]';
+
+// "Therapeutic Efficacy" -> "therapeutic-efficacy"
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export class FindingChartsModule extends AppModule {
+  init() {
+    this.charts = [];
+  }
+
+  mount() {
+    super.mount();
+    this.render();
+    this.own(this.app.i18n.onChange(() => this.renderLocale()));
+  }
+
+  destroy() {
+    this.charts.forEach(({ figure }) => figure.remove());
+    this.charts = [];
+    super.destroy();
+  }
+
+  render() {
+    this.charts.forEach(({ figure }) => figure.remove());
+    this.charts = [];
+
+    document.querySelectorAll(CARD_SELECTOR).forEach(card => {
+      const spec = this.readSpec(card);
+      if (!spec) return;
+
+      const id = card.id || slugify(spec.title);
+      const figure = this.renderFigure(spec, id);
+
+      const source = card.querySelector('.finding-card__source');
+      if (source) {
+        source.before(figure);
+      } else {
+        (card.querySelector('.finding-card__content') || card).appendChild(figure);
+      }
+
+      this.charts.push({ id, spec, figure });
+      this.bindFigure(figure, spec, id);
+    });
+  }
+
+  // Labels and number formats follow the language; the figures themselves
+  // stay, so their listeners and any table the reader opened are kept
+  renderLocale() {
+    this.charts.forEach(({ spec, figure }) => {
+      figure.querySelector('.finding-chart__chart').replaceWith(this.renderSVG(spec));
+      figure.querySelector('.finding-chart__table table').replaceWith(this.renderTable(spec));
+      this.app.i18n.translate(figure.querySelector('.finding-chart__actions'));
+    });
+  }
+
+  /** @returns {?Object} The card's chart spec, or null when it has none or it is invalid */
+  readSpec(card) {
+    const block = card.querySelector(DATA_SELECTOR);
+    const json = card.dataset.chart ?? block?.textContent;
+    if (json === undefined) return null;
+
+    const where = card.id ? `#${card.id}` : card.querySelector('.finding-card__title')?.textContent.trim();
+    let spec;
+    try {
+      spec = JSON.parse(json);
+    } catch (error) {
+      this.reportInvalid(where, [`chart: not valid JSON (${error.message})`]);
+      return null;
+    }
+
+    const errors = validateChart(spec);
+    if (errors.length) {
+      this.reportInvalid(where, errors);
+      return null;
+    }
+    return spec;
+  }
+
+  reportInvalid(where, errors) {
+    errors.forEach(error => console.error(`❌ Invalid chart data in ${where} - ${error}`));
+    this.degrade(`Chart for ${where} not drawn: ${errors[0]}`);
+  }
+
+  // Rendering
+  renderFigure(spec, id) {
+    const figure = document.createElement('figure');
+    figure.className = 'finding-chart';
+
+    figure.appendChild(this.renderSVG(spec));
+
+    if (spec.series && spec.series.length > 1) {
+      figure.appendChild(renderChartLegend(spec.series));
+    }
+
+    if (spec.caption) {
+      const caption = document.createElement('figcaption');
+      caption.className = 'finding-chart__caption';
+      caption.textContent = spec.caption;
+      figure.appendChild(caption);
+    }
+
+    const tableId = `${id}-data`;
+    const actions = document.createElement('div');
+    actions.className = 'finding-chart__actions';
+    actions.innerHTML = `
+      <button type="button" class="finding-chart__button" data-action="table" aria-controls="${tableId}"
+              aria-expanded="false" data-i18n="findings.showTable"></button>
+      <button type="button" class="finding-chart__button" data-action="download" data-i18n="findings.download"></button>
+    `;
+    this.app.i18n.translate(actions);
+    figure.appendChild(actions);
+
+    // Hidden visually until asked for, but always read by screen readers
+    const wrapper = document.createElement('div');
+    wrapper.className = 'finding-chart__table sr-only';
+    wrapper.id = tableId;
+    wrapper.appendChild(this.renderTable(spec));
+    figure.appendChild(wrapper);
+
+    return figure;
+  }
+
+  renderSVG(spec) {
+    const chart = renderChart(spec, { className: 'finding-chart__chart' });
+    chart.setAttribute('aria-hidden', 'true');
+    return chart;
+  }
+
+  renderTable(spec) {
+    const [head, ...rows] = chartRows(spec, (key, values) => this.t(key, values));
+    const format = chartFormatter({ decimals: spec.decimals });
+
+    const table = document.createElement('table');
+    const caption = table.createCaption();
+    caption.textContent = spec.title;
+
+    const headRow = table.createTHead().insertRow();
+    head.forEach(text => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(([label, ...values]) => {
+      const row = body.insertRow();
+      const header = document.createElement('th');
+      header.scope = 'row';
+      header.textContent = label;
+      row.appendChild(header);
+      values.forEach(value => { row.insertCell().textContent = format(value); });
+    });
+
+    return table;
+  }
+
+  bindFigure(figure, spec, id) {
+    this.listen(figure, 'click', (event) => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'table') this.toggleTable(figure, event.target.closest('[data-action]'));
+      if (action === 'download') this.download(spec, id);
+    });
+  }
+
+  toggleTable(figure, button) {
+    const table = figure.querySelector('.finding-chart__table');
+    const show = table.classList.contains('sr-only');
+
+    table.classList.toggle('sr-only', !show);
+    button.setAttribute('aria-expanded', String(show));
+    button.dataset.i18n = show ? 'findings.hideTable' : 'findings.showTable';
+    button.textContent = this.t(button.dataset.i18n);
+  }
+
+  download(spec, id) {
+    const rows = chartRows(spec, (key, values) => this.t(key, values));
+    downloadText(`${id}-data.csv`, toCSV(rows), 'text/csv');
+
+    announce(this.t('findings.downloaded', { title: spec.title }));
+    this.app.emit(APP_EVENTS.FINDING_DATA_DOWNLOADED, { findingId: id, rows: rows.length - 1 });
+  }
+}
@@ -0,0 +1,515 @@
+/**
+ * GLOSSARY MODULE
+ * Builds the A–Z Glossary section from GLOSSARY_ENTRIES and links terms in
+ * the page text to it. The first use of a term in each configured section
+ * becomes a link to its entry that shows the definition and source in a
+ * popover on hover or focus. Which sections are scanned, what is left alone
+ * and how often a term is linked come from the app's `glossary` config.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { validateList } from '../utils/schema.js';
+import { GLOSSARY_ENTRIES } from '../data/glossary.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Never linked: headings, existing links and controls, citations, copies of
+// content, and anything the other modules add to the text
+const SKIPPED_TEXT = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'button', 'label', 'select', 'option', 'textarea',
+  'cite', 'code', 'script', 'style', 'summary', 'form', 'svg', '[aria-hidden="true"]',
+  '.glossary-term', '.citation-ref', '.permalink', '.timeline-axis', '.cite-panel', '.glossary'
+].join(', ');
+
+// Hiding waits this long, so the pointer can move from the term onto the popover
+const HIDE_DELAY = 150;
+
+export const GLOSSARY_ENTRY_SCHEMA = {
+  type: 'object',
+  required: ['id', 'term', 'definition'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: SLUG_PATTERN },
+    term: { type: 'string', minLength: 1 },
+    aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    matchCase: { type: 'boolean' },
+    definition: { type: 'string', minLength: 1 },
+    citations: { type: 'array', items: { type: 'string', pattern: SLUG_PATTERN } }
+  }
+};
+
+/**
+ * Check a glossary dataset, including the rule a schema can't express: a
+ * word in the text may only match one entry.
+ *
+ * @param {Array} entries
+ * @returns {{ valid: Object[], errors: string[] }}
+ */
+export function validateGlossary(entries) {
+  const forms = new Map();
+
+  return validateList(entries, GLOSSARY_ENTRY_SCHEMA, {
+    name: 'glossary',
+    check: ({ id, term, aliases = [] }, path) => [term, ...aliases].flatMap(form => {
+      const key = form.toLowerCase();
+      const owner = forms.get(key);
+      if (owner && owner !== id) return [`${path}: "${form}" is already a form of "${owner}"`];
+      forms.set(key, id);
+      return [];
+    })
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class GlossaryModule extends AppModule {
+  init() {
+    this.section = document.getElementById('glossary');
+    this.list = this.section?.querySelector('.glossary__list') || null;
+    this.index = this.section?.querySelector('.glossary__index') || null;
+    this.entries = [];
+    this.popovers = new Map();
+    this.activeTerm = null;
+    this.hideTimer = null;
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    this.renderPopoverLayer();
+    this.bindEvents();
+    this.setEntries(GLOSSARY_ENTRIES);
+  }
+
+  destroy() {
+    this.cancelHide();
+    this.clearTerms();
+    this.list?.replaceChildren();
+    this.index?.replaceChildren();
+    this.elements.layer?.remove();
+    this.elements = {};
+    this.popovers.clear();
+    this.activeTerm = null;
+    super.destroy();
+  }
+
+  get options() {
+    return {
+      sections: ['history', 'stories', 'impacts'],
+      once: 'section',
+      exclude: '',
+      ...this.app.config.glossary
+    };
+  }
+
+  /**
+   * Replace the glossary with a new dataset and link its terms again.
+   *
+   * @param {Array} entries
+   * @returns {string[]} Validation errors for the entries that were skipped
+   */
+  setEntries(entries) {
+    const { valid, errors } = validateGlossary(entries);
+
+    errors.forEach(error => console.error(`❌ Invalid glossary entry - ${error}`));
+    if (errors.length) {
+      this.degrade(`${errors.length} glossary ${errors.length === 1 ? 'error' : 'errors'}: ${errors[0]}`);
+    }
+
+    this.entries = [...valid].sort((a, b) => a.term.localeCompare(b.term, 'en', { sensitivity: 'base' }));
+    this.renderPopovers();
+    this.link();
+
+    return errors;
+  }
+
+  /** @returns {Object|undefined} The entry with this id */
+  get(id) {
+    return this.entries.find(entry => entry.id === id);
+  }
+
+  // Linking
+  /**
+   * Mark terms in the configured sections, replacing earlier marks. Runs
+   * again whenever rendered content changes.
+   */
+  link() {
+    this.clearTerms();
+
+    const { sections, once, exclude } = this.options;
+    const matcher = this.buildMatcher();
+    const skipped = exclude ? `${SKIPPED_TEXT}, ${exclude}` : SKIPPED_TEXT;
+    const linkedOnPage = new Set();
+    const uses = new Map();
+
+    if (matcher) {
+      sections.forEach(sectionId => {
+        const root = document.getElementById(sectionId);
+        if (!root) return;
+
+        const linked = once === 'page' ? linkedOnPage : new Set();
+        this.textNodes(root, skipped).forEach(node => {
+          this.markNode(node, matcher, linked, once !== 'every', uses);
+        });
+      });
+    }
+
+    this.renderList(uses);
+  }
+
+  // One pattern for every form of every term, longest first, so
+  // "uncanny valley" wins over a shorter term it contains
+  buildMatcher() {
+    this.forms = new Map();
+    this.entries.forEach(entry => {
+      [entry.term, ...(entry.aliases || [])].forEach(form => {
+        this.forms.set(form.toLowerCase(), { entry, form });
+      });
+    });
+    if (!this.forms.size) return null;
+
+    const alternatives = [...this.forms.values()]
+      .map(({ form }) => form)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  textNodes(root, skipped) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (!node.textContent.trim() || node.parentElement.closest(skipped)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT)
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  markNode(node, matcher, linked, firstOnly, uses) {
+    const text = node.textContent;
+    const parts = [];
+    let last = 0;
+
+    matcher.lastIndex = 0;
+    for (const match of text.matchAll(matcher)) {
+      const { entry, form } = this.forms.get(match[0].toLowerCase());
+      if (entry.matchCase && match[0] !== form) continue;
+      if (firstOnly && linked.has(entry.id)) continue;
+      linked.add(entry.id);
+
+      parts.push(text.slice(last, match.index), this.renderTerm(entry, match[0], uses));
+      last = match.index + match[0].length;
+    }
+    if (!parts.length) return;
+
+    parts.push(text.slice(last));
+    node.replaceWith(...parts.filter(part => part !== ''));
+  }
+
+  renderTerm(entry, text, uses) {
+    const list = uses.get(entry.id) || [];
+    uses.set(entry.id, list);
+
+    const term = document.createElement('a');
+    term.className = 'glossary-term';
+    term.href = `#glossary-${entry.id}`;
+    term.id = `glossary-use-${entry.id}-${list.length + 1}`;
+    term.dataset.term = entry.id;
+    term.setAttribute('aria-describedby', `glossary-popover-${entry.id}`);
+    term.textContent = text;
+
+    list.push(term);
+    return term;
+  }
+
+  clearTerms() {
+    const parents = new Set();
+    document.querySelectorAll('.glossary-term').forEach(term => {
+      parents.add(term.parentNode);
+      term.replaceWith(term.textContent);
+    });
+    parents.forEach(parent => parent.normalize());
+  }
+
+  // Popovers
+  renderPopoverLayer() {
+    const layer = document.createElement('div');
+    layer.className = 'glossary-popovers';
+    document.body.appendChild(layer);
+    this.elements.layer = layer;
+  }
+
+  // One popover per term, present all the time so aria-describedby always
+  // has a description to read
+  renderPopovers() {
+    const { layer } = this.elements;
+    this.popovers.clear();
+
+    layer.replaceChildren(...this.entries.map(entry => {
+      const popover = document.createElement('div');
+      popover.className = 'glossary-popover';
+      popover.id = `glossary-popover-${entry.id}`;
+      popover.setAttribute('role', 'tooltip');
+      popover.hidden = true;
+
+      const term = document.createElement('strong');
+      term.className = 'glossary-popover__term';
+      term.textContent = entry.term;
+
+      const definition = document.createElement('span');
+      definition.className = 'glossary-popover__definition';
+      definition.textContent = ` ${entry.definition}`;
+
+      popover.append(term, definition);
+
+      const source = this.sourceText(entry);
+      if (source) {
+        const note = document.createElement('span');
+        note.className = 'glossary-popover__source';
+        note.textContent = source;
+        popover.appendChild(note);
+      }
+
+      this.popovers.set(entry.id, popover);
+      return popover;
+    }));
+  }
+
+  sourceText({ citations: ids = [] }) {
+    if (!ids.length) return '';
+    const citations = this.app.getModule('citations');
+    return this.t('glossary.source', {
+      count: ids.length,
+      sources: ids.map(id => citations?.label(id) || id).join('; ')
+    });
+  }
+
+  show(term) {
+    this.cancelHide();
+    if (this.activeTerm === term) return;
+    this.hide();
+
+    const popover = this.popovers.get(term.dataset.term);
+    if (!popover) return;
+
+    popover.hidden = false;
+    this.position(popover, term);
+    this.activeTerm = term;
+  }
+
+  // Below the term, or above it when there's no room, kept inside the viewport
+  position(popover, term) {
+    const rect = term.getBoundingClientRect();
+    const { width, height } = popover.getBoundingClientRect();
+    const margin = 8;
+
+    const below = rect.bottom + margin + height <= window.innerHeight;
+    const top = below ? rect.bottom + margin : rect.top - margin - height;
+    const left = Math.min(Math.max(rect.left, margin), window.innerWidth - width - margin);
+
+    popover.style.top = `${Math.round(top + window.scrollY)}px`;
+    popover.style.left = `${Math.round(Math.max(left, margin) + window.scrollX)}px`;
+  }
+
+  hide() {
+    this.cancelHide();
+    if (!this.activeTerm) return;
+
+    this.popovers.get(this.activeTerm.dataset.term)?.setAttribute('hidden', '');
+    this.activeTerm = null;
+  }
+
+  scheduleHide() {
+    this.cancelHide();
+    // A plain timer: hovering schedules and cancels these constantly, and
+    // this.timeout() would keep a disposer for each one until destroy()
+    this.hideTimer = setTimeout(() => {
+      this.hideTimer = null;
+      this.hide();
+    }, HIDE_DELAY);
+  }
+
+  cancelHide() {
+    if (!this.hideTimer) return;
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+  }
+
+  // Glossary section
+  renderList(uses) {
+    if (!this.list) return;
+
+    const groups = new Map();
+    this.entries.forEach(entry => {
+      const letter = entry.term[0].toUpperCase();
+      if (!groups.has(letter)) groups.set(letter, []);
+      groups.get(letter).push(entry);
+    });
+
+    this.list.replaceChildren(...[...groups].map(([letter, entries]) => {
+      const group = document.createElement('div');
+      group.className = 'glossary__group';
+      group.id = `glossary-letter-${letter.toLowerCase()}`;
+
+      const heading = document.createElement('h3');
+      heading.className = 'glossary__letter';
+      heading.textContent = letter;
+
+      const list = document.createElement('dl');
+      list.className = 'glossary__entries';
+      list.append(...entries.map(entry => this.renderEntry(entry, uses.get(entry.id) || [])));
+
+      group.append(heading, list);
+      return group;
+    }));
+
+    this.renderIndex(groups);
+    this.app.emit(APP_EVENTS.GLOSSARY_RENDERED, { count: this.entries.length });
+  }
+
+  renderEntry(entry, uses) {
+    const item = document.createElement('div');
+    item.className = 'glossary__item';
+
+    const term = document.createElement('dt');
+    term.className = 'glossary__term';
+    term.id = `glossary-${entry.id}`;
+    term.textContent = entry.term;
+
+    const details = document.createElement('dd');
+    details.className = 'glossary__entry';
+
+    const definition = document.createElement('p');
+    definition.className = 'glossary__definition';
+    definition.textContent = entry.definition;
+    details.appendChild(definition);
+
+    if (entry.citations?.length) {
+      const citations = this.app.getModule('citations');
+      const source = document.createElement('p');
+      source.className = 'glossary__source';
+      source.append(this.t('content.sources', { count: entry.citations.length }));
+      entry.citations.forEach((id, index) => {
+        if (index) source.append('; ');
+        const cite = document.createElement('cite');
+        cite.dataset.cite = id;
+        cite.textContent = citations?.label(id) || id;
+        source.appendChild(cite);
+      });
+      details.appendChild(source);
+    }
+
+    if (uses.length) {
+      const backlinks = document.createElement('p');
+      backlinks.className = 'glossary__backlinks';
+      backlinks.append(this.t('glossary.usedIn'));
+      uses.forEach((use, index) => {
+        if (index) backlinks.append(', ');
+        const link = document.createElement('a');
+        link.href = `#${use.id}`;
+        const title = use.closest('section[id]')?.querySelector('.section__title')?.textContent.trim();
+        if (title) {
+          link.textContent = title;
+        } else {
+          link.dataset.use = index + 1;
+          link.textContent = this.t('glossary.use', { number: index + 1 });
+        }
+        backlinks.appendChild(link);
+      });
+      details.appendChild(backlinks);
+    }
+
+    item.append(term, details);
+    return item;
+  }
+
+  // Re-word the rendered list in place, keeping the ids the table of
+  // contents gave its headings
+  renderLocale() {
+    this.list?.querySelectorAll('.glossary__item').forEach(item => {
+      const source = item.querySelector('.glossary__source');
+      if (source) {
+        source.firstChild.textContent = this.t('content.sources', {
+          count: source.querySelectorAll('cite').length
+        });
+      }
+
+      const backlinks = item.querySelector('.glossary__backlinks');
+      if (backlinks) backlinks.firstChild.textContent = this.t('glossary.usedIn');
+      item.querySelectorAll('[data-use]').forEach(link => {
+        link.textContent = this.t('glossary.use', { number: Number(link.dataset.use) });
+      });
+    });
+  }
+
+  // Letters with entries link to their group; the rest are shown but inert
+  renderIndex(groups) {
+    if (!this.index) return;
+
+    const letters = Array.from({ length: 26 }, (_, index) => String.fromCharCode(65 + index));
+    this.index.replaceChildren(...letters.map(letter => {
+      const item = document.createElement('li');
+      if (groups.has(letter)) {
+        const link = document.createElement('a');
+        link.href = `#glossary-letter-${letter.toLowerCase()}`;
+        link.textContent = letter;
+        item.appendChild(link);
+      } else {
+        const span = document.createElement('span');
+        span.className = 'glossary__index-empty';
+        span.textContent = letter;
+        span.setAttribute('aria-disabled', 'true');
+        item.appendChild(span);
+      }
+      return item;
+    }));
+  }
+
+  // Events
+  bindEvents() {
+    const { layer } = this.elements;
+
+    this.listen(document, 'mouseover', (event) => {
+      const term = event.target.closest?.('.glossary-term');
+      if (term) this.show(term);
+    });
+    this.listen(document, 'mouseout', (event) => {
+      if (event.target.closest?.('.glossary-term')) this.scheduleHide();
+    });
+    this.listen(document, 'focusin', (event) => {
+      const term = event.target.closest?.('.glossary-term');
+      if (term) {
+        this.show(term);
+      } else {
+        this.hide();
+      }
+    });
+    this.listen(document, 'focusout', (event) => {
+      if (event.target.closest?.('.glossary-term')) this.scheduleHide();
+    });
+
+    // The popover stays while the pointer is over it (WCAG 1.4.13)
+    this.listen(layer, 'mouseover', () => this.cancelHide());
+    this.listen(layer, 'mouseout', () => this.scheduleHide());
+
+    this.listen(document, 'keydown', (event) => {
+      if (event.key === 'Escape' && this.activeTerm) this.hide();
+    });
+    this.listen(window, 'scroll', () => this.hide(), { passive: true });
+
+    // Rendered content brings new text to link
+    this.own(this.app.on(APP_EVENTS.TIMELINE_RENDERED, () => this.link()));
+    this.own(this.app.on(APP_EVENTS.STORIES_RENDERED, () => this.link()));
+
+    this.own(this.app.i18n.onChange(() => {
+      this.hide();
+      this.renderPopovers();
+      this.renderLocale();
+    }));
+  }
+}
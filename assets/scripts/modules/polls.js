@@ -0,0 +1,466 @@
+/**
+ * POLLS MODULE
+ * Likelihood votes on the prediction cards, for seminars that use the
+ * predictions as discussion prompts. Each card with an id gets a form for a
+ * likelihood (five-point scale) and a confidence, and a chart of the votes
+ * so far, stacked by confidence.
+ *
+ * Votes are kept per room (`?room=seminar-a`) through a storage adapter:
+ * this browser's localStorage by default, or a REST endpoint set in the
+ * app's `polls` config (see utils/poll-storage.js). With `?facilitator=1`
+ * a panel above the cards switches rooms, resets a room's votes and
+ * exports them as CSV.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { validateList } from '../utils/schema.js';
+import { createPollStorage, LocalPollStorage } from '../utils/poll-storage.js';
+import { toCSV } from '../utils/csv.js';
+import { downloadText } from '../utils/download.js';
+import { announce } from '../utils/announcer.js';
+import { renderBarChart } from '../graphics/bar-chart.js';
+import { renderChartLegend } from '../graphics/charts.js';
+
+// English labels, kept as they are in CSV exports so that exports from
+// readers in different languages line up. The interface shows the
+// polls.likelihood and polls.confidence messages instead.
+export const LIKELIHOODS = ['Very unlikely', 'Unlikely', 'Uncertain', 'Likely', 'Very likely'];
+export const CONFIDENCES = ['Low', 'Medium', 'High'];
+
+export const DEFAULT_ROOM = 'default';
+export const ROOM_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const CARD_ID_PREFIX = 'prediction-';
+
+export const POLL_VOTE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'likelihood', 'confidence', 'at'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    likelihood: { type: 'integer', minimum: 1, maximum: LIKELIHOODS.length },
+    confidence: { type: 'integer', minimum: 1, maximum: CONFIDENCES.length },
+    at: { type: 'string', minLength: 1 }
+  }
+};
+
+function voteId() {
+  return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// "Seminar A " -> "seminar-a"
+export function roomSlug(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export class PollsModule extends AppModule {
+  init() {
+    this.section = document.getElementById('future');
+    this.grid = this.section?.querySelector('.predictions-grid') || null;
+    this.facilitator = new URLSearchParams(window.location.search).get('facilitator') === '1';
+    this.polls = new Map();
+    this.votes = {};
+    this.room = this.app.getState().pollRoom || DEFAULT_ROOM;
+    this.loadId = 0;
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    if (!this.grid) return;
+
+    try {
+      this.storage = createPollStorage(this.app.config.polls);
+    } catch (error) {
+      console.error('❌ Poll storage unavailable -', error.message);
+      this.degrade(error.message);
+      return;
+    }
+
+    this.renderPolls();
+    this.renderRoomNote();
+    if (this.facilitator) this.renderFacilitator();
+    this.bindEvents();
+
+    this.own(this.app.i18n.onChange(() => {
+      this.polls.forEach(({ form, title }) => this.labelForm(form, title));
+      if (this.elements.panel) this.app.i18n.translate(this.elements.panel);
+      this.updateRoomNote();
+      this.renderResults();
+    }));
+  }
+
+  destroy() {
+    this.polls.forEach(({ form }) => form.remove());
+    this.polls.clear();
+    this.elements.note?.remove();
+    this.elements.panel?.remove();
+    this.elements = {};
+    super.destroy();
+  }
+
+  /**
+   * Swap the storage adapter, e.g. for a server chosen at runtime, and
+   * reload the room's votes from it.
+   */
+  setStorage(storage) {
+    this.storage = storage;
+    return this.load();
+  }
+
+  // Rendering
+  renderPolls() {
+    this.grid.querySelectorAll('.prediction-card[id]').forEach(card => {
+      if (!card.id.startsWith(CARD_ID_PREFIX)) return;
+
+      const id = card.id.slice(CARD_ID_PREFIX.length);
+      const title = card.querySelector('.prediction-card__title')?.textContent.trim() || id;
+      const form = this.renderForm(id, title);
+
+      const footer = card.querySelector('.prediction-card__footer');
+      if (footer) {
+        footer.before(form);
+      } else {
+        card.appendChild(form);
+      }
+
+      this.polls.set(id, {
+        title,
+        form,
+        status: form.querySelector('.prediction-poll__status'),
+        results: form.querySelector('.prediction-poll__results'),
+        summary: form.querySelector('.prediction-poll__summary')
+      });
+    });
+  }
+
+  renderForm(id, title) {
+    const form = document.createElement('form');
+    form.className = 'prediction-poll';
+    form.dataset.poll = id;
+
+    const scale = LIKELIHOODS.map((_, index) => `
+      <label class="prediction-poll__option">
+        <input type="radio" name="likelihood" value="${index + 1}" required>
+        <span data-label="likelihood"></span>
+      </label>
+    `).join('');
+    const confidence = CONFIDENCES.map((_, index) => `
+      <label class="prediction-poll__option">
+        <input type="radio" name="confidence" value="${index + 1}" required>
+        <span data-label="confidence"></span>
+      </label>
+    `).join('');
+
+    form.innerHTML = `
+      <fieldset class="prediction-poll__scale">
+        <legend class="prediction-poll__legend" data-i18n="polls.likelihoodQuestion"></legend>
+        ${scale}
+      </fieldset>
+      <fieldset class="prediction-poll__scale prediction-poll__scale--confidence">
+        <legend class="prediction-poll__legend" data-i18n="polls.confidenceQuestion"></legend>
+        ${confidence}
+      </fieldset>
+      <button type="submit" class="prediction-poll__submit" data-i18n="polls.vote"></button>
+      <p class="prediction-poll__status" role="status" aria-live="polite"></p>
+      <details class="prediction-poll__details">
+        <summary class="prediction-poll__summary" data-i18n="polls.results"></summary>
+        <div class="prediction-poll__results"></div>
+      </details>
+    `;
+
+    this.labelForm(form, title);
+    return form;
+  }
+
+  labelForm(form, title) {
+    form.setAttribute('aria-label', this.t('polls.voteOn', { title }));
+    this.app.i18n.translate(form);
+
+    // Each option span follows its radio button, whose value is the scale point
+    form.querySelectorAll('[data-label]').forEach(span => {
+      const { value } = span.previousElementSibling;
+      span.textContent = this.t(`polls.${span.dataset.label}`, { value });
+    });
+  }
+
+  renderRoomNote() {
+    const note = document.createElement('p');
+    note.className = 'polls-room';
+    this.grid.before(note);
+    this.elements.note = note;
+    this.updateRoomNote();
+  }
+
+  updateRoomNote() {
+    const { note } = this.elements;
+    if (!note) return;
+
+    note.hidden = this.room === DEFAULT_ROOM && !this.facilitator;
+    note.textContent = this.t('polls.room', { room: this.room });
+  }
+
+  renderFacilitator() {
+    const panel = document.createElement('form');
+    panel.className = 'polls-facilitator';
+    panel.dataset.i18nAriaLabel = 'polls.facilitator';
+    panel.innerHTML = `
+      <label class="polls-facilitator__label" for="polls-room" data-i18n="polls.roomLabel"></label>
+      <input class="polls-facilitator__room" id="polls-room" name="room" type="text"
+             autocomplete="off" spellcheck="false" value="${this.room}">
+      <button type="submit" class="polls-facilitator__button" data-i18n="polls.openRoom"></button>
+      <button type="button" class="polls-facilitator__button" data-action="refresh" data-i18n="polls.refresh"></button>
+      <button type="button" class="polls-facilitator__button" data-action="export" data-i18n="polls.exportCsv"></button>
+      <button type="button" class="polls-facilitator__button polls-facilitator__button--danger" data-action="reset"
+              data-i18n="polls.resetVotes"></button>
+      <p class="polls-facilitator__total" aria-live="polite"></p>
+    `;
+    this.app.i18n.translate(panel);
+
+    this.grid.before(panel);
+    this.elements.panel = panel;
+    this.elements.roomInput = panel.elements.namedItem('room');
+    this.elements.total = panel.querySelector('.polls-facilitator__total');
+  }
+
+  renderResults() {
+    this.polls.forEach((poll, id) => {
+      const votes = this.votes[id] || [];
+      poll.summary.textContent = this.t('polls.resultsCount', { count: votes.length });
+      poll.results.replaceChildren(...this.renderDistribution(poll.title, votes));
+    });
+
+    if (this.elements.total) {
+      this.elements.total.textContent = this.t('polls.total', { count: this.totalVotes(), room: this.room });
+    }
+  }
+
+  renderDistribution(title, votes) {
+    if (!votes.length) {
+      const empty = document.createElement('p');
+      empty.className = 'prediction-poll__empty';
+      empty.textContent = this.t('polls.empty');
+      return [empty];
+    }
+
+    // counts[likelihood][confidence]
+    const counts = LIKELIHOODS.map(() => CONFIDENCES.map(() => 0));
+    votes.forEach(({ likelihood, confidence }) => { counts[likelihood - 1][confidence - 1] += 1; });
+
+    const description = LIKELIHOODS.map((_, index) => {
+      const likelihood = this.t('polls.likelihood', { value: index + 1 });
+      const total = counts[index].reduce((sum, count) => sum + count, 0);
+      if (!total) return this.t('polls.distributionNone', { likelihood });
+      const split = CONFIDENCES
+        .map((_, confidence) => counts[index][confidence]
+          && this.t('polls.confidenceCount', { count: counts[index][confidence], confidence: confidence + 1 }))
+        .filter(Boolean)
+        .join(', ');
+      return this.t('polls.distribution', { likelihood, total, split });
+    }).join('. ');
+
+    const chart = renderBarChart({
+      data: LIKELIHOODS.map((label, index) => ({ label: String(index + 1), values: counts[index] })),
+      title: this.t('polls.chartTitle', { title }),
+      description: `${description}.`,
+      formatValue: total => (total ? this.app.i18n.formatNumber(total) : ''),
+      className: 'prediction-poll__chart'
+    });
+
+    const mean = votes.reduce((sum, { likelihood }) => sum + likelihood, 0) / votes.length;
+    const stats = document.createElement('p');
+    stats.className = 'prediction-poll__stats';
+    stats.textContent = this.t('polls.average', {
+      mean: this.app.i18n.formatNumber(mean, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+      likelihood: Math.round(mean)
+    });
+
+    return [
+      chart,
+      renderChartLegend(CONFIDENCES.map((_, index) => this.t('polls.confidenceLegend', { value: index + 1 }))),
+      stats
+    ];
+  }
+
+  // Events
+  bindEvents() {
+    this.polls.forEach(({ form }, id) => {
+      this.listen(form, 'submit', (event) => {
+        event.preventDefault();
+        this.submit(id);
+      });
+    });
+
+    if (this.elements.panel) {
+      const { panel, roomInput } = this.elements;
+
+      this.listen(panel, 'submit', (event) => {
+        event.preventDefault();
+        this.setRoom(roomInput.value);
+      });
+
+      this.listen(panel, 'click', (event) => {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'refresh') this.load();
+        if (action === 'export') this.exportCSV();
+        if (action === 'reset') this.confirmReset();
+      });
+
+      // Server rooms change while the facilitator watches
+      const { refreshInterval } = this.app.config.polls || {};
+      if (refreshInterval && !(this.storage instanceof LocalPollStorage)) {
+        this.interval(() => this.load(), refreshInterval);
+      }
+    }
+
+    this.own(this.app.subscribe(
+      state => state.pollRoom,
+      room => {
+        this.room = room || DEFAULT_ROOM;
+        if (this.elements.roomInput) this.elements.roomInput.value = this.room;
+        this.updateRoomNote();
+        this.load();
+      },
+      { immediate: true }
+    ));
+  }
+
+  // Votes
+  async load() {
+    // Only the latest request renders, should the room change mid-load
+    const loadId = ++this.loadId;
+    const room = this.room;
+
+    let stored;
+    try {
+      stored = await this.storage.load(room);
+    } catch (error) {
+      if (!this.isMounted || loadId !== this.loadId) return;
+      console.error('❌ Unable to load poll votes -', error.message);
+      this.degrade(`Votes could not be loaded: ${error.message}`);
+      return;
+    }
+    if (!this.isMounted || loadId !== this.loadId) return;
+
+    this.votes = {};
+    this.polls.forEach((poll, id) => {
+      const { valid, errors } = validateList(stored?.[id] || [], POLL_VOTE_SCHEMA, { name: `${room}.${id}` });
+      errors.forEach(error => console.error(`❌ Invalid poll vote - ${error}`));
+      this.votes[id] = valid;
+    });
+
+    this.renderResults();
+  }
+
+  async submit(id) {
+    const poll = this.polls.get(id);
+    const { form, status } = poll;
+    const likelihood = Number(form.elements.namedItem('likelihood').value);
+    const confidence = Number(form.elements.namedItem('confidence').value);
+    if (!likelihood || !confidence) {
+      status.textContent = this.t('polls.chooseFirst');
+      return;
+    }
+
+    const room = this.room;
+    const submit = form.querySelector('.prediction-poll__submit');
+    submit.disabled = true;
+
+    try {
+      const vote = await this.storage.add(room, id, {
+        id: voteId(),
+        likelihood,
+        confidence,
+        at: new Date().toISOString()
+      });
+      if (!this.isMounted) return;
+
+      if (room === this.room) {
+        this.votes[id] = [...(this.votes[id] || []), vote];
+        this.renderResults();
+      }
+
+      // Ready for the next person when a device is passed around
+      form.reset();
+      status.textContent = this.t('polls.voteRecorded', { likelihood, confidence });
+      this.app.emit(APP_EVENTS.POLL_VOTED, { pollId: id, room, likelihood, confidence });
+    } catch (error) {
+      if (!this.isMounted) return;
+      console.error('Failed to record vote:', error);
+      status.textContent = this.t('polls.voteFailed');
+    } finally {
+      submit.disabled = false;
+    }
+  }
+
+  // Facilitator
+  setRoom(name) {
+    const room = roomSlug(name) || DEFAULT_ROOM;
+    if (!ROOM_PATTERN.test(room)) return;
+
+    this.app.setState({ pollRoom: room });
+    announce(this.t('polls.opened', { room }));
+  }
+
+  totalVotes() {
+    return Object.values(this.votes).reduce((sum, votes) => sum + votes.length, 0);
+  }
+
+  confirmReset() {
+    if (!window.confirm(this.t('polls.confirmReset', { count: this.totalVotes(), room: this.room }))) return;
+
+    this.reset();
+  }
+
+  async reset() {
+    const room = this.room;
+    const count = this.totalVotes();
+
+    try {
+      await this.storage.reset(room);
+    } catch (error) {
+      if (!this.isMounted) return;
+      console.error('Failed to reset votes:', error);
+      announce(this.t('polls.resetFailed'), { politeness: 'assertive' });
+      return;
+    }
+    if (!this.isMounted) return;
+
+    this.polls.forEach(({ status }) => { status.textContent = ''; });
+    this.app.emit(APP_EVENTS.POLLS_RESET, { room, count });
+    announce(this.t('polls.resetDone', { count, room }));
+    await this.load();
+  }
+
+  /** Every vote in the room, one row per vote. */
+  toCSV() {
+    const rows = [['room', 'poll', 'prediction', 'vote_id', 'likelihood', 'likelihood_label', 'confidence', 'confidence_label', 'submitted_at']];
+
+    this.polls.forEach(({ title }, id) => {
+      (this.votes[id] || []).forEach(({ id: voteId, likelihood, confidence, at }) => {
+        rows.push([
+          this.room,
+          id,
+          title,
+          voteId,
+          likelihood,
+          LIKELIHOODS[likelihood - 1],
+          confidence,
+          CONFIDENCES[confidence - 1],
+          at
+        ]);
+      });
+    });
+
+    return toCSV(rows);
+  }
+
+  exportCSV() {
+    const count = this.totalVotes();
+    const date = new Date().toISOString().slice(0, 10);
+
+    downloadText(`prediction-polls-${this.room}-${date}.csv`, this.toCSV(), 'text/csv');
+    announce(this.t('polls.exported', { count }));
+    this.app.emit(APP_EVENTS.POLLS_EXPORTED, { room: this.room, count });
+  }
+}
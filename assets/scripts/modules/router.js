@@ -0,0 +1,201 @@
+/**
+ * ROUTER MODULE
+ * Hash-based deep linking: keeps location.hash and the history stack in sync
+ * with the section being read, and restores the position on load and on
+ * Back/Forward navigation. Timeline items and story cards get their own
+ * sub-anchors so they can be linked to directly.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+
+// Content that gets a shareable permalink next to its title
+const ANCHOR_TARGETS = [
+  { selector: '.timeline__item[id]', title: '.timeline__title' },
+  { selector: '.story-card[id]', title: '.story-card__title' }
+];
+
+// How long scroll-spy updates are ignored while a smooth scroll is in flight
+const NAVIGATION_SETTLE_TIME = 1500;
+
+export class RouterModule extends AppModule {
+  init() {
+    this.isNavigating = false;
+    this.settleTimer = null;
+    this.previousScrollRestoration = null;
+    this.permalinks = [];
+  }
+
+  mount() {
+    super.mount();
+
+    // The router decides where the page scrolls to on Back/Forward
+    if ('scrollRestoration' in window.history) {
+      this.previousScrollRestoration = window.history.scrollRestoration;
+      window.history.scrollRestoration = 'manual';
+      this.own(() => {
+        window.history.scrollRestoration = this.previousScrollRestoration;
+      });
+    }
+
+    this.own(() => clearTimeout(this.settleTimer));
+    this.own(() => this.permalinks.forEach(({ link }) => link.remove()));
+
+    this.renderPermalinks();
+    this.bindEvents();
+    this.restore();
+  }
+
+  bindEvents() {
+    // Explicit navigation creates a history entry
+    this.own(this.app.on(APP_EVENTS.NAVIGATION_CLICKED, ({ targetId }) => {
+      this.push(targetId);
+    }));
+
+    // Scrolling only updates the current entry
+    this.own(this.app.subscribe(
+      state => state.currentSection,
+      sectionId => this.handleSectionChange(sectionId)
+    ));
+
+    this.listen(window, 'popstate', () => this.handlePopState());
+
+    // Re-rendered timeline items and story cards need their permalinks again
+    this.own(this.app.on(APP_EVENTS.TIMELINE_RENDERED, () => this.renderPermalinks()));
+    this.own(this.app.on(APP_EVENTS.STORIES_RENDERED, () => this.renderPermalinks()));
+
+    this.own(this.app.i18n.onChange(() => this.labelPermalinks()));
+  }
+
+  // Navigation
+  navigate(id, { replace = false, behavior = this.app.motion.scrollBehavior() } = {}) {
+    const target = document.getElementById(id);
+    if (!target) return false;
+
+    this.app.getModule('navigation').scrollToSection(target, behavior);
+
+    if (replace) {
+      this.replace(id);
+    } else {
+      this.push(id);
+    }
+    return true;
+  }
+
+  push(id) {
+    const target = document.getElementById(id);
+    if (!target) return;
+
+    this.expectSection(target);
+
+    if (window.location.hash !== `#${id}`) {
+      window.history.pushState({ anchor: id }, '', this.urlFor(id));
+    }
+  }
+
+  replace(id) {
+    const target = document.getElementById(id);
+    if (!target) return;
+
+    this.expectSection(target);
+    window.history.replaceState({ anchor: id }, '', this.urlFor(id));
+  }
+
+  restore() {
+    const anchor = this.currentAnchor();
+    const fallback = this.app.state.currentSection;
+
+    if (anchor && document.getElementById(anchor)) {
+      this.navigate(anchor, { replace: true, behavior: 'auto' });
+    } else if (fallback && fallback !== 'home' && document.getElementById(fallback)) {
+      // No link was shared, so return the student to the section they last read
+      this.navigate(fallback, { replace: true, behavior: 'auto' });
+    }
+  }
+
+  handlePopState() {
+    const anchor = this.currentAnchor() || 'home';
+    const target = document.getElementById(anchor);
+    if (!target) return;
+
+    this.expectSection(target);
+    this.app.getModule('navigation').scrollToSection(target);
+  }
+
+  handleSectionChange(sectionId) {
+    // Ignore the sections passed on the way to a navigation target
+    if (this.isNavigating) return;
+
+    // Keep a sub-anchor in the URL while the reader is still in its section
+    const current = document.getElementById(this.currentAnchor());
+    if (current && this.sectionOf(current) === sectionId) return;
+
+    const url = sectionId === 'home' ? this.baseUrl() : this.urlFor(sectionId);
+    window.history.replaceState({ anchor: sectionId }, '', url);
+  }
+
+  expectSection(target) {
+    const sectionId = this.sectionOf(target);
+    this.isNavigating = true;
+
+    if (sectionId) {
+      this.app.setState({ currentSection: sectionId });
+    }
+
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.isNavigating = false;
+    }, NAVIGATION_SETTLE_TIME);
+  }
+
+  // Permalinks
+  renderPermalinks() {
+    ANCHOR_TARGETS.forEach(({ selector, title }) => {
+      document.querySelectorAll(selector).forEach(item => {
+        const heading = item.querySelector(title);
+        if (!heading || heading.querySelector('.permalink')) return;
+
+        const text = heading.textContent.trim();
+        const link = document.createElement('a');
+        link.className = 'permalink';
+        link.href = `#${item.id}`;
+        link.textContent = '#';
+
+        heading.appendChild(link);
+        this.permalinks.push({ link, title: text });
+      });
+    });
+
+    this.labelPermalinks();
+  }
+
+  labelPermalinks() {
+    this.permalinks = this.permalinks.filter(({ link }) => link.isConnected);
+    this.permalinks.forEach(({ link, title }) => {
+      link.setAttribute('aria-label', this.t('router.permalink', { title }));
+    });
+  }
+
+  // Helpers
+  // A hand-edited or truncated link can carry a bad escape such as
+  // "#%E0%A4%A"; that just means there is no anchor
+  currentAnchor() {
+    try {
+      return decodeURIComponent(window.location.hash.substring(1));
+    } catch {
+      return '';
+    }
+  }
+
+  sectionOf(element) {
+    return element.closest('section[id]')?.id || null;
+  }
+
+  urlFor(id) {
+    return `${this.baseUrl()}#${encodeURIComponent(id)}`;
+  }
+
+  baseUrl() {
+    return window.location.pathname + window.location.search;
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * SEARCH MODULE
+ * Offline full-text search over the timeline, stories, analysis, findings,
+ * predictions and glossary. The index is built from the page itself at startup;
+ * matching words are highlighted in place and choosing a result scrolls to
+ * it. Opened from the header button or with `config.searchChord`.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { FRAME_PRIORITY } from '../core/frame-scheduler.js';
+import { matchesChord, formatChord } from '../core/keyboard.js';
+import { SearchIndex, normalize } from '../utils/search-index.js';
+
+// Content that is indexed, with where its title lives and the message key
+// naming its type in results
+const SEARCH_TARGETS = [
+  { selector: '.timeline__item', type: 'Timeline', label: 'search.typeTimeline', title: '.timeline__title' },
+  { selector: '.story-card', type: 'Story', label: 'search.typeStory', title: '.story-card__title' },
+  { selector: '.analysis-card', type: 'Analysis', label: 'search.typeAnalysis', title: '.analysis-card__title' },
+  { selector: '.finding-card', type: 'Finding', label: 'search.typeFinding', title: '.finding-card__title' },
+  { selector: '.prediction-card', type: 'Prediction', label: 'search.typePrediction', title: '.prediction-card__title' },
+  { selector: '.glossary__item', type: 'Glossary', label: 'search.typeGlossary', title: '.glossary__term' }
+];
+
+// Text that is not content: permalinks, footnote markers, cite buttons,
+// decorative icons, earlier highlights
+const SKIPPED_TEXT = '.permalink, .citation-ref, .cite-button, .cite-panel, .prediction-poll, .polls-room, .polls-facilitator, .finding-chart, .glossary__backlinks, [aria-hidden="true"], script, style';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 12;
+
+// Characters of context shown around the first match in a result
+const SNIPPET_LENGTH = 100;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export class SearchModule extends AppModule {
+  init() {
+    this.index = new SearchIndex({ fields: { title: 3, body: 1 } });
+    this.results = [];
+    this.query = '';
+    this.highlights = [];
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    this.buildIndex();
+    this.render();
+    this.bindEvents();
+  }
+
+  destroy() {
+    this.clearHighlights();
+    this.elements.toggle?.remove();
+    this.elements.panel?.remove();
+    this.elements = {};
+    this.index.clear();
+    super.destroy();
+  }
+
+  // Index
+  buildIndex() {
+    const seen = new Set();
+
+    SEARCH_TARGETS.forEach(({ selector, type, label, title }) => {
+      document.querySelectorAll(selector).forEach(element => {
+        if (seen.has(element)) return;
+        seen.add(element);
+
+        const heading = element.querySelector(title);
+        const titleText = heading ? this.textOf(heading) : '';
+        const bodyText = this.textOf(element, heading);
+        if (!titleText && !bodyText) return;
+
+        this.index.add(
+          `${type}:${this.index.size}`,
+          { title: titleText, body: bodyText },
+          { element, type, label, title: titleText, body: bodyText }
+        );
+      });
+    });
+  }
+
+  // Visible text of an element, optionally leaving out one descendant
+  textOf(element, excluded = null) {
+    const parts = [];
+    this.textNodes(element).forEach(node => {
+      if (!excluded?.contains(node)) parts.push(node.textContent);
+    });
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  textNodes(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.parentElement.closest(SKIPPED_TEXT)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT)
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  // Rendering
+  render() {
+    const chord = formatChord(this.app.config.searchChord);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'search-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', 'search-panel');
+    toggle.title = this.t('search.toggleTitle', { chord });
+    toggle.innerHTML = `
+      <span class="search-toggle__icon" aria-hidden="true">⌕</span>
+      <span class="sr-only" data-i18n="search.toggle"></span>
+    `;
+
+    const panel = document.createElement('div');
+    panel.id = 'search-panel';
+    panel.className = 'search';
+    panel.setAttribute('role', 'search');
+    panel.hidden = true;
+    panel.innerHTML = `
+      <input
+        type="search"
+        class="search__input"
+        data-i18n-aria-label="search.label"
+        aria-describedby="search-status"
+        autocomplete="off"
+        spellcheck="false"
+        data-i18n-placeholder="search.placeholder"
+      >
+      <p id="search-status" class="search__status" aria-live="polite"></p>
+      <ul class="search__results"></ul>
+    `;
+
+    // Sits with the other header controls, before the motion toggle
+    const controls = document.querySelector('.nav__controls');
+    controls?.insertBefore(toggle, document.getElementById('motion-toggle'));
+    document.body.appendChild(panel);
+    this.app.i18n.translate(toggle);
+    this.app.i18n.translate(panel);
+
+    this.elements = {
+      toggle,
+      panel,
+      input: panel.querySelector('.search__input'),
+      status: panel.querySelector('.search__status'),
+      results: panel.querySelector('.search__results')
+    };
+  }
+
+  bindEvents() {
+    const { toggle, panel, input, results } = this.elements;
+
+    this.listen(toggle, 'click', () => {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    this.listen(document, 'keydown', (event) => {
+      if (this.isOpen || this.isEditable(event.target)) return;
+      if (matchesChord(event, this.app.config.searchChord)) {
+        event.preventDefault();
+        this.open();
+      }
+    });
+
+    // Coalesce fast typing into one search per frame
+    this.listen(input, 'input', () => {
+      this.app.frames.once('search', () => this.update(), { priority: FRAME_PRIORITY.INPUT });
+    });
+
+    this.listen(panel, 'keydown', (event) => this.handleKeydown(event));
+
+    this.listen(results, 'click', (event) => {
+      const result = event.target.closest('[data-index]');
+      if (result) this.openResult(Number(result.dataset.index));
+    });
+
+    this.listen(document, 'click', (event) => {
+      if (this.isOpen && !panel.contains(event.target) && !toggle.contains(event.target)) {
+        this.close({ restoreFocus: false });
+      }
+    });
+
+    this.own(this.app.i18n.onChange(() => {
+      toggle.title = this.t('search.toggleTitle', { chord: formatChord(this.app.config.searchChord) });
+      this.renderResults();
+    }));
+  }
+
+  isEditable(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+  }
+
+  get isOpen() {
+    return Boolean(this.elements.panel && !this.elements.panel.hidden);
+  }
+
+  open() {
+    const { toggle, panel, input } = this.elements;
+
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+    input.focus();
+    input.select();
+  }
+
+  close({ restoreFocus = true } = {}) {
+    const { toggle, panel } = this.elements;
+    if (!this.isOpen) return;
+
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) toggle.focus();
+  }
+
+  // Querying
+  update() {
+    this.query = this.elements.input.value.trim();
+    this.results = this.query.length >= MIN_QUERY_LENGTH
+      ? this.index.search(this.query, { limit: MAX_RESULTS })
+      : [];
+
+    this.renderResults();
+    this.highlightResults();
+  }
+
+  renderResults() {
+    const { status, results } = this.elements;
+
+    const items = this.results.map(({ data, terms }, index) => {
+      const item = document.createElement('li');
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'search__result';
+      button.dataset.index = index;
+
+      const title = document.createElement('span');
+      title.className = 'search__result-title';
+      title.append(...this.markWords(data.title || this.t(data.label), terms));
+
+      const type = document.createElement('span');
+      type.className = 'search__result-type';
+      type.textContent = this.t(data.label);
+
+      const snippet = document.createElement('span');
+      snippet.className = 'search__result-snippet';
+      snippet.append(...this.markWords(this.snippet(data.body, terms), terms));
+
+      button.append(title, type, snippet);
+      item.appendChild(button);
+      return item;
+    });
+
+    results.replaceChildren(...items);
+
+    if (this.query.length < MIN_QUERY_LENGTH) {
+      status.textContent = '';
+    } else {
+      status.textContent = this.t('search.status', { count: items.length, query: this.query });
+    }
+  }
+
+  // A window of body text around the first matching word
+  snippet(text, terms) {
+    const matched = new Set(terms);
+    let start = 0;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      if (matched.has(normalize(match[0]))) {
+        start = Math.max(0, match.index - SNIPPET_LENGTH / 3);
+        break;
+      }
+    }
+
+    // Start and end on word boundaries
+    if (start > 0) start = text.indexOf(' ', start) + 1;
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) end = text.lastIndexOf(' ', end);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  // Split text into plain strings and <mark>s around words in `terms`
+  markWords(text, terms) {
+    const matched = new Set(terms);
+    const nodes = [];
+    let position = 0;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      if (!matched.has(normalize(match[0]))) continue;
+
+      if (match.index > position) nodes.push(text.slice(position, match.index));
+
+      const mark = document.createElement('mark');
+      mark.className = 'search__highlight';
+      mark.textContent = match[0];
+      nodes.push(mark);
+
+      position = match.index + match[0].length;
+    }
+
+    if (position < text.length) nodes.push(text.slice(position));
+    return nodes;
+  }
+
+  // In-page highlighting
+  highlightResults() {
+    this.clearHighlights();
+
+    this.results.forEach(({ data, terms }) => {
+      this.textNodes(data.element).forEach(node => {
+        const nodes = this.markWords(node.textContent, terms);
+        if (nodes.length === 1 && typeof nodes[0] === 'string') return;
+
+        const marks = nodes.filter(part => typeof part !== 'string');
+        node.replaceWith(...nodes);
+        this.highlights.push(...marks);
+      });
+    });
+  }
+
+  clearHighlights() {
+    const parents = new Set();
+
+    this.highlights.forEach(mark => {
+      if (!mark.isConnected) return;
+      parents.add(mark.parentNode);
+      mark.replaceWith(mark.textContent);
+    });
+    this.highlights = [];
+
+    // Merge the split text nodes back together
+    parents.forEach(parent => parent.normalize());
+  }
+
+  openResult(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    const { element } = result.data;
+    this.close();
+    this.app.getModule('navigation').scrollToSection(element);
+
+    // Elements with an id get a history entry through the router
+    if (element.id) {
+      this.app.emit(APP_EVENTS.NAVIGATION_CLICKED, { targetId: element.id });
+    }
+    this.app.emit(APP_EVENTS.SEARCH_RESULT_OPENED, { query: this.query, rank: index + 1 });
+  }
+
+  handleKeydown(event) {
+    const { input, results } = this.elements;
+    const buttons = [...results.querySelectorAll('.search__result')];
+    const current = buttons.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        buttons[Math.min(current + 1, buttons.length - 1)]?.focus();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (current <= 0) {
+          input.focus();
+        } else {
+          buttons[current - 1].focus();
+        }
+        break;
+      case 'Enter':
+        if (event.target === input && buttons.length) {
+          event.preventDefault();
+          this.openResult(0);
+        }
+        break;
+      case 'Escape':
+        event.preventDefault();
+        // The first Escape clears the query, the second closes the panel
+        if (event.target === input && input.value) {
+          input.value = '';
+          this.update();
+        } else {
+          this.close();
+        }
+        break;
+    }
+  }
+}
@@ -0,0 +1,465 @@
+/**
+ * STORIES MODULE
+ * Renders the Real Stories cards from the STORY_ENTRIES dataset and lets
+ * readers narrow them down by region, year range, technology and source
+ * type, and sort them. Filters live in the store and are mirrored to the URL
+ * (not localStorage), so a link such as `?region=japan&from=2018#stories`
+ * opens the page with the same selection.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { validateList } from '../utils/schema.js';
+import { formatDate } from './timeline.js';
+import { STORY_ENTRIES } from '../data/stories.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Values with the message keys of their labels
+export const STORY_TECHNOLOGIES = {
+  hologram: 'stories.technologyHologram',
+  chatbot: 'stories.technologyChatbot',
+  android: 'stories.technologyAndroid',
+  mixed: 'stories.technologyMixed'
+};
+
+export const STORY_SOURCE_TYPES = {
+  news: 'stories.sourceNews',
+  company: 'stories.sourceCompany',
+  academic: 'stories.sourceAcademic'
+};
+
+export const STORY_SORTS = {
+  featured: 'stories.sortFeatured',
+  newest: 'stories.sortNewest',
+  oldest: 'stories.sortOldest',
+  title: 'stories.sortTitle'
+};
+
+// Store keys holding the current filters; all are strings, '' means "any"
+export const STORY_FILTER_KEYS = {
+  region: 'storyRegion',
+  technology: 'storyTechnology',
+  sourceType: 'storySourceType',
+  from: 'storyYearFrom',
+  to: 'storyYearTo',
+  sort: 'storySort'
+};
+
+export const STORY_ENTRY_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'location', 'region', 'date', 'technology', 'sourceType', 'citations', 'body'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: SLUG_PATTERN },
+    title: { type: 'string', minLength: 1 },
+    location: { type: 'string', minLength: 1 },
+    region: { type: 'string', minLength: 1 },
+    date: {
+      type: 'object',
+      required: ['start'],
+      additionalProperties: false,
+      properties: {
+        start: { type: 'integer' },
+        end: { type: 'integer' },
+        ongoing: { type: 'boolean' },
+        label: { type: 'string', minLength: 1 }
+      }
+    },
+    technology: { type: 'string', enum: Object.keys(STORY_TECHNOLOGIES) },
+    sourceType: { type: 'string', enum: Object.keys(STORY_SOURCE_TYPES) },
+    citations: { type: 'array', minItems: 1, items: { type: 'string', pattern: SLUG_PATTERN } },
+    body: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * Check a stories dataset, including the rules a schema can't express:
+ * unique ids and consistent date ranges.
+ *
+ * @param {Array} entries
+ * @returns {{ valid: Object[], errors: string[] }}
+ */
+export function validateStories(entries) {
+  return validateList(entries, STORY_ENTRY_SCHEMA, {
+    name: 'stories',
+    check: ({ date: { start, end, ongoing } }, path) => {
+      if (end === undefined) return [];
+      if (ongoing) return [`${path}.date.end: an ongoing case has no end year`];
+      return end < start ? [`${path}.date.end: ${end} is before date.start ${start}`] : [];
+    }
+  });
+}
+
+// "Bronx, NY" style display names become URL-friendly values: "united-states"
+export function regionSlug(region) {
+  return region.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Years the case covers; ongoing cases run to the current year
+function yearRange({ start, end, ongoing }) {
+  return {
+    start,
+    end: ongoing ? Math.max(start, new Date().getFullYear()) : end ?? start
+  };
+}
+
+function parseYear(value) {
+  return /^-?\d+$/.test(value) ? Number(value) : null;
+}
+
+const COMPARATORS = {
+  featured: () => 0,
+  newest: (a, b) => b.entry.date.start - a.entry.date.start,
+  oldest: (a, b) => a.entry.date.start - b.entry.date.start,
+  title: (a, b) => a.entry.title.localeCompare(b.entry.title)
+};
+
+export class StoriesModule extends AppModule {
+  init() {
+    this.grid = document.querySelector('.stories-grid');
+    this.entries = [];
+    this.cards = [];
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    if (!this.grid) return;
+
+    this.renderControls();
+    this.bindEvents();
+    this.setEntries(STORY_ENTRIES);
+
+    this.own(this.app.i18n.onChange(() => {
+      this.app.i18n.translate(this.elements.form);
+      this.app.i18n.translate(this.elements.empty);
+      this.renderOptions();
+      this.renderLocale();
+    }));
+
+    // A shared link to a card wins over filters that would hide it
+    const linked = document.getElementById(window.location.hash.slice(1));
+    if (linked?.closest('.story-card')?.hidden) this.resetFilters();
+  }
+
+  destroy() {
+    this.cards.forEach(({ element }) => element.remove());
+    this.cards = [];
+    this.elements.form?.remove();
+    this.elements.empty?.remove();
+    this.elements = {};
+    super.destroy();
+  }
+
+  /**
+   * Replace the rendered stories with a new dataset.
+   *
+   * @param {Array} entries
+   * @returns {string[]} Validation errors for the entries that were skipped
+   */
+  setEntries(entries) {
+    const { valid, errors } = validateStories(entries);
+
+    errors.forEach(error => console.error(`❌ Invalid story entry - ${error}`));
+    if (errors.length) {
+      this.degrade(`${errors.length} story ${errors.length === 1 ? 'error' : 'errors'}: ${errors[0]}`);
+    }
+
+    this.entries = valid;
+    this.render();
+
+    return errors;
+  }
+
+  /** Clear every filter and go back to the featured order. */
+  resetFilters() {
+    this.app.setState(Object.fromEntries(
+      Object.entries(STORY_FILTER_KEYS).map(([name, key]) => [key, name === 'sort' ? 'featured' : ''])
+    ));
+  }
+
+  // Rendering
+  render() {
+    this.cards.forEach(({ element }) => element.remove());
+
+    this.cards = this.entries.map((entry, index) => ({
+      entry,
+      index,
+      regionValue: regionSlug(entry.region),
+      years: yearRange(entry.date),
+      element: this.renderCard(entry)
+    }));
+    this.grid.append(...this.cards.map(({ element }) => element));
+
+    this.renderRegionOptions();
+    this.applyFilters(this.readFilters());
+
+    // Cards rendered after startup still need their reveal animation
+    this.app.observeAnimated(this.cards.map(({ element }) => element));
+    this.app.emit(APP_EVENTS.STORIES_RENDERED, { count: this.cards.length });
+  }
+
+  // Re-word the cards in place: other modules hang ids, permalinks and search
+  // results off these elements, so a language switch must not replace them
+  renderLocale() {
+    this.cards.forEach(({ entry, element }) => {
+      element.querySelector('.story-card__technology').textContent = this.t(STORY_TECHNOLOGIES[entry.technology]);
+      this.renderDate(element.querySelector('.story-card__date'), entry.date);
+
+      const prefix = element.querySelector('.story-card__source').firstChild;
+      if (prefix?.nodeType === Node.TEXT_NODE) {
+        prefix.textContent = this.t('content.sources', { count: entry.citations.length });
+      }
+    });
+
+    this.renderRegionOptions();
+    this.applyFilters(this.readFilters());
+  }
+
+  renderCard(entry) {
+    const card = document.createElement('article');
+    card.className = 'story-card';
+    card.id = `story-${entry.id}`;
+    card.dataset.technology = entry.technology;
+    card.innerHTML = `
+      <header class="story-card__header">
+        <h3 class="story-card__title"></h3>
+        <div class="story-card__meta">
+          <span class="story-card__location"></span>
+          <time class="story-card__date"></time>
+          <span class="story-card__technology"></span>
+        </div>
+      </header>
+      <div class="story-card__content"></div>
+      <footer class="story-card__footer">
+        <p class="story-card__source"></p>
+      </footer>
+    `;
+
+    card.querySelector('.story-card__title').textContent = entry.title;
+    card.querySelector('.story-card__location').textContent = entry.location;
+    card.querySelector('.story-card__technology').textContent = this.t(STORY_TECHNOLOGIES[entry.technology]);
+    card.querySelector('.story-card__source').append(...this.renderSources(entry.citations));
+
+    this.renderDate(card.querySelector('.story-card__date'), entry.date);
+
+    const content = card.querySelector('.story-card__content');
+    entry.body.forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      content.appendChild(paragraph);
+    });
+
+    return card;
+  }
+
+  renderDate(element, date) {
+    element.textContent = date.ongoing && !date.label
+      ? this.t('stories.ongoing', { start: this.app.i18n.formatYear(date.start) })
+      : formatDate(date, this.app.i18n);
+    if (date.start > 0) {
+      element.dateTime = String(date.start).padStart(4, '0');
+    }
+  }
+
+  // "Source: The Guardian, BBC News", each name a <cite> the citations
+  // module adds a footnote marker to
+  renderSources(ids) {
+    const citations = this.app.getModule('citations');
+    const parts = [this.t('content.sources', { count: ids.length })];
+
+    ids.forEach((id, index) => {
+      const cite = document.createElement('cite');
+      cite.dataset.cite = id;
+      cite.textContent = citations?.label(id) ?? id;
+      parts.push(...(index ? [', ', cite] : [cite]));
+    });
+
+    return parts;
+  }
+
+  renderControls() {
+    const form = document.createElement('form');
+    form.className = 'story-filters';
+    form.setAttribute('role', 'search');
+    form.dataset.i18nAriaLabel = 'stories.filters';
+    form.innerHTML = `
+      <div class="story-filters__field">
+        <label class="story-filters__label" for="story-filter-region" data-i18n="stories.region"></label>
+        <select class="story-filters__control" id="story-filter-region" name="region"></select>
+      </div>
+      <div class="story-filters__field">
+        <label class="story-filters__label" for="story-filter-technology" data-i18n="stories.technology"></label>
+        <select class="story-filters__control" id="story-filter-technology" name="technology"></select>
+      </div>
+      <div class="story-filters__field">
+        <label class="story-filters__label" for="story-filter-source" data-i18n="stories.sourceType"></label>
+        <select class="story-filters__control" id="story-filter-source" name="sourceType"></select>
+      </div>
+      <fieldset class="story-filters__field story-filters__years">
+        <legend class="story-filters__label" data-i18n="stories.years"></legend>
+        <input class="story-filters__control" type="number" name="from" inputmode="numeric" step="1"
+          data-i18n-placeholder="stories.from" data-i18n-aria-label="stories.fromYear">
+        <span aria-hidden="true">–</span>
+        <input class="story-filters__control" type="number" name="to" inputmode="numeric" step="1"
+          data-i18n-placeholder="stories.to" data-i18n-aria-label="stories.toYear">
+      </fieldset>
+      <div class="story-filters__field">
+        <label class="story-filters__label" for="story-filter-sort" data-i18n="stories.sortBy"></label>
+        <select class="story-filters__control" id="story-filter-sort" name="sort"></select>
+      </div>
+      <button type="button" class="story-filters__reset" data-i18n="stories.reset"></button>
+      <p class="story-filters__count" role="status" aria-live="polite"></p>
+    `;
+
+    const empty = document.createElement('p');
+    empty.className = 'stories-empty';
+    empty.hidden = true;
+    empty.dataset.i18n = 'stories.empty';
+
+    this.app.i18n.translate(form);
+    this.app.i18n.translate(empty);
+
+    this.grid.before(form);
+    this.grid.after(empty);
+
+    const controls = form.elements;
+    this.elements = {
+      form,
+      empty,
+      count: form.querySelector('.story-filters__count'),
+      reset: form.querySelector('.story-filters__reset'),
+      region: controls.namedItem('region'),
+      technology: controls.namedItem('technology'),
+      sourceType: controls.namedItem('sourceType'),
+      from: controls.namedItem('from'),
+      to: controls.namedItem('to'),
+      sort: controls.namedItem('sort')
+    };
+
+    this.renderOptions();
+  }
+
+  renderOptions() {
+    const translate = labels => Object.fromEntries(
+      Object.entries(labels).map(([value, key]) => [value, this.t(key)])
+    );
+    this.fillOptions(this.elements.technology, this.t('stories.allTechnologies'), translate(STORY_TECHNOLOGIES));
+    this.fillOptions(this.elements.sourceType, this.t('stories.allSourceTypes'), translate(STORY_SOURCE_TYPES));
+    this.fillOptions(this.elements.sort, null, translate(STORY_SORTS));
+  }
+
+  // Regions come from the data, so the options follow the dataset
+  renderRegionOptions() {
+    const regions = new Map(this.cards.map(card => [card.regionValue, card.entry.region]));
+    const sorted = [...regions].sort(([, a], [, b]) => a.localeCompare(b));
+    this.fillOptions(this.elements.region, this.t('stories.allRegions'), Object.fromEntries(sorted));
+  }
+
+  fillOptions(select, anyLabel, labels) {
+    const options = Object.entries(labels).map(([value, label]) => new Option(label, value));
+    if (anyLabel) options.unshift(new Option(anyLabel, ''));
+
+    select.replaceChildren(...options);
+    options.forEach(option => { option.dataset.label = option.text; });
+  }
+
+  bindEvents() {
+    const { form, reset } = this.elements;
+
+    this.listen(form, 'change', (event) => {
+      const { name, value } = event.target;
+      const key = STORY_FILTER_KEYS[name];
+      if (!key) return;
+
+      // Half-typed or cleared years mean "no limit"
+      const isYear = name === 'from' || name === 'to';
+      this.app.setState({ [key]: isYear && parseYear(value) === null ? '' : value.trim() });
+    });
+    this.listen(form, 'submit', (event) => event.preventDefault());
+    this.listen(reset, 'click', () => this.resetFilters());
+
+    this.own(this.app.subscribe(
+      () => this.readFilters(),
+      filters => this.applyFilters(filters),
+      { equals: (a, b) => Object.keys(a).every(name => a[name] === b[name]) }
+    ));
+
+    // Links to a card (search, palette, table of contents) clear the filters
+    // hiding it, then scroll again now that it has a position
+    this.own(this.app.on(APP_EVENTS.NAVIGATION_CLICKED, ({ targetId }) => {
+      const card = document.getElementById(targetId)?.closest('.story-card');
+      if (!card?.hidden) return;
+
+      this.resetFilters();
+      this.app.getModule('navigation').scrollToSection(card);
+    }));
+  }
+
+  // Filtering
+  readFilters() {
+    const { state } = this.app;
+    return Object.fromEntries(
+      Object.entries(STORY_FILTER_KEYS).map(([name, key]) => [name, state[key] ?? ''])
+    );
+  }
+
+  matches(card, filters, ignore) {
+    const from = parseYear(filters.from);
+    const to = parseYear(filters.to);
+
+    return (ignore === 'region' || !filters.region || card.regionValue === filters.region)
+      && (ignore === 'technology' || !filters.technology || card.entry.technology === filters.technology)
+      && (ignore === 'sourceType' || !filters.sourceType || card.entry.sourceType === filters.sourceType)
+      // A case counts when any of its years falls inside the range
+      && (from === null || card.years.end >= from)
+      && (to === null || card.years.start <= to);
+  }
+
+  applyFilters(filters) {
+    if (!this.elements.form) return;
+
+    const shown = this.cards.filter(card => this.matches(card, filters));
+    this.cards.forEach(card => { card.element.hidden = !shown.includes(card); });
+
+    const comparator = COMPARATORS[filters.sort] || COMPARATORS.featured;
+    const ordered = [...this.cards].sort((a, b) => comparator(a, b) || a.index - b.index);
+    if (ordered.some((card, index) => this.grid.children[index] !== card.element)) {
+      this.grid.append(...ordered.map(({ element }) => element));
+    }
+
+    this.renderControlState(filters);
+
+    const total = this.cards.length;
+    this.elements.count.textContent = shown.length === total
+      ? this.t('stories.countAll', { total })
+      : this.t('stories.count', { shown: shown.length, total });
+    this.elements.empty.hidden = shown.length > 0 || total === 0;
+  }
+
+  // Each option shows how many stories it would leave given the other filters
+  renderControlState(filters) {
+    ['region', 'technology', 'sourceType'].forEach(name => {
+      const select = this.elements[name];
+      const candidates = this.cards.filter(card => this.matches(card, filters, name));
+
+      [...select.options].forEach(option => {
+        if (!option.value) return;
+
+        const count = candidates.filter(card => (name === 'region'
+          ? card.regionValue
+          : card.entry[name]) === option.value).length;
+        option.text = `${option.dataset.label} (${count})`;
+        option.disabled = count === 0 && option.value !== filters[name];
+      });
+    });
+
+    Object.keys(STORY_FILTER_KEYS).forEach(name => {
+      this.elements[name].value = filters[name];
+    });
+
+    this.elements.reset.disabled = Object.entries(filters)
+      .every(([name, value]) => value === (name === 'sort' ? 'featured' : ''));
+  }
+}
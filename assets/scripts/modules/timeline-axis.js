@@ -0,0 +1,571 @@
+/**
+ * TIMELINE AXIS MODULE
+ * Alternative view of the history timeline on a real time axis: events sit
+ * in proportion to their dates, grouped under era bands, and the axis can be
+ * zoomed (Ctrl + wheel, pinch, +/-) and panned (drag, horizontal scroll).
+ * Arrow keys move between events; selecting one shows its body in a detail
+ * panel. The chosen view is kept in `state.timelineView`; small screens
+ * always get the list.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { FRAME_PRIORITY } from '../core/frame-scheduler.js';
+import { formatDate } from './timeline.js';
+
+// Below this width the axis has no room and the list is shown instead
+const SMALL_SCREEN_QUERY = '(max-width: 768px)';
+
+// Narrowest zoom, in years across the whole viewport
+const MIN_SPAN = 10;
+
+// Space left around the first and last event at full zoom-out
+const DOMAIN_PADDING = 0.04;
+
+// Room reserved for an event's label when stacking events into lanes
+const LABEL_WIDTH = 150;
+const LANE_HEIGHT = 56;
+
+// Minimum distance between tick labels
+const TICK_SPACING = 90;
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000];
+
+const ZOOM_STEP = 1.5;
+const WHEEL_ZOOM_SPEED = 0.002;
+
+// Pointer travel after which a press counts as a drag, not a click
+const DRAG_THRESHOLD = 4;
+
+export class TimelineAxisModule extends AppModule {
+  init() {
+    this.list = document.querySelector('.timeline');
+    this.smallScreenQuery = window.matchMedia?.(SMALL_SCREEN_QUERY) || null;
+    this.events = [];
+    this.eras = [];
+    this.view = { start: 0, end: 1 };
+    this.domain = { start: 0, end: 1 };
+    this.activeIndex = 0;
+    this.selectedIndex = -1;
+    this.pointers = new Map();
+    this.didDrag = false;
+    this.elements = {};
+  }
+
+  mount() {
+    super.mount();
+    if (!this.list) return;
+
+    this.render();
+    this.bindEvents();
+    this.setEntries(this.app.getModule('timeline').entries);
+  }
+
+  destroy() {
+    this.elements.switcher?.remove();
+    this.elements.root?.remove();
+    if (this.list) this.list.hidden = false;
+    this.elements = {};
+    super.destroy();
+  }
+
+  // Rendering
+  render() {
+    const switcher = document.createElement('div');
+    switcher.className = 'timeline-view';
+    switcher.setAttribute('role', 'group');
+    switcher.dataset.i18nAriaLabel = 'timelineAxis.view';
+    switcher.innerHTML = `
+      <button type="button" class="timeline-view__option" data-view="list" aria-pressed="true" data-i18n="timelineAxis.list"></button>
+      <button type="button" class="timeline-view__option" data-view="axis" aria-pressed="false" data-i18n="timelineAxis.axis"></button>
+    `;
+
+    const root = document.createElement('div');
+    root.className = 'timeline-axis';
+    root.hidden = true;
+    root.innerHTML = `
+      <div class="timeline-axis__toolbar">
+        <button type="button" class="timeline-axis__zoom" data-zoom="in" data-i18n-aria-label="timelineAxis.zoomIn">+</button>
+        <button type="button" class="timeline-axis__zoom" data-zoom="out" data-i18n-aria-label="timelineAxis.zoomOut">−</button>
+        <button type="button" class="timeline-axis__zoom" data-zoom="reset" data-i18n="timelineAxis.showAll"></button>
+        <span class="timeline-axis__hint" data-i18n="timelineAxis.hint"></span>
+      </div>
+      <div class="timeline-axis__viewport">
+        <div class="timeline-axis__eras" aria-hidden="true"></div>
+        <div class="timeline-axis__events" role="toolbar" data-i18n-aria-label="timelineAxis.events" aria-orientation="horizontal"></div>
+        <div class="timeline-axis__ticks" aria-hidden="true"></div>
+      </div>
+      <div id="timeline-axis-detail" class="timeline-axis__detail" role="region" data-i18n-aria-label="timelineAxis.detail" aria-live="polite"></div>
+    `;
+
+    this.app.i18n.translate(switcher);
+    this.app.i18n.translate(root);
+    this.list.before(switcher);
+    this.list.after(root);
+
+    this.elements = {
+      switcher,
+      root,
+      viewport: root.querySelector('.timeline-axis__viewport'),
+      eras: root.querySelector('.timeline-axis__eras'),
+      events: root.querySelector('.timeline-axis__events'),
+      ticks: root.querySelector('.timeline-axis__ticks'),
+      detail: root.querySelector('.timeline-axis__detail')
+    };
+  }
+
+  bindEvents() {
+    const { switcher, root, viewport, events } = this.elements;
+
+    this.listen(switcher, 'click', (event) => {
+      const option = event.target.closest('[data-view]');
+      if (option) this.app.setState({ timelineView: option.dataset.view });
+    });
+
+    this.listen(root.querySelector('.timeline-axis__toolbar'), 'click', (event) => {
+      const button = event.target.closest('[data-zoom]');
+      if (button) this.handleZoomButton(button.dataset.zoom);
+    });
+
+    this.listen(events, 'click', (event) => {
+      const button = event.target.closest('[data-index]');
+      if (!button) return;
+
+      // The end of a drag is not a selection
+      if (this.didDrag) {
+        this.didDrag = false;
+        return;
+      }
+      this.select(Number(button.dataset.index));
+    });
+    this.listen(events, 'keydown', (event) => this.handleKeydown(event));
+
+    this.listen(viewport, 'wheel', (event) => this.handleWheel(event), { passive: false });
+    this.listen(viewport, 'pointerdown', (event) => this.handlePointerDown(event));
+    this.listen(viewport, 'pointermove', (event) => this.handlePointerMove(event));
+    this.listen(viewport, 'pointerup', (event) => this.handlePointerUp(event));
+    this.listen(viewport, 'pointercancel', (event) => this.handlePointerUp(event));
+
+    if (typeof ResizeObserver !== 'undefined') {
+      const observer = new ResizeObserver(() => this.scheduleLayout());
+      observer.observe(viewport);
+      this.own(() => observer.disconnect());
+    } else {
+      this.listen(window, 'resize', () => this.scheduleLayout());
+    }
+
+    if (this.smallScreenQuery?.addEventListener) {
+      this.listen(this.smallScreenQuery, 'change', () => this.renderView(this.app.state.timelineView));
+    }
+
+    this.own(this.app.subscribe(
+      state => state.timelineView,
+      view => this.renderView(view),
+      { immediate: true }
+    ));
+
+    this.own(this.app.on(APP_EVENTS.TIMELINE_RENDERED, () => {
+      this.setEntries(this.app.getModule('timeline').entries);
+    }));
+
+    // The list has re-worded its items by now, so the detail copies them again
+    this.own(this.app.i18n.onChange(() => {
+      this.renderEvents();
+      this.renderDetail();
+      this.scheduleLayout();
+    }));
+
+    // Links to list items (search, palette, table of contents) land on the
+    // matching event while the list is hidden
+    this.own(this.app.on(APP_EVENTS.NAVIGATION_CLICKED, ({ targetId }) => {
+      const item = document.getElementById(targetId)?.closest('.timeline__item');
+      if (item && this.isAxisShown()) this.revealItem(item);
+    }));
+  }
+
+  isAxisShown() {
+    return Boolean(this.elements.root && !this.elements.root.hidden);
+  }
+
+  renderView(view) {
+    const showAxis = view === 'axis' && !this.smallScreenQuery?.matches;
+
+    this.elements.root.hidden = !showAxis;
+    this.list.hidden = showAxis;
+    this.elements.switcher.querySelectorAll('[data-view]').forEach(option => {
+      option.setAttribute('aria-pressed', (option.dataset.view === (showAxis ? 'axis' : 'list')).toString());
+    });
+
+    if (showAxis) this.scheduleLayout();
+  }
+
+  // Data
+  setEntries(entries) {
+    this.events = entries.map(entry => ({
+      entry,
+      start: entry.date.start,
+      end: entry.date.end ?? entry.date.start,
+      element: null
+    }));
+
+    const starts = this.events.map(event => event.start);
+    const ends = this.events.map(event => event.end);
+    const min = Math.min(...starts);
+    const max = Math.max(...ends);
+    const padding = Math.max((max - min) * DOMAIN_PADDING, MIN_SPAN / 2);
+
+    this.domain = this.events.length
+      ? { start: min - padding, end: max + padding }
+      : { start: 0, end: MIN_SPAN };
+    this.view = { ...this.domain };
+    this.activeIndex = 0;
+    this.selectedIndex = -1;
+
+    this.renderEvents();
+    this.renderEras();
+    this.renderDetail();
+    this.scheduleLayout();
+  }
+
+  renderEvents() {
+    const buttons = this.events.map((event, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'timeline-axis__event';
+      button.dataset.index = index;
+      button.tabIndex = index === this.activeIndex ? 0 : -1;
+      button.setAttribute('aria-expanded', 'false');
+      button.setAttribute('aria-controls', 'timeline-axis-detail');
+
+      const bar = document.createElement('span');
+      bar.className = 'timeline-axis__bar';
+      bar.setAttribute('aria-hidden', 'true');
+
+      const title = document.createElement('span');
+      title.className = 'timeline-axis__title';
+      title.textContent = event.entry.title;
+
+      const date = document.createElement('span');
+      date.className = 'timeline-axis__date';
+      date.textContent = formatDate(event.entry.date, this.app.i18n);
+
+      button.append(bar, title, date);
+      event.element = button;
+      return button;
+    });
+
+    this.elements.events.replaceChildren(...buttons);
+  }
+
+  renderEras() {
+    const eras = new Map();
+    this.events.forEach(event => {
+      const era = eras.get(event.entry.era);
+      if (era) {
+        era.start = Math.min(era.start, event.start);
+        era.end = Math.max(era.end, event.end);
+      } else {
+        eras.set(event.entry.era, { name: event.entry.era, start: event.start, end: event.end });
+      }
+    });
+
+    this.eras = [...eras.values()].map((era, index) => {
+      const band = document.createElement('div');
+      band.className = `timeline-axis__era timeline-axis__era--${index % 4}`;
+      band.textContent = era.name;
+      return { ...era, element: band };
+    });
+
+    this.elements.eras.replaceChildren(...this.eras.map(era => era.element));
+  }
+
+  renderDetail() {
+    const { detail } = this.elements;
+    const event = this.events[this.selectedIndex];
+
+    this.events.forEach((item, index) => {
+      const isSelected = index === this.selectedIndex;
+      item.element.classList.toggle('timeline-axis__event--selected', isSelected);
+      item.element.setAttribute('aria-expanded', isSelected.toString());
+    });
+
+    if (!event) {
+      detail.replaceChildren();
+      detail.hidden = true;
+      return;
+    }
+
+    const title = document.createElement('h3');
+    title.className = 'timeline-axis__detail-title';
+    title.textContent = event.entry.title;
+
+    const meta = document.createElement('p');
+    meta.className = 'timeline-axis__detail-meta';
+    meta.textContent = `${formatDate(event.entry.date, this.app.i18n)} · ${event.entry.era}`;
+
+    // Reuse what the list rendered, so both views show the same content
+    const item = document.getElementById(`timeline-${event.entry.id}`);
+    const parts = item
+      ? [...item.querySelectorAll('.timeline__body, .timeline__tags, .timeline__sources')].map(part => part.cloneNode(true))
+      : [];
+    // Ids (e.g. of footnote markers) must stay unique to the originals
+    parts.forEach(part => part.querySelectorAll('[id]').forEach(element => element.removeAttribute('id')));
+
+    detail.replaceChildren(title, meta, ...parts);
+    detail.hidden = false;
+  }
+
+  // Layout
+  scheduleLayout() {
+    this.app.frames.once('timeline-axis', () => this.layout(), { priority: FRAME_PRIORITY.INPUT });
+  }
+
+  layout() {
+    if (!this.isAxisShown()) return;
+
+    const width = this.elements.viewport.clientWidth;
+    if (!width) return;
+
+    const x = year => ((year - this.view.start) / (this.view.end - this.view.start)) * width;
+
+    // Stack events into lanes so labels don't overlap at the current zoom
+    const laneEnds = [];
+    this.events.forEach(event => {
+      const left = x(event.start);
+      const barWidth = Math.max(x(event.end) - left, 0);
+      const right = left + Math.max(barWidth, LABEL_WIDTH);
+
+      let lane = laneEnds.findIndex(end => end <= left);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = right;
+
+      const { style } = event.element;
+      style.left = `${left}px`;
+      style.top = `${lane * LANE_HEIGHT}px`;
+      event.element.querySelector('.timeline-axis__bar').style.width = `${barWidth}px`;
+    });
+
+    this.elements.events.style.height = `${Math.max(laneEnds.length, 1) * LANE_HEIGHT}px`;
+
+    this.eras.forEach(era => {
+      const left = x(era.start);
+      const { style } = era.element;
+      style.left = `${left}px`;
+      style.width = `${Math.max(x(era.end) - left, 2)}px`;
+    });
+
+    this.renderTicks(width, x);
+  }
+
+  renderTicks(width, x) {
+    const span = this.view.end - this.view.start;
+    const step = TICK_STEPS.find(candidate => (span / candidate) * TICK_SPACING <= width)
+      || TICK_STEPS[TICK_STEPS.length - 1];
+
+    const ticks = [];
+    for (let year = Math.ceil(this.view.start / step) * step; year <= this.view.end; year += step) {
+      const tick = document.createElement('span');
+      tick.className = 'timeline-axis__tick';
+      tick.style.left = `${x(year)}px`;
+      tick.textContent = this.app.i18n.formatYear(year);
+      ticks.push(tick);
+    }
+
+    this.elements.ticks.replaceChildren(...ticks);
+  }
+
+  // Zoom and pan
+  /**
+   * @param {number} factor - Below 1 zooms in, above 1 zooms out
+   * @param {number} [year] - Year that stays in place; defaults to the centre
+   */
+  zoom(factor, year = (this.view.start + this.view.end) / 2) {
+    const domainSpan = this.domain.end - this.domain.start;
+    const span = this.view.end - this.view.start;
+    const nextSpan = Math.min(Math.max(span * factor, MIN_SPAN), domainSpan);
+    const ratio = (year - this.view.start) / span;
+
+    this.setView(year - ratio * nextSpan, nextSpan);
+  }
+
+  pan(pixels) {
+    const span = this.view.end - this.view.start;
+    const years = (pixels / (this.elements.viewport.clientWidth || 1)) * span;
+    this.setView(this.view.start + years, span);
+  }
+
+  // Keep the view inside the domain
+  setView(start, span) {
+    const clamped = Math.min(Math.max(start, this.domain.start), this.domain.end - span);
+    this.view = { start: clamped, end: clamped + span };
+    this.scheduleLayout();
+  }
+
+  yearAt(clientX) {
+    const rect = this.elements.viewport.getBoundingClientRect();
+    const ratio = rect.width ? (clientX - rect.left) / rect.width : 0.5;
+    return this.view.start + ratio * (this.view.end - this.view.start);
+  }
+
+  handleZoomButton(action) {
+    if (action === 'in') {
+      this.zoom(1 / ZOOM_STEP, this.focusYear());
+    } else if (action === 'out') {
+      this.zoom(ZOOM_STEP, this.focusYear());
+    } else {
+      this.setView(this.domain.start, this.domain.end - this.domain.start);
+    }
+  }
+
+  // Zoom around the selected event when there is one
+  focusYear() {
+    const event = this.events[this.selectedIndex];
+    return event ? (event.start + event.end) / 2 : undefined;
+  }
+
+  handleWheel(event) {
+    // Browsers report trackpad pinches as Ctrl + wheel
+    if (event.ctrlKey || event.metaKey) {
+      event.preventDefault();
+      this.zoom(Math.exp(event.deltaY * WHEEL_ZOOM_SPEED), this.yearAt(event.clientX));
+    } else if (Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+      event.preventDefault();
+      this.pan(event.deltaX);
+    }
+    // Plain vertical scrolling is left to the page
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== undefined && event.button !== 0) return;
+
+    this.pointers.set(event.pointerId, { x: event.clientX, startX: event.clientX });
+    this.didDrag = false;
+
+    // A plain click stays uncaptured, so it still reaches the event button;
+    // only a pinch or a drag past DRAG_THRESHOLD holds on to its pointers
+    if (this.pointers.size === 2) this.pointers.forEach((_, id) => this.capture(id));
+  }
+
+  capture(pointerId) {
+    const { viewport } = this.elements;
+    if (viewport.hasPointerCapture?.(pointerId) === false) viewport.setPointerCapture(pointerId);
+  }
+
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    if (this.pointers.size === 2) {
+      // Pinch: zoom by the change in distance between the two pointers
+      const [a, b] = [...this.pointers.values()];
+      const before = Math.abs(a.x - b.x);
+      pointer.x = event.clientX;
+      const after = Math.abs(a.x - b.x);
+
+      if (before > 0 && after > 0) {
+        this.zoom(before / after, this.yearAt((a.x + b.x) / 2));
+      }
+      this.didDrag = true;
+      return;
+    }
+
+    const delta = event.clientX - pointer.x;
+    pointer.x = event.clientX;
+
+    if (!this.didDrag && Math.abs(event.clientX - pointer.startX) < DRAG_THRESHOLD) return;
+    if (!this.didDrag) this.capture(event.pointerId);
+    this.didDrag = true;
+    this.elements.viewport.classList.add('timeline-axis__viewport--dragging');
+    this.pan(-delta);
+  }
+
+  handlePointerUp(event) {
+    this.pointers.delete(event.pointerId);
+    if (this.elements.viewport.hasPointerCapture?.(event.pointerId)) {
+      this.elements.viewport.releasePointerCapture(event.pointerId);
+    }
+    if (!this.pointers.size) {
+      this.elements.viewport.classList.remove('timeline-axis__viewport--dragging');
+    }
+  }
+
+  // Keyboard and selection
+  handleKeydown(event) {
+    const last = this.events.length - 1;
+
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        event.preventDefault();
+        this.focusEvent(Math.min(this.activeIndex + 1, last));
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        event.preventDefault();
+        this.focusEvent(Math.max(this.activeIndex - 1, 0));
+        break;
+      case 'Home':
+        event.preventDefault();
+        this.focusEvent(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        this.focusEvent(last);
+        break;
+      case '+':
+      case '=':
+        event.preventDefault();
+        this.zoom(1 / ZOOM_STEP, this.activeYear());
+        break;
+      case '-':
+        event.preventDefault();
+        this.zoom(ZOOM_STEP, this.activeYear());
+        break;
+    }
+  }
+
+  activeYear() {
+    const event = this.events[this.activeIndex];
+    return event ? (event.start + event.end) / 2 : undefined;
+  }
+
+  focusEvent(index) {
+    const event = this.events[index];
+    if (!event) return;
+
+    this.events[this.activeIndex]?.element.setAttribute('tabindex', '-1');
+    this.activeIndex = index;
+    event.element.tabIndex = 0;
+    event.element.focus();
+    this.ensureVisible(event);
+  }
+
+  // Pan so an event's start is in view, keeping the zoom level
+  ensureVisible(event) {
+    const span = this.view.end - this.view.start;
+    const margin = span * 0.1;
+
+    if (event.start < this.view.start + margin || event.start > this.view.end - margin) {
+      this.setView(event.start - span / 2, span);
+    }
+  }
+
+  select(index) {
+    this.selectedIndex = index === this.selectedIndex ? -1 : index;
+    if (this.events[index]) {
+      this.events[this.activeIndex]?.element.setAttribute('tabindex', '-1');
+      this.activeIndex = index;
+      this.events[index].element.tabIndex = 0;
+    }
+    this.renderDetail();
+  }
+
+  revealItem(item) {
+    const index = this.events.findIndex(event => `timeline-${event.entry.id}` === item.id);
+    if (index === -1) return;
+
+    this.selectedIndex = -1;
+    this.select(index);
+    this.ensureVisible(this.events[index]);
+    this.app.getModule('navigation').scrollToSection(this.elements.root);
+  }
+}
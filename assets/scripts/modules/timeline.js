@@ -0,0 +1,254 @@
+/**
+ * TIMELINE MODULE
+ * Renders the History & Lore timeline from the TIMELINE_ENTRIES dataset.
+ * Entries are validated against TIMELINE_ENTRY_SCHEMA first; invalid ones
+ * are skipped with an error naming the offending field, and the module
+ * reports itself degraded so the problem shows up in module health.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { validateList } from '../utils/schema.js';
+import { formatAuthors } from '../utils/citation-formats.js';
+import { TIMELINE_ENTRIES } from '../data/timeline.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export const TIMELINE_ENTRY_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'date', 'era', 'body'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: SLUG_PATTERN },
+    title: { type: 'string', minLength: 1 },
+    date: {
+      type: 'object',
+      required: ['start'],
+      additionalProperties: false,
+      properties: {
+        start: { type: 'integer' },
+        end: { type: 'integer' },
+        label: { type: 'string', minLength: 1 }
+      }
+    },
+    era: { type: 'string', minLength: 1 },
+    body: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    citations: { type: 'array', items: { type: 'string', pattern: SLUG_PATTERN } },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * Check a timeline dataset, including the rules a schema can't express:
+ * unique ids and date ranges that don't end before they start.
+ *
+ * @param {Array} entries
+ * @returns {{ valid: Object[], errors: string[] }}
+ */
+export function validateTimeline(entries) {
+  return validateList(entries, TIMELINE_ENTRY_SCHEMA, {
+    name: 'timeline',
+    check: ({ date: { start, end } }, path) => (end !== undefined && end < start
+      ? [`${path}.date.end: ${end} is before date.start ${start}`]
+      : [])
+  });
+}
+
+/**
+ * "1927", "1800–1900", or the entry's own label when it has one.
+ *
+ * @param {{ start: number, end?: number, label?: string }} date
+ * @param {import('../core/i18n.js').I18n} i18n - Formats the years for the reader's locale
+ * @returns {string}
+ */
+export function formatDate({ start, end, label }, i18n) {
+  if (label) return label;
+  return end === undefined || end === start
+    ? i18n.formatYear(start)
+    : `${i18n.formatYear(start)}–${i18n.formatYear(end)}`;
+}
+
+export class TimelineModule extends AppModule {
+  init() {
+    this.container = document.querySelector('.timeline');
+    this.entries = [];
+    this.items = [];
+  }
+
+  mount() {
+    super.mount();
+    this.setEntries(TIMELINE_ENTRIES);
+    this.own(this.app.i18n.onChange(() => this.renderLocale()));
+  }
+
+  destroy() {
+    this.items.forEach(item => item.remove());
+    this.items = [];
+    super.destroy();
+  }
+
+  /**
+   * Replace the rendered timeline with a new dataset.
+   *
+   * @param {Array} entries
+   * @returns {string[]} Validation errors for the entries that were skipped
+   */
+  setEntries(entries) {
+    const { valid, errors } = validateTimeline(entries);
+
+    errors.forEach(error => console.error(`❌ Invalid timeline entry - ${error}`));
+    if (errors.length) {
+      this.degrade(`${errors.length} timeline ${errors.length === 1 ? 'error' : 'errors'}: ${errors[0]}`);
+    }
+
+    // Stable sort, so entries with the same start keep their dataset order
+    this.entries = [...valid].sort((a, b) => a.date.start - b.date.start);
+    this.render();
+
+    return errors;
+  }
+
+  // Rendering
+  render() {
+    this.items.forEach(item => item.remove());
+    this.items = [];
+    if (!this.container) return;
+
+    this.items = this.entries.map(entry => this.renderItem(entry));
+    this.container.append(...this.items);
+
+    // Items rendered after startup still need their reveal animation
+    this.app.observeAnimated(this.items);
+    this.app.emit(APP_EVENTS.TIMELINE_RENDERED, { count: this.items.length });
+  }
+
+  // Re-word dates and labels in place, so links, search results and
+  // citation markers pointing into the items stay valid
+  renderLocale() {
+    this.items.forEach((item, index) => {
+      const entry = this.entries[index];
+      item.querySelector('.timeline__date').textContent = formatDate(entry.date, this.app.i18n);
+      item.querySelector('.timeline__tags')?.setAttribute('aria-label', this.t('timeline.tags'));
+
+      const summary = item.querySelector('.timeline__sources summary');
+      if (summary) summary.textContent = this.t('timeline.sources', { count: entry.citations.length });
+
+      item.querySelectorAll('.timeline__source-year').forEach(year => {
+        year.textContent = this.app.i18n.formatYear(Number(year.dataset.year));
+      });
+    });
+  }
+
+  renderItem(entry) {
+    const item = document.createElement('article');
+    item.className = 'timeline__item';
+    item.id = `timeline-${entry.id}`;
+    item.dataset.era = entry.era;
+    item.innerHTML = `
+      <div class="timeline__marker" aria-hidden="true"></div>
+      <div class="timeline__content">
+        <header class="timeline__header">
+          <h3 class="timeline__title"></h3>
+          <time class="timeline__date"></time>
+          <span class="timeline__era"></span>
+        </header>
+        <div class="timeline__body"></div>
+      </div>
+    `;
+
+    item.querySelector('.timeline__title').textContent = entry.title;
+    item.querySelector('.timeline__era').textContent = entry.era;
+
+    const date = item.querySelector('.timeline__date');
+    date.textContent = formatDate(entry.date, this.app.i18n);
+    // <time> only accepts years from 1 CE written with at least four digits
+    if (entry.date.start > 0) {
+      date.dateTime = String(entry.date.start).padStart(4, '0');
+    }
+
+    const body = item.querySelector('.timeline__body');
+    entry.body.forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.append(...this.renderInline(text));
+      body.appendChild(paragraph);
+    });
+
+    const content = item.querySelector('.timeline__content');
+    if (entry.tags?.length) content.appendChild(this.renderTags(entry.tags));
+    if (entry.citations?.length) content.appendChild(this.renderSources(entry.citations));
+
+    return item;
+  }
+
+  // Text with *asterisks* around words shown as emphasis
+  renderInline(text) {
+    return text.split(/\*([^*]+)\*/).map((part, index) => {
+      if (index % 2 === 0) return part;
+
+      const emphasis = document.createElement('em');
+      emphasis.textContent = part;
+      return emphasis;
+    });
+  }
+
+  renderTags(tags) {
+    const list = document.createElement('ul');
+    list.className = 'timeline__tags';
+    list.setAttribute('aria-label', this.t('timeline.tags'));
+
+    tags.forEach(tag => {
+      const item = document.createElement('li');
+      item.className = 'timeline__tag';
+      item.textContent = tag;
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  // Records come from the citations module, which also numbers the <cite>s
+  renderSources(ids) {
+    const citations = this.app.getModule('citations');
+
+    const details = document.createElement('details');
+    details.className = 'timeline__sources';
+
+    const summary = document.createElement('summary');
+    summary.textContent = this.t('timeline.sources', { count: ids.length });
+
+    const list = document.createElement('ul');
+    ids.forEach(id => {
+      const { title = id, authors, issued, url } = citations?.get(id) || {};
+      const item = document.createElement('li');
+
+      const author = formatAuthors(authors);
+      if (author) item.append(`${author}, `);
+
+      const cite = document.createElement('cite');
+      cite.dataset.cite = id;
+      if (url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = title;
+        cite.appendChild(link);
+      } else {
+        cite.textContent = title;
+      }
+      item.appendChild(cite);
+
+      if (issued) {
+        const year = document.createElement('span');
+        year.className = 'timeline__source-year';
+        year.dataset.year = issued.year;
+        year.textContent = this.app.i18n.formatYear(issued.year);
+        item.append(' (', year, ')');
+      }
+      list.appendChild(item);
+    });
+
+    details.append(summary, list);
+    return details;
+  }
+}
@@ -0,0 +1,400 @@
+/**
+ * TABLE OF CONTENTS MODULE
+ * Collapsible sidebar outline built from the h2/h3/h4 headings in <main>.
+ * The highlighted section follows `state.currentSection`, which the app's
+ * section observer keeps up to date. Each section shows how much of it has
+ * been read, and sections read to the end are remembered in
+ * `state.completedSections`.
+ */
+
+import { AppModule } from '../core/app-module.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+
+const HEADING_SELECTOR = 'h2, h3, h4';
+
+// Share of a section that must have scrolled into view for it to count as read
+const COMPLETION_THRESHOLD = 0.95;
+
+// How long a section must have been the current one before it can be
+// completed, so sections scrolled past on the way to a link don't count
+const MIN_READ_TIME = 4000;
+
+// Where the sidebar fits beside the 1280px content column, it starts open
+const WIDE_QUERY = '(min-width: 1600px)';
+
+// Matches the gap NavigationModule.scrollToSection leaves below the header
+const HEADING_OFFSET = 20;
+
+export class TocModule extends AppModule {
+  init() {
+    this.root = document.getElementById('main-content');
+    this.wideQuery = window.matchMedia?.(WIDE_QUERY) || null;
+    this.sections = [];
+    this.element = null;
+    this.elements = {};
+    this.isOpen = false;
+    this.activeLink = null;
+    this.currentSectionId = null;
+    this.enteredAt = 0;
+    this.completionTimer = null;
+  }
+
+  mount() {
+    super.mount();
+    if (!this.root) return;
+
+    this.sections = this.collectSections();
+    this.render();
+    this.bindEvents();
+    this.observeLayout();
+    this.setOpen(Boolean(this.wideQuery?.matches));
+  }
+
+  destroy() {
+    clearTimeout(this.completionTimer);
+    this.element?.remove();
+    this.element = null;
+    super.destroy();
+  }
+
+  // Outline
+  collectSections() {
+    return [...this.root.querySelectorAll('section[id]')].map(element => {
+      const headings = [...element.querySelectorAll(HEADING_SELECTOR)]
+        .filter(heading => !heading.closest('.sr-only, [hidden]') && this.headingText(heading));
+      const heading = headings.find(candidate => candidate.tagName === 'H2');
+
+      return {
+        id: element.id,
+        element,
+        title: heading ? this.headingText(heading) : element.id,
+        children: headings
+          .filter(candidate => candidate !== heading)
+          .map(child => ({
+            heading: child,
+            id: this.ensureId(child),
+            level: Number(child.tagName.charAt(1)),
+            title: this.headingText(child),
+            top: 0
+          })),
+        top: 0,
+        bottom: 0,
+        progress: -1,
+        readTime: 0
+      };
+    });
+  }
+
+  // Heading text without the router's permalink anchor
+  headingText(heading) {
+    return [...heading.childNodes]
+      .filter(node => !node.classList?.contains('permalink'))
+      .map(node => node.textContent)
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Headings need an id to be linked to; generated ones are removed on destroy
+  ensureId(heading) {
+    if (heading.id) return heading.id;
+
+    const slug = this.headingText(heading)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'heading';
+
+    let id = slug;
+    for (let suffix = 2; document.getElementById(id); suffix++) {
+      id = `${slug}-${suffix}`;
+    }
+
+    heading.id = id;
+    this.own(() => heading.removeAttribute('id'));
+    return id;
+  }
+
+  // Rendering
+  render() {
+    this.element = document.createElement('nav');
+    this.element.className = 'toc';
+    this.element.dataset.i18nAriaLabel = 'toc.label';
+    this.element.innerHTML = `
+      <button type="button" class="toc__toggle" aria-expanded="false" aria-controls="toc-panel" data-i18n="toc.toggle"></button>
+      <div id="toc-panel" class="toc__panel" hidden>
+        <ol class="toc__list"></ol>
+        <button type="button" class="toc__reset" data-i18n="toc.reset"></button>
+      </div>
+    `;
+    this.app.i18n.translate(this.element);
+
+    this.elements = {
+      toggle: this.element.querySelector('.toc__toggle'),
+      panel: this.element.querySelector('.toc__panel'),
+      list: this.element.querySelector('.toc__list'),
+      reset: this.element.querySelector('.toc__reset')
+    };
+
+    this.elements.list.replaceChildren(...this.sections.map(section => this.renderSection(section)));
+    document.body.appendChild(this.element);
+  }
+
+  renderSection(section) {
+    const item = document.createElement('li');
+    item.className = 'toc__item toc__item--section';
+
+    section.link = this.createLink(section.id, section.title);
+
+    section.status = document.createElement('span');
+    section.status.className = 'sr-only';
+    section.link.appendChild(section.status);
+
+    section.progressBar = document.createElement('span');
+    section.progressBar.className = 'toc__progress';
+    section.progressBar.setAttribute('role', 'progressbar');
+    section.progressBar.setAttribute('aria-label', this.t('toc.progress', { title: section.title }));
+    section.progressBar.setAttribute('aria-valuemin', '0');
+    section.progressBar.setAttribute('aria-valuemax', '100');
+
+    section.progressFill = document.createElement('span');
+    section.progressFill.className = 'toc__progress-fill';
+    section.progressBar.appendChild(section.progressFill);
+
+    item.append(section.link, section.progressBar);
+
+    if (section.children.length) {
+      section.sublist = document.createElement('ol');
+      section.sublist.className = 'toc__sublist';
+      section.sublist.hidden = true;
+
+      section.children.forEach(child => {
+        const childItem = document.createElement('li');
+        childItem.className = `toc__item toc__item--level-${child.level}`;
+        child.link = this.createLink(child.id, child.title);
+        childItem.appendChild(child.link);
+        section.sublist.appendChild(childItem);
+      });
+
+      item.appendChild(section.sublist);
+    }
+
+    section.item = item;
+    return item;
+  }
+
+  createLink(id, title) {
+    const link = document.createElement('a');
+    link.className = 'toc__link';
+    link.href = `#${id}`;
+    link.dataset.target = id;
+    link.textContent = title;
+    return link;
+  }
+
+  bindEvents() {
+    const { toggle, list, reset } = this.elements;
+
+    this.listen(toggle, 'click', () => this.setOpen(!this.isOpen));
+    this.listen(reset, 'click', () => this.resetProgress());
+
+    this.listen(list, 'click', (event) => {
+      const link = event.target.closest('.toc__link');
+      if (!link) return;
+
+      event.preventDefault();
+      this.jumpTo(link.dataset.target);
+    });
+
+    // Where the sidebar covers content it behaves like a popover
+    this.listen(this.element, 'keydown', (event) => {
+      if (event.key === 'Escape' && this.isOpen && !this.isWide()) {
+        this.setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    if (this.wideQuery?.addEventListener) {
+      this.listen(this.wideQuery, 'change', () => this.setOpen(this.wideQuery.matches));
+    }
+
+    this.own(this.app.subscribe(
+      state => state.currentSection,
+      sectionId => this.renderCurrentSection(sectionId),
+      { immediate: true }
+    ));
+    this.own(this.app.subscribe(
+      state => state.completedSections,
+      completed => this.renderCompleted(completed),
+      { immediate: true }
+    ));
+    this.own(this.app.subscribe(
+      state => state.scrollPosition,
+      () => this.update()
+    ));
+    this.own(this.app.i18n.onChange(() => {
+      this.sections.forEach(section => {
+        section.progressBar.setAttribute('aria-label', this.t('toc.progress', { title: section.title }));
+      });
+      this.renderCompleted(this.app.state.completedSections);
+    }));
+  }
+
+  isWide() {
+    return Boolean(this.wideQuery?.matches);
+  }
+
+  setOpen(isOpen) {
+    this.isOpen = isOpen;
+    this.element.classList.toggle('toc--open', isOpen);
+    this.elements.toggle.setAttribute('aria-expanded', isOpen.toString());
+    this.elements.panel.hidden = !isOpen;
+  }
+
+  jumpTo(id) {
+    const target = document.getElementById(id);
+    if (!target) return;
+
+    this.app.getModule('navigation').scrollToSection(target);
+    this.app.emit(APP_EVENTS.NAVIGATION_CLICKED, { targetId: id });
+
+    if (!this.isWide()) {
+      this.setOpen(false);
+      this.elements.toggle.focus();
+    }
+  }
+
+  // Layout
+  // Positions are cached and only re-read when the content changes size
+  // (fonts, images, the chart loading), not on every scroll
+  observeLayout() {
+    const remeasure = () => this.app.frames.once('toc:measure', () => this.measure());
+
+    if (typeof ResizeObserver !== 'undefined') {
+      const observer = new ResizeObserver(remeasure);
+      observer.observe(this.root);
+      this.own(() => observer.disconnect());
+    } else {
+      this.listen(window, 'resize', remeasure);
+    }
+
+    this.measure();
+  }
+
+  measure() {
+    const { scrollY } = window;
+
+    this.sections.forEach(section => {
+      const rect = section.element.getBoundingClientRect();
+      section.top = rect.top + scrollY;
+      section.bottom = rect.bottom + scrollY;
+
+      section.children.forEach(child => {
+        child.top = child.heading.getBoundingClientRect().top + scrollY;
+      });
+    });
+
+    this.update();
+  }
+
+  update() {
+    const { scrollY, innerHeight } = window;
+    const viewportBottom = scrollY + innerHeight;
+
+    this.sections.forEach(section => {
+      // Read up to the bottom edge of the viewport
+      const height = Math.max(section.bottom - section.top, 1);
+      const progress = Math.min(Math.max((viewportBottom - section.top) / height, 0), 1);
+
+      if (progress !== section.progress) {
+        section.progress = progress;
+        this.renderProgress(section);
+      }
+    });
+
+    this.renderActiveHeading();
+    this.checkCompletion();
+  }
+
+  renderProgress(section) {
+    const percent = Math.round(section.progress * 100);
+    section.progressFill.style.transform = `scaleX(${section.progress})`;
+    section.progressBar.setAttribute('aria-valuenow', percent.toString());
+  }
+
+  // Scroll spy
+  renderCurrentSection(sectionId) {
+    const now = performance.now();
+    const previous = this.sectionById(this.currentSectionId);
+    if (previous) previous.readTime += now - this.enteredAt;
+
+    this.currentSectionId = sectionId;
+    this.enteredAt = now;
+
+    this.sections.forEach(section => {
+      const isCurrent = section.id === sectionId;
+      section.item.classList.toggle('toc__item--current', isCurrent);
+      if (section.sublist) section.sublist.hidden = !isCurrent;
+    });
+
+    this.renderActiveHeading();
+    this.checkCompletion();
+  }
+
+  // The most specific link for the reading position: the last heading of the
+  // current section that has passed under the header, or the section itself
+  renderActiveHeading() {
+    const section = this.sectionById(this.currentSectionId);
+    let link = section?.link || null;
+
+    if (section) {
+      const header = document.querySelector('.header');
+      const line = window.scrollY + (header?.offsetHeight || 0) + HEADING_OFFSET + 1;
+      const passed = section.children.filter(child => child.top <= line);
+      if (passed.length) link = passed[passed.length - 1].link;
+    }
+
+    if (link === this.activeLink) return;
+
+    this.activeLink?.classList.remove('toc__link--active');
+    this.activeLink?.removeAttribute('aria-current');
+    link?.classList.add('toc__link--active');
+    link?.setAttribute('aria-current', 'location');
+    this.activeLink = link;
+  }
+
+  // Reading progress
+  checkCompletion() {
+    const section = this.sectionById(this.currentSectionId);
+    const completed = this.app.state.completedSections;
+    if (!section || completed.includes(section.id) || section.progress < COMPLETION_THRESHOLD) return;
+
+    const remaining = MIN_READ_TIME - (section.readTime + performance.now() - this.enteredAt);
+
+    // The reader may stay at the end without scrolling, so check again later
+    clearTimeout(this.completionTimer);
+    if (remaining > 0) {
+      this.completionTimer = setTimeout(() => this.checkCompletion(), remaining);
+      return;
+    }
+
+    this.app.setState({ completedSections: [...completed, section.id] });
+  }
+
+  renderCompleted(completed) {
+    this.sections.forEach(section => {
+      const isComplete = completed.includes(section.id);
+      section.item.classList.toggle('toc__item--complete', isComplete);
+      section.status.textContent = isComplete ? ` ${this.t('toc.completed')}` : '';
+    });
+  }
+
+  resetProgress() {
+    this.sections.forEach(section => { section.readTime = 0; });
+    this.enteredAt = performance.now();
+    this.app.setState({ completedSections: [] });
+  }
+
+  sectionById(id) {
+    return this.sections.find(section => section.id === id) || null;
+  }
+}
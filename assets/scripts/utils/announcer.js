@@ -0,0 +1,37 @@
+/**
+ * ANNOUNCER
+ * Shared visually hidden live region for status messages that have no
+ * visible text of their own, e.g. "Navigation menu opened".
+ */
+
+const regions = new Map();
+
+function getRegion(politeness) {
+  let region = regions.get(politeness);
+
+  if (!region || !region.isConnected) {
+    region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(region);
+    regions.set(politeness, region);
+  }
+
+  return region;
+}
+
+/**
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {'polite'|'assertive'} [options.politeness]
+ */
+export function announce(message, { politeness = 'polite' } = {}) {
+  const region = getRegion(politeness);
+
+  // Clear first so repeating the same message is announced again
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
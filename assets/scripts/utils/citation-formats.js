@@ -0,0 +1,161 @@
+/**
+ * CITATION FORMATS
+ * Serializes citation records (see data/citations.js) to the formats
+ * reference managers import: BibTeX, RIS and CSL-JSON, plus the author
+ * formatting shared by every place a record is shown.
+ */
+
+// CSL type -> [BibTeX entry type, field holding the container title]
+const BIBTEX_TYPES = {
+  'article-journal': ['article', 'journal'],
+  'article-magazine': ['article', 'journal'],
+  'article-newspaper': ['article', 'journal'],
+  book: ['book', 'series'],
+  broadcast: ['misc', 'howpublished'],
+  motion_picture: ['misc', 'howpublished'],
+  report: ['techreport', 'series'],
+  webpage: ['misc', 'howpublished']
+};
+
+const RIS_TYPES = {
+  'article-journal': 'JOUR',
+  'article-magazine': 'MGZN',
+  'article-newspaper': 'NEWS',
+  book: 'BOOK',
+  broadcast: 'VIDEO',
+  motion_picture: 'MPCT',
+  report: 'RPRT',
+  webpage: 'ELEC'
+};
+
+export const CITATION_TYPES = Object.keys(RIS_TYPES);
+
+// "Ovid", "E. T. A. Hoffmann", "Fritz Lang and Thea von Harbou"
+export function formatAuthors(authors = []) {
+  const names = authors.map(({ family, given, literal }) => literal || [given, family].filter(Boolean).join(' '));
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names.join('');
+}
+
+function escapeBibTeX(text) {
+  return text
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/[&%$#_{}]/g, '\\$&')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+}
+
+// Organisations are braced so BibTeX doesn't split them into name parts
+function bibTeXName({ family, given, literal }) {
+  if (literal) return `{${escapeBibTeX(literal)}}`;
+  return escapeBibTeX(given ? `${family}, ${given}` : family);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * @param {Object[]} records
+ * @returns {string}
+ */
+export function toBibTeX(records) {
+  return records.map(record => {
+    const [entryType, containerField] = BIBTEX_TYPES[record.type];
+    const fields = [];
+    const add = (name, value) => fields.push(`  ${name} = {${value}}`);
+
+    if (record.authors?.length) add('author', record.authors.map(bibTeXName).join(' and '));
+    // Double braces keep the title's capitalisation in every style
+    add('title', `{${escapeBibTeX(record.title)}}`);
+    if (record.container) add(containerField, escapeBibTeX(record.container));
+    if (record.publisher) {
+      add(entryType === 'techreport' ? 'institution' : 'publisher', escapeBibTeX(record.publisher));
+    }
+    if (record.issued) {
+      add('year', record.issued.year);
+      if (record.issued.month) add('month', record.issued.month);
+    }
+    if (record.doi) add('doi', record.doi);
+    if (record.url) add('url', record.url);
+
+    return `@${entryType}{${record.id},\n${fields.join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * @param {Object[]} records
+ * @returns {string}
+ */
+export function toRIS(records) {
+  // The RIS specification ends every line with CRLF
+  return records.map(record => {
+    const lines = [`TY  - ${RIS_TYPES[record.type]}`];
+    const add = (tag, value) => lines.push(`${tag}  - ${value}`);
+
+    (record.authors || []).forEach(({ family, given, literal }) => {
+      add('AU', literal || (given ? `${family}, ${given}` : family));
+    });
+    add('TI', record.title);
+    if (record.container) add('T2', record.container);
+    if (record.publisher) add('PB', record.publisher);
+    if (record.issued) {
+      const { year, month, day } = record.issued;
+      add('PY', year);
+      if (month) add('DA', `${year}/${pad(month)}/${day ? pad(day) : ''}/`);
+    }
+    if (record.doi) add('DO', record.doi);
+    if (record.url) add('UR', record.url);
+    add('ID', record.id);
+    lines.push('ER  - ');
+
+    return lines.join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * @param {Object[]} records
+ * @returns {Object[]} CSL-JSON items
+ */
+export function toCSL(records) {
+  return records.map(record => {
+    const item = { id: record.id, type: record.type, title: record.title };
+
+    if (record.authors?.length) item.author = record.authors.map(author => ({ ...author }));
+    if (record.container) item['container-title'] = record.container;
+    if (record.publisher) item.publisher = record.publisher;
+    if (record.issued) {
+      const { year, month, day } = record.issued;
+      item.issued = { 'date-parts': [[year, month, day].filter(part => part !== undefined)] };
+    }
+    if (record.doi) item.DOI = record.doi;
+    if (record.url) item.URL = record.url;
+
+    return item;
+  });
+}
+
+/**
+ * Export formats offered to readers, keyed by the value used in the UI.
+ */
+export const EXPORT_FORMATS = {
+  bibtex: {
+    label: 'BibTeX',
+    extension: 'bib',
+    type: 'application/x-bibtex',
+    serialize: toBibTeX
+  },
+  ris: {
+    label: 'RIS',
+    extension: 'ris',
+    type: 'application/x-research-info-systems',
+    serialize: toRIS
+  },
+  csl: {
+    label: 'CSL-JSON',
+    extension: 'json',
+    type: 'application/vnd.citationstyles.csl+json',
+    serialize: records => `${JSON.stringify(toCSL(records), null, 2)}\n`
+  }
+};
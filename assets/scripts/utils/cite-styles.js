@@ -0,0 +1,79 @@
+/**
+ * CITE STYLES
+ * Formats a citation of this site, or of one part of it, in APA 7, MLA 9
+ * and Chicago (notes-bibliography) style. Formatters return segments:
+ * strings, and `{ italic }` objects for text the style sets in italics, so
+ * callers can render them or flatten them with `toPlainText`.
+ *
+ * A work is `{ author, siteName, title?, year?, url, accessed }`; without a
+ * `title` the whole site is cited.
+ */
+
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+// "October 18, 2026"
+function longDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+// "18 Oct. 2026"
+function mlaDate(date) {
+  return `${date.getDate()} ${MLA_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+}
+
+// Titles ending in ? or ! keep their own punctuation
+function terminate(text) {
+  return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+// Italic title followed by its sentence's closing period, set upright
+function italicTitle(text) {
+  return [{ italic: text }, /[.?!]$/.test(text) ? '' : '.'];
+}
+
+// MLA recommends leaving the protocol off URLs
+function withoutProtocol(url) {
+  return url.replace(/^https?:\/\//, '');
+}
+
+function apa({ author, siteName, title, year, url, accessed }) {
+  const date = `(${year ?? 'n.d.'}).`;
+  const retrieved = `Retrieved ${longDate(accessed)}, from ${url}`;
+
+  return title
+    ? [`${terminate(author)} ${date} `, ...italicTitle(title), ` ${terminate(siteName)} ${retrieved}`]
+    : [`${terminate(author)} ${date} `, ...italicTitle(siteName), ` ${retrieved}`];
+}
+
+function mla({ author, siteName, title, year, url, accessed }) {
+  const location = [year, withoutProtocol(url)].filter(Boolean).join(', ');
+  const accessedOn = `Accessed ${mlaDate(accessed)}.`;
+
+  return title
+    ? [`${terminate(author)} “${terminate(title)}” `, { italic: siteName }, `, ${location}. ${accessedOn}`]
+    : [`${terminate(author)} `, ...italicTitle(siteName), ` ${location}. ${accessedOn}`];
+}
+
+function chicago({ author, siteName, title, year, url, accessed }) {
+  const parts = [terminate(author)];
+  if (title) parts.push(`“${terminate(title)}”`);
+  parts.push(terminate(siteName));
+  if (year) parts.push(`${year}.`);
+  parts.push(`Accessed ${longDate(accessed)}.`, terminate(url));
+
+  return [parts.join(' ')];
+}
+
+export const CITE_STYLES = {
+  apa: { label: 'APA 7', format: apa },
+  mla: { label: 'MLA 9', format: mla },
+  chicago: { label: 'Chicago', format: chicago }
+};
+
+/**
+ * @param {Array<string|{ italic: string }>} segments
+ * @returns {string}
+ */
+export function toPlainText(segments) {
+  return segments.map(segment => (typeof segment === 'string' ? segment : segment.italic)).join('');
+}
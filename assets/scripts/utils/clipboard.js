@@ -0,0 +1,47 @@
+/**
+ * CLIPBOARD
+ * Copy text with the async Clipboard API, falling back to a hidden textarea
+ * and `execCommand('copy')` where the API is missing or the page is not a
+ * secure context.
+ */
+
+/**
+ * @param {string} text
+ * @returns {Promise<void>} Rejects when the text could not be copied
+ */
+export async function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  fallbackCopy(text);
+}
+
+function fallbackCopy(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  textarea.style.pointerEvents = 'none';
+
+  // Selecting moves focus; give it back afterwards
+  const previousFocus = document.activeElement;
+
+  document.body.appendChild(textarea);
+  textarea.select();
+  textarea.setSelectionRange(0, text.length);
+
+  let success = false;
+  try {
+    success = document.execCommand('copy');
+  } finally {
+    textarea.remove();
+    previousFocus?.focus?.();
+  }
+
+  if (!success) {
+    throw new Error('Copy command failed');
+  }
+}
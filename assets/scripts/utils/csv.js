@@ -0,0 +1,24 @@
+/**
+ * CSV
+ * Serialize rows for spreadsheets, following RFC 4180: fields holding a
+ * comma, quote or line break are quoted, and lines end with CRLF. Text that
+ * a spreadsheet would run as a formula is prefixed with an apostrophe.
+ */
+
+// Leading characters that make Excel, Sheets and Calc evaluate a cell
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+function escapeField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Numbers are safe, and "-3" must stay a number rather than become text
+  if (typeof value !== 'number' && FORMULA_TRIGGER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Array<*>>} rows - Header row first
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,25 @@
+/**
+ * DOWNLOAD
+ * Save generated text (exports, reports) as a file without a server round
+ * trip.
+ */
+
+/**
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [type] - MIME type of the file
+ */
+export function downloadText(filename, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,143 @@
+/**
+ * FOCUS TRAP
+ * Keeps keyboard focus inside a set of containers while they act as a modal
+ * surface, and makes everything else on the page `inert` so it can't be
+ * reached by keyboard or assistive technology either.
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+export class FocusTrap {
+  /**
+   * @param {Element[]} containers - Elements (and their descendants) that stay reachable
+   * @param {Object} [options]
+   * @param {() => ?HTMLElement} [options.initialFocus] - Element to focus on activation;
+   *   defaults to the first focusable element
+   * @param {?HTMLElement} [options.returnFocus] - Element to focus on deactivation;
+   *   defaults to whatever had focus on activation
+   */
+  constructor(containers, { initialFocus = null, returnFocus = null } = {}) {
+    this.containers = containers.filter(Boolean);
+    this.initialFocus = initialFocus;
+    this.returnFocus = returnFocus;
+    this.previousFocus = null;
+    this.inertElements = [];
+    this.isActive = false;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+  }
+
+  activate() {
+    if (this.isActive) return;
+    this.isActive = true;
+
+    this.previousFocus = document.activeElement;
+    this.makeBackgroundInert();
+
+    document.addEventListener('keydown', this.handleKeydown, true);
+    document.addEventListener('focusin', this.handleFocusIn);
+
+    const target = this.initialFocus?.() || this.focusableElements()[0];
+    target?.focus();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus] - Pass false when focus has
+   *   deliberately moved elsewhere, e.g. after following a link
+   */
+  deactivate({ restoreFocus = true } = {}) {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    document.removeEventListener('keydown', this.handleKeydown, true);
+    document.removeEventListener('focusin', this.handleFocusIn);
+    this.restoreBackground();
+
+    if (restoreFocus) {
+      (this.returnFocus || this.previousFocus)?.focus?.();
+    }
+    this.previousFocus = null;
+  }
+
+  contains(node) {
+    return this.containers.some(container => container.contains(node));
+  }
+
+  focusableElements() {
+    const elements = this.containers.flatMap(container => [
+      ...(container.matches(FOCUSABLE_SELECTOR) ? [container] : []),
+      ...container.querySelectorAll(FOCUSABLE_SELECTOR)
+    ]);
+
+    // Tab order follows the document, whichever container an element is in
+    return elements
+      .filter(element => !element.closest('[inert]') && element.getClientRects().length > 0)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+
+  // Every sibling along the path from each container up to <body> that holds
+  // no container is made inert; the containers' own ancestors stay
+  // interactive. Live regions are left alone, so announcements (see
+  // utils/announcer.js) are still heard while the trap is active
+  makeBackgroundInert() {
+    const keep = new Set();
+    this.containers.forEach(container => {
+      for (let node = container; node && node !== document.body; node = node.parentElement) {
+        keep.add(node);
+      }
+    });
+
+    keep.forEach(node => {
+      [...(node.parentElement?.children || [])].forEach(sibling => {
+        if (keep.has(sibling) || sibling.inert || sibling.matches('script, style, [aria-live]')) return;
+
+        sibling.inert = true;
+        this.inertElements.push(sibling);
+      });
+    });
+  }
+
+  restoreBackground() {
+    this.inertElements.forEach(element => { element.inert = false; });
+    this.inertElements = [];
+  }
+
+  handleKeydown(event) {
+    if (event.key !== 'Tab') return;
+
+    const elements = this.focusableElements();
+    if (!elements.length) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    const current = elements.indexOf(document.activeElement);
+
+    // Wrap around at either end, and pull stray focus back in
+    if (event.shiftKey && (current <= 0)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (current === -1 || current === elements.length - 1)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Browsers without `inert` support can still move focus out, e.g. by clicking
+  handleFocusIn(event) {
+    if (!this.contains(event.target)) {
+      this.focusableElements()[0]?.focus();
+    }
+  }
+}
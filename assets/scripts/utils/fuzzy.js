@@ -0,0 +1,79 @@
+/**
+ * FUZZY MATCHING
+ * Subsequence matching for quick-open style filtering: every query character
+ * must appear in order. Matches at word starts and runs of consecutive
+ * characters score higher, so "ak" ranks "Akihiko Kondo" above "Replika".
+ */
+
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+const GAP_PENALTY = 1;
+
+/**
+ * @param {string} query
+ * @param {string} text
+ * @returns {?{ score: number, indices: number[] }} null when `text` does not
+ *   contain the query as a subsequence; `indices` are the matched positions
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  const indices = [];
+  let score = 0;
+  let position = 0;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+
+    const isWordStart = index === 0 || /[\s\-_/.,:]/.test(haystack[index - 1]);
+    const isConsecutive = indices.length > 0 && index === indices[indices.length - 1] + 1;
+
+    score += 1;
+    if (isWordStart) score += WORD_START_BONUS;
+    if (isConsecutive) score += CONSECUTIVE_BONUS;
+    score -= (index - position) * GAP_PENALTY;
+
+    indices.push(index);
+    position = index + 1;
+  }
+
+  // Prefer shorter texts when everything else is equal
+  score -= haystack.length * 0.01;
+
+  return { score, indices };
+}
+
+/**
+ * Filter and rank items by the best match across their searchable strings.
+ *
+ * @param {string} query
+ * @param {Array} items
+ * @param {(item) => string[]} getStrings - Texts to match; the first is the
+ *   one whose match `indices` are reported (e.g. for highlighting a title)
+ * @returns {Array<{ item, score: number, indices: number[] }>}
+ */
+export function fuzzyFilter(query, items, getStrings) {
+  return items
+    .map(item => {
+      const strings = getStrings(item);
+      let best = null;
+
+      strings.forEach((text, index) => {
+        const match = fuzzyMatch(query, text);
+        if (!match) return;
+
+        // Secondary strings (keywords, section names) count for a little less
+        const score = index === 0 ? match.score : match.score - 2;
+        if (!best || score > best.score) {
+          best = { item, score, indices: index === 0 ? match.indices : [] };
+        }
+      });
+
+      return best;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
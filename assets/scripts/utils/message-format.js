@@ -0,0 +1,226 @@
+/**
+ * MESSAGE FORMAT
+ * Compiles ICU MessageFormat strings into functions, covering the parts the
+ * interface catalogs use:
+ *
+ *   {name}                                  - value as text
+ *   {count, number}                         - also `integer` and `percent`
+ *   {when, date, long}                      - `short`, `medium`, `long` or `full`;
+ *                                             `time` takes the same styles
+ *   {count, plural, =0 {…} one {# item} other {# items}}
+ *   {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ *   {version, select, female {…} other {…}}
+ *
+ * Plural categories come from Intl.PluralRules for the message's locale, and
+ * `#` inside a plural is the number formatted for that locale. As in ICU, an
+ * apostrophe quotes a following brace or `#` ('{' for a literal brace) and
+ * two apostrophes make one; any other apostrophe is literal text.
+ */
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+const NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: 'percent' }
+};
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.position = 0;
+  }
+
+  fail(message) {
+    throw new SyntaxError(`${message} at position ${this.position} in "${this.source}"`);
+  }
+
+  // Text and arguments up to the end, or up to the `}` closing a plural or select option
+  parseMessage(inPlural = false) {
+    const parts = [];
+    let text = '';
+
+    while (this.position < this.source.length) {
+      const char = this.source[this.position];
+
+      if (char === '}') break;
+      if (char === '{') {
+        if (text) parts.push(text);
+        text = '';
+        parts.push(this.parseArgument(inPlural));
+        continue;
+      }
+      if (char === '#' && inPlural) {
+        if (text) parts.push(text);
+        text = '';
+        parts.push({ type: 'pound' });
+        this.position++;
+        continue;
+      }
+      if (char === "'") {
+        text += this.parseQuoted(inPlural);
+        continue;
+      }
+
+      text += char;
+      this.position++;
+    }
+
+    if (text) parts.push(text);
+    return parts;
+  }
+
+  parseQuoted(inPlural) {
+    const next = this.source[this.position + 1];
+
+    if (next === "'") {
+      this.position += 2;
+      return "'";
+    }
+    if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+      this.position++;
+      return "'";
+    }
+
+    const end = this.source.indexOf("'", this.position + 1);
+    const quoted = this.source.slice(this.position + 1, end === -1 ? undefined : end);
+    this.position = end === -1 ? this.source.length : end + 1;
+    return quoted;
+  }
+
+  parseArgument(inPlural) {
+    this.position++; // {
+    const name = this.parseWord();
+    if (!name) this.fail('Expected an argument name');
+
+    if (this.eat('}')) return { type: 'argument', name };
+    if (!this.eat(',')) this.fail(`Expected "," or "}" after "${name}"`);
+
+    const type = this.parseWord();
+    switch (type) {
+      case 'number':
+      case 'date':
+      case 'time': {
+        const style = this.eat(',') ? this.parseWord() : '';
+        if (!this.eat('}')) this.fail(`Expected "}" to close "${name}"`);
+        if (type === 'number' && style && !NUMBER_STYLES[style]) this.fail(`Unknown number style "${style}"`);
+        if (type !== 'number' && style && !DATE_STYLES.includes(style)) this.fail(`Unknown ${type} style "${style}"`);
+        return { type, name, style };
+      }
+      case 'plural':
+      case 'selectordinal':
+      case 'select':
+        return this.parseOptions(name, type, inPlural);
+      default:
+        return this.fail(`Unknown argument type "${type}"`);
+    }
+  }
+
+  parseOptions(name, type, inPlural) {
+    if (!this.eat(',')) this.fail(`Expected "," after "${type}"`);
+
+    let offset = 0;
+    const options = {};
+
+    this.skipSpace();
+    if (type !== 'select' && this.source.startsWith('offset:', this.position)) {
+      this.position += 'offset:'.length;
+      offset = Number(this.parseWord());
+      if (!Number.isFinite(offset)) this.fail('Expected a number after "offset:"');
+    }
+
+    while (!this.eat('}')) {
+      const key = this.parseWord();
+      if (!key) this.fail(`Expected an option in "${name}"`);
+      if (!this.eat('{')) this.fail(`Expected "{" after option "${key}"`);
+
+      // `#` still means the plural's number inside a select nested in a plural
+      options[key] = this.parseMessage(type === 'select' ? inPlural : true);
+      if (!this.eat('}')) this.fail(`Expected "}" to close option "${key}"`);
+    }
+
+    if (!options.other) this.fail(`"${name}" needs an "other" option`);
+    return { type, name, offset, options };
+  }
+
+  parseWord() {
+    this.skipSpace();
+    const match = /^[^\s{},]+/.exec(this.source.slice(this.position));
+    if (!match) return '';
+    this.position += match[0].length;
+    return match[0];
+  }
+
+  eat(char) {
+    this.skipSpace();
+    if (this.source[this.position] !== char) return false;
+    this.position++;
+    return true;
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.source[this.position] || '')) this.position++;
+  }
+}
+
+/**
+ * @param {string} source
+ * @returns {Array} Parsed message parts
+ * @throws {SyntaxError} When the message is malformed
+ */
+export function parseMessage(source) {
+  const parser = new Parser(source);
+  const parts = parser.parseMessage();
+
+  if (parser.position < source.length) parser.fail('Unmatched "}"');
+  return parts;
+}
+
+function formatParts(parts, values, locale, pluralNumber) {
+  return parts.map(part => {
+    if (typeof part === 'string') return part;
+    if (part.type === 'pound') return new Intl.NumberFormat(locale).format(pluralNumber);
+
+    const value = values[part.name];
+    if (value === undefined || value === null) return `{${part.name}}`;
+
+    switch (part.type) {
+      case 'number':
+        return new Intl.NumberFormat(locale, NUMBER_STYLES[part.style]).format(value);
+      case 'date':
+        return new Intl.DateTimeFormat(locale, { dateStyle: part.style || 'medium' }).format(value);
+      case 'time':
+        return new Intl.DateTimeFormat(locale, { timeStyle: part.style || 'short' }).format(value);
+      case 'plural':
+      case 'selectordinal': {
+        const exact = part.options[`=${value}`];
+        const number = value - part.offset;
+        const category = new Intl.PluralRules(locale, {
+          type: part.type === 'plural' ? 'cardinal' : 'ordinal'
+        }).select(number);
+        return formatParts(exact || part.options[category] || part.options.other, values, locale, number);
+      }
+      case 'select':
+        return formatParts(part.options[value] || part.options.other, values, locale, pluralNumber);
+      default:
+        return String(value);
+    }
+  }).join('');
+}
+
+/**
+ * @param {string} source - ICU MessageFormat string
+ * @param {string} locale - Locale for plural rules, numbers and dates
+ * @returns {(values?: Object) => string}
+ * @throws {SyntaxError} When the message is malformed
+ */
+export function compileMessage(source, locale) {
+  const parts = parseMessage(source);
+
+  // Plain text needs no formatting
+  if (parts.every(part => typeof part === 'string')) {
+    const text = parts.join('');
+    return () => text;
+  }
+
+  return (values = {}) => formatParts(parts, values, locale);
+}
@@ -0,0 +1,119 @@
+/**
+ * POLL STORAGE
+ * Where prediction poll votes are kept. Every adapter has the same async
+ * interface, so the polls module works the same whether votes stay in this
+ * browser or are collected by a server for a whole seminar room:
+ *
+ *   load(room)               -> { [pollId]: Vote[] }
+ *   add(room, pollId, vote)  -> Vote, as stored
+ *   reset(room)              -> removes every vote in the room
+ *
+ * A Vote is `{ id, likelihood, confidence, at }`: a likelihood from 1 (very
+ * unlikely) to 5 (very likely), a confidence from 1 (low) to 3 (high) and an
+ * ISO timestamp.
+ */
+
+const STORAGE_PREFIX = 'robosexuality:polls';
+
+/**
+ * Votes in localStorage, one entry per room. Each vote is added, so a
+ * device passed around a room collects everyone's votes.
+ */
+export class LocalPollStorage {
+  constructor({ prefix = STORAGE_PREFIX } = {}) {
+    this.prefix = prefix;
+  }
+
+  key(room) {
+    return `${this.prefix}:${room}`;
+  }
+
+  async load(room) {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.key(room))) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async add(room, pollId, vote) {
+    const votes = await this.load(room);
+    votes[pollId] = [...(votes[pollId] || []), vote];
+    window.localStorage.setItem(this.key(room), JSON.stringify(votes));
+    return vote;
+  }
+
+  async reset(room) {
+    window.localStorage.removeItem(this.key(room));
+  }
+}
+
+/**
+ * Votes on a server, so every device in a room sees the same results.
+ * The endpoint is expected to answer:
+ *
+ *   GET    {endpoint}/{room}           -> { [pollId]: Vote[] }
+ *   POST   {endpoint}/{room}/{pollId}  Vote as JSON -> the stored Vote
+ *   DELETE {endpoint}/{room}
+ */
+export class RestPollStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Base URL, without a trailing slash
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor({ endpoint, fetch = window.fetch.bind(window) }) {
+    if (!endpoint) throw new Error('RestPollStorage needs an endpoint');
+
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.fetch = fetch;
+  }
+
+  url(...parts) {
+    return [this.endpoint, ...parts.map(encodeURIComponent)].join('/');
+  }
+
+  async request(url, options = {}) {
+    const response = await this.fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers }
+    });
+    if (!response.ok) {
+      throw new Error(`Poll server answered ${response.status} ${response.statusText}`.trim());
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  async load(room) {
+    return (await this.request(this.url(room))) || {};
+  }
+
+  async add(room, pollId, vote) {
+    const stored = await this.request(this.url(room, pollId), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(vote)
+    });
+    return stored || vote;
+  }
+
+  async reset(room) {
+    await this.request(this.url(room), { method: 'DELETE' });
+  }
+}
+
+/**
+ * @param {Object} [config]
+ * @param {'local'|'rest'} [config.storage]
+ * @param {string} [config.endpoint] - Required for 'rest'
+ */
+export function createPollStorage({ storage = 'local', endpoint } = {}) {
+  switch (storage) {
+    case 'local':
+      return new LocalPollStorage();
+    case 'rest':
+      return new RestPollStorage({ endpoint });
+    default:
+      throw new Error(`Unknown poll storage "${storage}"`);
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * SCHEMA VALIDATION
+ * Minimal JSON-Schema-style checks for the structured content datasets.
+ * Supports `type` (string, number, integer, boolean, array, object),
+ * `enum`, `pattern`, `minLength`, `minimum`, `maximum`, `minItems`, `items`,
+ * `properties`, `required` and `additionalProperties: false`.
+ *
+ * Errors name the exact path that is wrong, e.g.
+ * `timeline[3].date.start: expected an integer, got "1927"`, so whoever
+ * edits a dataset can find the mistake without reading this code.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+/**
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Name of the value in error messages
+ * @returns {string[]} Error messages; empty when the value is valid
+ */
+export function validate(value, schema, path = 'value') {
+  const errors = [];
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    errors.push(`${path}: expected ${TYPE_NAMES[schema.type]}, got ${describe(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${describe(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1
+        ? `${path}: must not be empty`
+        : `${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${path}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} ${schema.minItems === 1 ? 'item' : 'items'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, property]) => {
+      if (properties[key]) {
+        errors.push(...validate(property, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        // Usually a typo, e.g. "sorces" for "sources"
+        errors.push(`${path}.${key}: unknown field (expected ${Object.keys(properties).join(', ')})`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a dataset of entries that each have a unique `id`. Invalid
+ * entries are left out of `valid`.
+ *
+ * @param {Array} entries
+ * @param {Object} schema - Schema for a single entry
+ * @param {Object} [options]
+ * @param {string} [options.name] - Dataset name used in error paths
+ * @param {(entry: Object, path: string) => string[]} [options.check] - Rules a
+ *   schema can't express, run on entries that passed the schema
+ * @returns {{ valid: Object[], errors: string[] }}
+ */
+export function validateList(entries, schema, { name = 'value', check = () => [] } = {}) {
+  if (!Array.isArray(entries)) {
+    return { valid: [], errors: [`${name}: expected a list of entries`] };
+  }
+
+  const valid = [];
+  const errors = [];
+  const ids = new Set();
+
+  entries.forEach((entry, index) => {
+    const path = `${name}[${index}]`;
+    const entryErrors = validate(entry, schema, path);
+
+    if (!entryErrors.length) {
+      entryErrors.push(...check(entry, path));
+      if (ids.has(entry.id)) {
+        entryErrors.push(`${path}.id: "${entry.id}" is already used by another entry`);
+      }
+    }
+
+    if (entryErrors.length) {
+      errors.push(...entryErrors);
+    } else {
+      ids.add(entry.id);
+      valid.push(entry);
+    }
+  });
+
+  return { valid, errors };
+}
+
+function describe(value) {
+  if (value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'a list';
+  if (value === null) return 'null';
+  return typeof value === 'object' ? 'an object' : JSON.stringify(value);
+}
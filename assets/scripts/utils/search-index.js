@@ -0,0 +1,215 @@
+/**
+ * SEARCH INDEX
+ * Small in-memory inverted index for offline full-text search. Documents
+ * are split into fields with their own weights (a match in a title counts
+ * for more than one in body text); queries match whole words, word prefixes
+ * ("repl" finds "Replika") and, for longer words, near misses within one or
+ * two typos ("netherland" finds "Netherlands").
+ */
+
+// Score multipliers for the kinds of match, relative to an exact word
+const PREFIX_FACTOR = 0.6;
+const FUZZY_FACTOR = 0.35;
+
+// Words shorter than this are only matched exactly or as prefixes
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Lower-case words with diacritics removed, so "Café" and "cafe" match.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+export function normalize(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.fields] - Field names and their weights
+   */
+  constructor({ fields = { title: 3, body: 1 } } = {}) {
+    this.fields = fields;
+    this.documents = new Map();
+    this.postings = new Map(); // term -> Map(docId -> weighted term frequency)
+    this.sortedTerms = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object<string, string>} fields - Text per field name
+   * @param {*} [data] - Returned with results, e.g. the source element
+   */
+  add(id, fields, data = null) {
+    if (this.documents.has(id)) this.remove(id);
+
+    const terms = new Map();
+    Object.entries(this.fields).forEach(([field, weight]) => {
+      tokenize(fields[field] || '').forEach(term => {
+        terms.set(term, (terms.get(term) || 0) + weight);
+      });
+    });
+
+    terms.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    });
+
+    this.documents.set(id, { id, terms: [...terms.keys()], data });
+    this.sortedTerms = null;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (!posting.size) this.postings.delete(term);
+    });
+
+    this.documents.delete(id);
+    this.sortedTerms = null;
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.sortedTerms = null;
+  }
+
+  /**
+   * Documents matching the query, best first. Documents containing more of
+   * the query's words always rank above ones containing fewer.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Array<{ id: string, score: number, terms: string[], data: * }>}
+   *   `terms` are the indexed words that matched, for highlighting
+   */
+  search(query, { limit = 20 } = {}) {
+    const tokens = [...new Set(tokenize(query))];
+    if (!tokens.length) return [];
+
+    const matches = new Map(); // docId -> { score, covered, terms }
+
+    tokens.forEach(token => {
+      const best = new Map(); // docId -> best score for this token
+
+      this.expand(token).forEach((factor, term) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + this.documents.size / posting.size);
+
+        posting.forEach((frequency, id) => {
+          const score = frequency * idf * factor;
+          if (score > (best.get(id) || 0)) best.set(id, score);
+
+          if (!matches.has(id)) {
+            matches.set(id, { score: 0, covered: 0, terms: new Set() });
+          }
+          matches.get(id).terms.add(term);
+        });
+      });
+
+      best.forEach((score, id) => {
+        const match = matches.get(id);
+        match.score += score;
+        match.covered += 1;
+      });
+    });
+
+    return [...matches]
+      .sort(([, a], [, b]) => (b.covered - a.covered) || (b.score - a.score))
+      .slice(0, limit)
+      .map(([id, { score, terms }]) => ({
+        id,
+        score,
+        terms: [...terms],
+        data: this.documents.get(id).data
+      }));
+  }
+
+  // Indexed terms a query word can stand for, with their score factor
+  expand(token) {
+    const expansions = new Map();
+
+    if (this.postings.has(token)) {
+      expansions.set(token, 1);
+    }
+
+    this.termsWithPrefix(token).forEach(term => {
+      if (!expansions.has(term)) expansions.set(term, PREFIX_FACTOR);
+    });
+
+    if (token.length >= MIN_FUZZY_LENGTH) {
+      const maxDistance = token.length >= 8 ? 2 : 1;
+
+      this.postings.forEach((posting, term) => {
+        if (expansions.has(term) || Math.abs(term.length - token.length) > maxDistance) return;
+        if (editDistance(token, term, maxDistance) <= maxDistance) {
+          expansions.set(term, FUZZY_FACTOR);
+        }
+      });
+    }
+
+    return expansions;
+  }
+
+  termsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+
+    // Binary search for the first term >= prefix, then walk forward
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sortedTerms[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const terms = [];
+    for (let index = low; index < this.sortedTerms.length && this.sortedTerms[index].startsWith(prefix); index++) {
+      terms.push(this.sortedTerms[index]);
+    }
+    return terms;
+  }
+}
+
+// Levenshtein distance, giving up once it must exceed `max`
+function editDistance(a, b, max) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
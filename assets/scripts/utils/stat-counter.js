@@ -0,0 +1,220 @@
+/**
+ * STAT COUNTER
+ * A statistic that counts up to its value when it comes into view. Values
+ * are formatted with Intl.NumberFormat for the page locale, so they can be
+ * decimals, currencies or compact ("30M", "30 million"), with an optional
+ * prefix and suffix. Years and other labels that aren't quantities are
+ * shown as-is without counting.
+ *
+ * Configured from data attributes on the number element:
+ *
+ *   data-value           - the figure, e.g. "30000000" or "4.5"
+ *   data-kind            - "number" (default) or "year" (no grouping, no count)
+ *   data-decimals        - fraction digits shown, default 0
+ *   data-prefix          - text before the number
+ *   data-suffix          - text after the number
+ *   data-notation        - "standard" (default) or "compact"
+ *   data-compact-display - "short" (default, "30M") or "long" ("30 million")
+ *   data-currency        - ISO currency code, e.g. "USD"
+ *   data-duration        - count duration in ms
+ *   data-easing          - a key of EASINGS
+ *   data-source          - where the figure comes from
+ *   data-as-of           - when it was true: "2024", "2024-08" or "2024-08-15"
+ *
+ * The source and as-of date are shown in a tooltip on an info button next
+ * to the figure, and read out as its description. Its labels come from the
+ * `translate` option, so they follow the interface language.
+ */
+
+export const EASINGS = {
+  linear: t => t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+let tooltipCount = 0;
+
+// Tooltip labels when no translation is given
+const ENGLISH = {
+  'stat.sourceLabel': () => 'Source',
+  'stat.source': ({ source }) => `Source: ${source}`,
+  'stat.asOf': ({ date }) => `As of ${date}`
+};
+
+function translateEnglish(key, values) {
+  return ENGLISH[key](values);
+}
+
+// "2024" -> "2024", "2024-08" -> "August 2024", "2024-08-15" -> "August 15, 2024"
+function formatAsOf(value, locale) {
+  const [year, month, day] = value.split('-').map(Number);
+
+  const options = { year: 'numeric', timeZone: 'UTC' };
+  if (month) options.month = 'long';
+  if (day) options.day = 'numeric';
+  return new Intl.DateTimeFormat(locale, options).format(new Date(Date.UTC(year, (month || 1) - 1, day || 1)));
+}
+
+export class StatCounter {
+  /**
+   * @param {HTMLElement} element - Element showing the figure
+   * @param {Object} [defaults] - Options used where the element has no data attribute
+   * @param {number} [defaults.duration]
+   * @param {string} [defaults.easing]
+   * @param {string} [defaults.locale]
+   * @param {(key: string, values?: Object) => string} [defaults.translate] - Looks up
+   *   the tooltip labels 'stat.sourceLabel', 'stat.source' and 'stat.asOf'
+   */
+  constructor(element, { duration = 2000, easing = 'easeOutQuart', locale, translate = translateEnglish } = {}) {
+    const data = element.dataset;
+
+    this.element = element;
+    this.value = Number(data.value ?? data.target ?? element.textContent);
+    this.kind = data.kind || 'number';
+    this.decimals = Number(data.decimals || 0);
+    this.prefix = data.prefix || '';
+    this.suffix = data.suffix || '';
+    this.notation = data.notation || 'standard';
+    this.compactDisplay = data.compactDisplay || 'short';
+    this.currency = data.currency || null;
+    this.duration = Number(data.duration || duration);
+    this.easing = EASINGS[data.easing] || EASINGS[easing] || EASINGS.easeOutQuart;
+    this.source = data.source || '';
+    this.asOf = data.asOf || '';
+    this.locale = locale || document.documentElement.lang || undefined;
+    this.translate = translate;
+
+    this.elapsed = 0;
+    this.render();
+  }
+
+  /** Years and similar labels are shown as-is rather than counted. */
+  get animates() {
+    return this.kind !== 'year' && Number.isFinite(this.value) && this.value !== 0;
+  }
+
+  setLocale(locale) {
+    this.locale = locale;
+    this.formatter = null;
+    this.renderLabels();
+    this.render(this.progress);
+  }
+
+  format(value) {
+    if (this.kind === 'year') return String(Math.trunc(value));
+
+    this.formatter ||= new Intl.NumberFormat(this.locale, {
+      style: this.currency ? 'currency' : 'decimal',
+      currency: this.currency || undefined,
+      notation: this.notation,
+      compactDisplay: this.notation === 'compact' ? this.compactDisplay : undefined,
+      minimumFractionDigits: this.decimals,
+      maximumFractionDigits: this.decimals
+    });
+    return `${this.prefix}${this.formatter.format(value)}${this.suffix}`;
+  }
+
+  // Rendering
+  // Runs every frame while counting, so only the visible figure changes
+  render(progress = 1) {
+    this.progress = progress;
+    if (!this.display) this.build();
+
+    this.display.textContent = this.format(progress >= 1 ? this.value : this.value * this.easing(progress));
+  }
+
+  // The final value for screen readers and the tooltip, which only change
+  // with the locale
+  renderLabels() {
+    this.label.textContent = this.format(this.value);
+    this.renderTooltip();
+  }
+
+  // The counting figure is hidden from assistive technology, which reads the
+  // final value instead of every intermediate one
+  build() {
+    this.display = document.createElement('span');
+    this.display.setAttribute('aria-hidden', 'true');
+
+    this.label = document.createElement('span');
+    this.label.className = 'sr-only';
+
+    this.element.replaceChildren(this.display, this.label);
+
+    if (this.source || this.asOf) this.buildTooltip();
+    this.renderLabels();
+  }
+
+  buildTooltip() {
+    const id = `stat-source-${++tooltipCount}`;
+
+    this.info = document.createElement('button');
+    this.info.type = 'button';
+    this.info.className = 'stat__info';
+    this.info.setAttribute('aria-describedby', id);
+    this.info.innerHTML = '<span aria-hidden="true">i</span><span class="sr-only"></span>';
+
+    this.tooltip = document.createElement('span');
+    this.tooltip.id = id;
+    this.tooltip.className = 'stat__tooltip';
+    this.tooltip.setAttribute('role', 'tooltip');
+
+    // Escape hides the tooltip until the button loses focus (WCAG 1.4.13)
+    this.handleKeydown = (event) => {
+      if (event.key === 'Escape') this.tooltip.classList.add('stat__tooltip--dismissed');
+    };
+    this.handleBlur = () => this.tooltip.classList.remove('stat__tooltip--dismissed');
+    this.info.addEventListener('keydown', this.handleKeydown);
+    this.info.addEventListener('blur', this.handleBlur);
+
+    this.element.after(this.info, this.tooltip);
+  }
+
+  renderTooltip() {
+    if (!this.tooltip) return;
+
+    this.info.querySelector('.sr-only').textContent = this.translate('stat.sourceLabel');
+
+    const parts = [];
+    if (this.source) parts.push(this.translate('stat.source', { source: this.source }));
+    if (this.asOf) parts.push(this.translate('stat.asOf', { date: formatAsOf(this.asOf, this.locale) }));
+    this.tooltip.textContent = parts.join(' · ');
+  }
+
+  // Animation
+  reset() {
+    this.elapsed = 0;
+    this.render(this.animates ? 0 : 1);
+  }
+
+  /**
+   * Advance the count; shaped as a FrameScheduler task.
+   *
+   * @param {number} delta - Milliseconds since the last frame
+   * @returns {false|undefined} false once the final value is shown
+   */
+  step(delta) {
+    this.elapsed += delta;
+    const progress = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+    this.render(progress);
+
+    if (progress >= 1) return false;
+  }
+
+  finish() {
+    this.render(1);
+  }
+
+  destroy() {
+    this.info?.removeEventListener('keydown', this.handleKeydown);
+    this.info?.removeEventListener('blur', this.handleBlur);
+    this.info?.remove();
+    this.tooltip?.remove();
+    this.element.replaceChildren(this.format(this.value));
+    this.display = null;
+    this.label = null;
+    this.info = null;
+    this.tooltip = null;
+  }
+}
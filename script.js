@@ -1,5 +1,45 @@
 // Navigation and Interactive Elements
 document.addEventListener('DOMContentLoaded', function() {
+    // Reduced motion: the reader's stored override wins over the system setting.
+    // Read once, then kept current from the storage event (the override
+    // changed in another tab) and the media query, so scroll frames don't
+    // parse stored state.
+    const STATE_KEY = 'robosexuality:state';
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    let motionPreference = readMotionPreference();
+
+    function readMotionPreference() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+            return stored.motionPreference || 'system';
+        } catch (e) {
+            return 'system';
+        }
+    }
+
+    window.addEventListener('storage', function(e) {
+        if (e.key === STATE_KEY || e.key === null) motionPreference = readMotionPreference();
+    });
+
+    function prefersReducedMotion() {
+        if (motionPreference === 'reduce') return true;
+        if (motionPreference === 'full') return false;
+        return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+
+    // Scroll effects run together at most once per frame. requestAnimationFrame
+    // doesn't fire in hidden tabs, so they also pause with the page.
+    const scrollTasks = [];
+    let scrollFrame = null;
+
+    window.addEventListener('scroll', function() {
+        if (scrollFrame !== null) return;
+        scrollFrame = window.requestAnimationFrame(function() {
+            scrollFrame = null;
+            scrollTasks.forEach(task => task());
+        });
+    }, { passive: true });
+
     // Mobile Navigation Toggle
     const hamburger = document.querySelector('.hamburger');
     const navMenu = document.querySelector('.nav-menu');
@@ -39,7 +79,7 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     // Active Navigation Link on Scroll
-    window.addEventListener('scroll', function() {
+    scrollTasks.push(function() {
         const sections = document.querySelectorAll('section[id]');
         const scrollPosition = window.scrollY + 100;
 
@@ -159,6 +199,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Observe elements for animation
     const animatedElements = document.querySelectorAll('.story-card, .prediction-card, .timeline-item, .research-item');
     animatedElements.forEach(el => {
+        if (prefersReducedMotion()) return;
         el.style.opacity = '0';
         el.style.transform = 'translateY(20px)';
         el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
@@ -168,7 +209,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Header background change on scroll
     const header = document.querySelector('.header');
     
-    window.addEventListener('scroll', function() {
+    scrollTasks.push(function() {
         if (window.scrollY > 100) {
             header.style.background = 'linear-gradient(135deg, rgba(0, 31, 63, 0.95) 0%, rgba(0, 0, 0, 0.95) 100%)';
             header.style.backdropFilter = 'blur(10px)';
@@ -181,23 +222,28 @@ document.addEventListener('DOMContentLoaded', function() {
     // Parallax effect for hero section
     const heroSection = document.querySelector('.hero-section');
     
-    window.addEventListener('scroll', function() {
+    scrollTasks.push(function() {
         const scrolled = window.pageYOffset;
-        const parallax = scrolled * 0.5;
+        const parallax = prefersReducedMotion() ? 0 : scrolled * 0.5;
         
         if (heroSection) {
-            heroSection.style.transform = `translateY(${parallax}px)`;
+            heroSection.style.transform = parallax ? `translateY(${parallax}px)` : '';
         }
     });
 
     // Dynamic typing effect for hero title
     const heroTitle = document.querySelector('.hero-title');
-    if (heroTitle) {
+    if (heroTitle && !prefersReducedMotion()) {
         const text = heroTitle.textContent;
         heroTitle.textContent = '';
         
         let i = 0;
         const typeWriter = function() {
+            // Finish instantly if motion was reduced mid-way
+            if (prefersReducedMotion()) {
+                heroTitle.textContent = text;
+                return;
+            }
             if (i < text.length) {
                 heroTitle.textContent += text.charAt(i);
                 i++;
@@ -236,6 +282,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }, { threshold: 0.1 });
 
     sections.forEach(section => {
+        if (prefersReducedMotion()) return;
         section.style.opacity = '0';
         section.style.transform = 'translateY(30px)';
         section.style.transition = 'opacity 0.8s ease, transform 0.8s ease';
@@ -257,6 +304,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }, { threshold: 0.3 });
 
     timelineItems.forEach((item, index) => {
+        if (prefersReducedMotion()) return;
         if (index % 2 === 0) {
             item.style.transform = 'translateX(-50px)';
         } else {
@@ -311,6 +359,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const glowElements = document.querySelectorAll('.section-title, .hero-title, .logo h1');
     
     glowElements.forEach(element => {
+        if (prefersReducedMotion()) return;
         element.style.animation = 'glow 3s ease-in-out infinite alternate';
     });
 });